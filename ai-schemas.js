@@ -0,0 +1,232 @@
+/**
+ * JSON Schemas for the structured output we ask LLMs for, and a small
+ * validator for the subset of JSON Schema they use: type (a name or a list,
+ * including "null" and "integer"), enum, properties, required, items,
+ * minItems/maxItems, minimum/maximum and minLength.
+ *
+ * LLMGateway.completeJson validates every response against one of these and
+ * re-asks the model with the errors before giving up.
+ */
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: ['array', 'null'], items: { type: 'string' } };
+const priority = { enum: ['high', 'medium', 'low'] };
+
+// company_enrichment: the profile saved as companies.enriched_data
+export const COMPANY_PROFILE_SCHEMA = {
+    type: 'object',
+    required: ['company_summary'],
+    properties: {
+        tagline: nullableString,
+        description: nullableString,
+        products: stringList,
+        founders: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string', minLength: 1 }, title: nullableString, linkedin_url: nullableString }
+            }
+        },
+        leadership_team: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string', minLength: 1 }, title: nullableString }
+            }
+        },
+        business_model: nullableString,
+        target_market: nullableString,
+        customers: stringList,
+        culture_values: stringList,
+        benefits: stringList,
+        remote_policy: nullableString,
+        tech_stack: stringList,
+        engineering_blog: nullableString,
+        github_url: nullableString,
+        social_links: {
+            type: ['object', 'null'],
+            properties: { twitter: nullableString, linkedin: nullableString, facebook: nullableString }
+        },
+        company_summary: { type: 'string', minLength: 1 },
+        work_culture_assessment: nullableString,
+        growth_signals: stringList,
+        red_flags: stringList,
+        target_contacts: {
+            type: ['array', 'null'],
+            items: {
+                type: 'object',
+                required: ['name', 'title'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    title: { type: 'string' },
+                    department: nullableString,
+                    linkedin_url: nullableString,
+                    relevance: nullableString,
+                    priority: { type: ['string', 'null'], enum: [...priority.enum, null] }
+                }
+            }
+        },
+        recommended_outreach_roles: stringList,
+        gtm_opportunity_assessment: nullableString
+    }
+};
+
+// prospect_selection: the 1-3 best of `count` numbered prospects
+export function prospectSelectionSchema(count) {
+    return {
+        type: 'array',
+        minItems: 1,
+        maxItems: 3,
+        items: {
+            type: 'object',
+            required: ['prospect_index', 'priority', 'ai_score', 'relevance'],
+            properties: {
+                prospect_index: { type: 'integer', minimum: 1, maximum: count },
+                priority,
+                ai_score: { type: 'number', minimum: 0, maximum: 1 },
+                relevance: { type: 'string', minLength: 1 }
+            }
+        }
+    };
+}
+
+// prospect_scoring: one 0-1 score per prospect, in list order
+export function prospectScoresSchema(count) {
+    return {
+        type: 'array',
+        minItems: count,
+        maxItems: count,
+        items: { type: 'number', minimum: 0, maximum: 1 }
+    };
+}
+
+// job_analysis (see job-analysis.js)
+export const JOB_ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: ['summary', 'fit_score', 'pain_signals', 'tools_mentioned', 'seniority', 'urgency', 'recommended_angle'],
+    properties: {
+        summary: { type: 'string' },
+        fit_score: { type: 'number', minimum: 0, maximum: 100 },
+        pain_signals: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['signal'],
+                properties: { signal: { type: 'string', minLength: 1 }, evidence: nullableString }
+            }
+        },
+        tools_mentioned: { type: 'array', items: { type: 'string' } },
+        seniority: { enum: ['intern', 'junior', 'mid', 'senior', 'lead', 'manager', 'director', 'vp', 'c_level', 'unknown'] },
+        urgency: {
+            type: 'object',
+            required: ['level'],
+            properties: {
+                level: { enum: ['low', 'medium', 'high'] },
+                reasons: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        recommended_angle: { type: 'string' }
+    }
+};
+
+// outreach_sequence: initial email plus follow-ups
+export const EMAIL_SEQUENCE_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['subject', 'body'],
+        properties: {
+            subject: { type: 'string', minLength: 1 },
+            body: { type: 'string', minLength: 1 }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema. Returns a list of messages such as
+ * "$.target_contacts[0].name: expected string, got null" (empty when valid).
+ */
+export function validateSchema(schema, value, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`];
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+        }
+    } else if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse the JSON in an LLM response: the whole text, a ```json fenced block,
+ * or the outermost object/array in surrounding prose. Throws when none parses.
+ */
+export function parseJsonResponse(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    const candidates = [text.trim(), fenced?.[1]];
+
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        candidates.push(text.slice(start, end + 1));
+    }
+
+    let lastError = null;
+    for (const candidate of candidates.filter(Boolean)) {
+        try {
+            return JSON.parse(candidate);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw new Error(`Response is not valid JSON${lastError ? ` (${lastError.message})` : ''}`);
+}
@@ -0,0 +1,50 @@
+/**
+ * Helpers for the audit log: snapshots of records as they are stored in an
+ * audit entry (no secrets, no bulky AI/provider payloads) and field-level
+ * diffs between the snapshot taken before a request and the one after it.
+ */
+
+// Large blobs that would bloat every entry and are never edited through the API
+const OMITTED_KEYS = new Set(['raw_data', 'enriched_data', 'theirstack_data', 'token_hash']);
+
+// String values of these keys are replaced, wherever they appear (request bodies, records)
+const SECRET_KEY_PATTERN = /(^|_)(password|pass|secret|credential|token)$|_encrypted$/i;
+
+// Bookkeeping columns that change on every write and say nothing about who changed what
+const IGNORED_DIFF_KEYS = new Set(['updated_at']);
+
+export function toAuditSnapshot(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(toAuditSnapshot);
+    if (typeof value !== 'object') return value;
+
+    const snapshot = {};
+    for (const [key, entry] of Object.entries(value)) {
+        if (OMITTED_KEYS.has(key)) continue;
+        snapshot[key] = SECRET_KEY_PATTERN.test(key) && typeof entry === 'string' && entry
+            ? '[redacted]'
+            : toAuditSnapshot(entry);
+    }
+    return snapshot;
+}
+
+/**
+ * Top-level fields that differ between two snapshots, as { field: { from, to } }.
+ * A missing side (create or delete) yields every field of the other side.
+ */
+export function diffSnapshots(before, after) {
+    if (!before && !after) return null;
+
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        if (IGNORED_DIFF_KEYS.has(key)) continue;
+        const from = before ? before[key] ?? null : null;
+        const to = after ? after[key] ?? null : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from, to };
+        }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
@@ -0,0 +1,563 @@
+import axios from 'axios';
+
+const SIGNALHIRE_API_URL = 'https://www.signalhire.com/api/v1';
+const APOLLO_API_URL = 'https://api.apollo.io/api/v1';
+const HUNTER_API_URL = 'https://api.hunter.io/v2';
+const PROSPEO_API_URL = 'https://api.prospeo.io';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Every contact provider, in the default waterfall order (CONTACT_PROVIDER_ORDER changes it)
+export const CONTACT_PROVIDER_NAMES = ['signalhire', 'apollo', 'hunter', 'prospeo'];
+
+// Contact fields a lookup can fill; the first provider to return a field supplies it
+const CONTACT_FIELDS = [
+    'email', 'phone', 'linkedin_url', 'location', 'current_company', 'current_title', 'profile_photo'
+];
+
+// Fields that come with another one, from the same provider
+const COMPANION_FIELDS = {
+    email: 'email_verified',
+    phone: 'phone_type'
+};
+
+const CONTACT_CONFIG = {
+    order: parseProviderOrder(process.env.CONTACT_PROVIDER_ORDER),
+    signalHirePollAttempts: 10,
+    signalHirePollIntervalMs: 2000
+};
+
+/**
+ * Contact data providers
+ *
+ * Every provider exposes the same interface:
+ *   name, label               - id (used in CONTACT_PROVIDER_ORDER, budgets and api_usage) and display name
+ *   isConfigured()            - whether the provider has an API key
+ *   lookupContact(person, context)
+ *                             - resolves to contact fields (CONTACT_FIELDS plus provider_id), null, or
+ *                               { pending: true } when the result will arrive later by webhook;
+ *                               person is { name, title, linkedin_url, domain, company }, context is
+ *                               { prospectId, taskId, folderId } for prospects of a folder
+ *   searchPeople(params)      - optional; resolves to people at a company, each
+ *                               { name, title, linkedin_url, location, photo, provider_id, raw_data };
+ *                               params are { company, domain, titles, country, limit }
+ *   credits(operation, response)
+ *                             - credits a successful call used (for usage records and budgets)
+ *
+ * ContactDataService runs lookups as a waterfall over the configured
+ * providers and skips providers whose monthly credit budget is used up.
+ */
+
+// CONTACT_PROVIDER_ORDER is a comma-separated list of provider names
+function parseProviderOrder(value) {
+    if (!value) return CONTACT_PROVIDER_NAMES;
+
+    const order = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const unknown = order.filter(name => !CONTACT_PROVIDER_NAMES.includes(name));
+    if (unknown.length > 0) {
+        console.warn(`[Contacts] Ignoring unknown CONTACT_PROVIDER_ORDER entries: ${unknown.join(', ')}`);
+    }
+    return order.filter(name => CONTACT_PROVIDER_NAMES.includes(name));
+}
+
+function splitName(name) {
+    const parts = (name || '').trim().split(/\s+/);
+    return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+}
+
+function joinLocation(...parts) {
+    return parts.filter(Boolean).join(', ') || null;
+}
+
+class ContactProvider {
+    constructor(name, label, options = {}) {
+        this.name = name;
+        this.label = label;
+        this.apiKey = options.apiKey || null;
+        this.usage = options.usage || null; // UsageService instance (optional, records calls and credits)
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    // Record a request in the usage log, with the credits it used, when usage tracking is on
+    track(operation, request) {
+        return this.usage
+            ? this.usage.trackContactCall(this.name, operation, request, response => this.credits(operation, response))
+            : request();
+    }
+
+    credits() {
+        return 0;
+    }
+}
+
+/**
+ * SignalHire profile (a candidate/search response or a webhook `candidate`)
+ * as contact fields. Webhook candidates list emails and phones in `contacts`.
+ */
+export function parseSignalHireCandidate(data) {
+    if (!data) return null;
+
+    const contacts = data.contacts || [];
+    const email = data.emails?.[0] || contacts.find(contact => contact.type === 'email');
+    const phone = data.phones?.[0] || contacts.find(contact => contact.type === 'phone');
+    const job = (data.experience || []).find(entry => entry.current) || data.experience?.[0];
+
+    return {
+        email: email?.email || email?.value || null,
+        email_verified: email ? (email.verified ?? Number(email.rating) >= 100) : false,
+        phone: phone?.phone || phone?.value || null,
+        phone_type: phone?.type === 'phone' ? phone.subType || null : phone?.type || null,
+        linkedin_url: data.linkedin || data.social?.find(profile => profile.type === 'li')?.link || null,
+        location: typeof data.location === 'string' ? data.location : data.locations?.[0]?.name || null,
+        current_company: data.currentEmployer || job?.company || null,
+        current_title: data.currentTitle || job?.position || null,
+        profile_photo: typeof data.photo === 'string' ? data.photo : data.photo?.url || null,
+        provider_id: data.id || data.uid || null
+    };
+}
+
+export class SignalHireProvider extends ContactProvider {
+    constructor(options = {}) {
+        super('signalhire', 'SignalHire', options);
+        this.callbacks = options.callbacks || null; // SignalHireWebhookService (optional, results by webhook instead of polling)
+    }
+
+    headers() {
+        return { 'apikey': this.apiKey, 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    }
+
+    // Revealing a profile costs a credit; searches are free
+    credits(operation, response) {
+        return operation === 'person_lookup' && response?.status === 200 ? 1 : 0;
+    }
+
+    async lookupContact(person, context = {}) {
+        let linkedinUrl = person.linkedin_url;
+
+        // Without a LinkedIn URL, find the profile by name first (search results carry no contact data)
+        if (!linkedinUrl && person.name) {
+            const match = await this.searchByName(person);
+            linkedinUrl = match?.linkedin || null;
+        }
+        if (!linkedinUrl) return null;
+
+        // Prospects' lookups finish in the webhook when it is set up; other lookups poll
+        if (context.prospectId && this.callbacks?.isEnabled()) {
+            return this.requestWithCallback(linkedinUrl, context);
+        }
+
+        const response = await this.track('person_lookup', () => axios.get(`${SIGNALHIRE_API_URL}/candidate/search`, {
+            params: { url: linkedinUrl },
+            headers: this.headers(),
+            timeout: REQUEST_TIMEOUT_MS
+        }));
+
+        if (response.status === 200) {
+            return this.parseCandidate(response.data);
+        }
+        if (response.status === 201) {
+            // Request accepted, the profile is revealed asynchronously
+            return await this.pollResult(response.headers['x-request-id']);
+        }
+        return null;
+    }
+
+    /**
+     * Ask SignalHire to POST the profile to our webhook (signalhire-webhooks.js
+     * stores it on the prospect). A prospect with a lookup already pending is
+     * not requested again.
+     */
+    async requestWithCallback(linkedinUrl, context) {
+        const { lookup, callbackUrl } = await this.callbacks.createLookup({ ...context, item: linkedinUrl });
+
+        if (lookup.created) {
+            try {
+                const response = await this.track('person_lookup', () => axios.post(`${SIGNALHIRE_API_URL}/candidate/search`, {
+                    items: [linkedinUrl],
+                    callbackUrl
+                }, { headers: this.headers(), timeout: REQUEST_TIMEOUT_MS }));
+                await this.callbacks.markSubmitted(lookup.id, response.data?.requestId ?? null);
+            } catch (error) {
+                await this.callbacks.cancelLookup(lookup.id);
+                throw error;
+            }
+        }
+
+        return { pending: true, lookup_id: lookup.id };
+    }
+
+    async searchByName(person) {
+        const response = await this.track('person_search', () => axios.post(`${SIGNALHIRE_API_URL}/search`, {
+            fullName: person.name,
+            currentEmployer: person.company || person.domain,
+            currentTitle: person.title,
+            limit: 1
+        }, { headers: this.headers(), timeout: REQUEST_TIMEOUT_MS }));
+
+        return response.data?.items?.[0] || null;
+    }
+
+    async pollResult(requestId) {
+        if (!requestId) return null;
+
+        for (let i = 0; i < CONTACT_CONFIG.signalHirePollAttempts; i++) {
+            await new Promise(resolve => setTimeout(resolve, CONTACT_CONFIG.signalHirePollIntervalMs));
+
+            const response = await this.track('person_lookup', () => axios.get(`${SIGNALHIRE_API_URL}/candidate/request/${requestId}`, {
+                headers: this.headers(),
+                timeout: REQUEST_TIMEOUT_MS
+            }));
+
+            if (response.status === 200) {
+                return this.parseCandidate(response.data);
+            }
+            if (response.status !== 204) {
+                break; // 204: still processing
+            }
+        }
+        return null;
+    }
+
+    parseCandidate(data) {
+        return parseSignalHireCandidate(data);
+    }
+
+    async searchPeople({ company, titles = [], country = null, limit = 20 }) {
+        const searchParams = { company, titles, limit: Math.min(limit, 20) };
+        if (country) {
+            searchParams.country = country;
+        }
+
+        const response = await this.track('people_search', () => axios.post(`${SIGNALHIRE_API_URL}/search/people`, searchParams, {
+            headers: this.headers(),
+            timeout: REQUEST_TIMEOUT_MS
+        }));
+
+        return (response.data?.items || []).map(item => ({
+            name: item.fullName || item.name || 'Unknown',
+            title: item.currentTitle || item.title || '',
+            linkedin_url: item.linkedin || null,
+            location: item.location || null,
+            photo: item.photo || null,
+            provider_id: item.id || null,
+            raw_data: item
+        }));
+    }
+
+    // Company profile for enrichment when the website cannot be crawled
+    async findCompany({ name, domain }) {
+        const response = await this.track('company_search', () => axios.post(`${SIGNALHIRE_API_URL}/search/companies`, {
+            name,
+            domain,
+            limit: 1
+        }, { headers: this.headers(), timeout: 10000 }));
+
+        return response.data?.items?.[0] || null;
+    }
+}
+
+export class ApolloProvider extends ContactProvider {
+    constructor(options = {}) {
+        super('apollo', 'Apollo', options);
+    }
+
+    headers() {
+        return { 'x-api-key': this.apiKey, 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    }
+
+    // A match that reveals an email costs a credit; people search is free
+    credits(operation, response) {
+        return operation === 'person_match' && response?.data?.person?.email ? 1 : 0;
+    }
+
+    async lookupContact(person) {
+        const { first, last } = splitName(person.name);
+        const response = await this.track('person_match', () => axios.post(`${APOLLO_API_URL}/people/match`, {
+            first_name: first || undefined,
+            last_name: last || undefined,
+            organization_name: person.company || undefined,
+            domain: person.domain || undefined,
+            linkedin_url: person.linkedin_url || undefined
+        }, { headers: this.headers(), timeout: REQUEST_TIMEOUT_MS }));
+
+        const match = response.data?.person;
+        if (!match) return null;
+
+        const phone = match.phone_numbers?.[0];
+        return {
+            email: match.email || null,
+            email_verified: match.email_status === 'verified',
+            phone: phone?.sanitized_number || phone?.raw_number || null,
+            phone_type: phone?.type || null,
+            linkedin_url: match.linkedin_url || null,
+            location: joinLocation(match.city, match.state, match.country),
+            current_company: match.organization?.name || null,
+            current_title: match.title || null,
+            profile_photo: match.photo_url || null,
+            provider_id: match.id || null
+        };
+    }
+
+    async searchPeople({ domain, titles = [], country = null, limit = 20 }) {
+        const response = await this.track('people_search', () => axios.post(`${APOLLO_API_URL}/mixed_people/search`, {
+            q_organization_domains_list: domain ? [domain] : undefined,
+            person_titles: titles,
+            person_locations: country ? [country] : undefined,
+            per_page: Math.min(limit, 25)
+        }, { headers: this.headers(), timeout: REQUEST_TIMEOUT_MS }));
+
+        return (response.data?.people || []).map(item => ({
+            name: item.name || [item.first_name, item.last_name].filter(Boolean).join(' ') || 'Unknown',
+            title: item.title || '',
+            linkedin_url: item.linkedin_url || null,
+            location: joinLocation(item.city, item.state, item.country),
+            photo: item.photo_url || null,
+            provider_id: item.id || null,
+            raw_data: item
+        }));
+    }
+}
+
+export class HunterProvider extends ContactProvider {
+    constructor(options = {}) {
+        super('hunter', 'Hunter', options);
+    }
+
+    // Hunter charges for an email finder request only when it finds an email
+    credits(operation, response) {
+        return operation === 'email_finder' && response?.data?.data?.email ? 1 : 0;
+    }
+
+    // Needs the company domain and the person's full name
+    async lookupContact(person) {
+        const { first, last } = splitName(person.name);
+        if (!person.domain || !first || !last) return null;
+
+        const response = await this.track('email_finder', () => axios.get(`${HUNTER_API_URL}/email-finder`, {
+            params: { domain: person.domain, first_name: first, last_name: last, api_key: this.apiKey },
+            timeout: REQUEST_TIMEOUT_MS
+        }));
+
+        const data = response.data?.data;
+        if (!data?.email) return null;
+
+        return {
+            email: data.email,
+            email_verified: data.verification?.status === 'valid',
+            phone: data.phone_number || null,
+            linkedin_url: data.linkedin_url || null,
+            current_company: data.company || null,
+            current_title: data.position || null,
+            provider_id: null
+        };
+    }
+}
+
+export class ProspeoProvider extends ContactProvider {
+    constructor(options = {}) {
+        super('prospeo', 'Prospeo', options);
+    }
+
+    // A credit is used when a person is matched with an email
+    credits(operation, response) {
+        return operation === 'enrich_person' && response?.data?.person?.email?.email ? 1 : 0;
+    }
+
+    async lookupContact(person) {
+        if (!person.linkedin_url && !(person.name && person.domain)) return null;
+
+        const response = await this.track('enrich_person', () => axios.post(`${PROSPEO_API_URL}/enrich-person`, {
+            data: {
+                full_name: person.name || undefined,
+                company_website: person.domain || undefined,
+                linkedin_url: person.linkedin_url || undefined
+            }
+        }, {
+            headers: { 'X-KEY': this.apiKey, 'Content-Type': 'application/json' },
+            timeout: REQUEST_TIMEOUT_MS
+        }));
+
+        const match = response.data?.person;
+        if (!match) return null;
+
+        return {
+            email: match.email?.email || null,
+            email_verified: match.email?.status === 'VERIFIED',
+            phone: match.mobile?.mobile || null,
+            phone_type: match.mobile?.mobile ? 'mobile' : null,
+            linkedin_url: match.linkedin_url || null,
+            location: joinLocation(match.location?.city, match.location?.country),
+            current_title: match.current_job_title || null,
+            provider_id: match.person_id || null
+        };
+    }
+}
+
+/**
+ * ContactDataService is the single entry point for contact data. Lookups
+ * run as a waterfall over the configured providers in CONTACT_PROVIDER_ORDER:
+ * each provider fills the fields still missing, and the waterfall stops at
+ * the first one that returns an email. The result records which provider
+ * supplied each field (`contact_sources`).
+ *
+ * Providers whose monthly credit budget (see usage.js) or daily credit
+ * quota (see quotas.js) is used up are skipped; a provider that errors is
+ * logged and the next one is tried.
+ */
+export class ContactDataService {
+    constructor(options = {}) {
+        this.providers = new Map();
+        for (const provider of options.providers || []) {
+            this.providers.set(provider.name, provider);
+        }
+        this.order = options.order || CONTACT_CONFIG.order;
+        this.usage = options.usage || null; // UsageService instance (optional, for credit budgets)
+        this.quotas = options.quotas || null; // QuotaService instance (optional, for credit quotas)
+    }
+
+    // Configured providers in waterfall order
+    getProviders() {
+        return this.order
+            .map(name => this.providers.get(name))
+            .filter(provider => provider?.isConfigured());
+    }
+
+    getProvider(name) {
+        const provider = this.providers.get(name);
+        return provider?.isConfigured() ? provider : null;
+    }
+
+    isAvailable() {
+        return this.getProviders().length > 0;
+    }
+
+    // For /api/health
+    describe() {
+        return {
+            order: this.getProviders().map(provider => provider.name),
+            providers: [...this.providers.values()].map(provider => ({
+                name: provider.name,
+                configured: provider.isConfigured(),
+                search: typeof provider.searchPeople === 'function'
+            }))
+        };
+    }
+
+    // Configured providers in order, minus those over their monthly credit budget or a credit quota
+    async getUsableProviders() {
+        const providers = this.getProviders();
+        const exceeded = this.usage ? await this.usage.getExceededBudgets() : new Set();
+        const exhausted = this.quotas ? await this.quotas.getExhaustedProviders() : new Set();
+        return providers.filter(provider => !exceeded.has(provider.name) && !exhausted.has(provider.name));
+    }
+
+    /**
+     * Find contact data for a person ({ name, title, linkedin_url } plus the
+     * company's `domain` and `company` name). Resolves to the person with the
+     * fields found, `contact_enriched` (an email was found), `contact_sources`
+     * (field → provider), `contact_pending` (providers that will answer by
+     * webhook; `context` says which prospect and task the answer is for) and
+     * `providers_tried`.
+     */
+    async findContact(person, context = {}) {
+        const found = {};
+        const sources = {};
+        const tried = [];
+        const pending = [];
+
+        for (const provider of await this.getUsableProviders()) {
+            tried.push(provider.name);
+
+            let result;
+            try {
+                result = await provider.lookupContact({ ...person, linkedin_url: person.linkedin_url || found.linkedin_url }, context);
+            } catch (error) {
+                console.error(`[Contacts] ${provider.label} lookup failed for ${person.name}:`, error.message);
+                continue;
+            }
+            if (!result) continue;
+            if (result.pending) {
+                pending.push(provider.name); // answered by webhook; later providers may still find an email
+                continue;
+            }
+
+            for (const field of CONTACT_FIELDS) {
+                const value = result[field];
+                if (!value || found[field]) continue;
+
+                found[field] = value;
+                sources[field] = provider.name;
+                if (COMPANION_FIELDS[field]) {
+                    found[COMPANION_FIELDS[field]] = result[COMPANION_FIELDS[field]] ?? null;
+                }
+            }
+            if (result.provider_id) {
+                found[`${provider.name}_id`] = result.provider_id;
+            }
+
+            if (found.email) break;
+        }
+
+        if (found.email) {
+            console.log(`[Contacts] Email for ${person.name} from ${sources.email} (tried ${tried.join(', ')})`);
+        }
+
+        return {
+            ...person,
+            ...found,
+            contact_enriched: !!found.email,
+            contact_sources: sources,
+            contact_pending: pending,
+            providers_tried: tried
+        };
+    }
+
+    /**
+     * People at a company from the first provider (in order, with search
+     * support and budget left) that returns any. Each person has `source`
+     * set to the provider name.
+     */
+    async searchPeople(params) {
+        for (const provider of await this.getUsableProviders()) {
+            if (typeof provider.searchPeople !== 'function') continue;
+
+            try {
+                const people = await provider.searchPeople(params);
+                if (people.length > 0) {
+                    console.log(`[Contacts] ${provider.label} found ${people.length} people at ${params.company || params.domain}`);
+                    return people.map(person => ({ ...person, source: provider.name }));
+                }
+            } catch (error) {
+                const detail = error.response ? `${error.response.status} - ${JSON.stringify(error.response.data)}` : error.message;
+                console.error(`[Contacts] ${provider.label} people search failed:`, detail);
+            }
+        }
+        return [];
+    }
+
+    // Company profile from a provider that has one (SignalHire), or null
+    async findCompany(params) {
+        const provider = (await this.getUsableProviders()).find(p => typeof p.findCompany === 'function');
+        if (!provider) return null;
+
+        try {
+            const company = await provider.findCompany(params);
+            return company ? { provider: provider.name, data: company } : null;
+        } catch (error) {
+            console.error(`[Contacts] ${provider.label} company search failed for ${params.domain}:`, error.message);
+            return null;
+        }
+    }
+}
+
+export function createContactProviders(config = {}) {
+    return [
+        new SignalHireProvider({ apiKey: config.signalHireApiKey, usage: config.usage, callbacks: config.signalHireCallbacks }),
+        new ApolloProvider({ apiKey: config.apolloApiKey, usage: config.usage }),
+        new HunterProvider({ apiKey: config.hunterApiKey, usage: config.usage }),
+        new ProspeoProvider({ apiKey: config.prospeoApiKey, usage: config.usage })
+    ];
+}
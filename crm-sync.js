@@ -0,0 +1,525 @@
+import { PROSPECT_STATUSES } from './db-postgres.js';
+
+const HUBSPOT_API_URL = 'https://api.hubapi.com';
+const PIPEDRIVE_API_URL = 'https://api.pipedrive.com/v1';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const HUBSPOT_BATCH_SIZE = 100;
+
+const CRM_CONFIG = {
+    pullIntervalMs: (parseInt(process.env.CRM_PULL_INTERVAL_MINUTES) || 15) * 60000,
+    stageMap: parseStageMap(process.env.CRM_STAGE_MAP)
+};
+
+// CRM deal stage -> prospect pipeline status. Keys are HubSpot stage ids and
+// Pipedrive stage names (lowercase); Pipedrive's won/lost deal status wins over the stage.
+const DEFAULT_STAGE_MAP = {
+    hubspot: {
+        appointmentscheduled: 'meeting_booked',
+        qualifiedtobuy: 'meeting_booked',
+        presentationscheduled: 'meeting_booked',
+        decisionmakerboughtin: 'meeting_booked',
+        contractsent: 'meeting_booked',
+        closedwon: 'won',
+        closedlost: 'lost'
+    },
+    pipedrive: {
+        'contact made': 'contacted',
+        'demo scheduled': 'meeting_booked',
+        'proposal made': 'meeting_booked',
+        'negotiations started': 'meeting_booked',
+        won: 'won',
+        lost: 'lost'
+    }
+};
+
+// Closed statuses (won, lost, not_interested) share the last place in the pipeline
+const CLOSED_STATUS_RANK = PROSPECT_STATUSES.indexOf('won');
+
+function statusRank(status) {
+    return Math.min(PROSPECT_STATUSES.indexOf(status), CLOSED_STATUS_RANK);
+}
+
+// Statuses a deal stage may move a prospect out of: only earlier ones, so a
+// pull never takes a replied prospect back to contacted or reopens a closed one
+export function statusesBefore(status) {
+    return PROSPECT_STATUSES.filter(from => statusRank(from) < statusRank(status));
+}
+
+/**
+ * CRM clients
+ *
+ * Every client exposes the same interface:
+ *   name, label                                   - provider id (stored in crm_links) and display name
+ *   upsertCompany(company, externalId)            - resolves to the CRM company/organization id
+ *   upsertContact(prospect, { companyId }, externalId)
+ *                                                 - resolves to the CRM contact/person id
+ *   upsertDeal(prospect, { companyId, contactId }, externalId)
+ *                                                 - resolves to { id, stage }
+ *   getDealStages(externalIds)                    - resolves to a Map of deal id -> stage key
+ *
+ * With an externalId the record is updated; without one (or when the CRM no
+ * longer has it) an existing record is looked up by domain/email/name before
+ * a new one is created, so pushing the same folder twice never duplicates.
+ * Deal stages are only set on create: after that the CRM owns the stage.
+ */
+
+// CRM_STAGE_MAP is a JSON object of extra stage -> status mappings
+function parseStageMap(json) {
+    if (!json) return {};
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        console.warn('[CRM] Ignoring invalid CRM_STAGE_MAP:', error.message);
+        return {};
+    }
+}
+
+function createCrmError(message, status = 500) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function requestJson(url, options, label) {
+    const response = await fetch(url, {
+        ...options,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        console.error(`[CRM] ${label} API error ${response.status}:`, errorText.substring(0, 500));
+        let errorMessage;
+        try {
+            const errorData = JSON.parse(errorText);
+            errorMessage = errorData.message || errorData.error || JSON.stringify(errorData);
+        } catch {
+            errorMessage = errorText || `${label} API error: ${response.status}`;
+        }
+        const error = createCrmError(errorMessage, response.status);
+        // Bad credentials or a rejected payload won't fix themselves on retry
+        if ([400, 401, 403].includes(response.status)) {
+            error.retryable = false;
+        }
+        throw error;
+    }
+
+    return response.status === 204 ? null : await response.json();
+}
+
+function splitName(name) {
+    const parts = (name || '').trim().split(/\s+/);
+    return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+}
+
+function getDealTitle(prospect) {
+    return `${prospect.company_name} - ${prospect.name}`;
+}
+
+export class HubSpotCrm {
+    constructor(options = {}) {
+        this.name = 'hubspot';
+        this.label = 'HubSpot';
+        this.accessToken = options.accessToken;
+        this.baseUrl = options.baseUrl || HUBSPOT_API_URL;
+        this.pipeline = options.pipeline || 'default';
+        this.dealStage = options.dealStage || 'appointmentscheduled';
+    }
+
+    async request(method, path, body = undefined) {
+        return await requestJson(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        }, this.label);
+    }
+
+    async upsert(objectType, properties, externalId, searchFilter) {
+        if (externalId) {
+            try {
+                await this.request('PATCH', `/crm/v3/objects/${objectType}/${externalId}`, { properties });
+                return externalId;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+                // Deleted in HubSpot; fall through and create it again
+            }
+        }
+
+        if (searchFilter) {
+            const found = await this.request('POST', `/crm/v3/objects/${objectType}/search`, {
+                filterGroups: [{ filters: [{ ...searchFilter, operator: 'EQ' }] }],
+                limit: 1
+            });
+            const existing = found.results?.[0];
+            if (existing) {
+                await this.request('PATCH', `/crm/v3/objects/${objectType}/${existing.id}`, { properties });
+                return existing.id;
+            }
+        }
+
+        const created = await this.request('POST', `/crm/v3/objects/${objectType}`, { properties });
+        return created.id;
+    }
+
+    async associate(fromType, fromId, toType, toId) {
+        await this.request('PUT', `/crm/v4/objects/${fromType}/${fromId}/associations/default/${toType}/${toId}`);
+    }
+
+    async upsertCompany(company, externalId) {
+        const enriched = company.enriched_data || {};
+        const properties = {
+            name: company.name,
+            domain: company.domain,
+            website: `https://${company.domain}`,
+            description: enriched.company_summary || enriched.description || undefined,
+            numberofemployees: company.employee_count || undefined,
+            linkedin_company_page: enriched.social_links?.linkedin || undefined
+        };
+
+        return await this.upsert('companies', properties, externalId, { propertyName: 'domain', value: company.domain });
+    }
+
+    async upsertContact(prospect, { companyId }, externalId) {
+        const { first, last } = splitName(prospect.name);
+        const properties = {
+            firstname: first,
+            lastname: last,
+            email: prospect.email || undefined,
+            jobtitle: prospect.title || undefined,
+            phone: prospect.phone || undefined,
+            company: prospect.company_name
+        };
+
+        const id = await this.upsert(
+            'contacts',
+            properties,
+            externalId,
+            prospect.email ? { propertyName: 'email', value: prospect.email } : null
+        );
+        if (companyId) {
+            await this.associate('contacts', id, 'companies', companyId);
+        }
+        return id;
+    }
+
+    async upsertDeal(prospect, { companyId, contactId }, externalId) {
+        let id = null;
+        let stage = null;
+
+        if (externalId) {
+            try {
+                await this.request('PATCH', `/crm/v3/objects/deals/${externalId}`, {
+                    properties: { dealname: getDealTitle(prospect) }
+                });
+                id = externalId;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        if (!id) {
+            const created = await this.request('POST', '/crm/v3/objects/deals', {
+                properties: {
+                    dealname: getDealTitle(prospect),
+                    pipeline: this.pipeline,
+                    dealstage: this.dealStage
+                }
+            });
+            id = created.id;
+            stage = created.properties?.dealstage || this.dealStage;
+        }
+
+        if (companyId) await this.associate('deals', id, 'companies', companyId);
+        if (contactId) await this.associate('deals', id, 'contacts', contactId);
+
+        return { id, stage };
+    }
+
+    async getDealStages(externalIds) {
+        const stages = new Map();
+
+        for (let i = 0; i < externalIds.length; i += HUBSPOT_BATCH_SIZE) {
+            const batch = externalIds.slice(i, i + HUBSPOT_BATCH_SIZE);
+            const data = await this.request('POST', '/crm/v3/objects/deals/batch/read', {
+                properties: ['dealstage'],
+                inputs: batch.map(id => ({ id }))
+            });
+            for (const deal of data.results || []) {
+                stages.set(String(deal.id), deal.properties?.dealstage || null);
+            }
+        }
+
+        return stages;
+    }
+}
+
+export class PipedriveCrm {
+    constructor(options = {}) {
+        this.name = 'pipedrive';
+        this.label = 'Pipedrive';
+        this.apiToken = options.apiToken;
+        this.baseUrl = options.baseUrl || PIPEDRIVE_API_URL;
+        this.stageId = options.stageId ? parseInt(options.stageId, 10) : null;
+        this.stageNames = null; // stage id -> lowercase name, loaded once
+    }
+
+    async request(method, path, body = undefined, query = {}) {
+        const params = new URLSearchParams({ ...query, api_token: this.apiToken });
+        const data = await requestJson(`${this.baseUrl}${path}?${params}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        }, this.label);
+        return data?.data;
+    }
+
+    async upsert(resource, fields, externalId, search) {
+        if (externalId) {
+            try {
+                await this.request('PUT', `/${resource}/${externalId}`, fields);
+                return externalId;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        if (search) {
+            const found = await this.request('GET', `/${resource}/search`, undefined, { ...search, exact_match: 'true', limit: '1' });
+            const existing = found?.items?.[0]?.item;
+            if (existing) {
+                await this.request('PUT', `/${resource}/${existing.id}`, fields);
+                return String(existing.id);
+            }
+        }
+
+        const created = await this.request('POST', `/${resource}`, fields);
+        return String(created.id);
+    }
+
+    async upsertCompany(company, externalId) {
+        return await this.upsert('organizations', { name: company.name }, externalId, { term: company.name, fields: 'name' });
+    }
+
+    async upsertContact(prospect, { companyId }, externalId) {
+        const fields = {
+            name: prospect.name,
+            org_id: companyId ? parseInt(companyId, 10) : undefined,
+            email: prospect.email ? [{ value: prospect.email, primary: true }] : undefined,
+            phone: prospect.phone ? [{ value: prospect.phone, primary: true }] : undefined
+        };
+
+        return await this.upsert(
+            'persons',
+            fields,
+            externalId,
+            prospect.email ? { term: prospect.email, fields: 'email' } : null
+        );
+    }
+
+    async upsertDeal(prospect, { companyId, contactId }, externalId) {
+        const fields = {
+            title: getDealTitle(prospect),
+            org_id: companyId ? parseInt(companyId, 10) : undefined,
+            person_id: contactId ? parseInt(contactId, 10) : undefined
+        };
+
+        if (externalId) {
+            try {
+                await this.request('PUT', `/deals/${externalId}`, fields);
+                return { id: externalId, stage: null };
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        const created = await this.request('POST', '/deals', {
+            ...fields,
+            stage_id: this.stageId || undefined
+        });
+        return { id: String(created.id), stage: await this.getStageKey(created) };
+    }
+
+    async getStageKey(deal) {
+        if (deal.status === 'won' || deal.status === 'lost') return deal.status;
+
+        if (!this.stageNames) {
+            const stages = await this.request('GET', '/stages');
+            this.stageNames = new Map((stages || []).map(stage => [stage.id, stage.name.toLowerCase()]));
+        }
+        return this.stageNames.get(deal.stage_id) || String(deal.stage_id);
+    }
+
+    async getDealStages(externalIds) {
+        const stages = new Map();
+
+        // Pipedrive has no batch read by id
+        for (const id of externalIds) {
+            try {
+                const deal = await this.request('GET', `/deals/${id}`);
+                stages.set(String(id), await this.getStageKey(deal));
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        return stages;
+    }
+}
+
+/**
+ * Build the configured CRM client, or null when no CRM is set up. Without an
+ * explicit provider, whichever provider has credentials is used.
+ */
+export function createCrmClient(config = {}) {
+    const provider = config.provider || (config.hubspotAccessToken ? 'hubspot' : config.pipedriveApiToken ? 'pipedrive' : null);
+
+    if (provider === 'hubspot' && config.hubspotAccessToken) {
+        return new HubSpotCrm({
+            accessToken: config.hubspotAccessToken,
+            baseUrl: config.hubspotApiUrl,
+            pipeline: config.hubspotPipeline,
+            dealStage: config.hubspotDealStage
+        });
+    }
+    if (provider === 'pipedrive' && config.pipedriveApiToken) {
+        return new PipedriveCrm({
+            apiToken: config.pipedriveApiToken,
+            baseUrl: config.pipedriveApiUrl,
+            stageId: config.pipedriveStageId
+        });
+    }
+
+    if (provider) {
+        console.warn(`[CRM] CRM_PROVIDER=${provider} but its API credentials are missing`);
+    }
+    return null;
+}
+
+/**
+ * CrmSyncService pushes a folder's companies and selected prospects to the CRM
+ * (company + contact + one deal per prospect) and pulls deal stage changes
+ * back into the prospect pipeline.
+ *
+ * CRM record ids are kept in crm_links so repeated pushes update instead of
+ * duplicating. The pull runs as a periodic job on the queue; a deal whose
+ * stage changed in the CRM moves its prospect to the mapped pipeline status
+ * when that is further along than the prospect's own. The deal's stage itself
+ * is always kept in crm_links.crm_stage.
+ */
+export class CrmSyncService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.crm = options.crm || null;
+        this.outreachSender = options.outreachSender || null; // optional, stops sequences of closed prospects
+        this.pullIntervalMs = options.pullIntervalMs || CRM_CONFIG.pullIntervalMs;
+        this.stageMap = this.crm
+            ? { ...DEFAULT_STAGE_MAP[this.crm.name], ...CRM_CONFIG.stageMap, ...(options.stageMap || {}) }
+            : {};
+    }
+
+    isAvailable() {
+        return !!this.crm;
+    }
+
+    registerTaskHandlers(queue) {
+        queue.register('crm_sync', task => this.pushFolder(task.folder_id, task), {
+            onFailed: (task, error) => this.db.createNotification(
+                'crm_sync_failed',
+                `${this.crm.label} Sync Failed`,
+                error.message,
+                `/folders/${task.folder_id}`,
+                { folderId: task.folder_id }
+            )
+        });
+
+        queue.registerPeriodic('crm_deal_pull', this.pullIntervalMs, () => this.pullDealStages());
+    }
+
+    async pushFolder(folderId, task) {
+        const provider = this.crm.name;
+        const companies = await this.db.getCompaniesByFolder(folderId);
+        const prospects = await this.db.getSelectedProspects(folderId);
+
+        await this.db.setTaskTotal(task.id, companies.length + prospects.length);
+        let processed = 0;
+
+        const companyIds = new Map();
+        for (const company of companies) {
+            const link = await this.db.getCrmLink(provider, 'company', company.id);
+            const externalId = await this.crm.upsertCompany(company, link?.external_id);
+            await this.db.saveCrmLink(provider, 'company', company.id, externalId);
+            companyIds.set(company.id, externalId);
+
+            processed++;
+            await this.db.updateTaskStatus(task.id, 'processing', processed);
+        }
+
+        for (const prospect of prospects) {
+            const companyId = companyIds.get(prospect.company_id) || null;
+
+            const contactLink = await this.db.getCrmLink(provider, 'contact', prospect.id);
+            const contactId = await this.crm.upsertContact(prospect, { companyId }, contactLink?.external_id);
+            await this.db.saveCrmLink(provider, 'contact', prospect.id, contactId);
+
+            const dealLink = await this.db.getCrmLink(provider, 'deal', prospect.id);
+            const deal = await this.crm.upsertDeal(prospect, { companyId, contactId }, dealLink?.external_id);
+            // A new deal records its starting stage; an existing one keeps the last pulled stage
+            await this.db.saveCrmLink(provider, 'deal', prospect.id, deal.id, deal.stage ?? undefined);
+
+            processed++;
+            await this.db.updateTaskStatus(task.id, 'processing', processed);
+        }
+
+        await this.db.createNotification(
+            'crm_sync_complete',
+            `${this.crm.label} Sync Complete`,
+            `Pushed ${companies.length} companies and ${prospects.length} prospects to ${this.crm.label}`,
+            `/folders/${folderId}`,
+            { folderId }
+        );
+
+        console.log(`[CRM] Pushed folder ${folderId} to ${this.crm.label}: ${companies.length} companies, ${prospects.length} prospects`);
+        return { companies: companies.length, prospects: prospects.length };
+    }
+
+    /**
+     * Fetch the current stage of every linked deal and apply changes to the
+     * prospect pipeline. Returns { checked, changed }.
+     */
+    async pullDealStages() {
+        const links = await this.db.getCrmDealLinks(this.crm.name);
+        if (links.length === 0) return { checked: 0, changed: 0 };
+
+        const stages = await this.crm.getDealStages(links.map(link => link.external_id));
+
+        let changed = 0;
+        for (const link of links) {
+            const stage = stages.get(link.external_id);
+            if (!stage || stage === link.crm_stage) continue;
+
+            await this.db.updateCrmLinkStage(link.id, stage);
+            changed++;
+
+            const status = this.stageMap[stage];
+            if (status) {
+                const updated = await this.db.updateProspectStatus(link.local_id, status, {
+                    createdBy: `${this.crm.label} sync`,
+                    note: `Deal moved to "${stage}" in ${this.crm.label}`,
+                    onlyFrom: statusesBefore(status)
+                });
+                if (updated && this.outreachSender) {
+                    await this.outreachSender.stopForProspectStatus(link.local_id, status);
+                }
+            }
+        }
+
+        if (changed > 0) {
+            console.log(`[CRM] ${changed} deal stage changes pulled from ${this.crm.label}`);
+        }
+        return { checked: links.length, changed };
+    }
+}
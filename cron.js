@@ -0,0 +1,132 @@
+/**
+ * Minimal 5-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in UTC. Supports `*`, numbers, lists (1,15), ranges (1-5) and
+ * steps (*\/15, 0-30/10). Day-of-week is 0-6 with Sunday = 0 (7 is accepted
+ * as Sunday too). As in standard cron, when both day fields are restricted a
+ * time matches if either of them matches.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a matching time after this many minutes (~4 years, covers Feb 29)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+function parseField(expr, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of expr.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${name} field: "${expr}"`);
+        }
+
+        const [, range, stepStr] = match;
+        const step = stepStr ? parseInt(stepStr, 10) : 1;
+        let start = min;
+        let end = max;
+
+        if (range !== '*') {
+            [start, end] = range.split('-').map(n => parseInt(n, 10));
+            if (end === undefined) {
+                // "5/10" means from 5 to the end of the range
+                end = stepStr ? max : start;
+            }
+        }
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid ${name} field: "${expr}" (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+export function parseCron(expression) {
+    const parts = (expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got "${expression}"`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // Normalize Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        restrictsDayOfMonth: parts[2] !== '*',
+        restrictsDayOfWeek: parts[4] !== '*'
+    };
+}
+
+export function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function matchesDay(cron, date) {
+    const domMatch = cron.daysOfMonth.has(date.getUTCDate());
+    const dowMatch = cron.daysOfWeek.has(date.getUTCDay());
+
+    if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Next time strictly after `from` that matches the expression.
+ */
+export function getNextCronRun(expression, from = new Date()) {
+    const cron = parseCron(expression);
+
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            // Jump to the first minute of next month
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+}
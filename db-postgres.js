@@ -4,6 +4,69 @@ const { Pool } = pg;
 // PostgreSQL connection pool
 let pool = null;
 
+// Task types accepted by background_tasks (runMigrations keeps the CHECK constraint in sync)
+const TASK_TYPES = [
+    'company_enrichment',
+    'prospect_collection',
+    'contact_enrichment',
+    'company_prospecting',
+    'saved_search_run',
+    'sequence_generation',
+    'crm_sync',
+    'company_refresh',
+    'email_verification',
+    'email_guessing'
+];
+
+// Folder workflow stages, in order (runMigrations keeps the CHECK constraint in sync)
+const FOLDER_STATUSES = [
+    'jobs_added',
+    'company_enriched',
+    'prospects_collected',
+    'prospects_selected',
+    'ready_for_outreach',
+    'sequences_drafted',
+    'outreach_active'
+];
+
+// Prospect CRM pipeline stages, in order (runMigrations keeps the CHECK constraint in sync)
+export const PROSPECT_STATUSES = [
+    'new',
+    'contacted',
+    'replied',
+    'meeting_booked',
+    'won',
+    'lost',
+    'not_interested'
+];
+
+// Entries on a prospect's activity timeline; status_change entries are written by updateProspectStatus
+export const ACTIVITY_TYPES = ['note', 'email', 'call', 'meeting', 'status_change'];
+
+// Workspace member roles: viewers read, members also write, admins also manage members and shared settings
+export const WORKSPACE_ROLES = ['admin', 'member', 'viewer'];
+
+function folderStatusCheck() {
+    return `CHECK (status IN (${FOLDER_STATUSES.map(s => `'${s}'`).join(', ')}))`;
+}
+
+function prospectStatusCheck() {
+    return `CHECK (status IN (${PROSPECT_STATUSES.map(s => `'${s}'`).join(', ')}))`;
+}
+
+function workspaceRoleCheck() {
+    return `CHECK (role IN (${WORKSPACE_ROLES.map(r => `'${r}'`).join(', ')}))`;
+}
+
+// Midnight UTC today, whatever the database server's timezone
+function startOfUtcDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function taskTypeCheck() {
+    return `CHECK (task_type IN (${TASK_TYPES.map(t => `'${t}'`).join(', ')}))`;
+}
+
 export async function initializePostgresDatabase(connectionUrl) {
     pool = new Pool({
         connectionString: connectionUrl,
@@ -36,13 +99,95 @@ async function createTables() {
     try {
         await client.query('BEGIN');
 
+        // Users (one row per Google account that has signed in)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                email TEXT UNIQUE NOT NULL,
+                name TEXT,
+                picture TEXT,
+                last_login_at TIMESTAMP,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Workspaces (teams sharing folders, search history and notifications)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS workspaces (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS workspace_members (
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                role TEXT NOT NULL DEFAULT 'member' ${workspaceRoleCheck()},
+                created_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (workspace_id, user_id)
+            )
+        `);
+
+        // Who may sign in: single addresses or whole email domains, and the
+        // workspace and role people get on their first sign-in
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS access_rules (
+                id SERIAL PRIMARY KEY,
+                type TEXT NOT NULL CHECK (type IN ('email', 'domain')),
+                value TEXT NOT NULL,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                role TEXT NOT NULL DEFAULT 'member' ${workspaceRoleCheck()},
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                revoked_at TIMESTAMP,
+                revoked_by TEXT
+            )
+        `);
+
+        // Invite links (only a hash of the token is stored); accepting one adds an email rule
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS access_invites (
+                id SERIAL PRIMARY KEY,
+                token_hash TEXT UNIQUE NOT NULL,
+                email TEXT,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                role TEXT NOT NULL DEFAULT 'member' ${workspaceRoleCheck()},
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                expires_at TIMESTAMP NOT NULL,
+                accepted_at TIMESTAMP,
+                accepted_email TEXT,
+                revoked_at TIMESTAMP
+            )
+        `);
+
+        // Every sign-in attempt, allowed or not
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS login_events (
+                id SERIAL PRIMARY KEY,
+                email TEXT NOT NULL,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                success BOOLEAN NOT NULL,
+                method TEXT,
+                reason TEXT,
+                ip TEXT,
+                user_agent TEXT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
         // Folders table (one folder per job)
         await client.query(`
             CREATE TABLE IF NOT EXISTS folders (
                 id SERIAL PRIMARY KEY,
                 name TEXT NOT NULL,
                 description TEXT,
-                status TEXT DEFAULT 'jobs_added' CHECK (status IN ('jobs_added', 'company_enriched', 'prospects_collected', 'prospects_selected', 'ready_for_outreach')),
+                status TEXT DEFAULT 'jobs_added' ${folderStatusCheck()},
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW()
             )
@@ -54,7 +199,8 @@ async function createTables() {
                 id SERIAL PRIMARY KEY,
                 folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
                 company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
-                theirstack_job_id TEXT,
+                theirstack_job_id TEXT, -- Source job id (JSearch ids as-is, other sources prefixed e.g. "greenhouse:123")
+                source TEXT,
                 job_title TEXT NOT NULL,
                 company_name TEXT NOT NULL,
                 company_domain TEXT NOT NULL,
@@ -95,6 +241,12 @@ async function createTables() {
                 enrichment_error TEXT,
                 enrichment_attempts INTEGER DEFAULT 0,
                 employee_count INTEGER,
+                lead_score INTEGER,
+                lead_score_factors JSONB,
+                lead_scored_at TIMESTAMP,
+                enrichment_changes JSONB,
+                refresh_queued_at TIMESTAMP,
+                email_pattern JSONB, -- address format learned from verified emails (see email-patterns.js)
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW(),
                 enriched_at TIMESTAMP
@@ -119,7 +271,17 @@ async function createTables() {
                 ai_score DECIMAL(3,2), -- 0.00 to 1.00
                 selected BOOLEAN DEFAULT FALSE,
                 auto_selected BOOLEAN DEFAULT FALSE,
-                signalhire_enriched BOOLEAN DEFAULT FALSE,
+                signalhire_enriched BOOLEAN DEFAULT FALSE, -- contact lookup done (any provider)
+                contact_sources JSONB, -- field -> contact provider that supplied it
+                email_status TEXT, -- valid, risky, invalid, unknown (see email-verification.js); NULL = not verified
+                email_confidence INTEGER,
+                email_checks JSONB,
+                email_verified_at TIMESTAMP,
+                email_guessed BOOLEAN DEFAULT FALSE, -- email generated from the company's address pattern
+                email_candidates JSONB, -- guessed addresses with their confidence, best first
+                timezone TEXT,
+                status TEXT DEFAULT 'new' ${prospectStatusCheck()},
+                status_changed_at TIMESTAMP,
                 raw_data JSONB,
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW()
@@ -130,7 +292,7 @@ async function createTables() {
         await client.query(`
             CREATE TABLE IF NOT EXISTS background_tasks (
                 id SERIAL PRIMARY KEY,
-                task_type TEXT NOT NULL CHECK (task_type IN ('company_enrichment', 'prospect_collection', 'contact_enrichment')),
+                task_type TEXT NOT NULL ${taskTypeCheck()},
                 folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
                 company_id INTEGER REFERENCES companies(id) ON DELETE SET NULL,
                 status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
@@ -138,6 +300,15 @@ async function createTables() {
                 total INTEGER,
                 result JSONB,
                 error_message TEXT,
+                validation_errors JSONB,
+                payload JSONB,
+                dedupe_key TEXT,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 3,
+                run_at TIMESTAMP DEFAULT NOW(),
+                locked_by TEXT,
+                locked_at TIMESTAMP,
+                lease_expires_at TIMESTAMP,
                 started_at TIMESTAMP,
                 completed_at TIMESTAMP,
                 created_at TIMESTAMP DEFAULT NOW(),
@@ -153,21 +324,12 @@ async function createTables() {
                 title TEXT NOT NULL,
                 content TEXT NOT NULL,
                 metadata JSONB,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
                 created_at TIMESTAMP DEFAULT NOW(),
                 updated_at TIMESTAMP DEFAULT NOW()
             )
         `);
 
-        // Email collection tracking (for daily limit)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS email_collection_log (
-                id SERIAL PRIMARY KEY,
-                date DATE NOT NULL DEFAULT CURRENT_DATE,
-                emails_collected INTEGER DEFAULT 0,
-                UNIQUE(date)
-            )
-        `);
-
         // Notifications table
         await client.query(`
             CREATE TABLE IF NOT EXISTS notifications (
@@ -177,6 +339,8 @@ async function createTables() {
                 message TEXT NOT NULL,
                 link TEXT,
                 read BOOLEAN DEFAULT FALSE,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
                 created_at TIMESTAMP DEFAULT NOW()
             )
         `);
@@ -189,12 +353,365 @@ async function createTables() {
                 params JSONB NOT NULL,
                 criteria JSONB,
                 results_count INTEGER DEFAULT 0,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Outreach email sequences, one row per version (edits and regenerations add a version)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS email_sequences (
+                id SERIAL PRIMARY KEY,
+                prospect_id INTEGER REFERENCES prospects(id) ON DELETE CASCADE,
+                folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+                version INTEGER NOT NULL,
+                steps JSONB NOT NULL,
+                source TEXT NOT NULL CHECK (source IN ('ai', 'manual')),
+                model TEXT,
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(prospect_id, version)
+            )
+        `);
+
+        // Sending mailboxes (passwords are encrypted, see secrets.js)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS mailboxes (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                from_email TEXT NOT NULL,
+                from_name TEXT,
+                smtp_host TEXT NOT NULL,
+                smtp_port INTEGER NOT NULL DEFAULT 587,
+                smtp_secure BOOLEAN DEFAULT FALSE,
+                smtp_user TEXT,
+                smtp_pass_encrypted TEXT,
+                imap_host TEXT,
+                imap_port INTEGER DEFAULT 993,
+                imap_secure BOOLEAN DEFAULT TRUE,
+                imap_user TEXT,
+                imap_pass_encrypted TEXT,
+                imap_last_uid BIGINT,
+                imap_uid_validity TEXT,
+                imap_last_checked_at TIMESTAMP,
+                imap_error TEXT,
+                daily_limit INTEGER NOT NULL DEFAULT 50,
+                enabled BOOLEAN DEFAULT TRUE,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // A prospect going through their email sequence from one mailbox
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS outreach_enrollments (
+                id SERIAL PRIMARY KEY,
+                prospect_id INTEGER REFERENCES prospects(id) ON DELETE CASCADE,
+                folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+                mailbox_id INTEGER REFERENCES mailboxes(id) ON DELETE SET NULL,
+                sequence_id INTEGER REFERENCES email_sequences(id) ON DELETE SET NULL,
+                steps JSONB NOT NULL,
+                timezone TEXT NOT NULL,
+                status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed', 'replied', 'stopped', 'failed')),
+                stop_reason TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                stopped_at TIMESTAMP
+            )
+        `);
+
+        // One row per sequence step to send (created when the previous step is sent)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS outreach_messages (
+                id SERIAL PRIMARY KEY,
+                enrollment_id INTEGER REFERENCES outreach_enrollments(id) ON DELETE CASCADE,
+                prospect_id INTEGER REFERENCES prospects(id) ON DELETE CASCADE,
+                mailbox_id INTEGER REFERENCES mailboxes(id) ON DELETE SET NULL,
+                step INTEGER NOT NULL,
+                to_email TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                body TEXT NOT NULL,
+                status TEXT DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'sending', 'sent', 'failed', 'cancelled')),
+                scheduled_at TIMESTAMP NOT NULL,
+                sent_at TIMESTAMP,
+                message_id TEXT,
+                error_message TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(enrollment_id, step)
+            )
+        `);
+
+        // Inbound replies found by IMAP polling
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS outreach_replies (
+                id SERIAL PRIMARY KEY,
+                enrollment_id INTEGER REFERENCES outreach_enrollments(id) ON DELETE CASCADE,
+                prospect_id INTEGER REFERENCES prospects(id) ON DELETE CASCADE,
+                mailbox_id INTEGER REFERENCES mailboxes(id) ON DELETE SET NULL,
+                from_email TEXT,
+                subject TEXT,
+                message_id TEXT,
+                received_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE(mailbox_id, message_id)
+            )
+        `);
+
+        // Prospect activity timeline (notes, emails, calls, meetings, status changes)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS prospect_activities (
+                id SERIAL PRIMARY KEY,
+                prospect_id INTEGER REFERENCES prospects(id) ON DELETE CASCADE,
+                type TEXT NOT NULL CHECK (type IN (${ACTIVITY_TYPES.map(t => `'${t}'`).join(', ')})),
+                content TEXT,
+                metadata JSONB,
+                created_by TEXT,
+                occurred_at TIMESTAMP DEFAULT NOW(),
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // External CRM records (HubSpot / Pipedrive) for companies, prospects (contacts) and their deals
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS crm_links (
+                id SERIAL PRIMARY KEY,
+                provider TEXT NOT NULL,
+                entity_type TEXT NOT NULL CHECK (entity_type IN ('company', 'contact', 'deal')),
+                local_id INTEGER NOT NULL,
+                external_id TEXT NOT NULL,
+                crm_stage TEXT,
+                synced_at TIMESTAMP DEFAULT NOW(),
+                stage_changed_at TIMESTAMP,
+                UNIQUE(provider, entity_type, local_id)
+            )
+        `);
+
+        // Saved searches (search params re-run on a cron schedule)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS saved_searches (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                query TEXT,
+                params JSONB NOT NULL,
+                criteria JSONB,
+                schedule TEXT NOT NULL,
+                target_folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL,
+                auto_add BOOLEAN DEFAULT FALSE,
+                enabled BOOLEAN DEFAULT TRUE,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                next_run_at TIMESTAMP,
+                last_run_at TIMESTAMP,
+                last_result_count INTEGER,
+                last_new_count INTEGER,
+                last_error TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Jobs a saved search has already returned, so later runs only report new ones
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS saved_search_seen_jobs (
+                saved_search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+                job_key TEXT NOT NULL,
+                first_seen_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (saved_search_id, job_key)
+            )
+        `);
+
+        // AI fit analysis of a job posting, cached per workspace (its company profile
+        // shapes the analysis) and job (source id, see getJobKey)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS job_analyses (
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                job_key TEXT NOT NULL,
+                job_title TEXT,
+                company TEXT,
+                analysis JSONB NOT NULL,
+                model TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Append-only record of every mutating API request (who, what, before/after).
+        // No foreign keys: entries must outlive the users, workspaces and records they describe.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id BIGSERIAL PRIMARY KEY,
+                user_id INTEGER,
+                user_email TEXT,
+                workspace_id INTEGER,
+                method TEXT NOT NULL,
+                route TEXT,
+                path TEXT NOT NULL,
+                status_code INTEGER,
+                entity_type TEXT,
+                entity_id TEXT,
+                before JSONB,
+                after JSONB,
+                changes JSONB,
+                request_body JSONB,
+                ip TEXT,
+                created_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Every job seen per company domain in any search, whether or not it was filed into a folder
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS company_job_sightings (
+                domain TEXT NOT NULL,
+                job_key TEXT NOT NULL,
+                company_name TEXT,
+                job_title TEXT,
+                source TEXT,
+                is_gtm BOOLEAN DEFAULT false,
+                posted_at TIMESTAMP,
+                first_seen_at TIMESTAMP DEFAULT NOW(),
+                last_seen_at TIMESTAMP DEFAULT NOW(),
+                seen_count INTEGER DEFAULT 1,
+                PRIMARY KEY (domain, job_key)
+            )
+        `);
+
+        // Hiring surges already reported, so each one notifies a workspace once per window
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS hiring_surges (
+                id SERIAL PRIMARY KEY,
+                domain TEXT NOT NULL,
+                company_name TEXT,
+                workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                role_count INTEGER NOT NULL,
+                window_days INTEGER NOT NULL,
+                job_titles JSONB,
+                detected_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Every paid API call (LLM completions, contact provider requests) with its cost and what it was for.
+        // No foreign keys, like audit_log: spend history must outlive deleted folders and companies.
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS api_usage (
+                id BIGSERIAL PRIMARY KEY,
+                provider TEXT NOT NULL,
+                model TEXT,
+                operation TEXT NOT NULL,
+                input_tokens INTEGER DEFAULT 0,
+                output_tokens INTEGER DEFAULT 0,
+                credits INTEGER DEFAULT 0,
+                cost_usd NUMERIC(12, 6) DEFAULT 0,
+                latency_ms INTEGER,
+                success BOOLEAN DEFAULT true,
+                error TEXT,
+                folder_id INTEGER,
+                company_id INTEGER,
+                company_domain TEXT,
+                workspace_id INTEGER,
+                task_id INTEGER,
                 created_at TIMESTAMP DEFAULT NOW()
             )
         `);
 
+        // Website crawls made for enrichment (see page-snapshots.js)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS website_crawls (
+                id SERIAL PRIMARY KEY,
+                domain TEXT NOT NULL,
+                company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+                page_count INTEGER NOT NULL DEFAULT 0,
+                rendered BOOLEAN DEFAULT false,
+                crawled_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+
+        // Raw pages of a crawl (gzipped HTML), for re-extraction and change diffs
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS page_snapshots (
+                id SERIAL PRIMARY KEY,
+                crawl_id INTEGER NOT NULL REFERENCES website_crawls(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                category TEXT,
+                status INTEGER,
+                rendered BOOLEAN DEFAULT false,
+                content_hash TEXT NOT NULL,
+                html_bytes INTEGER,
+                html_gzip BYTEA NOT NULL,
+                fetched_at TIMESTAMP NOT NULL
+            )
+        `);
+
+        // SignalHire lookups whose result arrives by webhook (see signalhire-webhooks.js)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS signalhire_lookups (
+                id SERIAL PRIMARY KEY,
+                prospect_id INTEGER NOT NULL REFERENCES prospects(id) ON DELETE CASCADE,
+                task_id INTEGER REFERENCES background_tasks(id) ON DELETE SET NULL,
+                folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+                item TEXT NOT NULL,
+                request_id TEXT,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'expired')),
+                result_status TEXT,
+                result JSONB,
+                email_found BOOLEAN DEFAULT false,
+                created_at TIMESTAMP DEFAULT NOW(),
+                completed_at TIMESTAMP
+            )
+        `);
+
+        // Daily/monthly limits set through /api/quotas, over the env defaults (see quotas.js)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quota_limits (
+                scope TEXT NOT NULL CHECK (scope IN ('contacts', 'user', 'provider')),
+                scope_key TEXT NOT NULL DEFAULT '', -- '' for contacts, a user id or '*' (every user), a provider name
+                period TEXT NOT NULL CHECK (period IN ('day', 'month')),
+                limit_value INTEGER, -- NULL = unlimited
+                updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                updated_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (scope, scope_key, period)
+            )
+        `);
+
+        // Quota units used per scope and period (day or month, UTC)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quota_counters (
+                scope TEXT NOT NULL,
+                scope_key TEXT NOT NULL DEFAULT '',
+                period TEXT NOT NULL,
+                period_start DATE NOT NULL,
+                used INTEGER NOT NULL DEFAULT 0,
+                updated_at TIMESTAMP DEFAULT NOW(),
+                PRIMARY KEY (scope, scope_key, period, period_start)
+            )
+        `);
+
+        // Quota held for a batch before it starts; what it has not used yet counts as taken
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quota_reservations (
+                id SERIAL PRIMARY KEY,
+                task_id INTEGER REFERENCES background_tasks(id) ON DELETE SET NULL,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                counters JSONB NOT NULL, -- [{ scope, scope_key, period, period_start }] it is held against
+                amount INTEGER NOT NULL,
+                used INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released')),
+                created_at TIMESTAMP DEFAULT NOW(),
+                released_at TIMESTAMP
+            )
+        `);
+
         // Create indexes
         await client.query('CREATE INDEX IF NOT EXISTS idx_folders_status ON folders(status)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id)');
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_access_rules_active
+            ON access_rules(type, value) WHERE revoked_at IS NULL
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_login_events_created ON login_events(created_at DESC)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_jobs_folder ON jobs(folder_id)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_jobs_domain ON jobs(company_domain)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_companies_domain ON companies(domain)');
@@ -202,10 +719,49 @@ async function createTables() {
         await client.query('CREATE INDEX IF NOT EXISTS idx_prospects_folder ON prospects(folder_id)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_prospects_company ON prospects(company_id)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_prospects_selected ON prospects(selected)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_prospect_activities_prospect ON prospect_activities(prospect_id, occurred_at DESC)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_status ON background_tasks(status)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_folder ON background_tasks(folder_id)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read)');
         await client.query('CREATE INDEX IF NOT EXISTS idx_search_history_created ON search_history(created_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_saved_searches_due ON saved_searches(enabled, next_run_at)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_email_sequences_folder ON email_sequences(folder_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_outreach_enrollments_folder ON outreach_enrollments(folder_id)');
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_outreach_enrollments_active
+            ON outreach_enrollments(prospect_id) WHERE status = 'active'
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_outreach_messages_due ON outreach_messages(status, scheduled_at)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_outreach_messages_mailbox_sent ON outreach_messages(mailbox_id, sent_at)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_outreach_messages_message_id ON outreach_messages(message_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_workspace ON audit_log(workspace_id, created_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_job_sightings_last_seen ON company_job_sightings(last_seen_at DESC)');
+
+        // Migration: Sightings were keyed by each source's job id, so one role listed by several
+        // sources counted several times; key them by normalized title (normalizeTitle in job-sources.js)
+        const sightingTitleKey = `trim(regexp_replace(regexp_replace(lower(COALESCE(job_title, '')), '\\([^)]*\\)|\\[[^\\]]*\\]', ' ', 'g'), '[^a-z0-9]+', ' ', 'g'))`;
+        await client.query(`
+            DELETE FROM company_job_sightings s
+            USING (
+                SELECT ctid, ROW_NUMBER() OVER (PARTITION BY domain, ${sightingTitleKey} ORDER BY first_seen_at) as n
+                FROM company_job_sightings
+            ) keyed
+            WHERE s.ctid = keyed.ctid AND keyed.n > 1
+        `);
+        await client.query(`UPDATE company_job_sightings SET job_key = ${sightingTitleKey} WHERE job_key <> ${sightingTitleKey}`);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_hiring_surges_domain ON hiring_surges(domain, detected_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_api_usage_created ON api_usage(created_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_api_usage_folder ON api_usage(folder_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_website_crawls_domain ON website_crawls(domain, crawled_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_page_snapshots_crawl ON page_snapshots(crawl_id, position)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_signalhire_lookups_task ON signalhire_lookups(task_id, status)');
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_signalhire_lookups_pending
+            ON signalhire_lookups(prospect_id) WHERE status = 'pending'
+        `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_quota_reservations_active ON quota_reservations(created_at) WHERE status = 'active'`);
 
         await client.query('COMMIT');
         console.log('PostgreSQL tables created successfully');
@@ -238,6 +794,170 @@ async function runMigrations() {
             END $$;
         `);
 
+        // Migration: Job queue columns on background_tasks (claiming, leases, retries)
+        await client.query(`
+            ALTER TABLE background_tasks
+                ADD COLUMN IF NOT EXISTS payload JSONB,
+                ADD COLUMN IF NOT EXISTS dedupe_key TEXT,
+                ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 3,
+                ADD COLUMN IF NOT EXISTS run_at TIMESTAMP DEFAULT NOW(),
+                ADD COLUMN IF NOT EXISTS locked_by TEXT,
+                ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP,
+                ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP
+        `);
+
+        // Migration: Job source (jsearch, theirstack, greenhouse, lever, ashby)
+        await client.query('ALTER TABLE jobs ADD COLUMN IF NOT EXISTS source TEXT');
+
+        // Migration: Keep the task_type constraint in sync with TASK_TYPES
+        await client.query('ALTER TABLE background_tasks DROP CONSTRAINT IF EXISTS background_tasks_task_type_check');
+        await client.query(`ALTER TABLE background_tasks ADD CONSTRAINT background_tasks_task_type_check ${taskTypeCheck()}`);
+
+        // Migration: Prospect timezone (for sending in business hours)
+        await client.query('ALTER TABLE prospects ADD COLUMN IF NOT EXISTS timezone TEXT');
+
+        // Migration: Prospect pipeline status
+        await client.query(`
+            ALTER TABLE prospects
+                ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'new',
+                ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP
+        `);
+        await client.query('ALTER TABLE prospects DROP CONSTRAINT IF EXISTS prospects_status_check');
+        await client.query(`ALTER TABLE prospects ADD CONSTRAINT prospects_status_check ${prospectStatusCheck()}`);
+
+        // Migration: Company lead score (see lead-scoring.js)
+        await client.query(`
+            ALTER TABLE companies
+                ADD COLUMN IF NOT EXISTS lead_score INTEGER,
+                ADD COLUMN IF NOT EXISTS lead_score_factors JSONB,
+                ADD COLUMN IF NOT EXISTS lead_scored_at TIMESTAMP
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_companies_lead_score ON companies(lead_score DESC NULLS LAST)');
+
+        // Migration: Which contact provider supplied each contact field (see contact-providers.js)
+        await client.query('ALTER TABLE prospects ADD COLUMN IF NOT EXISTS contact_sources JSONB');
+
+        // Migration: Email verification outcome (see email-verification.js)
+        await client.query(`
+            ALTER TABLE prospects
+                ADD COLUMN IF NOT EXISTS email_status TEXT,
+                ADD COLUMN IF NOT EXISTS email_confidence INTEGER,
+                ADD COLUMN IF NOT EXISTS email_checks JSONB,
+                ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+        `);
+
+        // Migration: Emails guessed from a company's address pattern (see email-patterns.js)
+        await client.query(`
+            ALTER TABLE prospects
+                ADD COLUMN IF NOT EXISTS email_guessed BOOLEAN DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS email_candidates JSONB
+        `);
+        await client.query('ALTER TABLE companies ADD COLUMN IF NOT EXISTS email_pattern JSONB');
+
+        // Migration: Scheduled re-enrichment and what it changed (see enrichment-refresh.js)
+        await client.query(`
+            ALTER TABLE companies
+                ADD COLUMN IF NOT EXISTS enrichment_changes JSONB,
+                ADD COLUMN IF NOT EXISTS refresh_queued_at TIMESTAMP
+        `);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_companies_enriched_at ON companies(enriched_at) WHERE enrichment_status = 'completed'`);
+
+        // Migration: AI output that failed schema validation, per task (see ai-schemas.js)
+        await client.query('ALTER TABLE background_tasks ADD COLUMN IF NOT EXISTS validation_errors JSONB');
+
+        // Migration: Revoking a user blocks sign-in even when a domain rule matches
+        await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP');
+
+        // Migration: Workspace and owner on folders, search history and notifications.
+        // Rows from before workspaces existed go to the first workspace (created here if needed).
+        for (const table of ['folders', 'search_history', 'notifications']) {
+            const ownerDelete = table === 'folders' ? 'SET NULL' : 'CASCADE';
+            await client.query(`
+                ALTER TABLE ${table}
+                    ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                    ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE ${ownerDelete}
+            `);
+            await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_workspace ON ${table}(workspace_id)`);
+        }
+        await client.query(`
+            DO $$
+            BEGIN
+                IF EXISTS (SELECT 1 FROM folders WHERE workspace_id IS NULL)
+                   OR EXISTS (SELECT 1 FROM search_history WHERE workspace_id IS NULL) THEN
+                    IF NOT EXISTS (SELECT 1 FROM workspaces) THEN
+                        INSERT INTO workspaces (name) VALUES ('Default workspace');
+                    END IF;
+                    UPDATE folders SET workspace_id = (SELECT MIN(id) FROM workspaces) WHERE workspace_id IS NULL;
+                    UPDATE search_history SET workspace_id = (SELECT MIN(id) FROM workspaces) WHERE workspace_id IS NULL;
+                END IF;
+            END $$;
+        `);
+
+        // Migration: Saved searches belong to a workspace: their target folder's, else the first one
+        await client.query(`
+            ALTER TABLE saved_searches
+                ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+                ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+        `);
+        await client.query(`
+            UPDATE saved_searches s SET workspace_id = COALESCE(
+                (SELECT f.workspace_id FROM folders f WHERE f.id = s.target_folder_id),
+                (SELECT MIN(id) FROM workspaces)
+            )
+            WHERE s.workspace_id IS NULL
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_saved_searches_workspace ON saved_searches(workspace_id)');
+
+        // Migration: Notifications without a workspace were shown to everyone with one read flag;
+        // every workspace gets its own copy instead
+        await client.query(`
+            INSERT INTO notifications (type, title, message, link, read, workspace_id, owner_id, created_at)
+            SELECT n.type, n.title, n.message, n.link, n.read, w.id, n.owner_id, n.created_at
+            FROM notifications n CROSS JOIN workspaces w
+            WHERE n.workspace_id IS NULL
+        `);
+        await client.query('DELETE FROM notifications WHERE workspace_id IS NULL');
+
+        // Migration: Mailboxes belong to a workspace; existing ones to the first
+        await client.query('ALTER TABLE mailboxes ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE');
+        await client.query('UPDATE mailboxes SET workspace_id = (SELECT MIN(id) FROM workspaces) WHERE workspace_id IS NULL');
+
+        // Migration: The knowledge base, and job analyses made from it, belong to a workspace; existing entries to the first
+        await client.query('ALTER TABLE knowledge_base ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE');
+        await client.query('UPDATE knowledge_base SET workspace_id = (SELECT MIN(id) FROM workspaces) WHERE workspace_id IS NULL');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_knowledge_base_workspace ON knowledge_base(workspace_id, type)');
+        await client.query('ALTER TABLE job_analyses ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE');
+        await client.query('ALTER TABLE job_analyses DROP CONSTRAINT IF EXISTS job_analyses_pkey');
+        await client.query('DELETE FROM job_analyses WHERE workspace_id IS NULL'); // only a cache
+        await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_job_analyses_workspace_job ON job_analyses(workspace_id, job_key)');
+
+        // Migration: Keep the folder status constraint in sync with FOLDER_STATUSES
+        await client.query('ALTER TABLE folders DROP CONSTRAINT IF EXISTS folders_status_check');
+        await client.query(`ALTER TABLE folders ADD CONSTRAINT folders_status_check ${folderStatusCheck()}`);
+
+        // Migration: The audit log is append-only, even for direct SQL
+        await client.query(`
+            CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_log is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        await client.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+        await client.query(`
+            CREATE TRIGGER audit_log_append_only
+            BEFORE UPDATE OR DELETE ON audit_log
+            FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+        `);
+
+        await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_claim ON background_tasks(status, run_at)');
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_dedupe
+            ON background_tasks(task_type, dedupe_key)
+            WHERE status IN ('pending', 'processing')
+        `);
+
         console.log('Database migrations completed successfully');
     } catch (error) {
         console.error('Error running migrations:', error);
@@ -248,43 +968,414 @@ async function runMigrations() {
 }
 
 export class PostgresDatabase {
-    // ===== FOLDER METHODS =====
+    // ===== USER & WORKSPACE METHODS =====
 
-    async createFolder(name, description = null) {
-        const result = await pool.query(
-            'INSERT INTO folders (name, description) VALUES ($1, $2) RETURNING *',
-            [name, description]
-        );
+    // Create or refresh the user row on sign-in
+    async upsertUser({ email, name = null, picture = null }) {
+        const result = await pool.query(`
+            INSERT INTO users (email, name, picture, last_login_at)
+            VALUES ($1, $2, $3, NOW())
+            ON CONFLICT (email) DO UPDATE SET
+                name = COALESCE(EXCLUDED.name, users.name),
+                picture = COALESCE(EXCLUDED.picture, users.picture),
+                last_login_at = NOW()
+            RETURNING *
+        `, [email.toLowerCase(), name, picture]);
         return result.rows[0];
     }
 
-    async getFolder(id) {
-        const result = await pool.query('SELECT * FROM folders WHERE id = $1', [id]);
+    // Make sure a user exists without signing them in (adding a teammate by email)
+    async getOrCreateUserByEmail(email) {
+        const result = await pool.query(`
+            INSERT INTO users (email) VALUES ($1)
+            ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+            RETURNING *
+        `, [email.toLowerCase()]);
+        return result.rows[0];
+    }
+
+    async getUser(id) {
+        const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async getUserByEmail(email) {
+        const result = await pool.query('SELECT * FROM users WHERE email = $1', [email.toLowerCase()]);
         return result.rows[0] || null;
     }
 
-    async getAllFolders() {
+    // All users with their workspaces, for the access admin
+    async getUsers() {
         const result = await pool.query(`
-            SELECT f.*,
-                   COUNT(DISTINCT j.id) as job_count,
-                   COUNT(DISTINCT p.id) as prospect_count,
-                   COUNT(DISTINCT CASE WHEN p.selected = true THEN p.id END) as selected_prospect_count
-            FROM folders f
-            LEFT JOIN jobs j ON j.folder_id = f.id
-            LEFT JOIN prospects p ON p.folder_id = f.id
-            GROUP BY f.id
-            ORDER BY f.updated_at DESC
+            SELECT u.*,
+                   COALESCE(
+                       json_agg(json_build_object('id', w.id, 'name', w.name, 'role', m.role) ORDER BY w.id)
+                       FILTER (WHERE w.id IS NOT NULL),
+                       '[]'
+                   ) as workspaces
+            FROM users u
+            LEFT JOIN workspace_members m ON m.user_id = u.id
+            LEFT JOIN workspaces w ON w.id = m.workspace_id
+            GROUP BY u.id
+            ORDER BY u.last_login_at DESC NULLS LAST, u.email
         `);
         return result.rows;
     }
 
-    async updateFolderStatus(id, status) {
-        await pool.query(
-            'UPDATE folders SET status = $1, updated_at = NOW() WHERE id = $2',
-            [status, id]
+    async createWorkspace(name, adminUserId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                'INSERT INTO workspaces (name) VALUES ($1) RETURNING *',
+                [name]
+            );
+            const workspace = result.rows[0];
+            await client.query(
+                `INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'admin')`,
+                [workspace.id, adminUserId]
+            );
+            await client.query('COMMIT');
+            return { ...workspace, role: 'admin' };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async renameWorkspace(id, name) {
+        const result = await pool.query(
+            'UPDATE workspaces SET name = $1 WHERE id = $2 RETURNING *',
+            [name, id]
+        );
+        return result.rows[0] || null;
+    }
+
+    async getUserWorkspaces(userId) {
+        const result = await pool.query(`
+            SELECT w.*, m.role
+            FROM workspace_members m
+            JOIN workspaces w ON w.id = m.workspace_id
+            WHERE m.user_id = $1
+            ORDER BY w.created_at
+        `, [userId]);
+        return result.rows;
+    }
+
+    async getWorkspaceMembership(workspaceId, userId) {
+        const result = await pool.query(`
+            SELECT m.workspace_id, m.user_id, m.role, w.name as workspace_name
+            FROM workspace_members m
+            JOIN workspaces w ON w.id = m.workspace_id
+            WHERE m.workspace_id = $1 AND m.user_id = $2
+        `, [workspaceId, userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Put a user without any workspace into the first workspace, so a team that
+     * shared one pipeline before workspaces existed keeps sharing it. The first
+     * person in creates it and becomes its admin; later people join as members.
+     * With `role`, the user gets exactly that role (also when already a member).
+     */
+    async joinDefaultWorkspace(userId, { role = null, name = 'Default workspace' } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Serialize first sign-ins so two people can't both create the default workspace
+            await client.query('LOCK TABLE workspace_members IN SHARE ROW EXCLUSIVE MODE');
+
+            let result = await client.query('SELECT * FROM workspaces ORDER BY id LIMIT 1');
+            let workspace = result.rows[0];
+            if (!workspace) {
+                result = await client.query('INSERT INTO workspaces (name) VALUES ($1) RETURNING *', [name]);
+                workspace = result.rows[0];
+            }
+
+            if (role) {
+                await client.query(`
+                    INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)
+                    ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = EXCLUDED.role
+                `, [workspace.id, userId, role]);
+            } else {
+                result = await client.query(
+                    `SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND role = 'admin' LIMIT 1`,
+                    [workspace.id]
+                );
+                await client.query(`
+                    INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)
+                    ON CONFLICT (workspace_id, user_id) DO NOTHING
+                `, [workspace.id, userId, result.rows.length === 0 ? 'admin' : 'member']);
+            }
+
+            await client.query('COMMIT');
+            return this.getWorkspaceMembership(workspace.id, userId);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getWorkspaceMembers(workspaceId) {
+        const result = await pool.query(`
+            SELECT u.id, u.email, u.name, u.picture, u.last_login_at, m.role, m.created_at as joined_at
+            FROM workspace_members m
+            JOIN users u ON u.id = m.user_id
+            WHERE m.workspace_id = $1
+            ORDER BY m.created_at
+        `, [workspaceId]);
+        return result.rows;
+    }
+
+    async setWorkspaceMember(workspaceId, userId, role) {
+        const result = await pool.query(`
+            INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)
+            ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = EXCLUDED.role
+            RETURNING *
+        `, [workspaceId, userId, role]);
+        return result.rows[0];
+    }
+
+    async removeWorkspaceMember(workspaceId, userId) {
+        const result = await pool.query(
+            'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+            [workspaceId, userId]
+        );
+        return result.rowCount > 0;
+    }
+
+    async countWorkspaceAdmins(workspaceId) {
+        const result = await pool.query(
+            `SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = $1 AND role = 'admin'`,
+            [workspaceId]
+        );
+        return parseInt(result.rows[0].count);
+    }
+
+    // ===== ACCESS CONTROL METHODS =====
+
+    async getAccessRules() {
+        const result = await pool.query(`
+            SELECT r.*, w.name as workspace_name
+            FROM access_rules r
+            LEFT JOIN workspaces w ON w.id = r.workspace_id
+            WHERE r.revoked_at IS NULL
+            ORDER BY r.type, r.value
+        `);
+        return result.rows;
+    }
+
+    async getAccessRule(id) {
+        const result = await pool.query('SELECT * FROM access_rules WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Add an email or domain rule. An existing active rule for the same value is
+     * updated (workspace and role) instead of duplicated.
+     */
+    async saveAccessRule({ type, value, workspaceId, role = 'member', createdBy = null }) {
+        const result = await pool.query(`
+            INSERT INTO access_rules (type, value, workspace_id, role, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (type, value) WHERE revoked_at IS NULL
+            DO UPDATE SET workspace_id = EXCLUDED.workspace_id, role = EXCLUDED.role
+            RETURNING *
+        `, [type, value.toLowerCase(), workspaceId, role, createdBy]);
+        return result.rows[0];
+    }
+
+    // Make sure an address can sign in, keeping an existing rule (and its role) as is
+    async ensureEmailAccessRule(email, { workspaceId, role = 'member', createdBy = null }) {
+        await pool.query(`
+            INSERT INTO access_rules (type, value, workspace_id, role, created_by)
+            VALUES ('email', $1, $2, $3, $4)
+            ON CONFLICT (type, value) WHERE revoked_at IS NULL DO NOTHING
+        `, [email.toLowerCase(), workspaceId, role, createdBy]);
+    }
+
+    async revokeAccessRule(id, revokedBy = null) {
+        const result = await pool.query(`
+            UPDATE access_rules SET revoked_at = NOW(), revoked_by = $2
+            WHERE id = $1 AND revoked_at IS NULL
+            RETURNING *
+        `, [id, revokedBy]);
+        return result.rows[0] || null;
+    }
+
+    // The active rule letting an address sign in (an email rule wins over a domain rule)
+    async findAccessRule(email) {
+        const address = email.toLowerCase();
+        const result = await pool.query(`
+            SELECT * FROM access_rules
+            WHERE revoked_at IS NULL
+              AND ((type = 'email' AND value = $1) OR (type = 'domain' AND value = $2))
+            ORDER BY CASE type WHEN 'email' THEN 0 ELSE 1 END
+            LIMIT 1
+        `, [address, address.split('@')[1] || '']);
+        return result.rows[0] || null;
+    }
+
+    async createInvite({ tokenHash, email = null, workspaceId, role = 'member', createdBy = null, expiresAt }) {
+        const result = await pool.query(`
+            INSERT INTO access_invites (token_hash, email, workspace_id, role, created_by, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [tokenHash, email ? email.toLowerCase() : null, workspaceId, role, createdBy, expiresAt]);
+        return result.rows[0];
+    }
+
+    async getPendingInvites() {
+        const result = await pool.query(`
+            SELECT i.id, i.email, i.workspace_id, w.name as workspace_name, i.role,
+                   i.created_by, i.created_at, i.expires_at
+            FROM access_invites i
+            LEFT JOIN workspaces w ON w.id = i.workspace_id
+            WHERE i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+            ORDER BY i.created_at DESC
+        `);
+        return result.rows;
+    }
+
+    async getInviteByTokenHash(tokenHash) {
+        const result = await pool.query('SELECT * FROM access_invites WHERE token_hash = $1', [tokenHash]);
+        return result.rows[0] || null;
+    }
+
+    async getInvite(id) {
+        const result = await pool.query('SELECT * FROM access_invites WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async revokeInvite(id) {
+        const result = await pool.query(`
+            UPDATE access_invites SET revoked_at = NOW()
+            WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+            RETURNING *
+        `, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Accept an invite for `email`: marks it used, adds an email rule with the
+     * invite's workspace and role, and lifts an earlier revocation of the user.
+     * Returns the new rule, or null when the invite was used concurrently.
+     */
+    async acceptInvite(inviteId, email) {
+        const address = email.toLowerCase();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(`
+                UPDATE access_invites SET accepted_at = NOW(), accepted_email = $2
+                WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+                RETURNING *
+            `, [inviteId, address]);
+            const invite = result.rows[0];
+            if (!invite) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const rule = await client.query(`
+                INSERT INTO access_rules (type, value, workspace_id, role, created_by)
+                VALUES ('email', $1, $2, $3, $4)
+                ON CONFLICT (type, value) WHERE revoked_at IS NULL
+                DO UPDATE SET workspace_id = EXCLUDED.workspace_id, role = EXCLUDED.role
+                RETURNING *
+            `, [address, invite.workspace_id, invite.role, invite.created_by]);
+            await client.query('UPDATE users SET revoked_at = NULL WHERE email = $1', [address]);
+
+            await client.query('COMMIT');
+            return rule.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Block a user from signing in, whatever rule matches their address (or lift the block)
+    async setUserRevoked(userId, revoked) {
+        const result = await pool.query(
+            'UPDATE users SET revoked_at = CASE WHEN $2 THEN NOW() ELSE NULL END WHERE id = $1 RETURNING *',
+            [userId, revoked]
+        );
+        return result.rows[0] || null;
+    }
+
+    async recordLoginEvent({ email, userId = null, success, method = null, reason = null, ip = null, userAgent = null }) {
+        await pool.query(`
+            INSERT INTO login_events (email, user_id, success, method, reason, ip, user_agent)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [email, userId, success, method, reason, ip, userAgent]);
+    }
+
+    async getLoginEvents({ email = null, limit = 100 } = {}) {
+        const result = await pool.query(`
+            SELECT * FROM login_events
+            WHERE $1::text IS NULL OR email = $1
+            ORDER BY created_at DESC
+            LIMIT $2
+        `, [email ? email.toLowerCase() : null, limit]);
+        return result.rows;
+    }
+
+    // ===== FOLDER METHODS =====
+
+    async createFolder(name, description = null, { workspaceId = null, ownerId = null } = {}) {
+        const result = await pool.query(
+            'INSERT INTO folders (name, description, workspace_id, owner_id) VALUES ($1, $2, $3, $4) RETURNING *',
+            [name, description, workspaceId, ownerId]
+        );
+        return result.rows[0];
+    }
+
+    async getFolder(id) {
+        const result = await pool.query('SELECT * FROM folders WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    // Folders of a workspace; with ownerId, only that teammate's folders
+    async getAllFolders(workspaceId, { ownerId = null } = {}) {
+        const result = await pool.query(`
+            SELECT f.*,
+                   u.email as owner_email,
+                   u.name as owner_name,
+                   COUNT(DISTINCT j.id) as job_count,
+                   COUNT(DISTINCT p.id) as prospect_count,
+                   COUNT(DISTINCT CASE WHEN p.selected = true THEN p.id END) as selected_prospect_count
+            FROM folders f
+            LEFT JOIN users u ON u.id = f.owner_id
+            LEFT JOIN jobs j ON j.folder_id = f.id
+            LEFT JOIN prospects p ON p.folder_id = f.id
+            WHERE f.workspace_id = $1 AND ($2::int IS NULL OR f.owner_id = $2)
+            GROUP BY f.id, u.id
+            ORDER BY f.updated_at DESC
+        `, [workspaceId, ownerId]);
+        return result.rows;
+    }
+
+    async updateFolderStatus(id, status) {
+        await pool.query(
+            'UPDATE folders SET status = $1, updated_at = NOW() WHERE id = $2',
+            [status, id]
         );
     }
 
+    // Like updateFolderStatus, but never moves a folder back to an earlier stage
+    async advanceFolderStatus(id, status) {
+        await pool.query(`
+            UPDATE folders SET status = $1, updated_at = NOW()
+            WHERE id = $2 AND array_position($3::text[], status) < array_position($3::text[], $1::text)
+        `, [status, id, FOLDER_STATUSES]);
+    }
+
     async deleteFolder(id) {
         await pool.query('DELETE FROM folders WHERE id = $1', [id]);
     }
@@ -311,15 +1402,16 @@ export class PostgresDatabase {
 
         const result = await pool.query(`
             INSERT INTO jobs (
-                folder_id, company_id, theirstack_job_id, job_title, company_name, company_domain,
+                folder_id, company_id, theirstack_job_id, source, job_title, company_name, company_domain,
                 location, country, salary_string, description, job_url, posted_date, raw_data
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
             ${conflictClause}
             RETURNING *
         `, [
             folderId,
             companyId,
             jobData.theirstack_job_id || null,
+            jobData.source || null,
             jobData.job_title,
             jobData.company_name,
             jobData.company_domain,
@@ -419,14 +1511,23 @@ export class PostgresDatabase {
         return result.rows[0] || null;
     }
 
-    async getJobFolderMappings() {
-        // Returns mapping of theirstack_job_id to folder info for all jobs
+    // A job in a folder, by database id or theirstack_job_id (same matching as removeJobFromFolder)
+    async getFolderJob(folderId, jobId) {
+        const result = await pool.query(
+            'SELECT * FROM jobs WHERE folder_id = $1 AND (id::text = $2 OR theirstack_job_id = $2)',
+            [folderId, jobId.toString()]
+        );
+        return result.rows[0] || null;
+    }
+
+    async getJobFolderMappings(workspaceId) {
+        // Returns mapping of theirstack_job_id to folder info for all jobs in the workspace's folders
         const result = await pool.query(`
             SELECT j.theirstack_job_id, j.folder_id, f.name as folder_name
             FROM jobs j
             JOIN folders f ON j.folder_id = f.id
-            WHERE j.theirstack_job_id IS NOT NULL
-        `);
+            WHERE j.theirstack_job_id IS NOT NULL AND f.workspace_id = $1
+        `, [workspaceId]);
         return result.rows;
     }
 
@@ -439,7 +1540,7 @@ export class PostgresDatabase {
             FROM companies c
             INNER JOIN jobs j ON j.company_id = c.id
             WHERE j.folder_id = $1
-            ORDER BY c.name
+            ORDER BY c.lead_score DESC NULLS LAST, c.name
         `, [folderId]);
         return result.rows;
     }
@@ -547,7 +1648,74 @@ export class PostgresDatabase {
     }
 
     async getAllCompanies() {
-        const result = await pool.query('SELECT * FROM companies ORDER BY updated_at DESC');
+        const result = await pool.query('SELECT * FROM companies ORDER BY lead_score DESC NULLS LAST, updated_at DESC');
+        return result.rows;
+    }
+
+    // Companies (all, or one) with the job fields lead scoring uses
+    async getCompaniesForScoring(companyId = null) {
+        const result = await pool.query(`
+            SELECT c.id, c.domain, c.name, c.theirstack_data, c.enriched_data, c.employee_count,
+                   COALESCE(json_agg(json_build_object(
+                       'job_title', j.job_title,
+                       'salary_string', j.salary_string,
+                       'posted_date', j.posted_date,
+                       'created_at', j.created_at
+                   )) FILTER (WHERE j.id IS NOT NULL), '[]') as jobs
+            FROM companies c
+            LEFT JOIN jobs j ON j.company_id = c.id
+            WHERE $1::int IS NULL OR c.id = $1
+            GROUP BY c.id
+        `, [companyId]);
+        return result.rows;
+    }
+
+    // Not a content change, so updated_at is left alone
+    async saveLeadScore(companyId, score, factors) {
+        await pool.query(
+            'UPDATE companies SET lead_score = $1, lead_score_factors = $2, lead_scored_at = NOW() WHERE id = $3',
+            [score, JSON.stringify(factors), companyId]
+        );
+    }
+
+    // Completed companies enriched more than maxAgeDays ago and not queued for a refresh recently, oldest first
+    async getStaleCompanies({ maxAgeDays, requeueAfterHours, limit }) {
+        const result = await pool.query(`
+            SELECT * FROM companies
+            WHERE enrichment_status = 'completed'
+              AND enriched_at < NOW() - ($1 * INTERVAL '1 day')
+              AND (refresh_queued_at IS NULL OR refresh_queued_at < NOW() - ($2 * INTERVAL '1 hour'))
+            ORDER BY enriched_at ASC
+            LIMIT $3
+        `, [maxAgeDays, requeueAfterHours, limit]);
+        return result.rows;
+    }
+
+    async markRefreshQueued(companyId) {
+        await pool.query('UPDATE companies SET refresh_queued_at = NOW() WHERE id = $1', [companyId]);
+    }
+
+    // What the last refresh changed (null when there was no previous profile to compare)
+    async saveEnrichmentChanges(companyId, changes) {
+        await pool.query(
+            'UPDATE companies SET enrichment_changes = $1 WHERE id = $2',
+            [changes ? JSON.stringify({ ...changes, detected_at: new Date().toISOString() }) : null, companyId]
+        );
+    }
+
+    async saveEmailPattern(companyId, pattern) {
+        await pool.query('UPDATE companies SET email_pattern = $1 WHERE id = $2', [pattern ? JSON.stringify(pattern) : null, companyId]);
+    }
+
+    // One folder per workspace that has a job of the company (the most recently added job's folder)
+    async getCompanyWorkspaceFolders(companyId) {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (f.workspace_id) f.workspace_id, f.id AS folder_id
+            FROM jobs j
+            JOIN folders f ON f.id = j.folder_id
+            WHERE j.company_id = $1
+            ORDER BY f.workspace_id, j.created_at DESC
+        `, [companyId]);
         return result.rows;
     }
 
@@ -602,11 +1770,14 @@ export class PostgresDatabase {
         return result.rows;
     }
 
-    async getProspectsByCompany(companyId) {
-        const result = await pool.query(
-            'SELECT * FROM prospects WHERE company_id = $1 ORDER BY priority DESC, ai_score DESC',
-            [companyId]
-        );
+    // A company's prospects in the workspace's folders
+    async getProspectsByCompany(companyId, workspaceId) {
+        const result = await pool.query(`
+            SELECT p.* FROM prospects p
+            JOIN folders f ON f.id = p.folder_id
+            WHERE p.company_id = $1 AND f.workspace_id = $2
+            ORDER BY p.priority DESC, p.ai_score DESC
+        `, [companyId, workspaceId]);
         return result.rows;
     }
 
@@ -617,11 +1788,62 @@ export class PostgresDatabase {
         );
     }
 
-    async updateProspectContact(id, email, phone, signalhireEnriched = true) {
-        await pool.query(
-            'UPDATE prospects SET email = $1, phone = $2, signalhire_enriched = $3, updated_at = NOW() WHERE id = $4',
-            [email, phone, signalhireEnriched, id]
-        );
+    // A different email drops the verification of the previous one
+    async updateProspectContact(id, email, phone, signalhireEnriched = true, contactSources = null) {
+        await pool.query(`
+            UPDATE prospects
+            SET email = $1, phone = $2, signalhire_enriched = $3, contact_sources = $4,
+                email_status = CASE WHEN email IS DISTINCT FROM $1 THEN NULL ELSE email_status END,
+                email_confidence = CASE WHEN email IS DISTINCT FROM $1 THEN NULL ELSE email_confidence END,
+                email_checks = CASE WHEN email IS DISTINCT FROM $1 THEN NULL ELSE email_checks END,
+                email_verified_at = CASE WHEN email IS DISTINCT FROM $1 THEN NULL ELSE email_verified_at END,
+                email_guessed = CASE WHEN email IS DISTINCT FROM $1 THEN FALSE ELSE email_guessed END,
+                email_candidates = CASE WHEN email IS DISTINCT FROM $1 THEN NULL ELSE email_candidates END,
+                updated_at = NOW()
+            WHERE id = $5
+        `, [email, phone, signalhireEnriched, contactSources ? JSON.stringify(contactSources) : null, id]);
+    }
+
+    // Verification outcome ({ status, confidence, reason, checks }), if the prospect still has that email
+    async saveEmailVerification(id, email, result) {
+        await pool.query(`
+            UPDATE prospects
+            SET email_status = $1, email_confidence = $2, email_checks = $3, email_verified_at = NOW(), updated_at = NOW()
+            WHERE id = $4 AND email = $5
+        `, [result.status, result.confidence, JSON.stringify({ ...result.checks, reason: result.reason }), id, email]);
+    }
+
+    /**
+     * Store an email guessed from the company's address pattern, unless the
+     * prospect has gained a real one meanwhile. Resolves to true when stored.
+     */
+    async saveGuessedEmail(id, email, candidates, contactSources) {
+        const result = await pool.query(`
+            UPDATE prospects
+            SET email = $1, email_guessed = TRUE, email_candidates = $2, contact_sources = $3,
+                email_status = NULL, email_confidence = NULL, email_checks = NULL, email_verified_at = NULL,
+                updated_at = NOW()
+            WHERE id = $4 AND (email IS NULL OR email_guessed)
+        `, [email, JSON.stringify(candidates), JSON.stringify(contactSources), id]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Distinct verified emails of the company's prospects at `domain`, for
+     * learning its address pattern. Guessed emails count only once an SMTP
+     * probe accepted them.
+     */
+    async getVerifiedCompanyEmails(companyId, domain) {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (LOWER(email)) name, LOWER(email) AS email
+            FROM prospects
+            WHERE company_id = $1
+              AND LOWER(email) LIKE '%@' || $2
+              AND email_status = 'valid'
+              AND (NOT COALESCE(email_guessed, FALSE) OR email_checks->>'reason' = 'smtp_accepted')
+            ORDER BY LOWER(email), updated_at DESC
+        `, [companyId, domain.toLowerCase()]);
+        return result.rows;
     }
 
     async getSelectedProspects(folderId) {
@@ -635,213 +1857,1624 @@ export class PostgresDatabase {
         return result.rows;
     }
 
-    // ===== BACKGROUND TASK METHODS =====
-
-    async createTask(taskType, folderId, companyId = null, total = null) {
+    async getProspect(id) {
         const result = await pool.query(`
-            INSERT INTO background_tasks (task_type, folder_id, company_id, total)
-            VALUES ($1, $2, $3, $4)
-            RETURNING *
-        `, [taskType, folderId, companyId, total]);
-        return result.rows[0];
+            SELECT p.*, c.name as company_name, c.domain as company_domain, c.enriched_data
+            FROM prospects p
+            JOIN companies c ON c.id = p.company_id
+            WHERE p.id = $1
+        `, [id]);
+        return result.rows[0] || null;
     }
 
-    async updateTaskStatus(id, status, progress = null, errorMessage = null) {
-        const updates = ['status = $1', 'updated_at = NOW()'];
-        const values = [status];
-        let paramIndex = 1;
-
-        if (status === 'processing' && progress === 0) {
-            updates.push('started_at = NOW()');
-        }
-
-        if (status === 'completed' || status === 'failed') {
-            updates.push('completed_at = NOW()');
-        }
-
-        if (progress !== null) {
-            paramIndex++;
-            updates.push(`progress = $${paramIndex}`);
-            values.push(progress);
-        }
-
-        if (errorMessage !== null) {
-            paramIndex++;
-            updates.push(`error_message = $${paramIndex}`);
-            values.push(errorMessage);
-        }
+    // Workspace of the prospect's folder (null for unknown prospects or prospects outside a folder)
+    async getProspectWorkspaceId(id) {
+        const result = await pool.query(`
+            SELECT f.workspace_id
+            FROM prospects p
+            JOIN folders f ON f.id = p.folder_id
+            WHERE p.id = $1
+        `, [id]);
+        return result.rows[0]?.workspace_id ?? null;
+    }
 
-        // Add id as the last parameter
-        paramIndex++;
-        values.push(id);
+    // ===== EMAIL SEQUENCE METHODS =====
 
-        await pool.query(
-            `UPDATE background_tasks SET ${updates.join(', ')} WHERE id = $${paramIndex}`,
-            values
-        );
+    // Store a new version of a prospect's sequence (version numbers start at 1)
+    async saveEmailSequence(prospectId, folderId, steps, { source, model = null, createdBy = null }) {
+        const result = await pool.query(`
+            INSERT INTO email_sequences (prospect_id, folder_id, version, steps, source, model, created_by)
+            SELECT $1, $2, COALESCE(MAX(version), 0) + 1, $3, $4, $5, $6
+            FROM email_sequences WHERE prospect_id = $1
+            RETURNING *
+        `, [prospectId, folderId, JSON.stringify(steps), source, model, createdBy]);
+        return result.rows[0];
     }
 
-    async updateTaskResult(id, result) {
-        await pool.query(
-            'UPDATE background_tasks SET result = $1 WHERE id = $2',
-            [JSON.stringify(result), id]
+    async getCurrentSequence(prospectId) {
+        const result = await pool.query(
+            'SELECT * FROM email_sequences WHERE prospect_id = $1 ORDER BY version DESC LIMIT 1',
+            [prospectId]
         );
-    }
-
-    async getTask(id) {
-        const result = await pool.query('SELECT * FROM background_tasks WHERE id = $1', [id]);
         return result.rows[0] || null;
     }
 
-    async getTasksByFolder(folderId) {
+    async getSequenceVersion(prospectId, version) {
         const result = await pool.query(
-            'SELECT * FROM background_tasks WHERE folder_id = $1 ORDER BY created_at DESC',
-            [folderId]
+            'SELECT * FROM email_sequences WHERE prospect_id = $1 AND version = $2',
+            [prospectId, version]
         );
-        return result.rows;
+        return result.rows[0] || null;
     }
 
-    async getActiveTasks() {
+    async getSequenceVersions(prospectId) {
         const result = await pool.query(
-            "SELECT * FROM background_tasks WHERE status IN ('pending', 'processing') ORDER BY created_at ASC"
+            'SELECT * FROM email_sequences WHERE prospect_id = $1 ORDER BY version DESC',
+            [prospectId]
         );
         return result.rows;
     }
 
-    async getRecentTasks(limit = 20) {
-        const result = await pool.query(
-            'SELECT * FROM background_tasks ORDER BY created_at DESC LIMIT $1',
-            [limit]
-        );
+    // Latest version of every sequence in a folder
+    async getFolderSequences(folderId) {
+        const result = await pool.query(`
+            SELECT DISTINCT ON (s.prospect_id) s.*, p.name as prospect_name, p.title as prospect_title,
+                   p.email as prospect_email, c.name as company_name
+            FROM email_sequences s
+            JOIN prospects p ON p.id = s.prospect_id
+            JOIN companies c ON c.id = p.company_id
+            WHERE s.folder_id = $1
+            ORDER BY s.prospect_id, s.version DESC
+        `, [folderId]);
         return result.rows;
     }
 
-    // ===== KNOWLEDGE BASE METHODS =====
+    // ===== PROSPECT PIPELINE METHODS =====
+
+    /**
+     * Move a prospect to another pipeline status and log a status_change
+     * activity. With `onlyFrom`, the change only happens when the current
+     * status is one of those (used for automatic moves, which must not undo a
+     * manual one). Returns { prospect, activity }, or null when nothing changed.
+     */
+    async updateProspectStatus(id, status, { createdBy = null, note = null, onlyFrom = null } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const current = await client.query('SELECT status FROM prospects WHERE id = $1 FOR UPDATE', [id]);
+            const from = current.rows[0]?.status;
+            if (!current.rows[0] || from === status || (onlyFrom && !onlyFrom.includes(from))) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const prospect = await client.query(`
+                UPDATE prospects SET status = $1, status_changed_at = NOW(), updated_at = NOW()
+                WHERE id = $2
+                RETURNING *
+            `, [status, id]);
+
+            const activity = await client.query(`
+                INSERT INTO prospect_activities (prospect_id, type, content, metadata, created_by)
+                VALUES ($1, 'status_change', $2, $3, $4)
+                RETURNING *
+            `, [id, note, JSON.stringify({ from, to: status }), createdBy]);
+
+            await client.query('COMMIT');
+            return { prospect: prospect.rows[0], activity: activity.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
 
-    async addKnowledge(type, title, content, metadata = null) {
+    async createProspectActivity(prospectId, { type, content = null, metadata = null, createdBy = null, occurredAt = null }) {
         const result = await pool.query(`
-            INSERT INTO knowledge_base (type, title, content, metadata)
-            VALUES ($1, $2, $3, $4)
+            INSERT INTO prospect_activities (prospect_id, type, content, metadata, created_by, occurred_at)
+            VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
             RETURNING *
-        `, [type, title, content, JSON.stringify(metadata)]);
+        `, [prospectId, type, content, metadata ? JSON.stringify(metadata) : null, createdBy, occurredAt]);
         return result.rows[0];
     }
 
-    async updateKnowledge(id, content, metadata = null) {
+    // Timeline, newest first
+    async getProspectActivities(prospectId) {
+        const result = await pool.query(
+            'SELECT * FROM prospect_activities WHERE prospect_id = $1 ORDER BY occurred_at DESC, id DESC',
+            [prospectId]
+        );
+        return result.rows;
+    }
+
+    async getProspectActivity(prospectId, activityId) {
+        const result = await pool.query(
+            'SELECT * FROM prospect_activities WHERE prospect_id = $1 AND id = $2',
+            [prospectId, activityId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async deleteProspectActivity(prospectId, activityId) {
         await pool.query(
-            'UPDATE knowledge_base SET content = $1, metadata = $2, updated_at = NOW() WHERE id = $3',
-            [content, JSON.stringify(metadata), id]
+            'DELETE FROM prospect_activities WHERE prospect_id = $1 AND id = $2',
+            [prospectId, activityId]
+        );
+    }
+
+    async updateProspectTimezone(id, timezone) {
+        await pool.query(
+            'UPDATE prospects SET timezone = $1, updated_at = NOW() WHERE id = $2',
+            [timezone, id]
         );
     }
 
-    async getKnowledgeByType(type) {
+    // ===== MAILBOX METHODS =====
+
+    async createMailbox(mailbox) {
+        const result = await pool.query(`
+            INSERT INTO mailboxes (
+                name, from_email, from_name, smtp_host, smtp_port, smtp_secure, smtp_user, smtp_pass_encrypted,
+                imap_host, imap_port, imap_secure, imap_user, imap_pass_encrypted, daily_limit, enabled, workspace_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+            RETURNING *
+        `, [
+            mailbox.name,
+            mailbox.from_email,
+            mailbox.from_name || null,
+            mailbox.smtp_host,
+            mailbox.smtp_port || 587,
+            !!mailbox.smtp_secure,
+            mailbox.smtp_user || null,
+            mailbox.smtp_pass_encrypted || null,
+            mailbox.imap_host || null,
+            mailbox.imap_port || 993,
+            mailbox.imap_secure !== false,
+            mailbox.imap_user || null,
+            mailbox.imap_pass_encrypted || null,
+            mailbox.daily_limit || 50,
+            mailbox.enabled !== false,
+            mailbox.workspace_id
+        ]);
+        return result.rows[0];
+    }
+
+    async updateMailbox(id, updates) {
+        const columns = [
+            'name', 'from_email', 'from_name', 'smtp_host', 'smtp_port', 'smtp_secure', 'smtp_user',
+            'smtp_pass_encrypted', 'imap_host', 'imap_port', 'imap_secure', 'imap_user', 'imap_pass_encrypted',
+            'daily_limit', 'enabled'
+        ];
+
+        const fields = [];
+        const values = [];
+        for (const column of columns) {
+            if (updates[column] !== undefined) {
+                values.push(updates[column]);
+                fields.push(`${column} = $${values.length}`);
+            }
+        }
+
+        if (fields.length === 0) {
+            return this.getMailbox(id);
+        }
+
+        values.push(id);
+        const result = await pool.query(`
+            UPDATE mailboxes SET ${fields.join(', ')}, updated_at = NOW()
+            WHERE id = $${values.length}
+            RETURNING *
+        `, values);
+        return result.rows[0] || null;
+    }
+
+    async getMailbox(id) {
+        const result = await pool.query('SELECT * FROM mailboxes WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    // A workspace's mailboxes with today's send count (UTC day); every
+    // workspace's without one (reply polling)
+    async getMailboxes(workspaceId = null) {
+        const result = await pool.query(`
+            SELECT mb.*,
+                   (SELECT COUNT(*) FROM outreach_messages m
+                    WHERE m.mailbox_id = mb.id AND m.sent_at >= $1)::int as sent_today
+            FROM mailboxes mb
+            WHERE $2::int IS NULL OR mb.workspace_id = $2
+            ORDER BY mb.created_at
+        `, [startOfUtcDay(), workspaceId]);
+        return result.rows;
+    }
+
+    async deleteMailbox(id) {
+        await pool.query('DELETE FROM mailboxes WHERE id = $1', [id]);
+    }
+
+    async countMailboxSentToday(mailboxId) {
+        const result = await pool.query(`
+            SELECT COUNT(*)::int as count FROM outreach_messages
+            WHERE mailbox_id = $1 AND sent_at >= $2
+        `, [mailboxId, startOfUtcDay()]);
+        return result.rows[0].count;
+    }
+
+    async updateMailboxImapState(id, { lastUid, uidValidity, error = null }) {
+        await pool.query(`
+            UPDATE mailboxes SET
+                imap_last_uid = COALESCE($2, imap_last_uid),
+                imap_uid_validity = COALESCE($3, imap_uid_validity),
+                imap_last_checked_at = NOW(),
+                imap_error = $4
+            WHERE id = $1
+        `, [id, lastUid ?? null, uidValidity ?? null, error]);
+    }
+
+    // ===== OUTREACH METHODS =====
+
+    async createEnrollment({ prospectId, folderId, mailboxId, sequenceId, steps, timezone }) {
+        const result = await pool.query(`
+            INSERT INTO outreach_enrollments (prospect_id, folder_id, mailbox_id, sequence_id, steps, timezone)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (prospect_id) WHERE status = 'active' DO NOTHING
+            RETURNING *
+        `, [prospectId, folderId, mailboxId, sequenceId, JSON.stringify(steps), timezone]);
+        return result.rows[0] || null;
+    }
+
+    async getEnrollment(id) {
+        const result = await pool.query('SELECT * FROM outreach_enrollments WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async getActiveEnrollmentByProspect(prospectId) {
+        const result = await pool.query(
+            `SELECT * FROM outreach_enrollments WHERE prospect_id = $1 AND status = 'active'`,
+            [prospectId]
+        );
+        return result.rows[0] || null;
+    }
+
+    async getProspectEnrollments(prospectId) {
         const result = await pool.query(
-            'SELECT * FROM knowledge_base WHERE type = $1 ORDER BY created_at DESC',
-            [type]
+            'SELECT * FROM outreach_enrollments WHERE prospect_id = $1 ORDER BY created_at DESC',
+            [prospectId]
         );
         return result.rows;
     }
 
-    async getAllKnowledge() {
-        const result = await pool.query('SELECT * FROM knowledge_base ORDER BY type, created_at DESC');
+    // Enrollments in a folder with their send progress
+    async getFolderEnrollments(folderId) {
+        const result = await pool.query(`
+            SELECT e.id, e.prospect_id, e.folder_id, e.mailbox_id, e.sequence_id, e.timezone, e.status,
+                   e.stop_reason, e.created_at, e.stopped_at,
+                   jsonb_array_length(e.steps) as total_steps,
+                   p.name as prospect_name, p.email as prospect_email, c.name as company_name,
+                   mb.name as mailbox_name, mb.from_email as mailbox_email,
+                   (SELECT COUNT(*) FROM outreach_messages m WHERE m.enrollment_id = e.id AND m.status = 'sent')::int as sent_count,
+                   (SELECT MAX(m.sent_at) FROM outreach_messages m WHERE m.enrollment_id = e.id) as last_sent_at,
+                   (SELECT MIN(m.scheduled_at) FROM outreach_messages m WHERE m.enrollment_id = e.id AND m.status = 'scheduled') as next_send_at,
+                   (SELECT MAX(r.received_at) FROM outreach_replies r WHERE r.enrollment_id = e.id) as replied_at
+            FROM outreach_enrollments e
+            JOIN prospects p ON p.id = e.prospect_id
+            JOIN companies c ON c.id = p.company_id
+            LEFT JOIN mailboxes mb ON mb.id = e.mailbox_id
+            WHERE e.folder_id = $1
+            ORDER BY e.created_at DESC
+        `, [folderId]);
         return result.rows;
     }
 
-    // ===== EMAIL COLLECTION LIMIT METHODS =====
+    async updateEnrollmentStatus(id, status, stopReason = null) {
+        const result = await pool.query(`
+            UPDATE outreach_enrollments SET
+                status = $2,
+                stop_reason = $3,
+                stopped_at = CASE WHEN $2 = 'active' THEN NULL ELSE NOW() END,
+                updated_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [id, status, stopReason]);
+        return result.rows[0] || null;
+    }
+
+    async scheduleOutreachMessage({ enrollmentId, prospectId, mailboxId, step, toEmail, subject, body, scheduledAt }) {
+        const result = await pool.query(`
+            INSERT INTO outreach_messages (enrollment_id, prospect_id, mailbox_id, step, to_email, subject, body, scheduled_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (enrollment_id, step) DO NOTHING
+            RETURNING *
+        `, [enrollmentId, prospectId, mailboxId, step, toEmail, subject, body, scheduledAt]);
+        return result.rows[0] || null;
+    }
+
+    // Claim due messages of active enrollments for sending (safe across workers)
+    async claimDueOutreachMessages(limit) {
+        const result = await pool.query(`
+            UPDATE outreach_messages SET status = 'sending', updated_at = NOW()
+            WHERE id IN (
+                SELECT m.id FROM outreach_messages m
+                JOIN outreach_enrollments e ON e.id = m.enrollment_id
+                JOIN mailboxes mb ON mb.id = m.mailbox_id
+                WHERE m.status = 'scheduled' AND m.scheduled_at <= NOW()
+                  AND e.status = 'active' AND mb.enabled = true
+                ORDER BY m.scheduled_at
+                LIMIT $1
+                FOR UPDATE OF m SKIP LOCKED
+            )
+            RETURNING *
+        `, [limit]);
+        return result.rows;
+    }
+
+    // Put a claimed message back in the queue; never one that already went out
+    async rescheduleOutreachMessage(id, scheduledAt, errorMessage = null) {
+        await pool.query(`
+            UPDATE outreach_messages SET status = 'scheduled', scheduled_at = $2, error_message = $3, updated_at = NOW()
+            WHERE id = $1 AND status <> 'sent' AND sent_at IS NULL AND message_id IS NULL
+        `, [id, scheduledAt, errorMessage]);
+    }
+
+    // Only a message still being sent; null when it was failed as interrupted or cancelled meanwhile
+    async markOutreachMessageSent(id, messageId) {
+        const result = await pool.query(`
+            UPDATE outreach_messages SET status = 'sent', sent_at = NOW(), message_id = $2, error_message = NULL, updated_at = NOW()
+            WHERE id = $1 AND status = 'sending'
+            RETURNING *
+        `, [id, messageId]);
+        return result.rows[0] || null;
+    }
+
+    async markOutreachMessageFailed(id, errorMessage) {
+        await pool.query(
+            `UPDATE outreach_messages SET status = 'failed', error_message = $2, updated_at = NOW() WHERE id = $1`,
+            [id, errorMessage]
+        );
+    }
+
+    async cancelScheduledMessages(enrollmentId) {
+        const result = await pool.query(`
+            UPDATE outreach_messages SET status = 'cancelled', updated_at = NOW()
+            WHERE enrollment_id = $1 AND status = 'scheduled'
+            RETURNING id
+        `, [enrollmentId]);
+        return result.rowCount;
+    }
+
+    // Messages left in 'sending' by a worker that died mid-send. Whether the
+    // email went out is unknown, so they are failed rather than re-sent.
+    async failStaleSendingMessages(staleMs) {
+        const result = await pool.query(`
+            UPDATE outreach_messages SET status = 'failed',
+                error_message = 'Interrupted while sending (not retried to avoid a duplicate email)',
+                updated_at = NOW()
+            WHERE status = 'sending' AND updated_at < NOW() - ($1 || ' milliseconds')::interval
+            RETURNING *
+        `, [String(staleMs)]);
+        return result.rows;
+    }
 
-    async getTodayEmailCount() {
+    async getEnrollmentMessages(enrollmentId) {
         const result = await pool.query(
-            'SELECT emails_collected FROM email_collection_log WHERE date = CURRENT_DATE'
+            'SELECT * FROM outreach_messages WHERE enrollment_id = $1 ORDER BY step',
+            [enrollmentId]
         );
-        return result.rows[0]?.emails_collected || 0;
+        return result.rows;
     }
 
-    async incrementEmailCount(count = 1) {
-        await pool.query(`
-            INSERT INTO email_collection_log (date, emails_collected)
-            VALUES (CURRENT_DATE, $1)
-            ON CONFLICT (date)
-            DO UPDATE SET emails_collected = email_collection_log.emails_collected + $1
-        `, [count]);
+    // Find the sent message an inbound email refers to (In-Reply-To / References)
+    async findSentMessageByMessageIds(messageIds) {
+        if (messageIds.length === 0) return null;
+
+        const result = await pool.query(`
+            SELECT * FROM outreach_messages
+            WHERE message_id = ANY($1::text[]) AND status = 'sent'
+            ORDER BY sent_at DESC
+            LIMIT 1
+        `, [messageIds]);
+        return result.rows[0] || null;
     }
 
-    async canCollectEmails(count = 1, dailyLimit = 150) {
-        const currentCount = await this.getTodayEmailCount();
-        return currentCount + count <= dailyLimit;
+    // Latest enrollment that emailed this address from this mailbox
+    async findEnrollmentBySender(mailboxId, email) {
+        const result = await pool.query(`
+            SELECT e.* FROM outreach_enrollments e
+            JOIN outreach_messages m ON m.enrollment_id = e.id
+            WHERE m.mailbox_id = $1 AND LOWER(m.to_email) = LOWER($2) AND m.status = 'sent'
+            ORDER BY m.sent_at DESC
+            LIMIT 1
+        `, [mailboxId, email]);
+        return result.rows[0] || null;
     }
 
-    // ===== NOTIFICATION METHODS =====
+    async recordOutreachReply({ enrollmentId, prospectId, mailboxId, fromEmail, subject, messageId, receivedAt }) {
+        const result = await pool.query(`
+            INSERT INTO outreach_replies (enrollment_id, prospect_id, mailbox_id, from_email, subject, message_id, received_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (mailbox_id, message_id) DO NOTHING
+            RETURNING *
+        `, [enrollmentId, prospectId, mailboxId, fromEmail, subject, messageId, receivedAt]);
+        return result.rows[0] || null;
+    }
 
-    async createNotification(type, title, message, link = null) {
+    async getEnrollmentReplies(enrollmentId) {
+        const result = await pool.query(
+            'SELECT * FROM outreach_replies WHERE enrollment_id = $1 ORDER BY received_at',
+            [enrollmentId]
+        );
+        return result.rows;
+    }
+
+    // ===== CRM LINK METHODS =====
+
+    // local_id is companies.id for 'company' links and prospects.id for 'contact' and 'deal' links
+    async getCrmLink(provider, entityType, localId) {
+        const result = await pool.query(
+            'SELECT * FROM crm_links WHERE provider = $1 AND entity_type = $2 AND local_id = $3',
+            [provider, entityType, localId]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Create or update a link; crmStage is only written when given
+    async saveCrmLink(provider, entityType, localId, externalId, crmStage = undefined) {
+        const result = await pool.query(`
+            INSERT INTO crm_links (provider, entity_type, local_id, external_id, crm_stage)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (provider, entity_type, local_id) DO UPDATE SET
+                external_id = EXCLUDED.external_id,
+                crm_stage = CASE WHEN $6 THEN EXCLUDED.crm_stage ELSE crm_links.crm_stage END,
+                synced_at = NOW()
+            RETURNING *
+        `, [provider, entityType, localId, String(externalId), crmStage ?? null, crmStage !== undefined]);
+        return result.rows[0];
+    }
+
+    async getCrmDealLinks(provider) {
+        const result = await pool.query(
+            `SELECT * FROM crm_links WHERE provider = $1 AND entity_type = 'deal' ORDER BY id`,
+            [provider]
+        );
+        return result.rows;
+    }
+
+    async updateCrmLinkStage(id, crmStage) {
+        await pool.query(
+            'UPDATE crm_links SET crm_stage = $2, stage_changed_at = NOW() WHERE id = $1',
+            [id, crmStage]
+        );
+    }
+
+    // CRM records of a folder's companies and prospects
+    async getFolderCrmLinks(folderId, provider) {
         const result = await pool.query(`
-            INSERT INTO notifications (type, title, message, link)
+            SELECT l.* FROM crm_links l
+            WHERE l.provider = $2 AND (
+                (l.entity_type = 'company' AND l.local_id IN (SELECT company_id FROM jobs WHERE folder_id = $1))
+                OR (l.entity_type IN ('contact', 'deal') AND l.local_id IN (SELECT id FROM prospects WHERE folder_id = $1))
+            )
+            ORDER BY l.entity_type, l.local_id
+        `, [folderId, provider]);
+        return result.rows;
+    }
+
+    // ===== BACKGROUND TASK METHODS =====
+
+    async createTask(taskType, folderId, companyId = null, total = null) {
+        const result = await pool.query(`
+            INSERT INTO background_tasks (task_type, folder_id, company_id, total)
             VALUES ($1, $2, $3, $4)
             RETURNING *
-        `, [type, title, message, link]);
+        `, [taskType, folderId, companyId, total]);
+        return result.rows[0];
+    }
+
+    async updateTaskStatus(id, status, progress = null, errorMessage = null) {
+        const updates = ['status = $1', 'updated_at = NOW()'];
+        const values = [status];
+        let paramIndex = 1;
+
+        if (status === 'processing' && progress === 0) {
+            updates.push('started_at = NOW()');
+        }
+
+        if (status === 'completed' || status === 'failed') {
+            updates.push('completed_at = NOW()');
+        }
+
+        if (progress !== null) {
+            paramIndex++;
+            updates.push(`progress = $${paramIndex}`);
+            values.push(progress);
+        }
+
+        if (errorMessage !== null) {
+            paramIndex++;
+            updates.push(`error_message = $${paramIndex}`);
+            values.push(errorMessage);
+        }
+
+        // Add id as the last parameter
+        paramIndex++;
+        values.push(id);
+
+        await pool.query(
+            `UPDATE background_tasks SET ${updates.join(', ')} WHERE id = $${paramIndex}`,
+            values
+        );
+    }
+
+    // Set the task's total, and its progress too when `progress` is given
+    async setTaskTotal(id, total, progress = null) {
+        await pool.query(
+            'UPDATE background_tasks SET total = $1, progress = COALESCE($3, progress), updated_at = NOW() WHERE id = $2',
+            [total, id, progress]
+        );
+    }
+
+    // One more unit of work done, e.g. a contact lookup answered by webhook after the task ran
+    async advanceTaskProgress(id, count = 1) {
+        await pool.query(
+            'UPDATE background_tasks SET progress = LEAST(COALESCE(progress, 0) + $1, COALESCE(total, progress + $1)), updated_at = NOW() WHERE id = $2',
+            [count, id]
+        );
+    }
+
+    async updateTaskResult(id, result) {
+        await pool.query(
+            'UPDATE background_tasks SET result = $1 WHERE id = $2',
+            [JSON.stringify(result), id]
+        );
+    }
+
+    // One rejected AI response ({ task, model, attempt, errors, final, at })
+    async appendTaskValidationError(id, entry) {
+        await pool.query(`
+            UPDATE background_tasks
+            SET validation_errors = COALESCE(validation_errors, '[]'::jsonb) || jsonb_build_array($1::jsonb)
+            WHERE id = $2
+        `, [JSON.stringify(entry), id]);
+    }
+
+    async getTask(id) {
+        const result = await pool.query('SELECT * FROM background_tasks WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async getTasksByFolder(folderId) {
+        const result = await pool.query(
+            'SELECT * FROM background_tasks WHERE folder_id = $1 ORDER BY created_at DESC',
+            [folderId]
+        );
+        return result.rows;
+    }
+
+    // Tasks of the workspace's folders (tasks without a folder belong to no workspace)
+    async getActiveTasks(workspaceId) {
+        const result = await pool.query(`
+            SELECT t.* FROM background_tasks t
+            JOIN folders f ON f.id = t.folder_id
+            WHERE t.status IN ('pending', 'processing') AND f.workspace_id = $1
+            ORDER BY t.created_at ASC
+        `, [workspaceId]);
+        return result.rows;
+    }
+
+    async getRecentTasks(workspaceId, limit = 20) {
+        const result = await pool.query(`
+            SELECT t.* FROM background_tasks t
+            JOIN folders f ON f.id = t.folder_id
+            WHERE f.workspace_id = $1
+            ORDER BY t.created_at DESC LIMIT $2
+        `, [workspaceId, limit]);
+        return result.rows;
+    }
+
+    // ===== TASK QUEUE METHODS =====
+
+    async enqueueTask(taskType, payload = {}, options = {}) {
+        const {
+            folderId = null,
+            companyId = null,
+            total = null,
+            dedupeKey = null,
+            maxAttempts = 3,
+            delayMs = 0
+        } = options;
+
+        // Returns null when an active task with the same dedupe key already exists
+        const result = await pool.query(`
+            INSERT INTO background_tasks (
+                task_type, folder_id, company_id, total, payload, dedupe_key, max_attempts, run_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + ($8 * INTERVAL '1 millisecond'))
+            ON CONFLICT (task_type, dedupe_key) WHERE status IN ('pending', 'processing')
+            DO NOTHING
+            RETURNING *
+        `, [taskType, folderId, companyId, total, JSON.stringify(payload), dedupeKey, maxAttempts, delayMs]);
+        return result.rows[0] || null;
+    }
+
+    async getActiveTaskByKey(taskType, dedupeKey) {
+        const result = await pool.query(`
+            SELECT * FROM background_tasks
+            WHERE task_type = $1 AND dedupe_key = $2 AND status IN ('pending', 'processing')
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [taskType, dedupeKey]);
+        return result.rows[0] || null;
+    }
+
+    async claimNextTask(workerId, leaseMs, taskTypes) {
+        const result = await pool.query(`
+            UPDATE background_tasks
+            SET status = 'processing',
+                attempts = attempts + 1,
+                locked_by = $1,
+                locked_at = NOW(),
+                lease_expires_at = NOW() + ($2 * INTERVAL '1 millisecond'),
+                started_at = COALESCE(started_at, NOW()),
+                updated_at = NOW()
+            WHERE id = (
+                SELECT id FROM background_tasks
+                WHERE status = 'pending'
+                AND run_at <= NOW()
+                AND task_type = ANY($3)
+                ORDER BY run_at ASC, id ASC
+                FOR UPDATE SKIP LOCKED
+                LIMIT 1
+            )
+            RETURNING *
+        `, [workerId, leaseMs, taskTypes]);
+        return result.rows[0] || null;
+    }
+
+    async heartbeatTask(id, workerId, leaseMs) {
+        const result = await pool.query(`
+            UPDATE background_tasks
+            SET lease_expires_at = NOW() + ($1 * INTERVAL '1 millisecond'),
+                updated_at = NOW()
+            WHERE id = $2 AND locked_by = $3 AND status = 'processing'
+            RETURNING id
+        `, [leaseMs, id, workerId]);
+        return result.rows.length > 0;
+    }
+
+    async completeTask(id, workerId, taskResult = null) {
+        await pool.query(`
+            UPDATE background_tasks
+            SET status = 'completed',
+                result = $1,
+                error_message = NULL,
+                locked_by = NULL,
+                lease_expires_at = NULL,
+                completed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $2 AND locked_by = $3
+        `, [JSON.stringify(taskResult), id, workerId]);
+    }
+
+    async retryTask(id, workerId, errorMessage, delayMs) {
+        await pool.query(`
+            UPDATE background_tasks
+            SET status = 'pending',
+                error_message = $1,
+                run_at = NOW() + ($2 * INTERVAL '1 millisecond'),
+                locked_by = NULL,
+                lease_expires_at = NULL,
+                updated_at = NOW()
+            WHERE id = $3 AND locked_by = $4
+        `, [errorMessage, delayMs, id, workerId]);
+    }
+
+    async failTask(id, workerId, errorMessage) {
+        await pool.query(`
+            UPDATE background_tasks
+            SET status = 'failed',
+                error_message = $1,
+                locked_by = NULL,
+                lease_expires_at = NULL,
+                completed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $2 AND locked_by = $3
+        `, [errorMessage, id, workerId]);
+    }
+
+    // Release tasks whose worker died. Rows without a payload predate the queue
+    // and cannot be resumed, so they are marked failed instead of re-queued.
+    async recoverStaleTasks() {
+        const result = await pool.query(`
+            UPDATE background_tasks
+            SET status = CASE
+                    WHEN payload IS NOT NULL AND attempts < max_attempts THEN 'pending'
+                    ELSE 'failed'
+                END,
+                error_message = CASE
+                    WHEN payload IS NULL THEN 'Interrupted by server restart'
+                    ELSE 'Worker stopped before finishing (lease expired)'
+                END,
+                completed_at = CASE
+                    WHEN payload IS NOT NULL AND attempts < max_attempts THEN NULL
+                    ELSE NOW()
+                END,
+                locked_by = NULL,
+                lease_expires_at = NULL,
+                updated_at = NOW()
+            WHERE status = 'processing'
+            AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+            RETURNING id, status
+        `);
+        return result.rows;
+    }
+
+    // ===== KNOWLEDGE BASE METHODS =====
+
+    // Knowledge belongs to a workspace; sequence drafting and job analysis only use their workspace's
+
+    async addKnowledge(type, title, content, metadata = null, workspaceId) {
+        const result = await pool.query(`
+            INSERT INTO knowledge_base (type, title, content, metadata, workspace_id)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [type, title, content, JSON.stringify(metadata), workspaceId]);
         return result.rows[0];
     }
 
-    async getUnreadNotifications() {
+    async updateKnowledge(id, content, metadata = null) {
+        await pool.query(
+            'UPDATE knowledge_base SET content = $1, metadata = $2, updated_at = NOW() WHERE id = $3',
+            [content, JSON.stringify(metadata), id]
+        );
+    }
+
+    async getKnowledge(id) {
+        const result = await pool.query('SELECT * FROM knowledge_base WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    async getKnowledgeByType(type, workspaceId) {
+        const result = await pool.query(
+            'SELECT * FROM knowledge_base WHERE type = $1 AND workspace_id = $2 ORDER BY created_at DESC',
+            [type, workspaceId]
+        );
+        return result.rows;
+    }
+
+    async getAllKnowledge(workspaceId) {
         const result = await pool.query(
-            'SELECT * FROM notifications WHERE read = false ORDER BY created_at DESC'
+            'SELECT * FROM knowledge_base WHERE workspace_id = $1 ORDER BY type, created_at DESC',
+            [workspaceId]
         );
         return result.rows;
     }
 
-    async markNotificationRead(id) {
-        await pool.query('UPDATE notifications SET read = true WHERE id = $1', [id]);
+    // ===== QUOTA METHODS =====
+
+    async getQuotaLimits() {
+        const result = await pool.query('SELECT * FROM quota_limits ORDER BY scope, scope_key, period');
+        return result.rows;
     }
 
-    async markAllNotificationsRead() {
-        await pool.query('UPDATE notifications SET read = true WHERE read = false');
+    async setQuotaLimit(scope, scopeKey, period, limit, userId = null) {
+        const result = await pool.query(`
+            INSERT INTO quota_limits (scope, scope_key, period, limit_value, updated_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (scope, scope_key, period)
+            DO UPDATE SET limit_value = EXCLUDED.limit_value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+            RETURNING *
+        `, [scope, scopeKey, period, limit, userId]);
+        return result.rows[0];
     }
 
-    async getRecentNotifications(limit = 20) {
+    async deleteQuotaLimit(scope, scopeKey, period) {
         const result = await pool.query(
-            'SELECT * FROM notifications ORDER BY created_at DESC LIMIT $1',
-            [limit]
+            'DELETE FROM quota_limits WHERE scope = $1 AND scope_key = $2 AND period = $3',
+            [scope, scopeKey, period]
         );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Used and reserved units of each quota ({ scope, scope_key, period,
+     * period_start }, other fields are kept); `client` runs it inside a
+     * transaction.
+     */
+    async getQuotaCounts(quotas, client = pool) {
+        const keys = quotas.map(({ scope, scope_key, period, period_start }) => ({ scope, scope_key, period, period_start }));
+        const [counters, reservations] = await Promise.all([
+            client.query(`
+                SELECT c.scope, c.scope_key, c.period, TO_CHAR(c.period_start, 'YYYY-MM-DD') as period_start, c.used
+                FROM quota_counters c
+                JOIN jsonb_to_recordset($1::jsonb) AS k(scope TEXT, scope_key TEXT, period TEXT, period_start DATE)
+                  ON c.scope = k.scope AND c.scope_key = k.scope_key AND c.period = k.period AND c.period_start = k.period_start
+            `, [JSON.stringify(keys)]),
+            client.query(`
+                SELECT counter->>'scope' as scope, counter->>'scope_key' as scope_key, counter->>'period' as period,
+                       counter->>'period_start' as period_start, SUM(GREATEST(r.amount - r.used, 0))::int as reserved
+                FROM quota_reservations r, jsonb_array_elements(r.counters) counter
+                WHERE r.status = 'active'
+                GROUP BY 1, 2, 3, 4
+            `)
+        ]);
+
+        const same = quota => row => row.scope === quota.scope && row.scope_key === quota.scope_key
+            && row.period === quota.period && row.period_start === quota.period_start;
+        return quotas.map(quota => ({
+            ...quota,
+            used: counters.rows.find(same(quota))?.used || 0,
+            reserved: reservations.rows.find(same(quota))?.reserved || 0
+        }));
+    }
+
+    /**
+     * Reserve up to `amount` units of every quota in `quotas` (each with its
+     * `limit`, null = unlimited): as many as the tightest one has left after
+     * what is used and reserved. Reservations are made one at a time, so two
+     * batches cannot both take the last of a quota. Resolves to { id,
+     * granted, limited_by, quotas }; id is null when nothing was granted.
+     */
+    async reserveQuota({ quotas, amount, taskId = null, userId = null }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`SELECT pg_advisory_xact_lock(hashtext('quota_reservations'))`);
+
+            const counted = await this.getQuotaCounts(quotas, client);
+            let granted = amount;
+            let limitedBy = null;
+            for (const quota of counted) {
+                if (quota.limit === null) continue;
+                const remaining = Math.max(0, quota.limit - quota.used - quota.reserved);
+                if (remaining < granted) {
+                    granted = remaining;
+                    limitedBy = quota;
+                }
+            }
+
+            let id = null;
+            if (granted > 0) {
+                const counters = quotas.map(({ scope, scope_key, period, period_start }) => ({ scope, scope_key, period, period_start }));
+                const result = await client.query(`
+                    INSERT INTO quota_reservations (task_id, user_id, counters, amount)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING id
+                `, [taskId, userId, JSON.stringify(counters), granted]);
+                id = result.rows[0].id;
+            }
+
+            await client.query('COMMIT');
+            return { id, granted, limited_by: limitedBy, quotas: counted };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Count `count` units used against the reservation's quotas (also after it was released)
+    async consumeQuota(reservationId, count = 1) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                'UPDATE quota_reservations SET used = used + $2 WHERE id = $1 RETURNING counters',
+                [reservationId, count]
+            );
+            for (const counter of result.rows[0]?.counters || []) {
+                await client.query(`
+                    INSERT INTO quota_counters (scope, scope_key, period, period_start, used)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (scope, scope_key, period, period_start)
+                    DO UPDATE SET used = quota_counters.used + EXCLUDED.used, updated_at = NOW()
+                `, [counter.scope, counter.scope_key, counter.period, counter.period_start, count]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // What the reservation has not used goes back to its quotas
+    async releaseQuotaReservation(id) {
+        await pool.query(`
+            UPDATE quota_reservations SET status = 'released', released_at = NOW()
+            WHERE id = $1 AND status = 'active'
+        `, [id]);
+    }
+
+    // Active reservations older than `hours` (their batch died), released; resolves to their ids
+    async expireQuotaReservations(hours) {
+        const result = await pool.query(`
+            UPDATE quota_reservations SET status = 'released', released_at = NOW()
+            WHERE status = 'active' AND created_at < NOW() - make_interval(hours => $1)
+            RETURNING id
+        `, [hours]);
+        return result.rows.map(row => row.id);
+    }
+
+    // ===== NOTIFICATION METHODS =====
+
+    // Notifications scope: with folderId, the folder's workspace and owner get it;
+    // with workspaceId, that workspace (and ownerId, if given). Without either it
+    // concerns the whole install (e.g. a budget), and every workspace gets its own copy.
+    // A folder that no longer exists gets no notification.
+    async createNotification(type, title, message, link = null, { folderId = null, workspaceId = null, ownerId = null } = {}) {
+        const result = await pool.query(`
+            INSERT INTO notifications (type, title, message, link, workspace_id, owner_id)
+            SELECT $1, $2, $3, $4, w.id, COALESCE($6, f.owner_id)
+            FROM workspaces w
+            LEFT JOIN folders f ON f.id = $7
+            WHERE w.id = COALESCE($5, f.workspace_id, w.id)
+              AND ($7::int IS NULL OR f.id IS NOT NULL)
+            RETURNING *
+        `, [type, title, message, link, workspaceId, ownerId, folderId]);
+        return result.rows[0] || null;
+    }
+
+    async getUnreadNotifications({ workspaceId, userId }) {
+        const result = await pool.query(`
+            SELECT * FROM notifications
+            WHERE read = false
+              AND workspace_id = $1
+              AND (owner_id IS NULL OR owner_id = $2)
+            ORDER BY created_at DESC
+        `, [workspaceId, userId]);
+        return result.rows;
+    }
+
+    async markNotificationRead(id, { workspaceId, userId }) {
+        await pool.query(`
+            UPDATE notifications SET read = true
+            WHERE id = $1
+              AND workspace_id = $2
+              AND (owner_id IS NULL OR owner_id = $3)
+        `, [id, workspaceId, userId]);
+    }
+
+    async markAllNotificationsRead({ workspaceId, userId }) {
+        await pool.query(`
+            UPDATE notifications SET read = true
+            WHERE read = false
+              AND workspace_id = $1
+              AND (owner_id IS NULL OR owner_id = $2)
+        `, [workspaceId, userId]);
+    }
+
+    async getRecentNotifications({ workspaceId, userId }, limit = 20) {
+        const result = await pool.query(`
+            SELECT * FROM notifications
+            WHERE workspace_id = $1
+              AND (owner_id IS NULL OR owner_id = $2)
+            ORDER BY created_at DESC LIMIT $3
+        `, [workspaceId, userId, limit]);
         return result.rows;
     }
 
     // ===== SEARCH HISTORY METHODS =====
 
-    async saveSearchHistory(query, params, criteria, resultsCount) {
+    // Search history is per user within a workspace. Entries from before
+    // workspaces existed have no owner and stay visible to the whole workspace.
+
+    async saveSearchHistory(query, params, criteria, resultsCount, { workspaceId, userId }) {
         // Remove duplicate (same params)
         await pool.query(
-            'DELETE FROM search_history WHERE params::text = $1::text',
-            [JSON.stringify(params)]
+            'DELETE FROM search_history WHERE params::text = $1::text AND workspace_id = $2 AND owner_id = $3',
+            [JSON.stringify(params), workspaceId, userId]
         );
 
-        const result = await pool.query(
-            'INSERT INTO search_history (query, params, criteria, results_count) VALUES ($1, $2, $3, $4) RETURNING *',
-            [query, JSON.stringify(params), JSON.stringify(criteria), resultsCount]
-        );
+        const result = await pool.query(`
+            INSERT INTO search_history (query, params, criteria, results_count, workspace_id, owner_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [query, JSON.stringify(params), JSON.stringify(criteria), resultsCount, workspaceId, userId]);
 
-        // Keep only last 20 entries
+        // Keep only last 20 entries per user
         await pool.query(`
-            DELETE FROM search_history WHERE id NOT IN (
-                SELECT id FROM search_history ORDER BY created_at DESC LIMIT 20
+            DELETE FROM search_history
+            WHERE workspace_id = $1 AND owner_id = $2 AND id NOT IN (
+                SELECT id FROM search_history
+                WHERE workspace_id = $1 AND owner_id = $2
+                ORDER BY created_at DESC LIMIT 20
             )
-        `);
+        `, [workspaceId, userId]);
 
         return result.rows[0];
     }
 
-    async getSearchHistory(limit = 20) {
+    async getSearchHistory({ workspaceId, userId }, limit = 20) {
+        const result = await pool.query(`
+            SELECT * FROM search_history
+            WHERE workspace_id = $1 AND (owner_id = $2 OR owner_id IS NULL)
+            ORDER BY created_at DESC LIMIT $3
+        `, [workspaceId, userId, limit]);
+        return result.rows;
+    }
+
+    async deleteSearchHistory(id, { workspaceId, userId }) {
+        await pool.query(
+            'DELETE FROM search_history WHERE id = $1 AND workspace_id = $2 AND (owner_id = $3 OR owner_id IS NULL)',
+            [id, workspaceId, userId]
+        );
+    }
+
+    async clearSearchHistory({ workspaceId, userId }) {
+        await pool.query(
+            'DELETE FROM search_history WHERE workspace_id = $1 AND owner_id = $2',
+            [workspaceId, userId]
+        );
+    }
+
+    async getSearchHistoryEntry(id, { workspaceId, userId }) {
         const result = await pool.query(
-            'SELECT * FROM search_history ORDER BY created_at DESC LIMIT $1',
-            [limit]
+            'SELECT * FROM search_history WHERE id = $1 AND workspace_id = $2 AND (owner_id = $3 OR owner_id IS NULL)',
+            [id, workspaceId, userId]
         );
+        return result.rows[0] || null;
+    }
+
+    // ===== SAVED SEARCH METHODS =====
+
+    // Saved searches belong to the workspace they were created in
+    async createSavedSearch({ name, query, params, criteria, schedule, targetFolderId, autoAdd, enabled = true, nextRunAt, workspaceId, ownerId = null }) {
+        const result = await pool.query(`
+            INSERT INTO saved_searches (name, query, params, criteria, schedule, target_folder_id, auto_add, enabled, next_run_at, workspace_id, owner_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING *
+        `, [
+            name,
+            query || null,
+            JSON.stringify(params),
+            criteria ? JSON.stringify(criteria) : null,
+            schedule,
+            targetFolderId || null,
+            !!autoAdd,
+            enabled,
+            nextRunAt,
+            workspaceId,
+            ownerId
+        ]);
+        return result.rows[0];
+    }
+
+    async getSavedSearches(workspaceId) {
+        const result = await pool.query(`
+            SELECT s.*, f.name as target_folder_name,
+                   (SELECT COUNT(*) FROM saved_search_seen_jobs sj WHERE sj.saved_search_id = s.id) as seen_count
+            FROM saved_searches s
+            LEFT JOIN folders f ON s.target_folder_id = f.id
+            WHERE s.workspace_id = $1
+            ORDER BY s.created_at DESC
+        `, [workspaceId]);
         return result.rows;
     }
 
-    async deleteSearchHistory(id) {
-        await pool.query('DELETE FROM search_history WHERE id = $1', [id]);
+    async getSavedSearch(id) {
+        const result = await pool.query(`
+            SELECT s.*, f.name as target_folder_name
+            FROM saved_searches s
+            LEFT JOIN folders f ON s.target_folder_id = f.id
+            WHERE s.id = $1
+        `, [id]);
+        return result.rows[0] || null;
     }
 
-    async clearSearchHistory() {
-        await pool.query('DELETE FROM search_history');
+    async updateSavedSearch(id, updates) {
+        const columns = {
+            name: 'name',
+            schedule: 'schedule',
+            targetFolderId: 'target_folder_id',
+            autoAdd: 'auto_add',
+            enabled: 'enabled',
+            nextRunAt: 'next_run_at'
+        };
+
+        const fields = [];
+        const values = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (updates[key] !== undefined) {
+                values.push(updates[key]);
+                fields.push(`${column} = $${values.length}`);
+            }
+        }
+
+        if (fields.length === 0) {
+            return this.getSavedSearch(id);
+        }
+
+        values.push(id);
+        const result = await pool.query(`
+            UPDATE saved_searches SET ${fields.join(', ')}, updated_at = NOW()
+            WHERE id = $${values.length}
+            RETURNING *
+        `, values);
+        return result.rows[0] || null;
+    }
+
+    async deleteSavedSearch(id) {
+        await pool.query('DELETE FROM saved_searches WHERE id = $1', [id]);
+    }
+
+    async getDueSavedSearches() {
+        const result = await pool.query(`
+            SELECT * FROM saved_searches
+            WHERE enabled = true AND next_run_at <= NOW()
+            ORDER BY next_run_at
+        `);
+        return result.rows;
+    }
+
+    // Move a due saved search to its next run time. Only succeeds while the run
+    // is still due, so when several workers see the same due search just one
+    // of them gets the row back and schedules the run.
+    async claimSavedSearchRun(id, nextRunAt) {
+        const result = await pool.query(`
+            UPDATE saved_searches SET next_run_at = $2
+            WHERE id = $1 AND enabled = true AND next_run_at <= NOW()
+            RETURNING *
+        `, [id, nextRunAt]);
+        return result.rows[0] || null;
+    }
+
+    async recordSavedSearchRun(id, { resultCount, newCount, error = null }) {
+        await pool.query(`
+            UPDATE saved_searches SET
+                last_run_at = NOW(),
+                last_result_count = COALESCE($2, last_result_count),
+                last_new_count = COALESCE($3, last_new_count),
+                last_error = $4
+            WHERE id = $1
+        `, [id, resultCount ?? null, newCount ?? null, error]);
+    }
+
+    // Record job keys as seen and return the ones this saved search had not seen before
+    async markSavedSearchJobsSeen(savedSearchId, jobKeys) {
+        if (jobKeys.length === 0) return [];
+
+        const result = await pool.query(`
+            INSERT INTO saved_search_seen_jobs (saved_search_id, job_key)
+            SELECT $1, unnest($2::text[])
+            ON CONFLICT (saved_search_id, job_key) DO NOTHING
+            RETURNING job_key
+        `, [savedSearchId, jobKeys]);
+        return result.rows.map(row => row.job_key);
+    }
+
+    // ===== JOB ANALYSIS METHODS =====
+
+    async getJobAnalysis(jobKey, workspaceId) {
+        const result = await pool.query('SELECT * FROM job_analyses WHERE job_key = $1 AND workspace_id = $2', [jobKey, workspaceId]);
+        return result.rows[0] || null;
+    }
+
+    async saveJobAnalysis(jobKey, { workspaceId, jobTitle = null, company = null, analysis, model = null }) {
+        const result = await pool.query(`
+            INSERT INTO job_analyses (job_key, job_title, company, analysis, model, workspace_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (workspace_id, job_key) DO UPDATE SET
+                job_title = EXCLUDED.job_title,
+                company = EXCLUDED.company,
+                analysis = EXCLUDED.analysis,
+                model = EXCLUDED.model,
+                updated_at = NOW()
+            RETURNING *
+        `, [jobKey, jobTitle, company, JSON.stringify(analysis), model, workspaceId]);
+        return result.rows[0];
+    }
+
+    // ===== HIRING SIGNAL METHODS =====
+
+    // Upsert a batch of sightings ({ domain, job_key, company_name, job_title, source, is_gtm, posted_at })
+    async recordJobSightings(sightings) {
+        if (sightings.length === 0) return;
+
+        await pool.query(`
+            INSERT INTO company_job_sightings (domain, job_key, company_name, job_title, source, is_gtm, posted_at)
+            SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[], $6::boolean[], $7::timestamp[])
+            ON CONFLICT (domain, job_key) DO UPDATE SET
+                company_name = COALESCE(EXCLUDED.company_name, company_job_sightings.company_name),
+                job_title = EXCLUDED.job_title,
+                is_gtm = EXCLUDED.is_gtm,
+                posted_at = COALESCE(EXCLUDED.posted_at, company_job_sightings.posted_at),
+                last_seen_at = NOW(),
+                seen_count = company_job_sightings.seen_count + 1
+        `, [
+            sightings.map(s => s.domain),
+            sightings.map(s => s.job_key),
+            sightings.map(s => s.company_name),
+            sightings.map(s => s.job_title),
+            sightings.map(s => s.source),
+            sightings.map(s => s.is_gtm),
+            sightings.map(s => s.posted_at)
+        ]);
+    }
+
+    // Of the given domains, those with at least minRoles GTM roles posted (or first seen) in the window
+    async getSurgingDomains(domains, { windowDays, minRoles }) {
+        const result = await pool.query(`
+            SELECT domain,
+                   (array_agg(company_name ORDER BY last_seen_at DESC) FILTER (WHERE company_name IS NOT NULL))[1] as company_name,
+                   COUNT(*)::int as gtm_role_count,
+                   json_agg(job_title ORDER BY COALESCE(posted_at, first_seen_at) DESC) as job_titles
+            FROM company_job_sightings
+            WHERE domain = ANY($1)
+              AND is_gtm = true
+              AND COALESCE(posted_at, first_seen_at) >= NOW() - make_interval(days => $2)
+            GROUP BY domain
+            HAVING COUNT(*) >= $3
+        `, [domains, windowDays, minRoles]);
+        return result.rows;
+    }
+
+    // Returns null when a surge for the domain was already reported to this workspace within the window
+    async recordHiringSurge({ domain, companyName = null, workspaceId = null, folderId = null, roleCount, windowDays, jobTitles = [] }) {
+        const result = await pool.query(`
+            WITH scope AS (
+                SELECT COALESCE($3::int, (SELECT workspace_id FROM folders WHERE id = $4)) as workspace_id
+            )
+            INSERT INTO hiring_surges (domain, company_name, workspace_id, role_count, window_days, job_titles)
+            SELECT $1, $2, scope.workspace_id, $5, $6, $7
+            FROM scope
+            WHERE NOT EXISTS (
+                SELECT 1 FROM hiring_surges hs
+                WHERE hs.domain = $1
+                  AND hs.workspace_id IS NOT DISTINCT FROM scope.workspace_id
+                  AND hs.detected_at >= NOW() - make_interval(days => $6)
+            )
+            RETURNING *
+        `, [domain, companyName, workspaceId, folderId, roleCount, windowDays, JSON.stringify(jobTitles)]);
+        return result.rows[0] || null;
+    }
+
+    // Per-domain role counts, all time and within the window, most GTM roles first
+    async getHiringSignals({ windowDays, minRoles, surgingOnly = false, limit = 50, workspaceId = null }) {
+        const result = await pool.query(`
+            SELECT * FROM (
+                SELECT s.domain,
+                       (array_agg(s.company_name ORDER BY s.last_seen_at DESC) FILTER (WHERE s.company_name IS NOT NULL))[1] as company_name,
+                       COUNT(*)::int as total_roles,
+                       COUNT(*) FILTER (WHERE s.is_gtm)::int as gtm_roles,
+                       COUNT(*) FILTER (WHERE COALESCE(s.posted_at, s.first_seen_at) >= NOW() - make_interval(days => $1))::int as recent_roles,
+                       COUNT(*) FILTER (WHERE s.is_gtm AND COALESCE(s.posted_at, s.first_seen_at) >= NOW() - make_interval(days => $1))::int as recent_gtm_roles,
+                       MIN(s.first_seen_at) as first_seen_at,
+                       MAX(s.last_seen_at) as last_seen_at,
+                       (SELECT MAX(hs.detected_at) FROM hiring_surges hs
+                        WHERE hs.domain = s.domain AND (hs.workspace_id IS NULL OR hs.workspace_id = $5)) as last_surge_at
+                FROM company_job_sightings s
+                GROUP BY s.domain
+            ) signals
+            WHERE NOT $3::boolean OR recent_gtm_roles >= $2
+            ORDER BY recent_gtm_roles DESC, recent_roles DESC, last_seen_at DESC
+            LIMIT $4
+        `, [windowDays, minRoles, surgingOnly, limit, workspaceId]);
+        return result.rows.map(row => ({ ...row, surging: row.recent_gtm_roles >= minRoles }));
+    }
+
+    // One domain: its sightings and weekly counts of newly seen roles
+    async getHiringSignal(domain, { workspaceId = null } = {}) {
+        const [sightings, weekly, surges] = await Promise.all([
+            pool.query(`
+                SELECT job_key, company_name, job_title, source, is_gtm, posted_at, first_seen_at, last_seen_at, seen_count
+                FROM company_job_sightings
+                WHERE domain = $1
+                ORDER BY COALESCE(posted_at, first_seen_at) DESC
+            `, [domain]),
+            pool.query(`
+                SELECT date_trunc('week', COALESCE(posted_at, first_seen_at)) as week,
+                       COUNT(*)::int as roles,
+                       COUNT(*) FILTER (WHERE is_gtm)::int as gtm_roles
+                FROM company_job_sightings
+                WHERE domain = $1
+                GROUP BY week
+                ORDER BY week
+            `, [domain]),
+            pool.query(`
+                SELECT * FROM hiring_surges
+                WHERE domain = $1 AND (workspace_id IS NULL OR workspace_id = $2)
+                ORDER BY detected_at DESC
+            `, [domain, workspaceId])
+        ]);
+
+        if (sightings.rows.length === 0) return null;
+        return { domain, sightings: sightings.rows, weekly: weekly.rows, surges: surges.rows };
+    }
+
+    // ===== USAGE METHODS =====
+
+    async recordApiUsage({
+        provider, model = null, operation, inputTokens = 0, outputTokens = 0, credits = 0, costUsd = 0,
+        latencyMs = null, success = true, error = null,
+        folderId = null, companyId = null, companyDomain = null, workspaceId = null, taskId = null
+    }) {
+        await pool.query(`
+            INSERT INTO api_usage (
+                provider, model, operation, input_tokens, output_tokens, credits, cost_usd, latency_ms, success, error,
+                folder_id, company_id, company_domain, workspace_id, task_id
+            )
+            VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                COALESCE($12::int, (SELECT id FROM companies WHERE domain = $13)),
+                $13,
+                COALESCE($14::int, (SELECT workspace_id FROM folders WHERE id = $11)),
+                $15
+            )
+        `, [
+            provider, model, operation, inputTokens, outputTokens, credits, costUsd, latencyMs, success, error,
+            folderId, companyId, companyDomain, workspaceId, taskId
+        ]);
+    }
+
+    // Spend counted against the monthly budgets
+    // Cost and credits per provider since a date (for budgets)
+    async getUsageTotalsSince(since) {
+        const result = await pool.query(`
+            SELECT provider,
+                   COALESCE(SUM(cost_usd), 0)::float as cost_usd,
+                   COALESCE(SUM(credits), 0)::int as credits
+            FROM api_usage
+            WHERE created_at >= $1
+            GROUP BY provider
+        `, [since]);
+        return result.rows;
+    }
+
+    // Usage aggregated by day, folder or provider (and model). Rows of the workspace
+    // plus unscoped ones (on-demand enrichment, scheduled work without a folder).
+    async getUsage({ groupBy, workspaceId = null, from = null, to = null, provider = null }) {
+        const groups = {
+            day: { select: "date_trunc('day', u.created_at)::date as day", group: '1', order: '1 DESC' },
+            folder: { select: 'u.folder_id, f.name as folder_name', group: 'u.folder_id, f.name', order: 'cost_usd DESC, credits DESC' },
+            provider: { select: 'u.provider, u.model', group: 'u.provider, u.model', order: 'u.provider, cost_usd DESC' }
+        };
+        const { select, group, order } = groups[groupBy];
+
+        const result = await pool.query(`
+            SELECT ${select},
+                   COUNT(*)::int as calls,
+                   COUNT(*) FILTER (WHERE NOT u.success)::int as failures,
+                   COALESCE(SUM(u.input_tokens), 0)::int as input_tokens,
+                   COALESCE(SUM(u.output_tokens), 0)::int as output_tokens,
+                   COALESCE(SUM(u.credits), 0)::int as credits,
+                   COALESCE(SUM(u.cost_usd), 0)::float as cost_usd,
+                   ROUND(AVG(u.latency_ms))::int as avg_latency_ms
+            FROM api_usage u
+            LEFT JOIN folders f ON f.id = u.folder_id
+            WHERE ($1::int IS NULL OR u.workspace_id = $1 OR u.workspace_id IS NULL)
+              AND ($2::timestamp IS NULL OR u.created_at >= $2)
+              AND ($3::timestamp IS NULL OR u.created_at <= $3)
+              AND ($4::text IS NULL OR u.provider = $4)
+            GROUP BY ${group}
+            ORDER BY ${order}
+        `, [workspaceId, from, to, provider]);
+        return result.rows;
+    }
+
+    // ===== AUDIT LOG METHODS =====
+
+    async recordAuditEntry({
+        userId = null, userEmail = null, workspaceId = null, method, route = null, path, statusCode = null,
+        entityType = null, entityId = null, before = null, after = null, changes = null, requestBody = null, ip = null
+    }) {
+        await pool.query(`
+            INSERT INTO audit_log (
+                user_id, user_email, workspace_id, method, route, path, status_code,
+                entity_type, entity_id, before, after, changes, request_body, ip
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `, [
+            userId, userEmail, workspaceId, method, route, path, statusCode,
+            entityType, entityId === null ? null : String(entityId),
+            JSON.stringify(before), JSON.stringify(after), JSON.stringify(changes), JSON.stringify(requestBody), ip
+        ]);
+    }
+
+    // Newest first. Filtering by a prospect also finds the folder deletions that removed it.
+    async getAuditLog({
+        workspaceId, userEmail = null, entityType = null, entityId = null, method = null,
+        route = null, from = null, to = null, limit = 100, offset = 0
+    }) {
+        const result = await pool.query(`
+            SELECT * FROM audit_log
+            WHERE workspace_id = $1
+              AND ($2::text IS NULL OR user_email = $2)
+              AND ($5::text IS NULL OR method = $5)
+              AND ($6::text IS NULL OR route = $6 OR path = $6)
+              AND ($7::timestamp IS NULL OR created_at >= $7)
+              AND ($8::timestamp IS NULL OR created_at <= $8)
+              AND (
+                  $3::text IS NULL
+                  OR (entity_type = $3 AND ($4::text IS NULL OR entity_id = $4))
+                  OR ($11::int IS NOT NULL AND before->'prospect_ids' @> to_jsonb($11::int))
+              )
+            ORDER BY created_at DESC, id DESC
+            LIMIT $9 OFFSET $10
+        `, [
+            workspaceId, userEmail ? userEmail.toLowerCase() : null, entityType, entityId, method,
+            route, from, to, limit, offset,
+            entityType === 'prospect' && /^\d+$/.test(entityId || '') ? parseInt(entityId, 10) : null
+        ]);
+        return result.rows;
+    }
+
+    // Folder plus the ids of what deleting it cascades to, for audit entries
+    async getFolderAuditSnapshot(id) {
+        const result = await pool.query(`
+            SELECT f.*,
+                   COALESCE((SELECT json_agg(j.id ORDER BY j.id) FROM jobs j WHERE j.folder_id = f.id), '[]') as job_ids,
+                   COALESCE((SELECT json_agg(p.id ORDER BY p.id) FROM prospects p WHERE p.folder_id = f.id), '[]') as prospect_ids,
+                   COALESCE((SELECT json_agg(p.id ORDER BY p.id) FROM prospects p
+                             WHERE p.folder_id = f.id AND p.selected = true), '[]') as selected_prospect_ids
+            FROM folders f
+            WHERE f.id = $1
+        `, [id]);
+        return result.rows[0] || null;
+    }
+
+    // ===== PAGE SNAPSHOT METHODS =====
+
+    /**
+     * Store a crawl and its pages ({ url, position, category, status, rendered,
+     * contentHash, htmlBytes, htmlGzip, fetchedAt }), keeping only the
+     * `retain` newest crawls of the domain. Returns the crawl row.
+     */
+    async saveWebsiteCrawl(domain, pages, { retain }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                INSERT INTO website_crawls (domain, company_id, page_count, rendered)
+                VALUES ($1, (SELECT id FROM companies WHERE domain = $1), $2, $3)
+                RETURNING *
+            `, [domain, pages.length, pages.some(page => page.rendered)]);
+            const crawl = result.rows[0];
+
+            for (const page of pages) {
+                await client.query(`
+                    INSERT INTO page_snapshots (
+                        crawl_id, url, position, category, status, rendered,
+                        content_hash, html_bytes, html_gzip, fetched_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                `, [
+                    crawl.id, page.url, page.position, page.category, page.status, page.rendered,
+                    page.contentHash, page.htmlBytes, page.htmlGzip, page.fetchedAt
+                ]);
+            }
+
+            await client.query(`
+                DELETE FROM website_crawls
+                WHERE domain = $1 AND id NOT IN (
+                    SELECT id FROM website_crawls WHERE domain = $1 ORDER BY crawled_at DESC, id DESC LIMIT $2
+                )
+            `, [domain, retain]);
+
+            await client.query('COMMIT');
+            return crawl;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Crawls of a domain, newest first, with their pages' metadata (no HTML)
+    async getWebsiteCrawls(domain, { limit = 10 } = {}) {
+        const result = await pool.query(`
+            SELECT c.*,
+                   COALESCE((
+                       SELECT json_agg(json_build_object(
+                           'url', s.url, 'category', s.category, 'status', s.status, 'rendered', s.rendered,
+                           'content_hash', s.content_hash, 'html_bytes', s.html_bytes,
+                           'gzip_bytes', octet_length(s.html_gzip), 'fetched_at', s.fetched_at
+                       ) ORDER BY s.position)
+                       FROM page_snapshots s WHERE s.crawl_id = c.id
+                   ), '[]') as pages
+            FROM website_crawls c
+            WHERE c.domain = $1
+            ORDER BY c.crawled_at DESC, c.id DESC
+            LIMIT $2
+        `, [domain, limit]);
+        return result.rows;
+    }
+
+    // One crawl (the newest when crawlId is null) with its pages, including the gzipped HTML
+    async getWebsiteCrawl(domain, crawlId = null) {
+        const crawlResult = await pool.query(`
+            SELECT * FROM website_crawls
+            WHERE domain = $1 AND ($2::int IS NULL OR id = $2)
+            ORDER BY crawled_at DESC, id DESC
+            LIMIT 1
+        `, [domain, crawlId]);
+        const crawl = crawlResult.rows[0];
+        if (!crawl) return null;
+
+        const pagesResult = await pool.query(
+            'SELECT * FROM page_snapshots WHERE crawl_id = $1 ORDER BY position',
+            [crawl.id]
+        );
+        return { ...crawl, pages: pagesResult.rows };
+    }
+
+    // ===== SIGNALHIRE LOOKUP METHODS =====
+
+    /**
+     * A pending webhook lookup for the prospect. Returns the row with
+     * `created` false when one is already pending (nothing new to request).
+     */
+    async createSignalHireLookup({ prospectId, taskId = null, folderId = null, item }) {
+        const inserted = await pool.query(`
+            INSERT INTO signalhire_lookups (prospect_id, task_id, folder_id, item)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (prospect_id) WHERE status = 'pending' DO NOTHING
+            RETURNING *
+        `, [prospectId, taskId, folderId, item]);
+        if (inserted.rows[0]) {
+            return { ...inserted.rows[0], created: true };
+        }
+
+        const existing = await pool.query(
+            "SELECT * FROM signalhire_lookups WHERE prospect_id = $1 AND status = 'pending'",
+            [prospectId]
+        );
+        return existing.rows[0] ? { ...existing.rows[0], created: false } : null;
+    }
+
+    async setSignalHireLookupRequest(id, requestId) {
+        await pool.query('UPDATE signalhire_lookups SET request_id = $1 WHERE id = $2', [requestId, id]);
+    }
+
+    async getSignalHireLookup(id) {
+        const result = await pool.query('SELECT * FROM signalhire_lookups WHERE id = $1', [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Move a pending (or expired) lookup to `status`. Resolves to the updated
+     * row, or null when it was already answered (a repeated or concurrent delivery).
+     */
+    async finishSignalHireLookup(id, { status, resultStatus = null, result = null, emailFound = false }) {
+        const updated = await pool.query(`
+            UPDATE signalhire_lookups
+            SET status = $1, result_status = $2, result = $3, email_found = $4, completed_at = NOW()
+            WHERE id = $5 AND status IN ('pending', 'expired')
+            RETURNING *
+        `, [status, resultStatus, result ? JSON.stringify(result) : null, emailFound, id]);
+        return updated.rows[0] || null;
+    }
+
+    // A lookup whose request never reached SignalHire
+    async deleteSignalHireLookup(id) {
+        await pool.query('DELETE FROM signalhire_lookups WHERE id = $1', [id]);
+    }
+
+    // Pending lookups older than `hours`, marked expired; resolves to the expired rows
+    async expireSignalHireLookups(hours) {
+        const result = await pool.query(`
+            UPDATE signalhire_lookups
+            SET status = 'expired', completed_at = NOW()
+            WHERE status = 'pending' AND created_at < NOW() - make_interval(hours => $1)
+            RETURNING *
+        `, [hours]);
+        return result.rows;
+    }
+
+    // Lookups of a task by status ({ pending, completed, failed, expired, email_found })
+    async getSignalHireLookupCounts(taskId) {
+        const result = await pool.query(`
+            SELECT COUNT(*) FILTER (WHERE status = 'pending')::int as pending,
+                   COUNT(*) FILTER (WHERE status = 'completed')::int as completed,
+                   COUNT(*) FILTER (WHERE status = 'failed')::int as failed,
+                   COUNT(*) FILTER (WHERE status = 'expired')::int as expired,
+                   COUNT(*) FILTER (WHERE email_found)::int as email_found
+            FROM signalhire_lookups
+            WHERE task_id = $1
+        `, [taskId]);
+        return result.rows[0];
     }
 }
 
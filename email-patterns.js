@@ -0,0 +1,211 @@
+const PATTERN_CONFIG = {
+    minConfidence: parseInt(process.env.EMAIL_PATTERN_MIN_CONFIDENCE) || 40, // a guess below this is not stored
+    maxCandidates: 3
+};
+
+// Address formats, most common first (ties in inference go to the earlier one)
+export const EMAIL_PATTERNS = {
+    'first.last': ({ first, last }) => last && `${first}.${last}`,
+    'firstlast': ({ first, last }) => last && `${first}${last}`,
+    'first': ({ first }) => first,
+    'flast': ({ first, last }) => last && `${first[0]}${last}`,
+    'f.last': ({ first, last }) => last && `${first[0]}.${last}`,
+    'first_last': ({ first, last }) => last && `${first}_${last}`,
+    'first-last': ({ first, last }) => last && `${first}-${last}`,
+    'firstl': ({ first, last }) => last && `${first}${last[0]}`,
+    'first.l': ({ first, last }) => last && `${first}.${last[0]}`,
+    'last': ({ last }) => last,
+    'last.first': ({ first, last }) => last && `${last}.${first}`,
+    'lastfirst': ({ first, last }) => last && `${last}${first}`,
+    'lastf': ({ first, last }) => last && `${last}${first[0]}`,
+    'fl': ({ first, last }) => last && `${first[0]}${last[0]}`
+};
+
+// Name parts that never appear in addresses
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'mba', 'cpa', 'esq', 'dr', 'mr', 'mrs', 'ms', 'prof']);
+
+/**
+ * First and last name as they would appear in an address: lowercase ASCII,
+ * no titles or suffixes, middle names dropped, "Smith-Jones" as "smithjones".
+ * Returns null when there is not even a first name.
+ */
+export function splitName(name) {
+    const parts = String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '') // accents
+        .toLowerCase()
+        .replace(/\(.*?\)|,.*$/g, ' ') // "Jane Doe (she/her)", "Jane Doe, PhD"
+        .split(/\s+/)
+        .map(part => part.replace(/[^a-z]/g, ''))
+        .filter(part => part && !NAME_SUFFIXES.has(part));
+
+    if (parts.length === 0) return null;
+    return { first: parts[0], last: parts.length > 1 ? parts[parts.length - 1] : null };
+}
+
+// Patterns that produce this local part for this name
+function matchingPatterns(name, local) {
+    const parts = splitName(name);
+    if (!parts) return [];
+    return Object.keys(EMAIL_PATTERNS).filter(pattern => EMAIL_PATTERNS[pattern](parts) === local);
+}
+
+/**
+ * Learn a domain's address format from known { name, email } pairs. An
+ * example that fits several patterns (e.g. a one-letter first name) counts
+ * for each in part. A pattern's confidence is its share of the examples,
+ * discounted for small samples: one example gives 50, 3 of 3 give 75.
+ * Returns { pattern, confidence, sample_size, patterns } (patterns ranked,
+ * each with its weight and confidence), or null without usable examples.
+ */
+export function inferEmailPattern(examples) {
+    const weights = new Map();
+    let sampleSize = 0;
+
+    for (const { name, email } of examples) {
+        const local = String(email || '').toLowerCase().split('@')[0].split('+')[0];
+        const matches = matchingPatterns(name, local);
+        if (matches.length === 0) continue; // a shared or unusual address tells nothing
+
+        sampleSize++;
+        for (const pattern of matches) {
+            weights.set(pattern, (weights.get(pattern) || 0) + 1 / matches.length);
+        }
+    }
+    if (sampleSize === 0) return null;
+
+    const order = Object.keys(EMAIL_PATTERNS);
+    const patterns = [...weights]
+        .sort(([a, weightA], [b, weightB]) => weightB - weightA || order.indexOf(a) - order.indexOf(b))
+        .map(([pattern, weight]) => ({
+            pattern,
+            weight: Math.round(weight * 100) / 100,
+            confidence: Math.round(100 * (weight / sampleSize) * (sampleSize / (sampleSize + 1)))
+        }));
+
+    return {
+        pattern: patterns[0].pattern,
+        confidence: patterns[0].confidence,
+        sample_size: sampleSize,
+        patterns
+    };
+}
+
+/**
+ * Candidate addresses for a person at the domain, one per learned pattern,
+ * best first: [{ email, pattern, confidence }].
+ */
+export function generateEmailCandidates(name, domain, inference, limit = PATTERN_CONFIG.maxCandidates) {
+    const parts = splitName(name);
+    if (!parts || !inference) return [];
+
+    const candidates = [];
+    for (const { pattern, confidence } of inference.patterns) {
+        const local = EMAIL_PATTERNS[pattern](parts);
+        const email = local && `${local}@${domain.toLowerCase()}`;
+        if (email && !candidates.some(candidate => candidate.email === email)) {
+            candidates.push({ email, pattern, confidence });
+        }
+    }
+    return candidates.slice(0, limit);
+}
+
+/**
+ * EmailPatternService guesses emails the contact providers could not find.
+ * It learns each company's address format from the verified emails of its
+ * prospects (across all folders), stores it on the company
+ * (`email_pattern`), and gives prospects without an email the best
+ * candidate for their name, marked `email_guessed` with every candidate in
+ * `email_candidates`.
+ *
+ * Guesses are verified like any other email; candidates an SMTP probe
+ * rejects are passed over. A guess is never `valid` without an SMTP probe,
+ * so it is not exported or sent unless unverified emails are included, and
+ * a provider email found later replaces it.
+ */
+export class EmailPatternService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.emailVerification = options.emailVerification || null; // EmailVerificationService instance (optional)
+        this.minConfidence = options.minConfidence || PATTERN_CONFIG.minConfidence;
+    }
+
+    registerTaskHandlers(queue) {
+        queue.register('email_guessing', task => this.guessFolder(task.folder_id, task));
+    }
+
+    // Re-learn the company's address format and store it; null when no verified email fits a pattern
+    async learnPattern(companyId, domain) {
+        const examples = await this.db.getVerifiedCompanyEmails(companyId, domain);
+        const inference = inferEmailPattern(examples);
+        const pattern = inference ? { ...inference, domain, learned_at: new Date().toISOString() } : null;
+
+        await this.db.saveEmailPattern(companyId, pattern);
+        return pattern;
+    }
+
+    /**
+     * Guess an email for a prospect that has none (or only a guessed one).
+     * `pattern` skips re-learning the company's. Resolves to { email,
+     * confidence, candidates, verification } or null when the company's
+     * pattern is unknown or too uncertain.
+     */
+    async guessProspectEmail(prospect, { pattern } = {}) {
+        if (prospect.email && !prospect.email_guessed) return null;
+
+        pattern = pattern !== undefined ? pattern : await this.learnPattern(prospect.company_id, prospect.company_domain);
+        const candidates = generateEmailCandidates(prospect.name, prospect.company_domain, pattern)
+            .filter(candidate => candidate.confidence >= this.minConfidence);
+        if (candidates.length === 0) return null;
+
+        // With an SMTP probe, a rejected candidate makes way for the next one
+        let chosen = candidates[0];
+        let verification = null;
+        if (this.emailVerification) {
+            for (const candidate of candidates) {
+                const result = await this.emailVerification.verify(candidate.email);
+                if (result.status !== 'invalid') {
+                    chosen = candidate;
+                    verification = result;
+                    break;
+                }
+                candidate.rejected = true;
+            }
+            if (!verification) return null;
+        }
+
+        const sources = { ...(prospect.contact_sources || {}), email: 'pattern' };
+        const saved = await this.db.saveGuessedEmail(prospect.id, chosen.email, candidates, sources);
+        if (!saved) return null;
+        if (verification) {
+            await this.db.saveEmailVerification(prospect.id, chosen.email, verification);
+        }
+
+        return { email: chosen.email, confidence: chosen.confidence, candidates, verification };
+    }
+
+    /**
+     * `email_guessing` task: guess emails for the folder's selected prospects
+     * that have none, or re-guess guessed ones with what is known now.
+     */
+    async guessFolder(folderId, task) {
+        const prospects = (await this.db.getSelectedProspects(folderId)).filter(p => !p.email || p.email_guessed);
+        await this.db.setTaskTotal(task.id, prospects.length);
+
+        const patterns = new Map(); // company id -> learned pattern, once per task
+        let guessed = 0;
+        let processed = 0;
+
+        for (const prospect of prospects) {
+            if (!patterns.has(prospect.company_id)) {
+                patterns.set(prospect.company_id, await this.learnPattern(prospect.company_id, prospect.company_domain));
+            }
+            if (await this.guessProspectEmail(prospect, { pattern: patterns.get(prospect.company_id) })) guessed++;
+
+            processed++;
+            await this.db.updateTaskStatus(task.id, 'processing', processed);
+        }
+
+        console.log(`[EmailPattern] Guessed ${guessed}/${prospects.length} emails in folder ${folderId}`);
+        return { guessed_count: guessed, total: prospects.length };
+    }
+}
@@ -0,0 +1,285 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import os from 'os';
+
+const VERIFY_CONFIG = {
+    smtpProbe: process.env.EMAIL_VERIFY_SMTP === 'true',
+    smtpTimeoutMs: parseInt(process.env.EMAIL_VERIFY_SMTP_TIMEOUT_MS) || 10000,
+    heloHost: process.env.EMAIL_VERIFY_HELO_HOST || os.hostname(),
+    mailFrom: process.env.EMAIL_VERIFY_MAIL_FROM || null,
+    allowRisky: process.env.EMAIL_ALLOW_RISKY === 'true',
+    domainCacheMs: 6 * 60 * 60 * 1000 // MX records and catch-all results per domain
+};
+
+// valid: deliverable; risky: deliverable but doubtful (catch-all domain, role address);
+// invalid: will bounce or must not be mailed; unknown: could not be checked
+export const EMAIL_STATUSES = ['valid', 'risky', 'invalid', 'unknown'];
+
+// Throwaway mailbox services
+const DISPOSABLE_DOMAINS = new Set([
+    '10minutemail.com', '20minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+    'mailinator.com', 'mailinator.net', 'maildrop.cc', 'yopmail.com', 'yopmail.net', 'trashmail.com',
+    'trashmail.de', 'tempmail.com', 'temp-mail.org', 'tempmailo.com', 'throwawaymail.com', 'getnada.com',
+    'dispostable.com', 'fakeinbox.com', 'mintemail.com', 'mohmal.com', 'emailondeck.com', 'spamgourmet.com',
+    'mailnesia.com', 'burnermail.io', 'mytemp.email', 'moakt.com', 'tempr.email', 'discard.email', 'inboxkitten.com'
+]);
+
+// Local parts that reach a team or a system rather than a person
+const ROLE_LOCAL_PARTS = new Set([
+    'admin', 'administrator', 'billing', 'careers', 'contact', 'enquiries', 'help', 'hello', 'hi', 'hr', 'info',
+    'inquiries', 'jobs', 'legal', 'mail', 'marketing', 'media', 'news', 'newsletter', 'no-reply', 'noreply',
+    'office', 'orders', 'postmaster', 'press', 'privacy', 'recruiting', 'sales', 'security', 'support', 'team',
+    'webmaster'
+]);
+
+// Confidence (0-100) that mail to the address is delivered to the intended person
+const CONFIDENCE = {
+    smtpAccepted: 95,
+    providerVerified: 80,
+    catchAll: 50,
+    role: 40,
+    mxOnly: 40,
+    unknown: 20,
+    invalid: 0
+};
+
+// RFC 5321 limits; a pragmatic pattern rather than the full RFC 5322 grammar
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+export function checkEmailSyntax(email) {
+    const value = String(email || '').trim();
+    const [local] = value.split('@');
+    return value.length <= 254 && local.length <= 64 && EMAIL_PATTERN.test(value);
+}
+
+/**
+ * Whether a prospect's email may be exported or sent to: `valid`, or also
+ * `risky` when EMAIL_ALLOW_RISKY is set. Unverified emails (no status yet)
+ * are not, unless `includeUnverified`.
+ */
+export function isSendableEmail(prospect, { includeUnverified = false, allowRisky = VERIFY_CONFIG.allowRisky } = {}) {
+    if (!prospect?.email) return false;
+    if (includeUnverified) return true;
+    return prospect.email_status === 'valid' || (allowRisky && prospect.email_status === 'risky');
+}
+
+/**
+ * Ask the mail server whether it accepts each recipient, without sending:
+ * EHLO, MAIL FROM, one RCPT TO per recipient, QUIT. Resolves to the RCPT
+ * reply code per recipient; rejects on connection errors and timeouts.
+ */
+export function probeSmtp(host, recipients, { timeoutMs, heloHost, mailFrom }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port: 25 });
+        const commands = [
+            `EHLO ${heloHost}`,
+            `MAIL FROM:<${mailFrom}>`,
+            ...recipients.map(recipient => `RCPT TO:<${recipient}>`)
+        ];
+        const codes = [];
+        let buffer = '';
+        let step = -1; // -1: waiting for the greeting
+
+        const finish = (error) => {
+            clearTimeout(timer);
+            socket.removeAllListeners('data');
+            if (!socket.destroyed) {
+                socket.end('QUIT\r\n');
+                socket.destroy();
+            }
+            error ? reject(error) : resolve(codes);
+        };
+        const timer = setTimeout(() => finish(new Error(`SMTP probe of ${host} timed out`)), timeoutMs);
+
+        socket.setEncoding('utf8');
+        socket.on('error', finish);
+        socket.on('data', chunk => {
+            buffer += chunk;
+            // A reply is complete at a line with a space after the code ("250 OK", not "250-SIZE")
+            const lines = buffer.split('\r\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!/^\d{3} /.test(line)) continue;
+                const code = parseInt(line.slice(0, 3));
+
+                if (step >= 2) codes.push(code);
+                if (step < 2 && code >= 400) {
+                    return finish(new Error(`SMTP ${host} refused the probe: ${line}`));
+                }
+
+                step++;
+                if (step >= commands.length) return finish();
+                socket.write(`${commands[step]}\r\n`);
+            }
+        });
+    });
+}
+
+/**
+ * EmailVerificationService checks contact emails before they are used:
+ * syntax, disposable and role addresses, MX records and, with
+ * EMAIL_VERIFY_SMTP=true, an SMTP probe of the mailbox and of a random
+ * address at the same domain (a domain that accepts both is catch-all).
+ * The outcome (status, confidence 0-100 and every check) is stored on the
+ * prospect; export and outreach skip emails that are not `valid` by default.
+ *
+ * `resolveMx` and `probeSmtp` can be passed in to check without network access.
+ */
+export class EmailVerificationService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.resolveMx = options.resolveMx || (domain => dns.promises.resolveMx(domain));
+        this.probeSmtp = options.probeSmtp || probeSmtp;
+        this.smtpProbe = options.smtpProbe ?? VERIFY_CONFIG.smtpProbe;
+        this.smtpOptions = {
+            timeoutMs: options.smtpTimeoutMs || VERIFY_CONFIG.smtpTimeoutMs,
+            heloHost: options.heloHost || VERIFY_CONFIG.heloHost,
+            mailFrom: options.mailFrom || VERIFY_CONFIG.mailFrom || `verify@${options.heloHost || VERIFY_CONFIG.heloHost}`
+        };
+        this.domainCache = new Map(); // domain -> { mx, catchAll, expiresAt }
+    }
+
+    registerTaskHandlers(queue) {
+        queue.register('email_verification', task => this.verifyFolder(task.folder_id, task));
+    }
+
+    /**
+     * Verify one address. `providerVerified` is what the contact provider
+     * said (SignalHire's `email_verified`), used when no SMTP probe decides.
+     * Resolves to { status, confidence, reason, checks }.
+     */
+    async verify(email, { providerVerified = null } = {}) {
+        const address = String(email || '').trim().toLowerCase();
+        const checks = {
+            syntax: checkEmailSyntax(address),
+            disposable: null,
+            role: null,
+            mx: null,
+            mx_host: null,
+            smtp: null,
+            catch_all: null,
+            provider_verified: providerVerified
+        };
+        const outcome = (status, confidence, reason) => ({ status, confidence, reason, checks });
+
+        if (!checks.syntax) return outcome('invalid', CONFIDENCE.invalid, 'syntax');
+
+        const [local, domain] = address.split('@');
+        checks.disposable = DISPOSABLE_DOMAINS.has(domain);
+        checks.role = ROLE_LOCAL_PARTS.has(local.split('+')[0]); // sales+eu@ is still sales@
+        if (checks.disposable) return outcome('invalid', CONFIDENCE.invalid, 'disposable');
+
+        const domainInfo = await this.getDomainInfo(domain);
+        checks.mx = domainInfo.mx;
+        checks.mx_host = domainInfo.mxHost;
+        if (domainInfo.mx === false) return outcome('invalid', CONFIDENCE.invalid, 'no_mx');
+        if (domainInfo.mx === null) return outcome('unknown', CONFIDENCE.unknown, 'dns_error');
+
+        if (this.smtpProbe) {
+            await this.probeMailbox(address, domain, domainInfo, checks);
+            if (checks.smtp === 'rejected') return outcome('invalid', CONFIDENCE.invalid, 'mailbox_rejected');
+        }
+
+        if (checks.catch_all) return outcome('risky', CONFIDENCE.catchAll, 'catch_all');
+        if (checks.smtp === 'accepted') {
+            return checks.role
+                ? outcome('risky', CONFIDENCE.role, 'role_address')
+                : outcome('valid', CONFIDENCE.smtpAccepted, 'smtp_accepted');
+        }
+        if (providerVerified === true) {
+            return checks.role
+                ? outcome('risky', CONFIDENCE.role, 'role_address')
+                : outcome('valid', CONFIDENCE.providerVerified, 'provider_verified');
+        }
+        if (checks.role) return outcome('risky', CONFIDENCE.role, 'role_address');
+        return outcome('unknown', CONFIDENCE.mxOnly, 'mailbox_unconfirmed');
+    }
+
+    // MX lookup (cached per domain): mx is true, false (no mail server) or null (DNS failed)
+    async getDomainInfo(domain) {
+        const cached = this.domainCache.get(domain);
+        if (cached && cached.expiresAt > Date.now()) return cached;
+
+        let info;
+        try {
+            const records = (await this.resolveMx(domain)) || [];
+            const sorted = records.filter(record => record.exchange).sort((a, b) => a.priority - b.priority);
+            info = { mx: sorted.length > 0, mxHost: sorted[0]?.exchange || null, catchAll: null };
+        } catch (error) {
+            const missing = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code);
+            info = { mx: missing ? false : null, mxHost: null, catchAll: null };
+        }
+
+        // DNS failures are not cached, the next address may get through
+        if (info.mx !== null) {
+            this.domainCache.set(domain, { ...info, expiresAt: Date.now() + VERIFY_CONFIG.domainCacheMs });
+        }
+        return info;
+    }
+
+    // RCPT TO the address, and a random one at the same domain unless its catch-all status is known
+    async probeMailbox(address, domain, domainInfo, checks) {
+        const recipients = [address];
+        if (domainInfo.catchAll === null) {
+            recipients.push(`${crypto.randomBytes(8).toString('hex')}@${domain}`);
+        }
+
+        let codes;
+        try {
+            codes = await this.probeSmtp(domainInfo.mxHost, recipients, this.smtpOptions);
+        } catch (error) {
+            console.log(`[EmailVerify] SMTP probe of ${domain} failed: ${error.message}`);
+            return;
+        }
+
+        const [addressCode, randomCode] = codes;
+        checks.smtp = addressCode >= 200 && addressCode < 300 ? 'accepted'
+            : addressCode >= 500 ? 'rejected'
+                : null; // 4xx: greylisted or temporarily unavailable
+
+        if (randomCode !== undefined && randomCode < 400) {
+            domainInfo.catchAll = true;
+        } else if (randomCode >= 500) {
+            domainInfo.catchAll = false;
+        }
+        checks.catch_all = checks.smtp === 'rejected' ? false : domainInfo.catchAll;
+
+        const cached = this.domainCache.get(domain);
+        if (cached) cached.catchAll = domainInfo.catchAll;
+    }
+
+    // Verify a prospect's current email and store the outcome on the prospect
+    async verifyProspect(prospect, { providerVerified = null } = {}) {
+        if (!prospect.email) return null;
+
+        const result = await this.verify(prospect.email, {
+            providerVerified: providerVerified ?? prospect.email_checks?.provider_verified ?? null
+        });
+        await this.db.saveEmailVerification(prospect.id, prospect.email, result);
+        return result;
+    }
+
+    /**
+     * `email_verification` task: (re-)verify the emails of a folder's
+     * selected prospects.
+     */
+    async verifyFolder(folderId, task) {
+        const prospects = (await this.db.getSelectedProspects(folderId)).filter(p => p.email);
+        await this.db.setTaskTotal(task.id, prospects.length);
+
+        const counts = Object.fromEntries(EMAIL_STATUSES.map(status => [status, 0]));
+        let processed = 0;
+
+        for (const prospect of prospects) {
+            const result = await this.verifyProspect(prospect);
+            counts[result.status]++;
+
+            processed++;
+            await this.db.updateTaskStatus(task.id, 'processing', processed);
+        }
+
+        console.log(`[EmailVerify] Verified ${prospects.length} emails in folder ${folderId}: ${EMAIL_STATUSES.map(s => `${counts[s]} ${s}`).join(', ')}`);
+        return { verified_count: prospects.length, ...counts };
+    }
+}
@@ -0,0 +1,233 @@
+// When a completed company profile is refreshed
+const REFRESH_CONFIG = {
+    autoRefresh: process.env.ENRICHMENT_AUTO_REFRESH !== 'false',
+    maxAgeDays: parseInt(process.env.ENRICHMENT_MAX_AGE_DAYS) || 60,
+    refreshOnNewJob: process.env.ENRICHMENT_REFRESH_ON_NEW_JOB !== 'false',
+    newJobMinAgeDays: parseInt(process.env.ENRICHMENT_NEW_JOB_MIN_AGE_DAYS) || 7,
+    batchSize: parseInt(process.env.ENRICHMENT_REFRESH_BATCH) || 10,
+    requeueAfterHours: 24 // a refresh that failed is not re-queued sooner
+};
+
+// How often each worker looks for stale companies
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Growth signals that are about money coming in
+const FUNDING_PATTERN = /\b(rais(e|ed|es|ing)|funding|funded|series [a-f]|seed|pre-seed|investors?|investment|backed|valuation|ipo|acquired|acquisition)\b/i;
+
+function normalize(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Items of `after` not in `before`, compared case- and whitespace-insensitively
+function newItems(before, after) {
+    const seen = new Set((before || []).map(normalize));
+    return (after || []).filter(item => normalize(item) && !seen.has(normalize(item)));
+}
+
+function leadersByName(profile) {
+    const leaders = new Map();
+    for (const person of [...(profile?.founders || []), ...(profile?.leadership_team || [])]) {
+        const key = normalize(person?.name);
+        if (key && !leaders.has(key)) {
+            leaders.set(key, { name: person.name.trim(), title: person.title || null });
+        }
+    }
+    return leaders;
+}
+
+/**
+ * What changed between two enriched_data profiles: leaders who appeared or
+ * are no longer listed, new funding-related growth signals, new products and
+ * new customers. Returns null when there is no usable previous profile
+ * (none, or one written when the site could not be fetched).
+ */
+export function summarizeProfileChanges(before, after) {
+    if (!before || !after || before.fetch_failed) return null;
+
+    const oldLeaders = leadersByName(before);
+    const newLeaders = leadersByName(after);
+
+    return {
+        compared_to: before.scrape_timestamp || null,
+        new_leaders: [...newLeaders].filter(([key]) => !oldLeaders.has(key)).map(([, leader]) => leader),
+        departed_leaders: [...oldLeaders].filter(([key]) => !newLeaders.has(key)).map(([, leader]) => leader),
+        new_funding: newItems(before.growth_signals, after.growth_signals).filter(signal => FUNDING_PATTERN.test(signal)),
+        new_products: newItems(before.products, after.products),
+        new_customers: newItems(before.customers, after.customers)
+    };
+}
+
+export function hasProfileChanges(changes) {
+    return !!changes && ['new_leaders', 'departed_leaders', 'new_funding', 'new_products', 'new_customers']
+        .some(key => changes[key].length > 0);
+}
+
+function listOf(items, limit = 3) {
+    return items.slice(0, limit).join(', ') + (items.length > limit ? ', ...' : '');
+}
+
+// One line per kind of change, for the notification
+export function describeProfileChanges(changes) {
+    const person = leader => leader.title ? `${leader.name} (${leader.title})` : leader.name;
+    const lines = [];
+
+    if (changes.new_leaders.length > 0) lines.push(`New leaders: ${listOf(changes.new_leaders.map(person))}`);
+    if (changes.new_funding.length > 0) lines.push(`Funding: ${listOf(changes.new_funding, 2)}`);
+    if (changes.new_products.length > 0) lines.push(`New products: ${listOf(changes.new_products)}`);
+    if (changes.new_customers.length > 0) lines.push(`New customers: ${listOf(changes.new_customers)}`);
+    if (changes.departed_leaders.length > 0) lines.push(`No longer listed: ${listOf(changes.departed_leaders.map(person))}`);
+
+    return lines.join('. ');
+}
+
+/**
+ * EnrichmentRefreshService keeps completed company profiles current. A
+ * company is re-enriched (a `company_refresh` task) when its profile is
+ * older than ENRICHMENT_MAX_AGE_DAYS, found by an hourly scheduler, and when
+ * one of its jobs is added to a folder while the profile is at least
+ * ENRICHMENT_NEW_JOB_MIN_AGE_DAYS old.
+ *
+ * The refreshed profile is compared with the previous one; the changes are
+ * stored on the company (`enrichment_changes`) and, when there are any, sent
+ * as a `company_changes` notification to every workspace with one of the
+ * company's jobs in a folder.
+ */
+export class EnrichmentRefreshService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.enricher = options.enricher; // CompanyEnricher instance
+        this.queue = options.queue; // JobQueue instance
+        this.leadScoring = options.leadScoring || null; // LeadScoringService instance (optional)
+
+        this.autoRefresh = options.autoRefresh ?? REFRESH_CONFIG.autoRefresh;
+        this.maxAgeDays = options.maxAgeDays || REFRESH_CONFIG.maxAgeDays;
+        this.refreshOnNewJob = options.refreshOnNewJob ?? REFRESH_CONFIG.refreshOnNewJob;
+        this.newJobMinAgeDays = options.newJobMinAgeDays || REFRESH_CONFIG.newJobMinAgeDays;
+        this.batchSize = options.batchSize || REFRESH_CONFIG.batchSize;
+    }
+
+    registerTaskHandlers(queue) {
+        queue.register('company_refresh', task => this.refreshCompany(task), {
+            spends: ['llm']
+        });
+
+        if (this.autoRefresh) {
+            queue.registerPeriodic('enrichment_refresh_scheduler', SCHEDULER_INTERVAL_MS, () => this.scheduleStaleCompanies());
+        }
+    }
+
+    // The policy in effect, for GET /api/companies/:domain
+    getFreshness(company) {
+        if (company.enrichment_status !== 'completed' || !company.enriched_at) {
+            return { stale: false, refresh_due_at: null };
+        }
+
+        const dueAt = new Date(new Date(company.enriched_at).getTime() + this.maxAgeDays * DAY_MS);
+        return {
+            stale: this.autoRefresh && dueAt.getTime() <= Date.now(),
+            refresh_due_at: this.autoRefresh ? dueAt.toISOString() : null
+        };
+    }
+
+    /**
+     * Enqueue a refresh for up to ENRICHMENT_REFRESH_BATCH companies whose
+     * profile is older than the maximum age, oldest first.
+     */
+    async scheduleStaleCompanies() {
+        const stale = await this.db.getStaleCompanies({
+            maxAgeDays: this.maxAgeDays,
+            requeueAfterHours: REFRESH_CONFIG.requeueAfterHours,
+            limit: this.batchSize
+        });
+
+        for (const company of stale) {
+            await this.enqueueRefresh(company, { reason: 'max_age' });
+        }
+
+        if (stale.length > 0) {
+            console.log(`[Refresh] Queued ${stale.length} companies enriched more than ${this.maxAgeDays} days ago`);
+        }
+        return { queued_count: stale.length };
+    }
+
+    // A job of an already enriched company was added to a folder
+    async onJobAdded(company, folderId) {
+        if (!this.refreshOnNewJob || company.enrichment_status !== 'completed' || !company.enriched_at) {
+            return null;
+        }
+        if (Date.now() - new Date(company.enriched_at).getTime() < this.newJobMinAgeDays * DAY_MS) {
+            return null;
+        }
+
+        return this.enqueueRefresh(company, { reason: 'new_job', folderId });
+    }
+
+    async enqueueRefresh(company, { reason, folderId = null }) {
+        await this.db.markRefreshQueued(company.id);
+        return this.queue.enqueue(
+            'company_refresh',
+            { domain: company.domain, company_name: company.name, reason },
+            { folderId, companyId: company.id, total: 1, dedupeKey: `refresh:${company.domain}` }
+        );
+    }
+
+    async refreshCompany(task) {
+        const { domain, reason } = task.payload;
+
+        // Companies that were never enriched (or failed) go through company_enrichment instead
+        const company = await this.db.getCompany(domain);
+        if (!company || company.enrichment_status !== 'completed') {
+            console.log(`[Refresh] ${domain} is not enriched, skipping`);
+            return { skipped: true };
+        }
+
+        let result;
+        try {
+            result = await this.enricher.enrich(domain, company.name, { refresh: true });
+        } catch (error) {
+            error.retryable = this.enricher.isRetryableError(error);
+            throw error;
+        }
+        if (result.status !== 'completed') {
+            return { skipped: true }; // being enriched in this process already
+        }
+
+        const changes = summarizeProfileChanges(company.enriched_data, result.data);
+        await this.db.saveEnrichmentChanges(company.id, changes);
+        await this.updateLeadScore(company.id);
+
+        if (hasProfileChanges(changes)) {
+            await this.notifyChanges(company, changes);
+        }
+
+        console.log(`[Refresh] Refreshed ${domain} (${reason})${hasProfileChanges(changes) ? `: ${describeProfileChanges(changes)}` : ', no notable changes'}`);
+        return { reason, changes };
+    }
+
+    async notifyChanges(company, changes) {
+        const folders = await this.db.getCompanyWorkspaceFolders(company.id);
+
+        for (const { workspace_id: workspaceId, folder_id: folderId } of folders) {
+            await this.db.createNotification(
+                'company_changes',
+                'Company Update',
+                `${company.name}: ${describeProfileChanges(changes)}`,
+                `/folders/${folderId}`,
+                { workspaceId, folderId }
+            );
+        }
+    }
+
+    // Scoring problems never fail a refresh
+    async updateLeadScore(companyId) {
+        if (!this.leadScoring) return;
+
+        try {
+            await this.leadScoring.rescoreCompany(companyId);
+        } catch (error) {
+            console.error(`[Refresh] Failed to update lead score for company ${companyId}:`, error.message);
+        }
+    }
+}
@@ -1,41 +1,43 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import axios from 'axios';
-import * as cheerio from 'cheerio';
+import { COMPANY_PROFILE_SCHEMA } from './ai-schemas.js';
+import { WebsiteCrawler } from './website-crawler.js';
 
+// Retry scheduling and backoff live in the job queue (job-queue.js);
+// this only caps attempts per company across all tasks
 const RETRY_CONFIG = {
-    maxAttempts: 3,
-    baseDelayMs: 5000,
-    maxDelayMs: 60000,
-    backoffMultiplier: 2
+    maxAttempts: 3
 };
 
-// SignalHire API configuration
-const SIGNALHIRE_API_URL = 'https://www.signalhire.com/api/v1';
-
 export class CompanyEnricher {
     constructor(options = {}) {
         const {
-            anthropicClient = null,
-            geminiApiKey = null,
+            llm = null,
+            contacts = null,
             db,
-            signalHireApiKey = null
+            snapshots = null
         } = options;
 
-        this.anthropic = anthropicClient;
+        this.llm = llm; // LLMGateway instance
+        this.contacts = contacts; // ContactDataService instance (optional, company fallback and contact lookups)
+        this.snapshots = snapshots; // PageSnapshotService instance (optional, keeps crawled pages)
         this.db = db;
-        this.signalHireApiKey = signalHireApiKey || process.env.SIGNALHIRE_API_KEY;
+        this.crawler = options.crawler || new WebsiteCrawler({ renderer: options.renderer });
         this.processingQueue = new Set();
 
-        if (!this.anthropic) {
-            console.warn('[Enrichment] WARNING: No Claude API key configured. Company enrichment will not work.');
+        if (!this.llm?.isAvailable('company_enrichment')) {
+            console.warn('[Enrichment] WARNING: No LLM provider configured. Company enrichment will not work.');
         } else {
             console.log('[Enrichment] Company enricher initialized');
             console.log('[Enrichment] Scraping: Axios + Cheerio (fast HTML parsing)');
-            console.log('[Enrichment] Structuring: Claude 3.5 Haiku (fast & cost-effective)');
+            console.log(`[Enrichment] Structuring: ${this.llm.getRoute('company_enrichment').map(({ provider, model }) => `${provider}:${model}`).join(' → ')}`);
         }
     }
 
-    async enrich(domain, companyName) {
+    /**
+     * Crawl and extract a company profile. With `refresh` (re-enriching a
+     * completed company, see enrichment-refresh.js) the company stays
+     * `completed` throughout and a failure keeps the previous profile.
+     */
+    async enrich(domain, companyName, { refresh = false } = {}) {
         // Prevent duplicate processing
         if (this.processingQueue.has(domain)) {
             console.log(`[Enrichment] ${domain} already processing, skipping`);
@@ -47,23 +49,29 @@ export class CompanyEnricher {
 
         try {
             // Update status to processing
-            this.db.updateEnrichmentStatus(domain, 'processing');
+            if (!refresh) {
+                await this.db.updateEnrichmentStatus(domain, 'processing');
+            }
 
             // Step 1: Fetch website content
             console.log(`[Enrichment] Fetching website content for ${domain}`);
             const websiteContent = await this.fetchWebsiteContent(domain);
 
+            if (Object.keys(websiteContent).length === 0 && refresh) {
+                throw new Error(`No website content fetched for ${domain}, keeping the previous profile`);
+            }
+
             if (Object.keys(websiteContent).length === 0) {
                 console.log(`[Enrichment] No content fetched for ${domain}, trying SignalHire fallback`);
 
                 // Try SignalHire as fallback
-                if (this.signalHireApiKey) {
-                    const signalHireData = await this.fetchFromSignalHire(domain, companyName);
+                if (this.contacts) {
+                    const signalHireData = await this.fetchFromContactProvider(domain, companyName);
 
                     if (signalHireData) {
                         console.log(`[Enrichment] ✓ Got company data from SignalHire for ${domain}`);
                         const enrichedData = this.parseSignalHireCompanyData(signalHireData, domain, companyName);
-                        this.db.saveEnrichedData(domain, enrichedData);
+                        await this.db.saveEnrichedData(domain, enrichedData);
                         return { status: 'completed', data: enrichedData, source: 'signalhire' };
                     }
                 }
@@ -77,62 +85,52 @@ export class CompanyEnricher {
                     fetch_failed: true,
                     cloudflare_blocked: true
                 };
-                this.db.saveEnrichedData(domain, enrichedData);
+                await this.db.saveEnrichedData(domain, enrichedData);
                 return { status: 'completed', data: enrichedData, partial: true };
             }
 
-            // Step 2: Use AI to extract structured data (Gemini or Claude)
-            console.log(`[Enrichment] Extracting data with ${this.useGemini ? 'Gemini' : 'Claude'} for ${domain}`);
+            // Keep the raw pages first, so a failed extraction can be re-run without re-crawling
+            const crawl = await this.saveSnapshot(domain, websiteContent);
+
+            // Step 2: Use AI to extract structured data
+            console.log(`[Enrichment] Extracting data with AI for ${domain}`);
             const enrichedData = await this.extractWithAI(domain, companyName, websiteContent);
+            enrichedData.snapshot_crawl_id = crawl?.id ?? null;
 
             // Step 3: Save to database
-            this.db.saveEnrichedData(domain, enrichedData);
+            await this.db.saveEnrichedData(domain, enrichedData);
             console.log(`[Enrichment] Successfully enriched ${domain}`);
 
             return { status: 'completed', data: enrichedData };
 
         } catch (error) {
             console.error(`[Enrichment] Error enriching ${domain}:`, error.message);
-            this.db.recordEnrichmentError(domain, error.message);
+            if (!refresh) {
+                await this.db.recordEnrichmentError(domain, error.message);
+            }
             throw error;
         } finally {
             this.processingQueue.delete(domain);
         }
     }
 
+    // Runs one enrichment attempt. The job queue re-runs the task with backoff,
+    // so failures are only tagged with whether another attempt is worthwhile.
     async enrichWithRetry(domain, companyName) {
-        const company = this.db.getCompany(domain);
+        const company = await this.db.getCompany(domain);
         const attempts = company?.enrichment_attempts || 0;
 
         if (attempts >= RETRY_CONFIG.maxAttempts) {
             console.log(`[Enrichment] Max retry attempts exceeded for ${domain}`);
-            throw new Error(`Max retry attempts (${RETRY_CONFIG.maxAttempts}) exceeded`);
+            const error = new Error(`Max retry attempts (${RETRY_CONFIG.maxAttempts}) exceeded`);
+            error.retryable = false;
+            throw error;
         }
 
         try {
             return await this.enrich(domain, companyName);
         } catch (error) {
-            this.db.incrementAttempts(domain);
-
-            const isRetryable = this.isRetryableError(error);
-
-            if (isRetryable && attempts + 1 < RETRY_CONFIG.maxAttempts) {
-                const delay = Math.min(
-                    RETRY_CONFIG.baseDelayMs * Math.pow(RETRY_CONFIG.backoffMultiplier, attempts),
-                    RETRY_CONFIG.maxDelayMs
-                );
-
-                console.log(`[Enrichment] Retrying ${domain} in ${delay}ms (attempt ${attempts + 2})`);
-
-                setTimeout(() => {
-                    this.enrichWithRetry(domain, companyName).catch(err => {
-                        console.error(`[Enrichment] Retry failed for ${domain}:`, err.message);
-                    });
-                }, delay);
-
-                return { status: 'retrying', nextAttemptIn: delay };
-            }
-
+            error.retryable = this.isRetryableError(error);
             throw error;
         }
     }
@@ -153,181 +151,22 @@ export class CompanyEnricher {
         return retryablePatterns.some(pattern => pattern.test(error.message));
     }
 
+    // Crawl the company website (robots.txt, sitemap, prioritized pages; see website-crawler.js)
     async fetchWebsiteContent(domain) {
-        console.log(`[Enrichment] Starting web scraping for ${domain}`);
-
-        // Prioritize key pages only - homepage and about page
-        const pagesToFetch = [
-            `https://${domain}`,
-            `https://www.${domain}`,
-            `https://${domain}/about`,
-            `https://www.${domain}/about`,
-            `https://${domain}/about-us`,
-            `https://${domain}/company`
-        ];
-
-        const results = {};
-
-        // Fetch all URLs in parallel using axios with proper timeout
-        const fetchPromises = pagesToFetch.map(async (url) => {
-            try {
-                const response = await axios.get(url, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                    },
-                    timeout: 10000, // 10 second timeout per request
-                    maxRedirects: 5,
-                    validateStatus: (status) => status === 200 // Only accept 200 OK
-                });
-
-                if (response.data) {
-                    // Check for Cloudflare or bot protection
-                    const html = response.data;
-                    const isBlocked = this.isBlockedByProtection(html);
-
-                    if (isBlocked) {
-                        console.log(`[Enrichment] ✗ Bot protection detected on ${url} (Cloudflare/similar)`);
-                        return; // Skip this URL
-                    }
-
-                    const extractedData = this.extractTextWithCheerio(html, url);
-
-                    if (extractedData.text.length > 100) { // Only save if we got meaningful content
-                        results[url] = extractedData;
-                        console.log(`[Enrichment] ✓ Scraped ${url}: ${extractedData.text.length} chars, ${extractedData.headings.length} headings`);
-                    }
-                }
-            } catch (error) {
-                // Skip failed URLs silently - this is expected for many pages
-                if (error.code === 'ECONNABORTED') {
-                    console.log(`[Enrichment] ✗ Timeout: ${url}`);
-                }
-                // Silently skip other errors
-            }
-        });
-
-        // Wait for all fetches to complete with a global timeout
-        await Promise.race([
-            Promise.allSettled(fetchPromises),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Global timeout')), 15000))
-        ]).catch(() => {
-            console.log(`[Enrichment] Global timeout reached for ${domain}`);
-        });
-
-        console.log(`[Enrichment] Scraping complete for ${domain}: ${Object.keys(results).length} pages fetched`);
-        return results;
-    }
-
-    isBlockedByProtection(html) {
-        // Check for common bot protection indicators
-        const blockingIndicators = [
-            /cloudflare/i,
-            /cf-ray/i,
-            /challenge-platform/i,
-            /captcha/i,
-            /bot protection/i,
-            /access denied/i,
-            /ddos-guard/i,
-            /perimeterx/i,
-            /datadome/i,
-            /just a moment/i,
-            /checking your browser/i,
-            /security check/i
-        ];
-
-        return blockingIndicators.some(pattern => pattern.test(html));
-    }
-
-    extractTextWithCheerio(html, url) {
-        const $ = cheerio.load(html);
-
-        // Remove unwanted elements
-        $('script, style, noscript, iframe, svg, nav, footer, header[role="banner"]').remove();
-
-        // Extract metadata
-        const title = $('title').text().trim();
-        const metaDescription = $('meta[name="description"]').attr('content') || '';
-
-        // Extract headings for structure
-        const headings = [];
-        $('h1, h2, h3').each((_, elem) => {
-            const text = $(elem).text().trim();
-            if (text && text.length < 200) {
-                headings.push(text);
-            }
-        });
-
-        // Extract main content
-        // Priority: main tag, article tag, or body
-        let mainContent = $('main, article, [role="main"]').first();
-        if (mainContent.length === 0) {
-            mainContent = $('body');
-        }
-
-        // Get text content with structure preserved
-        let text = mainContent
-            .find('p, li, h1, h2, h3, h4, span, div')
-            .map((_, elem) => $(elem).text().trim())
-            .get()
-            .filter(text => text.length > 20 && text.length < 1000) // Filter out too short/long
-            .join('\n')
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .replace(/\n\s*\n/g, '\n') // Remove multiple newlines
-            .trim();
-
-        // If we didn't get much content, fall back to body text
-        if (text.length < 500) {
-            text = $('body').text()
-                .replace(/\s+/g, ' ')
-                .trim();
-        }
-
-        // Limit content size
-        text = text.substring(0, 30000);
-
-        return {
-            url: url,
-            title: title,
-            metaDescription: metaDescription,
-            headings: headings.slice(0, 10), // Top 10 headings
-            text: text
-        };
+        return this.crawler.crawl(domain);
     }
 
-    // === SignalHire Fallback Methods ===
+    // === Contact Provider Fallback Methods ===
 
-    async fetchFromSignalHire(domain, companyName) {
-        if (!this.signalHireApiKey) {
+    // Company profile from a contact provider (SignalHire) when the website cannot be crawled
+    async fetchFromContactProvider(domain, companyName) {
+        if (!this.contacts) {
             return null;
         }
 
-        try {
-            console.log(`[Enrichment] Fetching company data from SignalHire for ${companyName}`);
-
-            const response = await axios.post('https://www.signalhire.com/api/v1/search/companies', {
-                name: companyName,
-                domain: domain,
-                limit: 1
-            }, {
-                headers: {
-                    'apikey': this.signalHireApiKey,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                timeout: 10000
-            });
-
-            if (response.data && response.data.items && response.data.items.length > 0) {
-                return response.data.items[0];
-            }
-
-            return null;
-        } catch (error) {
-            console.error(`[Enrichment] SignalHire API error for ${domain}:`, error.message);
-            return null;
-        }
+        console.log(`[Enrichment] Fetching company data from contact providers for ${companyName}`);
+        const found = await this.contacts.findCompany({ name: companyName, domain });
+        return found?.data || null;
     }
 
     parseSignalHireCompanyData(signalHireData, domain, companyName) {
@@ -367,23 +206,28 @@ export class CompanyEnricher {
         return enrichedData;
     }
 
-    // Build the extraction prompt for Claude (using scraped data)
+    // Build the extraction prompt (using scraped data)
     buildExtractionPrompt(domain, companyName, websiteContent) {
-        const contentSummary = Object.entries(websiteContent)
+        // Pages arrive in priority order (homepage, team, about, customers, ...);
+        // each gets an equal share so the later ones are not truncated away
+        const maxContentLength = 50000;
+        const pages = Object.entries(websiteContent);
+        const maxPageLength = Math.floor(maxContentLength / Math.max(pages.length, 1));
+
+        const contentSummary = pages
             .map(([url, data]) => {
-                let summary = `=== ${url} ===\n`;
+                let summary = `=== ${url}${data.category ? ` (${data.category})` : ''} ===\n`;
                 if (data.title) summary += `Title: ${data.title}\n`;
                 if (data.metaDescription) summary += `Meta: ${data.metaDescription}\n`;
                 if (data.headings && data.headings.length > 0) {
                     summary += `Headings: ${data.headings.join(' | ')}\n`;
                 }
-                summary += `\nContent:\n${data.text}`;
+                summary += `\nContent:\n${data.text.substring(0, maxPageLength)}`;
                 return summary;
             })
             .join('\n\n');
 
-        // Truncate if too long (Gemini has larger context, but let's be consistent)
-        const maxContentLength = 50000;
+        // Truncate if still too long (titles and headings are not counted in the shares)
         const truncatedContent = contentSummary.length > maxContentLength
             ? contentSummary.substring(0, maxContentLength) + '\n\n[Content truncated...]'
             : contentSummary;
@@ -455,128 +299,96 @@ SPECIAL FOCUS ON TARGET CONTACTS:
 Return ONLY the JSON object, no additional text or markdown formatting.`;
     }
 
-    // Rotate to next Gemini API key
-    rotateGeminiKey() {
-        if (this.geminiKeys.length <= 1) {
-            console.log('[Enrichment] No other Gemini API keys to rotate to');
-            return false;
-        }
-
-        this.currentGeminiKeyIndex = (this.currentGeminiKeyIndex + 1) % this.geminiKeys.length;
-        const newKey = this.geminiKeys[this.currentGeminiKeyIndex];
-
-        console.log(`[Enrichment] Rotating to Gemini API key ${this.currentGeminiKeyIndex + 1}/${this.geminiKeys.length}`);
-
-        this.gemini = new GoogleGenerativeAI(newKey);
-        this.geminiModel = this.gemini.getGenerativeModel({ model: 'gemini-2.0-flash' });
+    // Snapshot storage problems never fail an enrichment
+    async saveSnapshot(domain, websiteContent) {
+        if (!this.snapshots) return null;
 
-        return true;
-    }
-
-    // Use Claude Haiku for structuring scraped data (faster and cheaper)
-    async extractWithAI(domain, companyName, websiteContent) {
-        if (!this.anthropic) {
-            throw new Error('Claude API key required for company enrichment');
+        try {
+            return await this.snapshots.saveCrawl(domain, websiteContent);
+        } catch (error) {
+            console.error(`[Enrichment] Failed to store page snapshots for ${domain}:`, error.message);
+            return null;
         }
-
-        console.log(`[Enrichment] Using Claude Haiku to structure scraped data for ${domain}`);
-        return await this.extractWithClaude(domain, companyName, websiteContent);
     }
 
-    // Extract using Google Gemini (with key rotation on failure)
-    async extractWithGemini(domain, companyName, websiteContent) {
-        const prompt = this.buildExtractionPrompt(domain, companyName, websiteContent);
-
-        let lastError = null;
-        const maxKeyAttempts = this.geminiKeys.length;
+    /**
+     * Re-run AI extraction on a stored crawl (the latest, or `crawlId`)
+     * without fetching the site, e.g. after a prompt change or with another
+     * `model` ("provider:model"). Saves and returns the new enriched data.
+     */
+    async reextract(domain, { crawlId = null, model = null } = {}) {
+        if (!this.snapshots) {
+            throw this.createError('Page snapshots are not enabled', 503);
+        }
 
-        for (let attempt = 0; attempt < maxKeyAttempts; attempt++) {
-            try {
-                const result = await this.geminiModel.generateContent(prompt);
-                const response = await result.response;
-                const responseText = response.text();
+        const company = await this.db.getCompany(domain);
+        if (!company) {
+            throw this.createError('Company not found', 404);
+        }
+        if (this.processingQueue.has(domain)) {
+            throw this.createError(`${domain} is being enriched right now`, 409);
+        }
 
-                return this.parseAIResponse(responseText, websiteContent);
-            } catch (error) {
-                lastError = error;
-
-                // Check error type
-                const isInvalidKeyError = error.message?.includes('API key') ||
-                                        error.message?.includes('API_KEY_INVALID') ||
-                                        error.status === 400;
-
-                const isQuotaError = error.status === 429 ||
-                                   error.message?.includes('quota') ||
-                                   error.message?.includes('Too Many Requests');
-
-                // Rotate on invalid key or quota error
-                if ((isInvalidKeyError || isQuotaError) && attempt < maxKeyAttempts - 1) {
-                    const errorType = isQuotaError ? 'quota exceeded' : 'invalid key';
-                    console.log(`[Enrichment] Gemini ${errorType}, rotating to next key (attempt ${attempt + 1}/${maxKeyAttempts})`);
-                    this.rotateGeminiKey();
-                } else {
-                    // Not a recoverable error or no more keys to try
-                    if (isQuotaError && attempt === maxKeyAttempts - 1) {
-                        console.log(`[Enrichment] All ${maxKeyAttempts} Gemini API keys have exceeded quota`);
-                    }
-                    break;
-                }
-            }
+        const snapshot = await this.snapshots.loadCrawl(domain, crawlId);
+        if (!snapshot) {
+            throw this.createError(crawlId ? `Crawl ${crawlId} not found for ${domain}` : `No stored pages for ${domain}, enrich it first`, 404);
         }
 
-        // All keys failed, throw the last error
-        throw lastError;
+        this.processingQueue.add(domain);
+        try {
+            console.log(`[Enrichment] Re-extracting ${domain} from crawl ${snapshot.crawl.id}${model ? ` with ${model}` : ''}`);
+            const enrichedData = await this.extractWithAI(domain, company.name, snapshot.content, { model });
+            enrichedData.snapshot_crawl_id = snapshot.crawl.id;
+            enrichedData.reextracted_at = new Date().toISOString();
+
+            await this.db.saveEnrichedData(domain, enrichedData);
+            return {
+                crawl: snapshot.crawl,
+                previous_model: company.enriched_data?.ai_provider ?? null,
+                data: enrichedData
+            };
+        } finally {
+            this.processingQueue.delete(domain);
+        }
     }
 
-    // Extract using Anthropic Claude
-    async extractWithClaude(domain, companyName, websiteContent) {
-        const prompt = this.buildExtractionPrompt(domain, companyName, websiteContent);
-
-        const response = await this.anthropic.messages.create({
-            model: 'claude-3-5-haiku-20241022', // Use Haiku - faster and cheaper for structuring
-            max_tokens: 4096,
-            messages: [{
-                role: 'user',
-                content: prompt
-            }]
-        });
-
-        const responseText = response.content[0].text;
-        return this.parseAIResponse(responseText, websiteContent);
+    createError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
     }
 
-    // Parse Claude response
-    parseAIResponse(responseText, websiteContent) {
-        // Parse JSON from response
-        try {
-            // Handle potential markdown code blocks
-            let jsonStr = responseText;
-            const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-            if (jsonMatch) {
-                jsonStr = jsonMatch[1];
-            }
+    // Structure the scraped pages with the company_enrichment model (see llm-gateway.js).
+    // Output that still fails COMPANY_PROFILE_SCHEMA after repairs throws, so it is never saved.
+    async extractWithAI(domain, companyName, websiteContent, { model = null } = {}) {
+        if (!this.llm) {
+            throw new Error('An LLM provider is required for company enrichment');
+        }
 
-            const enrichedData = JSON.parse(jsonStr);
+        const prompt = this.buildExtractionPrompt(domain, companyName, websiteContent);
+        const { data, model: usedModel } = await this.llm.completeJson('company_enrichment', prompt, COMPANY_PROFILE_SCHEMA, { maxTokens: 4096, model });
+        console.log(`[Enrichment] Structured scraped data for ${domain} with ${usedModel}`);
 
-            // Add metadata about scraping
-            enrichedData.pages_scraped = Object.keys(websiteContent);
-            enrichedData.scrape_timestamp = new Date().toISOString();
-            enrichedData.ai_provider = 'claude-haiku';
-            enrichedData.scraping_method = 'cheerio';
+        return this.buildEnrichedData(data, websiteContent, usedModel);
+    }
 
-            return enrichedData;
-        } catch (parseError) {
-            console.error('[Enrichment] Failed to parse Claude response:', parseError.message);
-            console.error('[Enrichment] Response was:', responseText.substring(0, 500));
-            throw new Error(`Failed to parse AI response: ${parseError.message}`);
-        }
+    // Add metadata about scraping to the validated profile
+    buildEnrichedData(profile, websiteContent, model) {
+        return {
+            ...profile,
+            pages_scraped: Object.keys(websiteContent),
+            scrape_timestamp: Object.values(websiteContent)[0]?.fetched_at || new Date().toISOString(),
+            ai_provider: model,
+            scraping_method: Object.values(websiteContent).some(page => page.rendered) ? 'playwright' : 'cheerio'
+        };
     }
 
-    // === SignalHire Contact Enrichment Methods ===
+    // === Contact Enrichment Methods ===
 
-    async enrichContactsWithSignalHire(contacts, companyDomain) {
-        if (!this.signalHireApiKey) {
-            console.log('[Enrichment] SignalHire API key not configured, skipping contact enrichment');
+    // Look up each contact through the contact provider waterfall (see contact-providers.js)
+    async enrichContacts(contacts, companyDomain) {
+        if (!this.contacts?.isAvailable()) {
+            console.log('[Enrichment] No contact provider configured, skipping contact enrichment');
             return contacts.map(c => ({ ...c, contact_enriched: false }));
         }
 
@@ -584,10 +396,9 @@ Return ONLY the JSON object, no additional text or markdown formatting.`;
 
         for (const contact of contacts) {
             try {
-                const enrichedContact = await this.lookupContactSignalHire(contact, companyDomain);
-                enrichedContacts.push(enrichedContact);
+                enrichedContacts.push(await this.contacts.findContact({ ...contact, domain: companyDomain }));
 
-                // Rate limiting - SignalHire has 600 requests/minute limit
+                // Stay well under provider rate limits (SignalHire: 600 requests/minute)
                 await this.delay(150);
             } catch (error) {
                 console.error(`[Enrichment] Failed to enrich contact ${contact.name}:`, error.message);
@@ -598,165 +409,13 @@ Return ONLY the JSON object, no additional text or markdown formatting.`;
         return enrichedContacts;
     }
 
-    async lookupContactSignalHire(contact, companyDomain) {
-        if (!this.signalHireApiKey) {
-            return { ...contact, contact_enriched: false };
-        }
-
-        // Try LinkedIn URL first if available
-        if (contact.linkedin_url) {
-            const result = await this.signalHirePersonLookup({ linkedin_url: contact.linkedin_url });
-            if (result) {
-                return { ...contact, ...result, contact_enriched: true };
-            }
-        }
-
-        // Fall back to name + company search
-        if (contact.name) {
-            const result = await this.signalHireSearch({
-                name: contact.name,
-                company: companyDomain,
-                title: contact.title
-            });
-            if (result) {
-                return { ...contact, ...result, contact_enriched: true };
-            }
-        }
-
-        return { ...contact, contact_enriched: false };
-    }
-
-    async signalHirePersonLookup(params) {
-        try {
-            const queryParams = new URLSearchParams();
-            if (params.linkedin_url) queryParams.set('url', params.linkedin_url);
-            if (params.email) queryParams.set('email', params.email);
-
-            const response = await fetch(`${SIGNALHIRE_API_URL}/candidate/search?${queryParams}`, {
-                method: 'GET',
-                headers: {
-                    'apikey': this.signalHireApiKey,
-                    'Accept': 'application/json'
-                }
-            });
-
-            if (response.status === 200) {
-                const data = await response.json();
-                return this.parseSignalHireResponse(data);
-            } else if (response.status === 201) {
-                // Request accepted, need to poll for results
-                const requestId = response.headers.get('X-Request-Id');
-                return await this.pollSignalHireResult(requestId);
-            }
-
-            return null;
-        } catch (error) {
-            console.error('[SignalHire] Lookup error:', error.message);
-            return null;
-        }
-    }
-
-    async signalHireSearch(params) {
-        try {
-            const response = await fetch(`${SIGNALHIRE_API_URL}/search`, {
-                method: 'POST',
-                headers: {
-                    'apikey': this.signalHireApiKey,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    fullName: params.name,
-                    currentEmployer: params.company,
-                    currentTitle: params.title,
-                    limit: 1
-                })
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.items && data.items.length > 0) {
-                    return this.parseSignalHireSearchResult(data.items[0]);
-                }
-            }
-
-            return null;
-        } catch (error) {
-            console.error('[SignalHire] Search error:', error.message);
-            return null;
-        }
-    }
-
-    async pollSignalHireResult(requestId, maxAttempts = 10) {
-        for (let i = 0; i < maxAttempts; i++) {
-            await this.delay(2000); // Wait 2 seconds between polls
-
-            try {
-                const response = await fetch(`${SIGNALHIRE_API_URL}/candidate/request/${requestId}`, {
-                    method: 'GET',
-                    headers: {
-                        'apikey': this.signalHireApiKey,
-                        'Accept': 'application/json'
-                    }
-                });
-
-                if (response.status === 200) {
-                    const data = await response.json();
-                    return this.parseSignalHireResponse(data);
-                } else if (response.status === 204) {
-                    // Still processing, continue polling
-                    continue;
-                } else {
-                    break;
-                }
-            } catch (error) {
-                console.error('[SignalHire] Poll error:', error.message);
-                break;
-            }
-        }
-
-        return null;
-    }
-
-    parseSignalHireResponse(data) {
-        if (!data) return null;
-
-        return {
-            email: data.emails?.[0]?.email || null,
-            email_verified: data.emails?.[0]?.verified || false,
-            phone: data.phones?.[0]?.phone || null,
-            phone_type: data.phones?.[0]?.type || null,
-            linkedin_url: data.linkedin || null,
-            location: data.location || null,
-            current_company: data.currentEmployer || null,
-            current_title: data.currentTitle || null,
-            profile_photo: data.photo || null,
-            signalhire_id: data.id || null
-        };
-    }
-
-    parseSignalHireSearchResult(item) {
-        if (!item) return null;
-
-        return {
-            signalhire_id: item.id || null,
-            linkedin_url: item.linkedin || null,
-            location: item.location || null,
-            current_company: item.currentEmployer || null,
-            current_title: item.currentTitle || null,
-            profile_photo: item.photo || null,
-            // Note: Search results don't include contact info, need to do a separate lookup
-            needs_full_lookup: true
-        };
-    }
-
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     // Method to enrich contacts for a specific company (can be called separately)
     async enrichCompanyContacts(domain) {
-        const company = this.db.getCompany(domain);
+        const company = await this.db.getCompany(domain);
         if (!company || !company.enriched_data) {
             throw new Error('Company not found or not enriched');
         }
@@ -768,7 +427,7 @@ Return ONLY the JSON object, no additional text or markdown formatting.`;
         }
 
         console.log(`[Enrichment] Enriching ${contacts.length} contacts for ${domain}`);
-        const enrichedContacts = await this.enrichContactsWithSignalHire(contacts, domain);
+        const enrichedContacts = await this.enrichContacts(contacts, domain);
 
         // Update the company record with enriched contacts
         const updatedEnrichedData = {
@@ -777,7 +436,7 @@ Return ONLY the JSON object, no additional text or markdown formatting.`;
             contacts_enriched_at: new Date().toISOString()
         };
 
-        this.db.saveEnrichedData(domain, updatedEnrichedData);
+        await this.db.saveEnrichedData(domain, updatedEnrichedData);
         console.log(`[Enrichment] Contact enrichment completed for ${domain}`);
 
         return enrichedContacts;
@@ -0,0 +1,97 @@
+import { normalizeTitle } from './job-sources.js';
+import { isGtmRole } from './lead-scoring.js';
+
+// A surge: at least minRoles GTM roles posted (or first seen) within windowDays
+const SURGE_CONFIG = {
+    minRoles: parseInt(process.env.HIRING_SURGE_MIN_ROLES) || 3,
+    windowDays: parseInt(process.env.HIRING_SURGE_WINDOW_DAYS) || 30
+};
+
+/**
+ * HiringSignalService keeps a per-company record of every job seen in any
+ * search (interactive or saved), not only the ones filed into folders: when
+ * each role was first and last seen and whether it is a GTM role. A role is
+ * its company domain and normalized title (as in JobSearchService.dedupeKey),
+ * so one posting listed by several sources or publishers counts once.
+ *
+ * After recording, companies whose GTM roles cross the surge threshold get a
+ * `hiring_surge` notification, at most once per window for each workspace.
+ */
+export class HiringSignalService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.minRoles = options.minRoles || SURGE_CONFIG.minRoles;
+        this.windowDays = options.windowDays || SURGE_CONFIG.windowDays;
+    }
+
+    /**
+     * Record normalized jobs (the /api/jobs/search shape). `workspaceId` (or
+     * the workspace of `folderId`) is where surge notifications go.
+     * Returns { recorded_count, surges }.
+     */
+    async recordJobs(jobs, { workspaceId = null, folderId = null } = {}) {
+        const sightings = new Map();
+        for (const job of jobs) {
+            const domain = (job.company_domain || job.company_object?.domain || '').toLowerCase();
+            if (!domain || !job.job_title) continue;
+
+            const jobKey = normalizeTitle(job.job_title);
+            if (!jobKey || sightings.has(`${domain}|${jobKey}`)) continue; // same role from two sources
+
+            const postedAt = Date.parse(job.date_posted);
+            sightings.set(`${domain}|${jobKey}`, {
+                domain,
+                job_key: jobKey,
+                company_name: job.company_object?.name || job.company || null,
+                job_title: job.job_title,
+                source: job.source || null,
+                is_gtm: isGtmRole(job.job_title),
+                posted_at: Number.isNaN(postedAt) ? null : new Date(postedAt).toISOString()
+            });
+        }
+
+        if (sightings.size === 0) {
+            return { recorded_count: 0, surges: [] };
+        }
+
+        await this.db.recordJobSightings([...sightings.values()]);
+
+        const gtmDomains = [...new Set([...sightings.values()].filter(s => s.is_gtm).map(s => s.domain))];
+        const surges = gtmDomains.length > 0 ? await this.detectSurges(gtmDomains, { workspaceId, folderId }) : [];
+
+        return { recorded_count: sightings.size, surges };
+    }
+
+    async detectSurges(domains, { workspaceId, folderId }) {
+        const candidates = await this.db.getSurgingDomains(domains, {
+            windowDays: this.windowDays,
+            minRoles: this.minRoles
+        });
+
+        const surges = [];
+        for (const candidate of candidates) {
+            const surge = await this.db.recordHiringSurge({
+                domain: candidate.domain,
+                companyName: candidate.company_name,
+                workspaceId,
+                folderId,
+                roleCount: candidate.gtm_role_count,
+                windowDays: this.windowDays,
+                jobTitles: candidate.job_titles
+            });
+            if (!surge) continue; // already reported in this window
+
+            const titles = candidate.job_titles.slice(0, 3).join(', ');
+            await this.db.createNotification(
+                'hiring_surge',
+                'Hiring Surge',
+                `${candidate.company_name || candidate.domain} has ${candidate.gtm_role_count} GTM roles open in the last ${this.windowDays} days: ${titles}${candidate.job_titles.length > 3 ? ', ...' : ''}`,
+                null,
+                { workspaceId, folderId }
+            );
+            console.log(`[HiringSignals] Surge at ${candidate.domain}: ${candidate.gtm_role_count} GTM roles in ${this.windowDays} days`);
+            surges.push(surge);
+        }
+        return surges;
+    }
+}
@@ -0,0 +1,154 @@
+import { JOB_ANALYSIS_SCHEMA } from './ai-schemas.js';
+import { getJobKey } from './job-sources.js';
+
+const SENIORITY_LEVELS = ['intern', 'junior', 'mid', 'senior', 'lead', 'manager', 'director', 'vp', 'c_level', 'unknown'];
+const URGENCY_LEVELS = ['low', 'medium', 'high'];
+
+// Descriptions are long; the first part carries the role, the stack and the pain
+const MAX_DESCRIPTION_LENGTH = 6000;
+
+/**
+ * JobAnalysisService judges how well a job posting fits our GTM engineering
+ * services: the pains the description reveals, the tools it names, the
+ * seniority of the hire, how urgent the need looks and the angle to pitch.
+ *
+ * Analyses are cached per workspace and job (its source id, see getJobKey),
+ * so opening the same job card again costs no AI call; `refresh` re-analyzes.
+ * The workspace's company profile (knowledge base) describes what we sell.
+ */
+export class JobAnalysisService {
+    constructor(options = {}) {
+        this.db = options.db || null; // optional: without it nothing is cached
+        this.llm = options.llm || null; // LLMGateway instance
+    }
+
+    isAvailable() {
+        return !!this.llm?.isAvailable('job_analysis');
+    }
+
+    /**
+     * Analyze a normalized job (the shape returned by /api/jobs/search).
+     * Returns { job_key, analysis, model, cached, analyzed_at }.
+     */
+    async analyzeJob(job, { refresh = false, workspaceId = null } = {}) {
+        if (!job?.job_title || !job.description) {
+            throw this.createValidationError('job.job_title and job.description are required');
+        }
+
+        const jobKey = getJobKey(job);
+
+        if (this.db && !refresh) {
+            const cached = await this.db.getJobAnalysis(jobKey, workspaceId);
+            if (cached) {
+                return {
+                    job_key: jobKey,
+                    analysis: cached.analysis,
+                    model: cached.model,
+                    cached: true,
+                    analyzed_at: cached.updated_at
+                };
+            }
+        }
+
+        const knowledge = this.db ? await this.db.getKnowledgeByType('company_profile', workspaceId) : [];
+        const prompt = this.buildAnalysisPrompt(job, knowledge);
+        const { data, model } = await this.llm.completeJson('job_analysis', prompt, JOB_ANALYSIS_SCHEMA, { maxTokens: 2048 });
+        const analysis = this.normalizeAnalysis(data);
+
+        let analyzedAt = new Date();
+        if (this.db) {
+            const saved = await this.db.saveJobAnalysis(jobKey, {
+                workspaceId,
+                jobTitle: job.job_title,
+                company: job.company_object?.name || job.company || null,
+                analysis,
+                model
+            });
+            analyzedAt = saved.updated_at;
+        }
+
+        console.log(`[JobAnalysis] Analyzed "${job.job_title}" (${jobKey}) with ${model}: fit ${analysis.fit_score}`);
+        return { job_key: jobKey, analysis, model, cached: false, analyzed_at: analyzedAt };
+    }
+
+    buildAnalysisPrompt(job, knowledge) {
+        const company = job.company_object || {};
+        const technologies = job.technology_slugs?.length ? job.technology_slugs : company.technology_names || [];
+
+        return `You are qualifying job postings as sales leads for a GTM (Go-To-Market) engineering services business.
+A company hiring for a role is a signal it has a problem we could solve faster than a new hire.
+
+OUR SERVICES:
+${knowledge.length > 0
+        ? knowledge.map(k => `### ${k.title}\n${k.content}`).join('\n\n')
+        : 'GTM engineering: sales and marketing tooling, CRM setup and hygiene, outbound automation, data enrichment and pipelines for revenue teams.'}
+
+JOB POSTING:
+- Title: ${job.job_title}
+- Company: ${company.name || job.company || 'Unknown'}${job.company_domain ? ` (${job.company_domain})` : ''}
+- Location: ${job.location || job.short_location || 'Not specified'}${job.remote ? ' (remote)' : ''}
+- Posted: ${job.date_posted || 'Unknown'}
+${job.seniority ? `- Seniority (from the job board): ${job.seniority}` : ''}
+${job.salary_string ? `- Salary: ${job.salary_string}` : ''}
+${company.employee_count ? `- Company size: ${company.employee_count} employees` : ''}
+${company.industry ? `- Industry: ${company.industry}` : ''}
+${company.funding_stage ? `- Funding stage: ${company.funding_stage}` : ''}
+${technologies.length > 0 ? `- Known tech stack: ${technologies.slice(0, 20).join(', ')}` : ''}
+- Description:
+${job.description.substring(0, MAX_DESCRIPTION_LENGTH)}
+
+TASK:
+Analyze how well this company fits our services, based only on the posting.
+- pain_signals: problems the description reveals that we could solve, each with a short quote or paraphrase as evidence
+- tools_mentioned: tools, platforms and languages named in the posting (e.g. "Salesforce", "HubSpot", "Clay", "Python")
+- seniority: one of ${SENIORITY_LEVELS.join(', ')}
+- urgency: one of ${URGENCY_LEVELS.join(', ')}, with the reasons (e.g. "first hire for the role", "ASAP start", "backfill", "team scaling fast")
+- recommended_angle: one or two sentences on how to pitch our services to this company
+- fit_score: 0-100, how good a lead this is for us
+
+Return ONLY a JSON object in this format:
+{
+  "summary": "One-sentence summary of the role and what it says about the company",
+  "fit_score": 72,
+  "pain_signals": [{ "signal": "CRM data is unreliable", "evidence": "clean up and own our HubSpot instance" }],
+  "tools_mentioned": ["HubSpot", "Clay"],
+  "seniority": "senior",
+  "urgency": { "level": "high", "reasons": ["First GTM hire", "Start ASAP"] },
+  "recommended_angle": "How to pitch"
+}`;
+    }
+
+    // Trim the validated answer (see JOB_ANALYSIS_SCHEMA) into the documented shape
+    normalizeAnalysis(data) {
+        const strings = (list) => (Array.isArray(list) ? list : [])
+            .filter(item => typeof item === 'string' && item.trim())
+            .map(item => item.trim());
+        const fitScore = Math.round(Number(data.fit_score));
+        const urgencyLevel = typeof data.urgency === 'string' ? data.urgency : data.urgency?.level;
+
+        return {
+            summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+            fit_score: Number.isFinite(fitScore) ? Math.min(Math.max(fitScore, 0), 100) : null,
+            pain_signals: (Array.isArray(data.pain_signals) ? data.pain_signals : [])
+                .map(item => (typeof item === 'string' ? { signal: item, evidence: null } : item))
+                .filter(item => typeof item?.signal === 'string' && item.signal.trim())
+                .map(item => ({
+                    signal: item.signal.trim(),
+                    evidence: typeof item.evidence === 'string' && item.evidence.trim() ? item.evidence.trim() : null
+                })),
+            tools_mentioned: [...new Set(strings(data.tools_mentioned))],
+            seniority: SENIORITY_LEVELS.includes(data.seniority) ? data.seniority : 'unknown',
+            urgency: {
+                level: URGENCY_LEVELS.includes(urgencyLevel) ? urgencyLevel : 'medium',
+                reasons: strings(data.urgency?.reasons)
+            },
+            recommended_angle: typeof data.recommended_angle === 'string' ? data.recommended_angle.trim() : ''
+        };
+    }
+
+    createValidationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
@@ -0,0 +1,244 @@
+import os from 'os';
+import { runWithUsageContext } from './usage.js';
+
+const QUEUE_CONFIG = {
+    pollIntervalMs: 2000,
+    leaseMs: 60000,
+    heartbeatIntervalMs: 20000,
+    recoveryIntervalMs: 60000,
+    baseDelayMs: 5000,
+    maxDelayMs: 60000,
+    backoffMultiplier: 2
+};
+
+/**
+ * Durable job queue backed by the background_tasks table.
+ *
+ * Tasks are claimed with FOR UPDATE SKIP LOCKED and held under a lease that the
+ * running worker keeps extending, so the web server's embedded worker and any
+ * number of `npm run worker` processes can share the same queue. Tasks whose
+ * lease expires (crash, restart, deploy) are put back to pending and resumed.
+ *
+ * A handler signals that retrying is pointless by throwing an error with
+ * `retryable = false`; every other error is retried with exponential backoff
+ * until the task's max_attempts is used up.
+ *
+ * Task types registered with `spends` (budget names, see usage.js) are not
+ * claimed while one of those monthly budgets is used up; they stay pending.
+ * Handlers run with the task's folder/company as usage context.
+ */
+export class JobQueue {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+        this.config = { ...QUEUE_CONFIG, ...(options.config || {}) };
+        this.usage = options.usage || null; // UsageService, for budget pauses
+
+        this.handlers = new Map();
+        this.periodic = new Map();
+        this.running = false;
+        this.pollTimer = null;
+        this.activeRun = null;
+        this.lastRecoveryAt = 0;
+        this.pausedTypes = [];
+    }
+
+    /**
+     * Register the handler for a task type. `onFailed` runs once when the task
+     * fails for good (not on attempts that will be retried). `spends` lists the
+     * budgets the task uses ('llm', 'contacts').
+     */
+    register(taskType, handler, options = {}) {
+        this.handlers.set(taskType, {
+            handler,
+            onFailed: options.onFailed || null,
+            spends: options.spends || []
+        });
+    }
+
+    /**
+     * Run `fn` from the poll loop at most once every `intervalMs`. Used for
+     * schedulers that enqueue tasks; every worker runs them, so `fn` must be
+     * safe to call concurrently from several processes.
+     */
+    registerPeriodic(name, intervalMs, fn) {
+        this.periodic.set(name, { intervalMs, fn, lastRunAt: 0 });
+    }
+
+    /**
+     * Add a task to the queue. When `dedupeKey` is given and a pending or
+     * processing task with the same type and key exists, that task is returned
+     * instead of creating a new one.
+     */
+    async enqueue(taskType, payload = {}, options = {}) {
+        const task = await this.db.enqueueTask(taskType, payload, options);
+
+        if (task) {
+            console.log(`[Queue] Enqueued ${taskType} task ${task.id}${options.dedupeKey ? ` (${options.dedupeKey})` : ''}`);
+            return task;
+        }
+
+        console.log(`[Queue] ${taskType} (${options.dedupeKey}) already queued, skipping`);
+        return await this.db.getActiveTaskByKey(taskType, options.dedupeKey);
+    }
+
+    async start() {
+        if (this.running) return;
+
+        this.running = true;
+        console.log(`[Queue] Worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')})`);
+
+        await this.recoverStaleTasks();
+        this.scheduleNext(0);
+    }
+
+    async stop() {
+        this.running = false;
+
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        // Let the current task finish; if we get killed first its lease expires
+        // and another worker picks it up
+        if (this.activeRun) {
+            console.log(`[Queue] Waiting for active task to finish before stopping`);
+            await this.activeRun;
+        }
+
+        console.log(`[Queue] Worker ${this.workerId} stopped`);
+    }
+
+    scheduleNext(delayMs) {
+        if (!this.running) return;
+        this.pollTimer = setTimeout(() => this.tick(), delayMs);
+    }
+
+    async tick() {
+        this.pollTimer = null;
+        let claimed = null;
+
+        try {
+            if (Date.now() - this.lastRecoveryAt >= this.config.recoveryIntervalMs) {
+                await this.recoverStaleTasks();
+            }
+
+            await this.runPeriodic();
+
+            const taskTypes = await this.getClaimableTaskTypes();
+            claimed = taskTypes.length > 0
+                ? await this.db.claimNextTask(this.workerId, this.config.leaseMs, taskTypes)
+                : null;
+
+            if (claimed) {
+                this.activeRun = this.runTask(claimed);
+                await this.activeRun;
+            }
+        } catch (error) {
+            console.error('[Queue] Poll error:', error.message);
+        } finally {
+            this.activeRun = null;
+        }
+
+        // Go straight for the next task while there is work, otherwise back off to polling
+        this.scheduleNext(claimed ? 0 : this.config.pollIntervalMs);
+    }
+
+    async runTask(task) {
+        const { handler, onFailed } = this.handlers.get(task.task_type);
+
+        console.log(`[Queue] Running ${task.task_type} task ${task.id} (attempt ${task.attempts}/${task.max_attempts})`);
+
+        const heartbeat = setInterval(() => {
+            this.db.heartbeatTask(task.id, this.workerId, this.config.leaseMs)
+                .then(held => {
+                    if (!held) {
+                        console.warn(`[Queue] Lost lease on task ${task.id}`);
+                    }
+                })
+                .catch(error => console.error(`[Queue] Heartbeat failed for task ${task.id}:`, error.message));
+        }, this.config.heartbeatIntervalMs);
+
+        try {
+            const result = await runWithUsageContext({
+                folderId: task.folder_id,
+                companyId: task.company_id,
+                companyDomain: task.payload?.domain,
+                taskId: task.id
+            }, () => handler(task));
+            await this.db.completeTask(task.id, this.workerId, result ?? null);
+            console.log(`[Queue] Completed ${task.task_type} task ${task.id}`);
+        } catch (error) {
+            const willRetry = error.retryable !== false && task.attempts < task.max_attempts;
+
+            if (willRetry) {
+                const delay = this.getRetryDelay(task.attempts);
+                await this.db.retryTask(task.id, this.workerId, error.message, delay);
+                console.log(`[Queue] ${task.task_type} task ${task.id} failed (${error.message}), retrying in ${delay}ms`);
+            } else {
+                await this.db.failTask(task.id, this.workerId, error.message);
+                console.error(`[Queue] ${task.task_type} task ${task.id} failed permanently:`, error.message);
+
+                if (onFailed) {
+                    await Promise.resolve(onFailed(task, error))
+                        .catch(err => console.error(`[Queue] onFailed hook error for task ${task.id}:`, err.message));
+                }
+            }
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    // Registered task types, minus those whose budget is used up this month
+    async getClaimableTaskTypes() {
+        const taskTypes = [...this.handlers.keys()];
+        if (!this.usage) return taskTypes;
+
+        const exceeded = await this.usage.getExceededBudgets();
+        const paused = taskTypes.filter(type => this.handlers.get(type).spends.some(budget => exceeded.has(budget)));
+
+        if (paused.join() !== this.pausedTypes.join()) {
+            console.log(paused.length > 0
+                ? `[Queue] Budget reached, pausing ${paused.join(', ')}`
+                : `[Queue] Budgets available, resuming ${this.pausedTypes.join(', ')}`);
+            this.pausedTypes = paused;
+        }
+
+        return taskTypes.filter(type => !paused.includes(type));
+    }
+
+    async runPeriodic() {
+        const now = Date.now();
+
+        for (const [name, job] of this.periodic) {
+            if (now - job.lastRunAt < job.intervalMs) continue;
+
+            job.lastRunAt = now;
+            try {
+                await job.fn();
+            } catch (error) {
+                console.error(`[Queue] Periodic job ${name} failed:`, error.message);
+            }
+        }
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(
+            this.config.baseDelayMs * Math.pow(this.config.backoffMultiplier, attempts - 1),
+            this.config.maxDelayMs
+        );
+    }
+
+    async recoverStaleTasks() {
+        this.lastRecoveryAt = Date.now();
+
+        const recovered = await this.db.recoverStaleTasks();
+        if (recovered.length > 0) {
+            const requeued = recovered.filter(t => t.status === 'pending').length;
+            console.log(`[Queue] Recovered ${recovered.length} stale tasks (${requeued} re-queued, ${recovered.length - requeued} failed)`);
+        }
+
+        return recovered;
+    }
+}
@@ -0,0 +1,682 @@
+import * as cheerio from 'cheerio';
+
+const JSEARCH_API_URL = 'https://jsearch.p.rapidapi.com';
+const THEIRSTACK_API_URL = 'https://api.theirstack.com/v1';
+const GREENHOUSE_API_URL = 'https://boards-api.greenhouse.io/v1/boards';
+const LEVER_API_URL = 'https://api.lever.co/v0/postings';
+const ASHBY_API_URL = 'https://api.ashbyhq.com/posting-api/job-board';
+
+const DEFAULT_SOURCES = ['jsearch'];
+const REQUEST_TIMEOUT_MS = 15000;
+const RESULTS_PER_PAGE = 10; // Matches JSearch's page size
+
+// Hosts that serve job boards for many companies, so they say nothing about the employer's domain
+const ATS_HOSTS = ['greenhouse.io', 'lever.co', 'ashbyhq.com', 'workable.com', 'smartrecruiters.com'];
+
+// JSearch date_posted values → max age in days
+const DATE_POSTED_DAYS = {
+    today: 1,
+    '3days': 3,
+    week: 7,
+    month: 30
+};
+
+/**
+ * Job sources
+ *
+ * Every provider exposes the same interface:
+ *   name            - id used in the `sources` search parameter
+ *   isConfigured()  - whether the provider has the credentials/boards it needs
+ *   search(params)  - resolves to { jobs, hasMore } with jobs built by createJob()
+ *
+ * Search params follow the JSearch request body used by the search page
+ * (query, job_title, page, num_pages, date_posted, remote_jobs_only, ...).
+ * JobSearchService fans a search out to several providers and merges the results.
+ */
+
+// Helper: extract domain from URL
+export function extractDomain(url) {
+    if (!url) return null;
+    try {
+        return new URL(url.startsWith('http') ? url : `https://${url}`).hostname.replace('www.', '');
+    } catch {
+        return null;
+    }
+}
+
+// Helper: employer domain from a posting URL, ignoring shared ATS hosts
+function extractEmployerDomain(url) {
+    const domain = extractDomain(url);
+    if (!domain) return null;
+    return ATS_HOSTS.some(host => domain === host || domain.endsWith(`.${host}`)) ? null : domain;
+}
+
+// Helper: format salary string from min/max/currency/period fields
+export function formatSalaryString(minSalary, maxSalary, currency, period) {
+    if (!minSalary && !maxSalary) return null;
+    const cur = currency || 'USD';
+    const per = period ? `/${period.toLowerCase()}` : '';
+    if (minSalary && maxSalary) {
+        return `${cur} ${Number(minSalary).toLocaleString()} - ${Number(maxSalary).toLocaleString()}${per}`;
+    }
+    if (minSalary) return `${cur} ${Number(minSalary).toLocaleString()}+${per}`;
+    return `Up to ${cur} ${Number(maxSalary).toLocaleString()}${per}`;
+}
+
+// Helper: HTML (possibly entity-escaped, as Greenhouse returns it) to plain text
+function htmlToText(html) {
+    if (!html) return null;
+    const decoded = cheerio.load(html).text();
+    return cheerio.load(decoded).text().replace(/\s+/g, ' ').trim();
+}
+
+// Normalize a title for de-duplication ("Sr. GTM Engineer (Remote)" → "sr gtm engineer")
+export function normalizeTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Stable key for a normalized job: its source id, else company + normalized title
+export function getJobKey(job) {
+    if (job.id) return String(job.id);
+    return `${job.company_domain || job.company || ''}|${normalizeTitle(job.job_title)}`;
+}
+
+// Job title part of a search: explicit job_title, else the query before " in <location>"
+function getTitleQuery(params) {
+    if (params.job_title) return params.job_title;
+    return (params.query || '').split(/\s+in\s+/i)[0].trim();
+}
+
+/**
+ * Build a job in the normalized shape returned by /api/jobs/search.
+ * Providers pass what they know; everything else gets a null/empty default.
+ */
+export function createJob(fields) {
+    const { company_object: companyObject = {}, ...jobFields } = fields;
+    const domain = jobFields.company_domain || companyObject.domain || null;
+
+    return {
+        id: null,
+        source: null,
+        job_title: null,
+        company: null,
+        location: null,
+        short_location: null,
+        date_posted: null,
+        salary_string: null,
+        description: null,
+        url: null,
+        final_url: null,
+        remote: false,
+        job_type: null,
+        seniority: null,
+        technology_slugs: [],
+        ...jobFields,
+        company_domain: domain,
+        company_object: {
+            logo: null,
+            employee_count: null,
+            industry: null,
+            funding_stage: null,
+            country: null,
+            city: null,
+            founded_year: null,
+            annual_revenue_usd_readable: null,
+            total_funding_usd: null,
+            technology_names: [],
+            linkedin_url: null,
+            company_type: null,
+            website: null,
+            ...companyObject,
+            name: companyObject.name || jobFields.company || null,
+            domain
+        }
+    };
+}
+
+function createSourceError(message, status = 500) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function fetchJson(url, options, sourceLabel) {
+    const response = await fetch(url, {
+        ...options,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        console.error(`[JobSources] ${sourceLabel} API error ${response.status}:`, errorText.substring(0, 500));
+        let errorMessage;
+        try {
+            const errorData = JSON.parse(errorText);
+            errorMessage = errorData.message || errorData.info || errorData.error || JSON.stringify(errorData);
+        } catch {
+            errorMessage = errorText || `${sourceLabel} API error: ${response.status}`;
+        }
+        throw createSourceError(errorMessage, response.status);
+    }
+
+    return await response.json();
+}
+
+// ===== AGGREGATOR SOURCES =====
+
+export class JSearchSource {
+    constructor(options = {}) {
+        this.name = 'jsearch';
+        this.apiKey = options.apiKey || null;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    async search(params) {
+        if (!this.apiKey) {
+            throw createSourceError('RapidAPI key not configured');
+        }
+
+        // Build JSearch query parameters
+        const query = new URLSearchParams();
+        query.append('query', params.query || '');
+        query.append('page', params.page || 1);
+        query.append('num_pages', params.num_pages || 1);
+
+        if (params.date_posted) {
+            query.append('date_posted', params.date_posted);
+        }
+        if (params.remote_jobs_only) {
+            query.append('remote_jobs_only', 'true');
+        }
+        if (params.employment_types) {
+            query.append('employment_types', params.employment_types);
+        }
+        if (params.job_requirements) {
+            query.append('job_requirements', params.job_requirements);
+        }
+
+        const url = `${JSEARCH_API_URL}/search?${query.toString()}`;
+        console.log('[JobSources] JSearch request URL:', url);
+
+        const rawData = await fetchJson(url, {
+            method: 'GET',
+            headers: {
+                'X-RapidAPI-Key': this.apiKey,
+                'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
+            }
+        }, 'JSearch');
+
+        const jobs = (rawData.data || []).map(job => this.transformJob(job));
+        return { jobs, hasMore: jobs.length > 0 };
+    }
+
+    transformJob(job) {
+        const domain = extractDomain(job.employer_website);
+        return {
+            ...createJob({
+                id: job.job_id,
+                source: this.name,
+                job_title: job.job_title,
+                company: job.employer_name,
+                company_domain: domain,
+                location: [job.job_city, job.job_state, job.job_country].filter(Boolean).join(', '),
+                short_location: [job.job_city, job.job_state].filter(Boolean).join(', ') || job.job_country || 'Not specified',
+                date_posted: job.job_posted_at_datetime_utc,
+                salary_string: formatSalaryString(job.job_min_salary, job.job_max_salary, job.job_salary_currency, job.job_salary_period),
+                description: job.job_description,
+                url: job.job_apply_link,
+                final_url: job.job_apply_link,
+                remote: job.job_is_remote || false,
+                job_type: job.job_employment_type,
+                technology_slugs: job.job_required_skills || [],
+                company_object: {
+                    name: job.employer_name,
+                    logo: job.employer_logo,
+                    industry: job.job_naics_name || null,
+                    country: job.job_country,
+                    city: job.job_city,
+                    technology_names: job.job_required_skills || [],
+                    company_type: job.employer_company_type || null,
+                    website: job.employer_website || null
+                }
+            }),
+            // JSearch-specific extras
+            job_highlights: job.job_highlights || null,
+            job_required_experience: job.job_required_experience || null,
+            job_required_education: job.job_required_education || null,
+            apply_options: job.apply_options || [],
+            job_benefits: job.job_benefits || null,
+            job_publisher: job.job_publisher || null
+        };
+    }
+}
+
+export class TheirstackSource {
+    constructor(options = {}) {
+        this.name = 'theirstack';
+        this.apiKey = options.apiKey || null;
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    async search(params) {
+        if (!this.apiKey) {
+            throw createSourceError('Theirstack API key not configured');
+        }
+
+        const limit = RESULTS_PER_PAGE * (parseInt(params.num_pages) || 1);
+        const body = {
+            page: (parseInt(params.page) || 1) - 1, // Theirstack is 0-indexed
+            limit,
+            posted_at_max_age_days: DATE_POSTED_DAYS[params.date_posted] || 365,
+            include_total_results: false
+        };
+
+        const title = getTitleQuery(params);
+        if (title) {
+            body.job_title_or = [title];
+        }
+        if (params.remote_jobs_only) {
+            body.remote = true;
+        }
+
+        const rawData = await fetchJson(`${THEIRSTACK_API_URL}/jobs/search`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }, 'Theirstack');
+
+        const jobs = (rawData.data || []).map(job => this.transformJob(job));
+        return { jobs, hasMore: jobs.length >= limit };
+    }
+
+    transformJob(job) {
+        const company = job.company_object || {};
+        return createJob({
+            id: `theirstack:${job.id}`,
+            source: this.name,
+            job_title: job.job_title,
+            company: job.company || company.name,
+            company_domain: job.company_domain || company.domain || null,
+            location: job.location || null,
+            short_location: job.short_location || job.location || job.country || 'Not specified',
+            date_posted: job.date_posted,
+            salary_string: job.salary_string || null,
+            description: job.description || null,
+            url: job.url || job.final_url || null,
+            final_url: job.final_url || job.url || null,
+            remote: job.remote || false,
+            job_type: job.employment_statuses?.[0] || null,
+            seniority: job.seniority || null,
+            technology_slugs: job.technology_slugs || [],
+            company_object: company
+        });
+    }
+}
+
+// ===== PUBLIC JOB BOARD SOURCES =====
+
+/**
+ * Base for ATS job boards (Greenhouse, Lever, Ashby). These return every open
+ * posting of one company per board, so search filters and pages locally.
+ *
+ * Boards are configured as "token" or "token:domain" entries, e.g.
+ * GREENHOUSE_BOARDS=stripe:stripe.com,airbnb. A search can override the
+ * configured list with `boards: { greenhouse: [...] }`.
+ */
+class JobBoardSource {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.boards = JobBoardSource.parseBoards(options.boards);
+    }
+
+    static parseBoards(boards) {
+        const entries = Array.isArray(boards) ? boards : (boards || '').split(',');
+        return entries
+            .map(entry => {
+                if (typeof entry === 'object' && entry !== null) return entry;
+                const [token, domain] = String(entry).trim().split(':');
+                return token ? { token, domain: domain || null } : null;
+            })
+            .filter(Boolean);
+    }
+
+    isConfigured() {
+        return this.boards.length > 0;
+    }
+
+    async search(params) {
+        const boards = params.boards?.[this.name]
+            ? JobBoardSource.parseBoards(params.boards[this.name])
+            : this.boards;
+
+        if (boards.length === 0) {
+            throw createSourceError(`No ${this.name} boards configured`);
+        }
+
+        const results = await Promise.allSettled(boards.map(board => this.fetchBoard(board)));
+
+        const jobs = [];
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                jobs.push(...result.value);
+            } else {
+                console.error(`[JobSources] ${this.name} board "${boards[i].token}" failed:`, result.reason.message);
+            }
+        });
+
+        if (jobs.length === 0 && results.every(r => r.status === 'rejected')) {
+            throw results[0].reason;
+        }
+
+        const matching = jobs
+            .filter(job => this.matches(job, params))
+            .sort((a, b) => new Date(b.date_posted || 0) - new Date(a.date_posted || 0));
+
+        const pageSize = RESULTS_PER_PAGE * (parseInt(params.num_pages) || 1);
+        const start = ((parseInt(params.page) || 1) - 1) * pageSize;
+
+        return {
+            jobs: matching.slice(start, start + pageSize),
+            hasMore: matching.length > start + pageSize
+        };
+    }
+
+    matches(job, params) {
+        const titleTerms = normalizeTitle(getTitleQuery(params)).split(' ').filter(Boolean);
+        const title = normalizeTitle(job.job_title);
+        if (!titleTerms.every(term => title.includes(term))) {
+            return false;
+        }
+
+        if (params.remote_jobs_only && !job.remote) {
+            return false;
+        }
+
+        const maxAgeDays = DATE_POSTED_DAYS[params.date_posted];
+        if (maxAgeDays && job.date_posted) {
+            const ageMs = Date.now() - new Date(job.date_posted).getTime();
+            if (ageMs > maxAgeDays * 24 * 60 * 60 * 1000) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    // Company name for boards that don't return one ("acme-corp" → "Acme Corp")
+    boardCompanyName(board) {
+        return board.name || board.token
+            .split(/[-_]/)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join(' ');
+    }
+}
+
+export class GreenhouseSource extends JobBoardSource {
+    constructor(options = {}) {
+        super('greenhouse', options);
+    }
+
+    async fetchBoard(board) {
+        const data = await fetchJson(`${GREENHOUSE_API_URL}/${encodeURIComponent(board.token)}/jobs?content=true`, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        }, 'Greenhouse');
+
+        return (data.jobs || []).map(job => {
+            const location = job.location?.name || null;
+            const companyName = job.company_name || this.boardCompanyName(board);
+            return createJob({
+                id: `greenhouse:${job.id}`,
+                source: this.name,
+                job_title: job.title,
+                company: companyName,
+                company_domain: board.domain || extractEmployerDomain(job.absolute_url),
+                location,
+                short_location: location || 'Not specified',
+                date_posted: job.first_published || job.updated_at || null,
+                description: htmlToText(job.content),
+                url: job.absolute_url,
+                final_url: job.absolute_url,
+                remote: /remote/i.test(location || ''),
+                company_object: { name: companyName }
+            });
+        });
+    }
+}
+
+export class LeverSource extends JobBoardSource {
+    constructor(options = {}) {
+        super('lever', options);
+    }
+
+    async fetchBoard(board) {
+        const data = await fetchJson(`${LEVER_API_URL}/${encodeURIComponent(board.token)}?mode=json`, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        }, 'Lever');
+
+        return (Array.isArray(data) ? data : []).map(job => {
+            const location = job.categories?.location || null;
+            const companyName = this.boardCompanyName(board);
+            const salary = job.salaryRange || {};
+            return createJob({
+                id: `lever:${job.id}`,
+                source: this.name,
+                job_title: job.text,
+                company: companyName,
+                company_domain: board.domain || extractEmployerDomain(job.applyUrl || job.hostedUrl),
+                location,
+                short_location: location || 'Not specified',
+                date_posted: job.createdAt ? new Date(job.createdAt).toISOString() : null,
+                salary_string: formatSalaryString(salary.min, salary.max, salary.currency, salary.interval),
+                description: [job.descriptionPlain, job.additionalPlain].filter(Boolean).join('\n\n') || null,
+                url: job.hostedUrl,
+                final_url: job.applyUrl || job.hostedUrl,
+                remote: job.workplaceType === 'remote' || /remote/i.test(location || ''),
+                job_type: job.categories?.commitment || null,
+                company_object: { name: companyName, country: job.country || null }
+            });
+        });
+    }
+}
+
+export class AshbySource extends JobBoardSource {
+    constructor(options = {}) {
+        super('ashby', options);
+    }
+
+    async fetchBoard(board) {
+        const data = await fetchJson(`${ASHBY_API_URL}/${encodeURIComponent(board.token)}?includeCompensation=true`, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        }, 'Ashby');
+
+        return (data.jobs || [])
+            .filter(job => job.isListed !== false)
+            .map(job => {
+                const companyName = this.boardCompanyName(board);
+                return createJob({
+                    id: `ashby:${job.id}`,
+                    source: this.name,
+                    job_title: job.title,
+                    company: companyName,
+                    company_domain: board.domain || extractEmployerDomain(job.applyUrl || job.jobUrl),
+                    location: job.location || null,
+                    short_location: job.location || 'Not specified',
+                    date_posted: job.publishedAt || null,
+                    salary_string: job.compensation?.compensationTierSummary || null,
+                    description: job.descriptionPlain || htmlToText(job.descriptionHtml),
+                    url: job.jobUrl,
+                    final_url: job.applyUrl || job.jobUrl,
+                    remote: job.isRemote || false,
+                    job_type: job.employmentType || null,
+                    company_object: {
+                        name: companyName,
+                        country: job.address?.postalAddress?.addressCountry || null
+                    }
+                });
+            });
+    }
+}
+
+// ===== SEARCH SERVICE =====
+
+/**
+ * Fans a search out to the requested sources and merges the results,
+ * de-duplicating by company domain + normalized title. A job without a
+ * domain (e.g. from a board configured without one) merges by company name
+ * with a job that has one, so the same posting isn't listed once per provider.
+ */
+export class JobSearchService {
+    constructor(options = {}) {
+        this.sources = new Map();
+        for (const source of options.sources || []) {
+            this.register(source);
+        }
+    }
+
+    register(source) {
+        this.sources.set(source.name, source);
+    }
+
+    getAvailableSources() {
+        return [...this.sources.values()].map(source => ({
+            name: source.name,
+            configured: source.isConfigured()
+        }));
+    }
+
+    isConfigured(name) {
+        return this.sources.get(name)?.isConfigured() || false;
+    }
+
+    async search(params) {
+        const requested = Array.isArray(params.sources) && params.sources.length > 0
+            ? [...new Set(params.sources)]
+            : DEFAULT_SOURCES;
+
+        const unknown = requested.filter(name => !this.sources.has(name));
+        if (unknown.length > 0) {
+            throw createSourceError(`Unknown job source(s): ${unknown.join(', ')}`, 400);
+        }
+
+        const results = await Promise.allSettled(
+            requested.map(name => this.sources.get(name).search(params))
+        );
+
+        const sourceStats = {};
+        const resultSets = [];
+        let hasMore = false;
+
+        results.forEach((result, i) => {
+            const name = requested[i];
+            if (result.status === 'fulfilled') {
+                sourceStats[name] = { count: result.value.jobs.length };
+                resultSets.push(result.value.jobs);
+                hasMore = hasMore || result.value.hasMore;
+            } else {
+                console.error(`[JobSources] ${name} search failed:`, result.reason.message);
+                sourceStats[name] = { count: 0, error: result.reason.message };
+            }
+        });
+
+        // Only fail the search when every source failed
+        if (resultSets.length === 0) {
+            throw results[0].reason;
+        }
+
+        let jobs = this.mergeResults(resultSets);
+
+        // Interleave sources by recency; a single source keeps its own ranking
+        if (requested.length > 1) {
+            jobs.sort((a, b) => new Date(b.date_posted || 0) - new Date(a.date_posted || 0));
+        }
+
+        return {
+            data: jobs,
+            total: jobs.length,
+            _hasMore: hasMore,
+            _sources: sourceStats
+        };
+    }
+
+    dedupeKey(job) {
+        const company = job.company_domain || normalizeTitle(job.company);
+        return `${company}|${normalizeTitle(job.job_title)}`;
+    }
+
+    companyNameKey(job) {
+        return `${normalizeTitle(job.company)}|${normalizeTitle(job.job_title)}`;
+    }
+
+    // Earlier result sets win; later duplicates only fill in missing fields
+    mergeResults(resultSets) {
+        const merged = new Map(); // dedupe key -> job
+        const byCompanyName = new Map(); // company name key -> first job under it
+
+        for (const jobs of resultSets) {
+            for (const job of jobs) {
+                const key = this.dedupeKey(job);
+                const nameKey = this.companyNameKey(job);
+                let existing = merged.get(key);
+
+                // Only when one side has no domain; two different domains are two companies
+                const namesake = byCompanyName.get(nameKey);
+                if (!existing && namesake && (!namesake.company_domain || !job.company_domain)) {
+                    existing = namesake;
+                }
+
+                if (!existing) {
+                    const entry = { ...job, sources: [job.source] };
+                    merged.set(key, entry);
+                    if (!byCompanyName.has(nameKey)) byCompanyName.set(nameKey, entry);
+                    continue;
+                }
+
+                if (!existing.sources.includes(job.source)) {
+                    existing.sources.push(job.source);
+                }
+                for (const [field, value] of Object.entries(job)) {
+                    if (field === 'company_object' || field === 'sources') continue;
+                    if ((existing[field] === null || existing[field] === undefined || existing[field] === '') && value) {
+                        existing[field] = value;
+                    }
+                }
+                for (const [field, value] of Object.entries(job.company_object || {})) {
+                    if ((existing.company_object[field] === null || existing.company_object[field] === undefined) && value) {
+                        existing.company_object[field] = value;
+                    }
+                }
+
+                // A job that just got its domain is also found under it
+                merged.set(this.dedupeKey(existing), existing);
+            }
+        }
+
+        return [...new Set(merged.values())];
+    }
+}
+
+export function createJobSources(config = {}) {
+    return [
+        new JSearchSource({ apiKey: config.rapidApiKey }),
+        new TheirstackSource({ apiKey: config.theirstackApiKey }),
+        new GreenhouseSource({ boards: config.greenhouseBoards }),
+        new LeverSource({ boards: config.leverBoards }),
+        new AshbySource({ boards: config.ashbyBoards })
+    ];
+}
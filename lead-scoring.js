@@ -0,0 +1,220 @@
+/**
+ * Company-level lead scoring. A company's score (0-100) combines hiring
+ * signals from its jobs (open GTM roles, how recent the postings are, salary)
+ * with firmographics from Theirstack and the enrichment (size, funding,
+ * growth signals, red flags, GTM tools in the stack).
+ *
+ * Each factor earns up to its weight in points (red flags subtract up to
+ * theirs); the score is the total as a share of the positive weights. Weights
+ * default to DEFAULT_LEAD_SCORE_WEIGHTS and can be overridden per factor with
+ * LEAD_SCORE_WEIGHTS (JSON), e.g. {"open_gtm_roles": 35, "red_flags": 25}.
+ */
+
+// How often each worker re-scores every company (job recency decays over time)
+const RESCORE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+export const DEFAULT_LEAD_SCORE_WEIGHTS = {
+    open_gtm_roles: 25,
+    growth_signals: 20,
+    job_recency: 15,
+    salary: 10,
+    tech_stack: 10,
+    company_size: 10,
+    funding: 10,
+    red_flags: 15 // penalty
+};
+
+const PENALTY_FACTORS = new Set(['red_flags']);
+
+// Roles that mean a company is building (or fixing) its go-to-market engine
+const GTM_ROLE_PATTERN = /\b(gtm|go[- ]to[- ]market|rev ?ops|revenue (operations|ops)|sales (ops|operations|engineer)|marketing (ops|operations)|growth|demand gen(eration)?|business development|sdr|bdr|solutions engineer|crm)\b/i;
+
+// Tools our GTM engineering work plugs into
+const GTM_TOOLS = [
+    'salesforce', 'hubspot', 'pipedrive', 'outreach', 'salesloft', 'apollo', 'clay', 'marketo', 'pardot',
+    'gong', 'zoominfo', 'clearbit', 'segment', 'lemlist', 'instantly', 'zapier', 'n8n', 'customer.io',
+    'braze', 'intercom', 'hightouch', 'census', 'dbt', 'snowflake', 'sales navigator'
+];
+
+/**
+ * Merge a LEAD_SCORE_WEIGHTS value (JSON string or object) over the defaults.
+ * Throws on unknown factors or weights that are not non-negative numbers.
+ */
+export function parseLeadScoreWeights(value) {
+    if (value === null || value === undefined || value === '') {
+        return { ...DEFAULT_LEAD_SCORE_WEIGHTS };
+    }
+
+    const overrides = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error('Lead score weights must be a JSON object');
+    }
+
+    for (const [factor, weight] of Object.entries(overrides)) {
+        if (!(factor in DEFAULT_LEAD_SCORE_WEIGHTS)) {
+            throw new Error(`Unknown lead score factor "${factor}" (expected one of: ${Object.keys(DEFAULT_LEAD_SCORE_WEIGHTS).join(', ')})`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Lead score weight for "${factor}" must be a non-negative number`);
+        }
+    }
+
+    return { ...DEFAULT_LEAD_SCORE_WEIGHTS, ...overrides };
+}
+
+// Highest annual amount in a salary string ("GBP 80,000 - 100,000/year", "$120K", "$60/hour")
+export function parseAnnualSalary(salaryString) {
+    if (!salaryString) return null;
+
+    const amounts = [...String(salaryString).matchAll(/(\d[\d,]*(?:\.\d+)?)\s*(k)?\b/gi)]
+        .map(match => parseFloat(match[1].replace(/,/g, '')) * (match[2] ? 1000 : 1))
+        .filter(amount => amount > 0);
+    if (amounts.length === 0) return null;
+
+    const highest = Math.max(...amounts);
+    if (/hour|\/hr\b/i.test(salaryString)) return highest * 2080;
+    if (/month/i.test(salaryString)) return highest * 12;
+    return highest;
+}
+
+export function isGtmRole(title) {
+    return GTM_ROLE_PATTERN.test(title || '');
+}
+
+const clamp = (value, min = 0, max = 1) => Math.min(Math.max(value, min), max);
+
+function listOf(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+}
+
+function fundingFraction(stage) {
+    const normalized = (stage || '').toLowerCase();
+    if (!normalized) return null;
+    if (/series[ _-]?[abc]\b/.test(normalized)) return 1;
+    if (/seed|angel/.test(normalized)) return 0.6;
+    if (/series[ _-]?[d-z]\b|growth|private[ _-]equity|late/.test(normalized)) return 0.5;
+    if (/ipo|public/.test(normalized)) return 0.3;
+    return 0.4;
+}
+
+function sizeFraction(employees) {
+    if (!employees) return null;
+    if (employees < 10) return 0.2;
+    if (employees < 20) return 0.5;
+    if (employees <= 500) return 1;
+    if (employees <= 2000) return 0.5;
+    return 0.2;
+}
+
+/**
+ * Score a company from its row and its jobs (job_title, salary_string,
+ * posted_date, created_at). Returns { score, factors } where each factor is
+ * { factor, weight, points, detail } and points add up to the raw total.
+ */
+export function scoreCompany(company, jobs = [], weights = DEFAULT_LEAD_SCORE_WEIGHTS, now = new Date()) {
+    const theirstack = company.theirstack_data || {};
+    const enriched = company.enriched_data || {};
+    const factors = [];
+
+    const add = (factor, fraction, detail) => {
+        const weight = weights[factor] ?? 0;
+        const sign = PENALTY_FACTORS.has(factor) ? -1 : 1;
+        const points = Math.round(sign * weight * clamp(fraction ?? 0) * 10) / 10;
+        factors.push({ factor, weight, points, detail });
+    };
+
+    const gtmRoles = jobs.filter(job => isGtmRole(job.job_title));
+    add('open_gtm_roles', gtmRoles.length / 3, gtmRoles.length > 0
+        ? `${gtmRoles.length} open GTM ${gtmRoles.length === 1 ? 'role' : 'roles'}: ${gtmRoles.slice(0, 3).map(job => job.job_title).join(', ')}`
+        : `No GTM roles among ${jobs.length} ${jobs.length === 1 ? 'job' : 'jobs'}`);
+
+    const growthSignals = listOf(enriched.growth_signals);
+    add('growth_signals', growthSignals.length / 4, growthSignals.length > 0
+        ? `${growthSignals.length} growth ${growthSignals.length === 1 ? 'signal' : 'signals'}: ${growthSignals.slice(0, 2).join('; ')}`
+        : (company.enriched_data ? 'No growth signals found' : 'Not enriched yet'));
+
+    const postedTimes = jobs
+        .map(job => Date.parse(job.posted_date || job.created_at))
+        .filter(time => !Number.isNaN(time));
+    if (postedTimes.length > 0) {
+        const ageDays = Math.max((now.getTime() - Math.max(...postedTimes)) / 86400000, 0);
+        // Full points within a week, nothing after two months
+        add('job_recency', 1 - (ageDays - 7) / 53, `Newest job posted ${Math.round(ageDays)} days ago`);
+    } else {
+        add('job_recency', 0, 'No posting dates');
+    }
+
+    const salaries = jobs.map(job => parseAnnualSalary(job.salary_string)).filter(Boolean);
+    if (salaries.length > 0) {
+        const topSalary = Math.max(...salaries);
+        // Budget signal: 50k earns nothing, 150k and up earns full points
+        add('salary', (topSalary - 50000) / 100000, `Highest salary ~${Math.round(topSalary / 1000)}k/year`);
+    } else {
+        add('salary', 0, 'No salary listed');
+    }
+
+    const stack = [...listOf(enriched.tech_stack), ...listOf(theirstack.technology_names)].map(item => item.toLowerCase());
+    const tools = GTM_TOOLS.filter(tool => stack.some(item => item.includes(tool)));
+    add('tech_stack', tools.length / 3, tools.length > 0 ? `GTM tools in stack: ${tools.join(', ')}` : 'No GTM tools in known stack');
+
+    const employees = company.employee_count || theirstack.employee_count || null;
+    add('company_size', sizeFraction(employees), employees ? `${employees} employees` : 'Size unknown');
+
+    const fundingStage = theirstack.funding_stage || null;
+    add('funding', fundingFraction(fundingStage), fundingStage ? `Funding stage: ${fundingStage}` : 'Funding stage unknown');
+
+    const redFlags = listOf(enriched.red_flags);
+    add('red_flags', redFlags.length / 3, redFlags.length > 0
+        ? `${redFlags.length} red ${redFlags.length === 1 ? 'flag' : 'flags'}: ${redFlags.slice(0, 2).join('; ')}`
+        : 'No red flags');
+
+    const maxPoints = Object.entries(weights)
+        .filter(([factor]) => !PENALTY_FACTORS.has(factor))
+        .reduce((sum, [, weight]) => sum + weight, 0);
+    const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+    const score = maxPoints > 0 ? Math.round(clamp(total / maxPoints) * 100) : 0;
+
+    return { score, factors };
+}
+
+/**
+ * LeadScoringService stores lead scores on companies: one company when its
+ * jobs or enrichment change, all of them periodically and on demand.
+ */
+export class LeadScoringService {
+    constructor(options = {}) {
+        this.db = options.db;
+
+        try {
+            this.weights = parseLeadScoreWeights(options.weights ?? process.env.LEAD_SCORE_WEIGHTS);
+        } catch (error) {
+            console.warn(`[LeadScore] Invalid LEAD_SCORE_WEIGHTS (${error.message}), using defaults`);
+            this.weights = { ...DEFAULT_LEAD_SCORE_WEIGHTS };
+        }
+    }
+
+    registerTaskHandlers(queue) {
+        queue.registerPeriodic('lead_score_refresh', RESCORE_INTERVAL_MS, () => this.rescoreAll());
+    }
+
+    async rescoreCompany(companyId) {
+        const [company] = await this.db.getCompaniesForScoring(companyId);
+        if (!company) return null;
+
+        const { score, factors } = scoreCompany(company, company.jobs, this.weights);
+        await this.db.saveLeadScore(company.id, score, factors);
+        return { company_id: company.id, domain: company.domain, score, factors };
+    }
+
+    async rescoreAll() {
+        const companies = await this.db.getCompaniesForScoring();
+
+        for (const company of companies) {
+            const { score, factors } = scoreCompany(company, company.jobs, this.weights);
+            await this.db.saveLeadScore(company.id, score, factors);
+        }
+
+        console.log(`[LeadScore] Scored ${companies.length} companies`);
+        return { scored_count: companies.length };
+    }
+}
@@ -0,0 +1,588 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { parseJsonResponse, validateSchema } from './ai-schemas.js';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1';
+const OLLAMA_API_URL = 'http://localhost:11434';
+
+const GATEWAY_CONFIG = {
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES) || 2,
+    retryDelayMs: 1000,
+    maxRepairs: parseInt(process.env.LLM_MAX_REPAIRS) || 2,
+    repairEchoLength: 8000 // characters of the rejected response quoted back to the model
+};
+
+/**
+ * Tasks that call an LLM and the models they prefer, in order. Models are
+ * "provider:model" specs. After these, every other configured provider's
+ * default model is tried, so any single provider is enough to run every task.
+ * LLM_ROUTES (JSON) replaces the list of a task, e.g.
+ * {"company_enrichment": "gemini:gemini-2.0-flash", "outreach_sequence": ["openai:gpt-4o", "anthropic:claude-3-5-haiku-20241022"]}
+ */
+export const DEFAULT_LLM_ROUTES = {
+    company_enrichment: ['anthropic:claude-3-5-haiku-20241022', 'gemini:gemini-2.0-flash'],
+    prospect_selection: ['anthropic:claude-3-5-haiku-20241022'],
+    prospect_scoring: ['gemini:gemini-2.0-flash'],
+    outreach_sequence: ['anthropic:claude-3-5-haiku-20241022', 'gemini:gemini-2.0-flash'],
+    job_analysis: ['anthropic:claude-3-5-haiku-20241022', 'gemini:gemini-2.0-flash']
+};
+
+// USD per million tokens, matched by longest model-name prefix; LLM_PRICING (JSON) adds or overrides
+const DEFAULT_PRICING = {
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-opus-4': { input: 15, output: 75 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 }
+};
+
+function splitKeys(value) {
+    return (value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+// "provider:model" → { provider, model }; model names may contain colons (llama3.1:8b)
+function parseModelSpec(spec) {
+    const separator = typeof spec === 'string' ? spec.indexOf(':') : -1;
+    if (separator <= 0 || separator === spec.length - 1) {
+        throw new Error(`Invalid model "${spec}" (expected provider:model)`);
+    }
+    return { provider: spec.slice(0, separator), model: spec.slice(separator + 1) };
+}
+
+/**
+ * Parse an LLM_ROUTES value (JSON string or object) into { task: [spec] }.
+ * Throws on unknown tasks or providers and malformed specs.
+ */
+export function parseLLMRoutes(value, providerNames) {
+    if (value === null || value === undefined || value === '') return {};
+
+    const routes = typeof value === 'string' ? JSON.parse(value) : value;
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+        throw new Error('LLM routes must be a JSON object');
+    }
+
+    const parsed = {};
+    for (const [task, specs] of Object.entries(routes)) {
+        if (!(task in DEFAULT_LLM_ROUTES)) {
+            throw new Error(`Unknown LLM task "${task}" (expected one of: ${Object.keys(DEFAULT_LLM_ROUTES).join(', ')})`);
+        }
+        const list = Array.isArray(specs) ? specs : [specs];
+        for (const spec of list) {
+            const { provider } = parseModelSpec(spec);
+            if (!providerNames.includes(provider)) {
+                throw new Error(`Unknown LLM provider "${provider}" in "${spec}" (expected one of: ${providerNames.join(', ')})`);
+            }
+        }
+        parsed[task] = list;
+    }
+    return parsed;
+}
+
+function createLLMError(message, status = 500) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function postJson(url, headers, body, timeoutMs, label) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        let errorMessage;
+        try {
+            const errorData = JSON.parse(errorText);
+            errorMessage = errorData.error?.message || errorData.error || errorData.message || JSON.stringify(errorData);
+        } catch {
+            errorMessage = errorText || `${label} API error: ${response.status}`;
+        }
+        throw createLLMError(errorMessage, response.status);
+    }
+
+    return await response.json();
+}
+
+/**
+ * LLM providers
+ *
+ * Every provider exposes the same interface:
+ *   name               - id used in model specs ("anthropic:claude-3-5-haiku-20241022")
+ *   defaultModel       - model used when the provider is a fallback for a task
+ *   isConfigured()     - whether the provider has the credentials/URL it needs
+ *   rotateKey()        - switch to the next API key, false when there is none
+ *   complete(request)  - { model, prompt, maxTokens, timeoutMs } resolves to
+ *                        { text, usage: { input_tokens, output_tokens } }
+ *
+ * Keys are comma-separated lists; the gateway rotates on auth and quota errors.
+ */
+class KeyedProvider {
+    constructor(apiKeys) {
+        this.apiKeys = splitKeys(apiKeys);
+        this.keyIndex = 0;
+    }
+
+    get apiKey() {
+        return this.apiKeys[this.keyIndex];
+    }
+
+    isConfigured() {
+        return this.apiKeys.length > 0;
+    }
+
+    rotateKey() {
+        if (this.apiKeys.length <= 1) return false;
+        this.keyIndex = (this.keyIndex + 1) % this.apiKeys.length;
+        console.log(`[LLM] Rotating to ${this.label} API key ${this.keyIndex + 1}/${this.apiKeys.length}`);
+        return true;
+    }
+}
+
+export class AnthropicProvider extends KeyedProvider {
+    constructor(options = {}) {
+        super(options.apiKeys);
+        this.name = 'anthropic';
+        this.label = 'Anthropic';
+        this.defaultModel = 'claude-3-5-haiku-20241022';
+        this.clients = new Map(); // per key
+    }
+
+    async complete({ model, prompt, maxTokens, timeoutMs }) {
+        if (!this.clients.has(this.apiKey)) {
+            this.clients.set(this.apiKey, new Anthropic({ apiKey: this.apiKey, maxRetries: 0 }));
+        }
+
+        const response = await this.clients.get(this.apiKey).messages.create({
+            model,
+            max_tokens: maxTokens,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }]
+        }, { timeout: timeoutMs });
+
+        return {
+            text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            usage: {
+                input_tokens: response.usage?.input_tokens || 0,
+                output_tokens: response.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+export class GeminiProvider extends KeyedProvider {
+    constructor(options = {}) {
+        super(options.apiKeys);
+        this.name = 'gemini';
+        this.label = 'Gemini';
+        this.defaultModel = 'gemini-2.0-flash';
+    }
+
+    async complete({ model, prompt, maxTokens, timeoutMs }) {
+        const generativeModel = new GoogleGenerativeAI(this.apiKey).getGenerativeModel(
+            { model, generationConfig: { maxOutputTokens: maxTokens } },
+            { timeout: timeoutMs }
+        );
+
+        const result = await generativeModel.generateContent(prompt);
+        const response = await result.response;
+
+        return {
+            text: response.text(),
+            usage: {
+                input_tokens: response.usageMetadata?.promptTokenCount || 0,
+                output_tokens: response.usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    }
+}
+
+// OpenAI or any server with an OpenAI-compatible /chat/completions (OpenRouter, Groq, vLLM, LM Studio...)
+export class OpenAICompatibleProvider extends KeyedProvider {
+    constructor(options = {}) {
+        super(options.apiKeys);
+        this.name = 'openai';
+        this.label = 'OpenAI';
+        this.baseUrl = (options.baseUrl || OPENAI_API_URL).replace(/\/$/, '');
+        this.customBaseUrl = !!options.baseUrl;
+        this.defaultModel = options.defaultModel || 'gpt-4o-mini';
+    }
+
+    // Self-hosted servers often need no key
+    isConfigured() {
+        return this.apiKeys.length > 0 || this.customBaseUrl;
+    }
+
+    async complete({ model, prompt, maxTokens, timeoutMs }) {
+        const data = await postJson(`${this.baseUrl}/chat/completions`,
+            this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            {
+                model,
+                max_tokens: maxTokens,
+                messages: [{ role: 'user', content: prompt }]
+            },
+            timeoutMs,
+            this.label
+        );
+
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            usage: {
+                input_tokens: data.usage?.prompt_tokens || 0,
+                output_tokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+export class OllamaProvider {
+    constructor(options = {}) {
+        this.name = 'ollama';
+        this.label = 'Ollama';
+        this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/$/, '') : null;
+        this.defaultModel = options.defaultModel || 'llama3.1';
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    rotateKey() {
+        return false;
+    }
+
+    async complete({ model, prompt, maxTokens, timeoutMs }) {
+        const data = await postJson(`${this.baseUrl || OLLAMA_API_URL}/api/chat`, {}, {
+            model,
+            stream: false,
+            options: { num_predict: maxTokens },
+            messages: [{ role: 'user', content: prompt }]
+        }, timeoutMs, this.label);
+
+        return {
+            text: data.message?.content || '',
+            usage: {
+                input_tokens: data.prompt_eval_count || 0,
+                output_tokens: data.eval_count || 0
+            }
+        };
+    }
+}
+
+export function createLLMProviders(config = {}) {
+    return [
+        new AnthropicProvider({ apiKeys: config.anthropicApiKey }),
+        new GeminiProvider({ apiKeys: config.geminiApiKey }),
+        new OpenAICompatibleProvider({
+            apiKeys: config.openaiApiKey,
+            baseUrl: config.openaiBaseUrl,
+            defaultModel: config.openaiModel
+        }),
+        new OllamaProvider({
+            baseUrl: config.ollamaBaseUrl,
+            defaultModel: config.ollamaModel
+        })
+    ];
+}
+
+// Wrong or exhausted key: another key may work
+function isKeyError(error) {
+    return [401, 403, 429].includes(error.status) ||
+        /API[ _]?key|API_KEY_INVALID|quota|Too Many Requests/i.test(error.message || '');
+}
+
+// Worth retrying on the same model after a pause
+function isTransientError(error) {
+    return error.status === 429 || error.status === 408 || error.status >= 500 ||
+        error.name === 'TimeoutError' || error.name === 'AbortError' ||
+        /timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|fetch failed|socket hang up|overloaded/i.test(error.message || '');
+}
+
+/**
+ * LLMGateway is the single entry point for LLM calls. A task name picks the
+ * route (models to try in order); each model is retried with backoff on
+ * timeouts, rate limits and server errors, rotating keys on auth and quota
+ * errors, before falling back to the next one.
+ *
+ * Every call's tokens and estimated cost are added to in-memory totals per
+ * task and model (getUsage) and passed to the `onUsage` callback, if any.
+ *
+ * completeJson validates structured output against a JSON Schema (see
+ * ai-schemas.js) and re-asks the model with the errors; every rejected
+ * response is passed to the `onValidationError` callback, if any.
+ */
+export class LLMGateway {
+    constructor(options = {}) {
+        this.providers = options.providers || createLLMProviders({
+            anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+            geminiApiKey: process.env.GEMINI_API_KEY,
+            openaiApiKey: process.env.OPENAI_API_KEY,
+            openaiBaseUrl: process.env.OPENAI_BASE_URL,
+            openaiModel: process.env.OPENAI_MODEL,
+            ollamaBaseUrl: process.env.OLLAMA_BASE_URL,
+            ollamaModel: process.env.OLLAMA_MODEL
+        });
+        this.timeoutMs = options.timeoutMs || GATEWAY_CONFIG.timeoutMs;
+        this.maxRetries = options.maxRetries ?? GATEWAY_CONFIG.maxRetries;
+        this.maxRepairs = options.maxRepairs ?? GATEWAY_CONFIG.maxRepairs;
+        this.onUsage = options.onUsage || null;
+        this.onValidationError = options.onValidationError || null;
+        this.usage = new Map();
+
+        const providerNames = this.providers.map(provider => provider.name);
+        try {
+            this.routes = { ...DEFAULT_LLM_ROUTES, ...parseLLMRoutes(options.routes ?? process.env.LLM_ROUTES, providerNames) };
+        } catch (error) {
+            console.warn(`[LLM] Invalid LLM_ROUTES (${error.message}), using defaults`);
+            this.routes = { ...DEFAULT_LLM_ROUTES };
+        }
+
+        try {
+            const overrides = options.pricing ?? process.env.LLM_PRICING;
+            this.pricing = { ...DEFAULT_PRICING, ...(typeof overrides === 'string' && overrides ? JSON.parse(overrides) : overrides || {}) };
+        } catch (error) {
+            console.warn(`[LLM] Invalid LLM_PRICING (${error.message}), using defaults`);
+            this.pricing = { ...DEFAULT_PRICING };
+        }
+    }
+
+    getProvider(name) {
+        return this.providers.find(provider => provider.name === name) || null;
+    }
+
+    // Models to try for a task: its route, then every other configured provider's default
+    getRoute(task) {
+        if (!(task in this.routes)) {
+            throw new Error(`Unknown LLM task "${task}"`);
+        }
+
+        const specs = [
+            ...this.routes[task],
+            ...this.providers.map(provider => `${provider.name}:${provider.defaultModel}`)
+        ];
+        return [...new Set(specs)]
+            .map(parseModelSpec)
+            .filter(({ provider }) => this.getProvider(provider)?.isConfigured());
+    }
+
+    // A single requested model; throws a 400 error when it is malformed or its provider is not configured
+    getModelRoute(spec) {
+        let parsed;
+        try {
+            parsed = parseModelSpec(spec);
+        } catch (error) {
+            error.status = 400;
+            error.retryable = false;
+            throw error;
+        }
+
+        if (!this.getProvider(parsed.provider)?.isConfigured()) {
+            const error = new Error(`LLM provider "${parsed.provider}" is not configured`);
+            error.status = 400;
+            error.retryable = false;
+            throw error;
+        }
+        return [parsed];
+    }
+
+    isAvailable(task) {
+        return this.getRoute(task).length > 0;
+    }
+
+    // Providers and the resolved route of every task (for /api/health)
+    describe() {
+        return {
+            providers: this.providers.map(provider => ({
+                name: provider.name,
+                configured: provider.isConfigured(),
+                default_model: provider.defaultModel
+            })),
+            routes: Object.fromEntries(Object.keys(this.routes).map(task => [
+                task,
+                this.getRoute(task).map(({ provider, model }) => `${provider}:${model}`)
+            ]))
+        };
+    }
+
+    /**
+     * Run a prompt for a task. Resolves to
+     * { text, provider, model, usage: { input_tokens, output_tokens }, cost_usd }.
+     * `model` ("provider:model") runs that model only, instead of the task's route.
+     */
+    async complete(task, prompt, { maxTokens = 2048, model: modelSpec = null } = {}) {
+        const route = modelSpec ? this.getModelRoute(modelSpec) : this.getRoute(task);
+        if (route.length === 0) {
+            const error = new Error(`No LLM provider configured for ${task} (set ANTHROPIC_API_KEY, GEMINI_API_KEY, OPENAI_API_KEY or OLLAMA_BASE_URL)`);
+            error.retryable = false;
+            throw error;
+        }
+
+        let lastError = null;
+        for (const { provider: providerName, model } of route) {
+            const provider = this.getProvider(providerName);
+            let rotations = 0;
+
+            for (let attempt = 0; attempt <= this.maxRetries;) {
+                const startedAt = Date.now();
+                try {
+                    const { text, usage } = await provider.complete({ model, prompt, maxTokens, timeoutMs: this.timeoutMs });
+                    const cost = this.estimateCost(model, usage);
+                    this.recordUsage({ task, provider: providerName, model, usage, cost, durationMs: Date.now() - startedAt });
+                    return { text, provider: providerName, model, usage, cost_usd: cost };
+                } catch (error) {
+                    lastError = error;
+                    this.recordFailure({ task, provider: providerName, model, error, durationMs: Date.now() - startedAt });
+
+                    if (isKeyError(error) && rotations < provider.apiKeys?.length - 1 && provider.rotateKey()) {
+                        rotations++;
+                        continue; // same attempt, next key
+                    }
+                    if (!isTransientError(error) || attempt === this.maxRetries) {
+                        console.warn(`[LLM] ${task}: ${providerName}:${model} failed (${error.status || error.name}: ${error.message})`);
+                        break;
+                    }
+
+                    const delay = GATEWAY_CONFIG.retryDelayMs * Math.pow(2, attempt);
+                    console.log(`[LLM] ${task}: ${providerName}:${model} failed (${error.message}), retrying in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    attempt++;
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Run a prompt whose answer must be JSON matching `schema`. A response
+     * that does not parse or validate is sent back to the model with the
+     * errors, up to `maxRepairs` times. Resolves to complete()'s result plus
+     * `data` (the parsed JSON) and `repairs`; throws an error carrying
+     * `validationErrors` when no attempt produced valid output.
+     */
+    async completeJson(task, prompt, schema, { maxTokens = 2048, maxRepairs = this.maxRepairs, model = null } = {}) {
+        let currentPrompt = prompt;
+
+        for (let attempt = 0; ; attempt++) {
+            const result = await this.complete(task, currentPrompt, { maxTokens, model });
+
+            let data = null;
+            let errors;
+            try {
+                data = parseJsonResponse(result.text);
+                errors = validateSchema(schema, data);
+            } catch (error) {
+                errors = [error.message];
+            }
+
+            if (errors.length === 0) {
+                if (attempt > 0) {
+                    console.log(`[LLM] ${task}: ${result.provider}:${result.model} output valid after ${attempt} repair${attempt === 1 ? '' : 's'}`);
+                }
+                return { ...result, data, repairs: attempt };
+            }
+
+            const final = attempt >= maxRepairs;
+            console.warn(`[LLM] ${task}: ${result.provider}:${result.model} output failed validation (${errors.slice(0, 3).join('; ')})${final ? '' : ', asking for a repair'}`);
+            this.notifyValidationError({
+                task, provider: result.provider, model: result.model,
+                attempt: attempt + 1, errors, final, response: result.text.substring(0, 500)
+            });
+
+            if (final) {
+                const error = new Error(`${task} output did not match the expected format after ${attempt + 1} attempt${attempt === 0 ? '' : 's'}: ${errors.slice(0, 5).join('; ')}`);
+                error.validationErrors = errors;
+                throw error;
+            }
+            currentPrompt = this.buildRepairPrompt(prompt, result.text, errors);
+        }
+    }
+
+    buildRepairPrompt(prompt, responseText, errors) {
+        const echoed = responseText.length > GATEWAY_CONFIG.repairEchoLength
+            ? responseText.substring(0, GATEWAY_CONFIG.repairEchoLength) + '\n[...]'
+            : responseText;
+
+        return `${prompt}
+
+YOUR PREVIOUS RESPONSE:
+${echoed}
+
+That response was rejected because it does not match the required JSON format:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Answer again, fixing these problems. Return ONLY the corrected JSON, no additional text or markdown formatting.`;
+    }
+
+    notifyValidationError(entry) {
+        if (!this.onValidationError) return;
+        Promise.resolve()
+            .then(() => this.onValidationError(entry))
+            .catch(error => console.error('[LLM] Failed to record validation error:', error.message));
+    }
+
+    estimateCost(model, usage) {
+        const prefix = Object.keys(this.pricing)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        const price = prefix ? this.pricing[prefix] : null;
+        if (!price) return 0; // local or unknown model
+
+        const cost = (usage.input_tokens * price.input + usage.output_tokens * price.output) / 1000000;
+        return Math.round(cost * 1000000) / 1000000;
+    }
+
+    getTotals(task, provider, model) {
+        const key = `${task}|${provider}:${model}`;
+        if (!this.usage.has(key)) {
+            this.usage.set(key, { task, provider, model, calls: 0, failures: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+        }
+        return this.usage.get(key);
+    }
+
+    recordUsage({ task, provider, model, usage, cost, durationMs }) {
+        const totals = this.getTotals(task, provider, model);
+        totals.calls++;
+        totals.input_tokens += usage.input_tokens;
+        totals.output_tokens += usage.output_tokens;
+        totals.cost_usd = Math.round((totals.cost_usd + cost) * 1000000) / 1000000;
+
+        this.notifyUsage({ task, provider, model, ...usage, cost_usd: cost, duration_ms: durationMs, success: true });
+    }
+
+    recordFailure({ task, provider, model, error, durationMs }) {
+        this.getTotals(task, provider, model).failures++;
+        this.notifyUsage({
+            task, provider, model, input_tokens: 0, output_tokens: 0, cost_usd: 0,
+            duration_ms: durationMs, success: false, error: error.message
+        });
+    }
+
+    notifyUsage(entry) {
+        if (!this.onUsage) return;
+        Promise.resolve()
+            .then(() => this.onUsage(entry))
+            .catch(error => console.error('[LLM] Failed to record usage:', error.message));
+    }
+
+    // Totals since the process started, per task and model
+    getUsage() {
+        return [...this.usage.values()];
+    }
+}
@@ -0,0 +1,562 @@
+import nodemailer from 'nodemailer';
+import { ImapFlow } from 'imapflow';
+import { decryptSecret } from './secrets.js';
+import { isSendableEmail } from './email-verification.js';
+
+const SEND_CONFIG = {
+    sendIntervalMs: 60000,
+    replyCheckIntervalMs: 5 * 60000,
+    batchSize: 20,
+    transientRetryMs: 15 * 60000,
+    // SMTP connection and socket timeouts, well below staleSendingMs
+    smtpTimeoutMs: 2 * 60000,
+    // A message stuck in 'sending' this long belongs to a worker that died mid-send
+    staleSendingMs: 10 * 60000,
+    businessHours: process.env.OUTREACH_BUSINESS_HOURS || '9-17',
+    businessDays: process.env.OUTREACH_BUSINESS_DAYS || '1-5',
+    defaultTimezone: process.env.OUTREACH_DEFAULT_TIMEZONE || 'UTC'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rough country -> timezone mapping for prospects without an explicit timezone
+const TIMEZONE_BY_COUNTRY = [
+    { pattern: /\b(united kingdom|uk|england|scotland|wales|london)\b/i, timezone: 'Europe/London' },
+    { pattern: /\b(ireland|dublin)\b/i, timezone: 'Europe/Dublin' },
+    { pattern: /\b(germany|deutschland|berlin|munich)\b/i, timezone: 'Europe/Berlin' },
+    { pattern: /\b(france|paris)\b/i, timezone: 'Europe/Paris' },
+    { pattern: /\b(netherlands|amsterdam)\b/i, timezone: 'Europe/Amsterdam' },
+    { pattern: /\b(spain|madrid|barcelona)\b/i, timezone: 'Europe/Madrid' },
+    { pattern: /\b(sweden|stockholm)\b/i, timezone: 'Europe/Stockholm' },
+    { pattern: /\b(india|bangalore|bengaluru|mumbai)\b/i, timezone: 'Asia/Kolkata' },
+    { pattern: /\b(singapore)\b/i, timezone: 'Asia/Singapore' },
+    { pattern: /\b(australia|sydney|melbourne)\b/i, timezone: 'Australia/Sydney' },
+    { pattern: /\b(canada|toronto)\b/i, timezone: 'America/Toronto' },
+    { pattern: /\b(vancouver)\b/i, timezone: 'America/Vancouver' },
+    { pattern: /\b(california|san francisco|los angeles|seattle|washington state|oregon|ca)\b/i, timezone: 'America/Los_Angeles' },
+    { pattern: /\b(texas|chicago|illinois|austin|tx)\b/i, timezone: 'America/Chicago' },
+    { pattern: /\b(colorado|denver|utah|arizona)\b/i, timezone: 'America/Denver' },
+    { pattern: /\b(united states|usa|us|new york|boston|ny|ma)\b/i, timezone: 'America/New_York' }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseRange(range) {
+    const [start, end] = range.split('-').map(n => parseInt(n, 10));
+    return { start, end: end ?? start };
+}
+
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(p => p.type === type).value;
+    return { weekday: WEEKDAYS[get('weekday')], hour: parseInt(get('hour'), 10) };
+}
+
+/**
+ * OutreachSender sends enrolled prospects their email sequence over SMTP and
+ * stops a sequence as soon as the prospect replies (checked over IMAP).
+ *
+ * Only the next step of an enrollment is ever scheduled: when a step is sent,
+ * the following one is scheduled `delay_days` later. Messages go out inside
+ * business hours in the prospect's timezone and count against the sending
+ * mailbox's daily limit; anything outside the window or over the limit is
+ * pushed to the next allowed time. Both loops run as periodic jobs on the job
+ * queue, so they need a running worker.
+ */
+export class OutreachSender {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.config = { ...SEND_CONFIG, ...(options.config || {}) };
+
+        const hours = parseRange(this.config.businessHours);
+        const days = parseRange(this.config.businessDays);
+        this.businessHours = { start: hours.start, end: hours.end };
+        this.businessDays = new Set();
+        for (let day = days.start; day <= days.end; day++) {
+            this.businessDays.add(day % 7);
+        }
+
+        this.transports = new Map(); // mailbox id -> { updatedAt, transport }
+    }
+
+    registerTaskHandlers(queue) {
+        queue.registerPeriodic('outreach_sender', this.config.sendIntervalMs, () => this.sendDueMessages());
+        queue.registerPeriodic('outreach_reply_check', this.config.replyCheckIntervalMs, () => this.checkReplies());
+    }
+
+    // ===== ENROLLMENT =====
+
+    /**
+     * Start sequences for a folder's selected prospects that have a verified
+     * email (any email with `includeUnverified`) and a drafted sequence.
+     * Prospects are spread over the chosen mailboxes of the folder's workspace.
+     */
+    async enrollFolder(folderId, { prospectIds = null, mailboxIds = null, includeUnverified = false } = {}) {
+        const folder = await this.db.getFolder(folderId);
+        let mailboxes = (await this.db.getMailboxes(folder.workspace_id)).filter(mb => mb.enabled);
+        if (mailboxIds) {
+            mailboxes = mailboxes.filter(mb => mailboxIds.includes(mb.id));
+        }
+        if (mailboxes.length === 0) {
+            const error = new Error('No enabled mailbox to send from');
+            error.status = 400;
+            throw error;
+        }
+
+        let prospects = await this.db.getSelectedProspects(folderId);
+        if (prospectIds) {
+            prospects = prospects.filter(p => prospectIds.includes(p.id));
+        }
+
+        const enrolled = [];
+        const skipped = [];
+
+        for (const prospect of prospects) {
+            if (!prospect.email) {
+                skipped.push({ prospect_id: prospect.id, name: prospect.name, reason: 'No email address' });
+                continue;
+            }
+
+            if (!isSendableEmail(prospect, { includeUnverified })) {
+                const reason = prospect.email_status ? `Email ${prospect.email_status}` : 'Email not verified';
+                skipped.push({ prospect_id: prospect.id, name: prospect.name, reason });
+                continue;
+            }
+
+            const sequence = await this.db.getCurrentSequence(prospect.id);
+            if (!sequence) {
+                skipped.push({ prospect_id: prospect.id, name: prospect.name, reason: 'No email sequence drafted' });
+                continue;
+            }
+
+            const mailbox = mailboxes[enrolled.length % mailboxes.length];
+            const timezone = this.getProspectTimezone(prospect);
+
+            const enrollment = await this.db.createEnrollment({
+                prospectId: prospect.id,
+                folderId,
+                mailboxId: mailbox.id,
+                sequenceId: sequence.id,
+                steps: sequence.steps,
+                timezone
+            });
+
+            if (!enrollment) {
+                skipped.push({ prospect_id: prospect.id, name: prospect.name, reason: 'Already in an active sequence' });
+                continue;
+            }
+
+            await this.scheduleStep(enrollment, prospect.email, 1, new Date());
+            enrolled.push({ prospect_id: prospect.id, enrollment_id: enrollment.id, mailbox_id: mailbox.id, timezone });
+        }
+
+        console.log(`[Outreach] Enrolled ${enrolled.length} prospects from folder ${folderId} (${skipped.length} skipped)`);
+        return { enrolled, skipped };
+    }
+
+    async stopEnrollment(enrollmentId, status, reason) {
+        const enrollment = await this.db.updateEnrollmentStatus(enrollmentId, status, reason);
+        const cancelled = await this.db.cancelScheduledMessages(enrollmentId);
+        console.log(`[Outreach] Enrollment ${enrollmentId} ${status}${reason ? ` (${reason})` : ''}, ${cancelled} scheduled messages cancelled`);
+        return enrollment;
+    }
+
+    // Stop emailing a prospect once the pipeline says they answered or were closed
+    async stopForProspectStatus(prospectId, status) {
+        if (['new', 'contacted'].includes(status)) return null;
+
+        const enrollment = await this.db.getActiveEnrollmentByProspect(prospectId);
+        if (!enrollment) return null;
+
+        return await this.stopEnrollment(enrollment.id, 'stopped', `Prospect moved to ${status}`);
+    }
+
+    getProspectTimezone(prospect) {
+        if (prospect.timezone && isValidTimezone(prospect.timezone)) {
+            return prospect.timezone;
+        }
+
+        if (prospect.location) {
+            const match = TIMEZONE_BY_COUNTRY.find(({ pattern }) => pattern.test(prospect.location));
+            if (match) return match.timezone;
+        }
+
+        return this.config.defaultTimezone;
+    }
+
+    // ===== SCHEDULING =====
+
+    async scheduleStep(enrollment, toEmail, stepNumber, after) {
+        const step = enrollment.steps[stepNumber - 1];
+        const earliest = new Date(after.getTime() + (step.delay_days || 0) * DAY_MS);
+
+        return await this.db.scheduleOutreachMessage({
+            enrollmentId: enrollment.id,
+            prospectId: enrollment.prospect_id,
+            mailboxId: enrollment.mailbox_id,
+            step: stepNumber,
+            toEmail,
+            subject: step.subject,
+            body: step.body,
+            scheduledAt: this.nextBusinessTime(earliest, enrollment.timezone)
+        });
+    }
+
+    isBusinessTime(date, timezone) {
+        const { weekday, hour } = getLocalTime(date, timezone);
+        return this.businessDays.has(weekday) && hour >= this.businessHours.start && hour < this.businessHours.end;
+    }
+
+    // First time at or after `from` inside business hours in `timezone` (15 minute resolution)
+    nextBusinessTime(from, timezone) {
+        const stepMs = 15 * 60000;
+        let date = new Date(from.getTime());
+
+        for (let i = 0; i < (8 * DAY_MS) / stepMs; i++) {
+            if (this.isBusinessTime(date, timezone)) return date;
+            date = new Date(date.getTime() + stepMs);
+        }
+
+        // No business days configured; send whenever
+        return from;
+    }
+
+    // ===== SENDING =====
+
+    async sendDueMessages() {
+        const stale = await this.db.failStaleSendingMessages(this.config.staleSendingMs);
+        if (stale.length > 0) {
+            console.warn(`[Outreach] Marked ${stale.length} interrupted messages as failed`);
+        }
+
+        // One message is claimed at a time, so none waits in 'sending' behind the
+        // others long enough to be taken for interrupted
+        let sent = 0;
+        while (sent < this.config.batchSize) {
+            const [message] = await this.db.claimDueOutreachMessages(1);
+            if (!message) break;
+            await this.sendMessage(message);
+            sent++;
+        }
+
+        return sent;
+    }
+
+    async sendMessage(message) {
+        const enrollment = await this.db.getEnrollment(message.enrollment_id);
+        const mailbox = await this.db.getMailbox(message.mailbox_id);
+        const now = new Date();
+
+        if (!this.isBusinessTime(now, enrollment.timezone)) {
+            await this.db.rescheduleOutreachMessage(message.id, this.nextBusinessTime(now, enrollment.timezone));
+            return;
+        }
+
+        const sentToday = await this.db.countMailboxSentToday(mailbox.id);
+        if (sentToday >= mailbox.daily_limit) {
+            // Daily limits reset at midnight UTC
+            const tomorrow = new Date(now);
+            tomorrow.setUTCHours(24, 0, 0, 0);
+            await this.db.rescheduleOutreachMessage(message.id, this.nextBusinessTime(tomorrow, enrollment.timezone));
+            return;
+        }
+
+        let info;
+        try {
+            const mail = await this.buildMail(message, mailbox);
+            info = await this.getTransport(mailbox).sendMail(mail);
+        } catch (error) {
+            // SMTP 5xx replies are permanent (bad address, auth, policy); the rest is worth retrying
+            if (error.responseCode >= 500) {
+                console.error(`[Outreach] Permanent send failure to ${message.to_email}:`, error.message);
+                await this.db.markOutreachMessageFailed(message.id, error.message);
+                await this.stopEnrollment(enrollment.id, 'failed', error.message);
+                await this.db.createNotification(
+                    'outreach_send_failed',
+                    'Outreach Email Failed',
+                    `Could not send to ${message.to_email}: ${error.message}`,
+                    `/folders/${enrollment.folder_id}`,
+                    { folderId: enrollment.folder_id }
+                );
+            } else {
+                console.error(`[Outreach] Send to ${message.to_email} failed, retrying later:`, error.message);
+                await this.db.rescheduleOutreachMessage(
+                    message.id,
+                    new Date(Date.now() + this.config.transientRetryMs),
+                    error.message
+                );
+            }
+            return;
+        }
+
+        // The email is out, so nothing below may put the message back in the queue. If
+        // this write fails the message stays 'sending' and is failed as interrupted.
+        const sent = await this.db.markOutreachMessageSent(message.id, info.messageId);
+        if (!sent) {
+            console.warn(`[Outreach] Sent step ${message.step} to ${message.to_email}, but the message was no longer sending; its sequence is not continued`);
+            return;
+        }
+        console.log(`[Outreach] Sent step ${message.step} to ${message.to_email} from ${mailbox.from_email}`);
+
+        try {
+            if (message.step < enrollment.steps.length) {
+                await this.scheduleStep(enrollment, message.to_email, message.step + 1, now);
+            } else {
+                await this.db.updateEnrollmentStatus(enrollment.id, 'completed');
+            }
+        } catch (error) {
+            console.error(`[Outreach] Sent step ${message.step} to ${message.to_email} but failed to schedule the next one:`, error.message);
+        }
+
+        await this.recordSentActivity(message, enrollment, info.messageId)
+            .catch(error => console.error(`[Outreach] Failed to record the email to prospect ${message.prospect_id} in its timeline:`, error.message));
+    }
+
+    // Timeline entry for a sent step; a new prospect becomes contacted
+    async recordSentActivity(message, enrollment, messageId) {
+        await this.db.createProspectActivity(message.prospect_id, {
+            type: 'email',
+            content: message.subject,
+            metadata: { direction: 'outbound', step: message.step, enrollment_id: enrollment.id, message_id: messageId }
+        });
+        await this.db.updateProspectStatus(message.prospect_id, 'contacted', { onlyFrom: ['new'] });
+    }
+
+    async buildMail(message, mailbox) {
+        const mail = {
+            from: mailbox.from_name ? { name: mailbox.from_name, address: mailbox.from_email } : mailbox.from_email,
+            to: message.to_email,
+            subject: message.subject,
+            text: message.body
+        };
+
+        // Follow-ups reply in the thread of the earlier steps
+        if (message.step > 1) {
+            const previous = (await this.db.getEnrollmentMessages(message.enrollment_id))
+                .filter(m => m.step < message.step && m.message_id)
+                .map(m => m.message_id);
+
+            if (previous.length > 0) {
+                mail.inReplyTo = previous[previous.length - 1];
+                mail.references = previous;
+            }
+        }
+
+        return mail;
+    }
+
+    getTransport(mailbox) {
+        const cached = this.transports.get(mailbox.id);
+        if (cached && cached.updatedAt === String(mailbox.updated_at)) {
+            return cached.transport;
+        }
+
+        const transport = nodemailer.createTransport({
+            host: mailbox.smtp_host,
+            port: mailbox.smtp_port,
+            secure: mailbox.smtp_secure,
+            connectionTimeout: this.config.smtpTimeoutMs,
+            socketTimeout: this.config.smtpTimeoutMs,
+            auth: mailbox.smtp_user ? {
+                user: mailbox.smtp_user,
+                pass: decryptSecret(mailbox.smtp_pass_encrypted)
+            } : undefined
+        });
+
+        this.transports.set(mailbox.id, { updatedAt: String(mailbox.updated_at), transport });
+        return transport;
+    }
+
+    // ===== REPLY DETECTION =====
+
+    async checkReplies() {
+        const mailboxes = (await this.db.getMailboxes()).filter(mb => mb.enabled && mb.imap_host);
+
+        for (const mailbox of mailboxes) {
+            try {
+                await this.pollMailbox(mailbox);
+            } catch (error) {
+                console.error(`[Outreach] IMAP check failed for ${mailbox.from_email}:`, error.message);
+                await this.db.updateMailboxImapState(mailbox.id, { error: error.message });
+            }
+        }
+    }
+
+    createImapClient(mailbox) {
+        return new ImapFlow({
+            host: mailbox.imap_host,
+            port: mailbox.imap_port,
+            secure: mailbox.imap_secure,
+            auth: {
+                user: mailbox.imap_user || mailbox.smtp_user,
+                pass: decryptSecret(mailbox.imap_pass_encrypted || mailbox.smtp_pass_encrypted)
+            },
+            logger: false
+        });
+    }
+
+    async pollMailbox(mailbox) {
+        const client = this.createImapClient(mailbox);
+        try {
+            await client.connect();
+            await this.fetchReplies(client, mailbox);
+        } finally {
+            // Also closes a connection whose login or INBOX lock failed
+            await client.logout().catch(() => client.close());
+        }
+    }
+
+    async fetchReplies(client, mailbox) {
+        const lock = await client.getMailboxLock('INBOX');
+        try {
+            const uidValidity = String(client.mailbox.uidValidity);
+            const lastUid = mailbox.imap_uid_validity === uidValidity ? Number(mailbox.imap_last_uid || 0) : 0;
+
+            // First check (or the server renumbered the mailbox): look at everything since the mailbox was added
+            const range = lastUid > 0 ? `${lastUid + 1}:*` : { since: new Date(mailbox.created_at) };
+            const messages = await client.fetchAll(range, {
+                uid: true,
+                envelope: true,
+                headers: ['references', 'auto-submitted', 'x-autoreply']
+            }, { uid: true });
+
+            let maxUid = lastUid;
+            let replies = 0;
+            for (const msg of messages) {
+                // "N:*" always returns the newest message, even when it is older than N
+                if (msg.uid <= lastUid) continue;
+                maxUid = Math.max(maxUid, msg.uid);
+
+                if (await this.handleInboundMessage(mailbox, msg)) {
+                    replies++;
+                }
+            }
+
+            await this.db.updateMailboxImapState(mailbox.id, { lastUid: maxUid, uidValidity });
+            if (replies > 0) {
+                console.log(`[Outreach] ${replies} new replies in ${mailbox.from_email}`);
+            }
+        } finally {
+            lock.release();
+        }
+    }
+
+    async handleInboundMessage(mailbox, msg) {
+        const envelope = msg.envelope || {};
+        const fromEmail = envelope.from?.[0]?.address;
+        if (!fromEmail || fromEmail.toLowerCase() === mailbox.from_email.toLowerCase()) return false;
+
+        const headers = parseHeaders(msg.headers);
+
+        // Out-of-office and other auto-replies don't stop a sequence
+        if ((headers['auto-submitted'] && headers['auto-submitted'] !== 'no') || headers['x-autoreply']) {
+            return false;
+        }
+
+        const referencedIds = [envelope.inReplyTo, headers.references]
+            .filter(Boolean)
+            .flatMap(value => value.match(/<[^>]+>/g) || []);
+
+        const sentMessage = await this.db.findSentMessageByMessageIds(referencedIds);
+        const enrollment = sentMessage
+            ? await this.db.getEnrollment(sentMessage.enrollment_id)
+            : await this.db.findEnrollmentBySender(mailbox.id, fromEmail);
+
+        if (!enrollment) return false;
+
+        const reply = await this.db.recordOutreachReply({
+            enrollmentId: enrollment.id,
+            prospectId: enrollment.prospect_id,
+            mailboxId: mailbox.id,
+            fromEmail,
+            subject: envelope.subject || null,
+            messageId: envelope.messageId || `uid:${msg.uid}`,
+            receivedAt: envelope.date || new Date()
+        });
+        if (!reply) return false; // already recorded
+
+        await this.db.createProspectActivity(enrollment.prospect_id, {
+            type: 'email',
+            content: envelope.subject || null,
+            metadata: { direction: 'inbound', from: fromEmail, enrollment_id: enrollment.id, message_id: reply.message_id },
+            occurredAt: reply.received_at
+        });
+        await this.db.updateProspectStatus(enrollment.prospect_id, 'replied', { onlyFrom: ['new', 'contacted'] });
+
+        // A reply after the last step still counts; stopped or failed enrollments keep their status
+        if (enrollment.status === 'active' || enrollment.status === 'completed') {
+            await this.stopEnrollment(enrollment.id, 'replied', 'Prospect replied');
+        }
+
+        const prospect = await this.db.getProspect(enrollment.prospect_id);
+        await this.db.createNotification(
+            'outreach_reply',
+            'Prospect Replied',
+            `${prospect?.name || fromEmail} (${prospect?.company_name || 'unknown company'}) replied: "${envelope.subject || '(no subject)'}"`,
+            `/folders/${enrollment.folder_id}`,
+            { folderId: enrollment.folder_id }
+        );
+
+        return true;
+    }
+
+    /**
+     * Check that a mailbox's SMTP (and IMAP, if configured) settings work.
+     */
+    async testMailbox(mailbox) {
+        const result = { smtp: null, imap: null };
+
+        try {
+            await this.getTransport(mailbox).verify();
+            result.smtp = 'ok';
+        } catch (error) {
+            result.smtp = error.message;
+        }
+
+        if (mailbox.imap_host) {
+            const client = this.createImapClient(mailbox);
+            try {
+                await client.connect();
+                result.imap = 'ok';
+            } catch (error) {
+                result.imap = error.message;
+            } finally {
+                // Also closes a connection whose login failed
+                await client.logout().catch(() => client.close());
+            }
+        }
+
+        return result;
+    }
+}
+
+// Parse raw header lines (as returned by IMAP FETCH) into a lowercase name -> value map
+function parseHeaders(buffer) {
+    const headers = {};
+    if (!buffer) return headers;
+
+    const unfolded = buffer.toString('utf8').replace(/\r?\n[ \t]+/g, ' ');
+    for (const line of unfolded.split(/\r?\n/)) {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+    }
+
+    return headers;
+}
@@ -0,0 +1,207 @@
+import { EMAIL_SEQUENCE_SCHEMA } from './ai-schemas.js';
+import { runWithUsageContext } from './usage.js';
+
+// Default shape of a sequence: initial email plus follow-ups (days after the previous step)
+const SEQUENCE_CONFIG = {
+    followUpDelays: [3, 5, 7],
+    maxBodyLength: 1200
+};
+
+/**
+ * OutreachService drafts personalized email sequences for selected prospects.
+ *
+ * Each prospect's sequence combines the company's enriched data (growth
+ * signals, GTM opportunity assessment), the job posting that brought the
+ * company into the folder, and the knowledge base (company profile, user
+ * profile, guidelines). Sequences are stored as versions: regenerating or
+ * editing never overwrites, it adds a new version.
+ */
+export class OutreachService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.llm = options.llm || null; // LLMGateway instance
+    }
+
+    isAvailable() {
+        return !!this.llm?.isAvailable('outreach_sequence');
+    }
+
+    /**
+     * Generate sequences for the selected prospects of a folder. With
+     * `prospectIds`, only those prospects are generated; prospects that already
+     * have a sequence are skipped unless `regenerate` is set.
+     */
+    async generateSequencesForFolder(folderId, task) {
+        const { prospect_ids: prospectIds = null, regenerate = false } = task.payload || {};
+
+        let prospects = await this.db.getSelectedProspects(folderId);
+        if (prospectIds) {
+            prospects = prospects.filter(p => prospectIds.includes(p.id));
+        }
+
+        if (prospects.length === 0) {
+            const error = new Error('No selected prospects to write sequences for');
+            error.retryable = false;
+            throw error;
+        }
+
+        const folder = await this.db.getFolder(folderId);
+        const knowledge = await this.db.getAllKnowledge(folder.workspace_id);
+        const jobs = await this.db.getJobsByFolder(folderId);
+
+        await this.db.setTaskTotal(task.id, prospects.length);
+
+        let generated = 0;
+        let processed = 0;
+
+        for (const prospect of prospects) {
+            // Keep existing sequences, except when regenerating; a retried task
+            // also keeps the ones it already regenerated on an earlier attempt
+            const existing = await this.db.getCurrentSequence(prospect.id);
+            if (existing && (!regenerate || existing.created_at > task.created_at)) {
+                processed++;
+                continue;
+            }
+
+            const job = jobs.find(j => j.company_id === prospect.company_id) || null;
+            const { steps, model } = await runWithUsageContext(
+                { companyId: prospect.company_id, companyDomain: prospect.company_domain },
+                () => this.generateSequence(prospect, job, knowledge)
+            );
+
+            await this.db.saveEmailSequence(prospect.id, folderId, steps, { source: 'ai', model });
+            generated++;
+            processed++;
+            await this.db.updateTaskStatus(task.id, 'processing', processed);
+        }
+
+        // Only a full-folder run moves the folder to the next stage
+        if (!prospectIds) {
+            await this.db.updateFolderStatus(folderId, 'sequences_drafted');
+        }
+
+        await this.db.createNotification(
+            'sequences_generated',
+            'Email Sequences Ready',
+            `Drafted email sequences for ${generated} prospect${generated === 1 ? '' : 's'}`,
+            `/folders/${folderId}`,
+            { folderId }
+        );
+
+        console.log(`[Outreach] Sequence generation completed for folder ${folderId}: ${generated}/${prospects.length}`);
+        return { generated_count: generated, total: prospects.length };
+    }
+
+    async generateSequence(prospect, job, knowledge) {
+        const prompt = this.buildSequencePrompt(prospect, job, knowledge);
+
+        const { data, model } = await this.llm.completeJson('outreach_sequence', prompt, EMAIL_SEQUENCE_SCHEMA, { maxTokens: 4096 });
+
+        return { steps: this.buildSteps(data), model };
+    }
+
+    buildSequencePrompt(prospect, job, knowledge) {
+        const enrichedData = prospect.enriched_data || {};
+        const byType = (type) => knowledge.filter(k => k.type === type);
+        const formatEntries = (entries) => entries.map(k => `### ${k.title}\n${k.content}`).join('\n\n');
+
+        const senderCompany = byType('company_profile');
+        const senderProfile = byType('user_profile');
+        const guidelines = byType('guideline');
+
+        return `You are writing a cold outreach email sequence for a GTM (Go-To-Market) engineering services business.
+
+ABOUT US (the sender's company):
+${senderCompany.length > 0 ? formatEntries(senderCompany) : 'Not provided - keep the offer generic: GTM engineering (sales tooling, automation, data pipelines for revenue teams).'}
+
+ABOUT THE SENDER:
+${senderProfile.length > 0 ? formatEntries(senderProfile) : 'Not provided - sign off without a name.'}
+
+WRITING GUIDELINES:
+${guidelines.length > 0 ? formatEntries(guidelines) : 'Be concise, specific and human. No buzzwords.'}
+
+RECIPIENT:
+- Name: ${prospect.name}
+- Title: ${prospect.title || 'Unknown'}
+- Company: ${prospect.company_name} (${prospect.company_domain})
+${prospect.relevance ? `- Why they were selected: ${prospect.relevance}` : ''}
+
+COMPANY RESEARCH:
+${enrichedData.company_summary ? `- Summary: ${enrichedData.company_summary}` : ''}
+${enrichedData.growth_signals?.length ? `- Growth signals: ${enrichedData.growth_signals.join('; ')}` : ''}
+${enrichedData.gtm_opportunity_assessment ? `- GTM opportunity: ${enrichedData.gtm_opportunity_assessment}` : ''}
+${enrichedData.tech_stack?.length ? `- Tech stack: ${enrichedData.tech_stack.join(', ')}` : ''}
+
+JOB POSTING (why we are reaching out now):
+${job ? `- Title: ${job.job_title}
+- Location: ${job.location || 'Not specified'}
+- Description: ${job.description?.substring(0, 1500) || 'Not available'}` : 'No job posting on file.'}
+
+TASK:
+Write a ${SEQUENCE_CONFIG.followUpDelays.length + 1}-step sequence: one initial email and ${SEQUENCE_CONFIG.followUpDelays.length} follow-ups.
+- Reference the job posting and at least one concrete company detail in the initial email
+- Each follow-up adds something new (a different angle, proof point or question); never just "bumping this"
+- Keep each body under ${SEQUENCE_CONFIG.maxBodyLength} characters, plain text, no markdown
+- Follow-ups reply in the same thread, so their subject should be "Re: " + the initial subject
+
+Return ONLY a JSON array in this format:
+[
+  { "subject": "Subject line", "body": "Email body" },
+  { "subject": "Re: Subject line", "body": "Follow-up body" }
+]`;
+    }
+
+    // Validated emails (see EMAIL_SEQUENCE_SCHEMA) → steps with the configured delays
+    buildSteps(emails) {
+        return this.normalizeSteps(emails.map((email, i) => ({
+            ...email,
+            delay_days: i === 0 ? 0 : (SEQUENCE_CONFIG.followUpDelays[i - 1] ?? SEQUENCE_CONFIG.followUpDelays.at(-1))
+        })));
+    }
+
+    /**
+     * Validate and normalize sequence steps (from the AI or from a manual edit).
+     * Throws an error with status 400 when the steps are unusable.
+     */
+    normalizeSteps(steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw this.createValidationError('A sequence needs at least one step');
+        }
+
+        return steps.map((step, i) => {
+            const subject = typeof step?.subject === 'string' ? step.subject.trim() : '';
+            const body = typeof step?.body === 'string' ? step.body.trim() : '';
+            const delayDays = i === 0 ? 0 : parseInt(step.delay_days, 10);
+
+            if (!subject || !body) {
+                throw this.createValidationError(`Step ${i + 1} needs a subject and a body`);
+            }
+            if (Number.isNaN(delayDays) || delayDays < 0) {
+                throw this.createValidationError(`Step ${i + 1} needs a non-negative delay_days`);
+            }
+
+            return { step: i + 1, delay_days: delayDays, subject, body };
+        });
+    }
+
+    createValidationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    // ===== TASK QUEUE HANDLERS =====
+
+    registerTaskHandlers(queue) {
+        queue.register('sequence_generation', task => this.generateSequencesForFolder(task.folder_id, task), {
+            spends: ['llm'],
+            onFailed: (task, error) => this.db.createNotification(
+                'sequence_generation_failed',
+                'Email Sequence Generation Failed',
+                error.message,
+                `/folders/${task.folder_id}`,
+                { folderId: task.folder_id }
+            )
+        });
+    }
+}
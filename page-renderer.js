@@ -0,0 +1,220 @@
+const RENDER_CONFIG = {
+    backend: (process.env.RENDER_BACKEND || '').trim().toLowerCase() || null, // 'playwright' or unset
+    poolSize: parseInt(process.env.RENDER_POOL_SIZE) || 2,
+    timeoutMs: parseInt(process.env.RENDER_TIMEOUT_MS) || 20000,
+    cacheTtlMs: parseInt(process.env.RENDER_CACHE_TTL_MS) || 6 * 60 * 60 * 1000,
+    maxCachedDomains: 200,
+    settleMs: 3000, // extra wait for client-side rendering once the DOM is ready
+    idleCloseMs: 60000 // Chromium is closed after this long without renders
+};
+
+const SUPPORTED_BACKENDS = ['playwright'];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * PageRenderer loads pages in headless Chromium (Playwright) for sites a
+ * plain HTTP fetch cannot read: JavaScript apps that ship an empty shell and
+ * sites behind a bot challenge. It is optional: set RENDER_BACKEND=playwright
+ * and install the browser (`npm install playwright && npx playwright install
+ * chromium`); without it the crawler only fetches statically.
+ *
+ * One browser is shared by at most RENDER_POOL_SIZE pages at a time, each in
+ * its own context, and closed when idle. Rendered pages are cached per domain
+ * for RENDER_CACHE_TTL_MS, and a domain with cached renders is rendered
+ * directly on its next crawl.
+ */
+export class PageRenderer {
+    constructor(options = {}) {
+        this.backend = options.backend !== undefined ? options.backend : RENDER_CONFIG.backend;
+        this.poolSize = options.poolSize || RENDER_CONFIG.poolSize;
+        this.timeoutMs = options.timeoutMs || RENDER_CONFIG.timeoutMs;
+        this.cacheTtlMs = options.cacheTtlMs || RENDER_CONFIG.cacheTtlMs;
+
+        this.browser = null;
+        this.launching = null;
+        this.unavailable = null; // why the backend cannot run (e.g. playwright not installed)
+        this.active = 0;
+        this.waiting = [];
+        this.idleTimer = null;
+        this.cache = new Map(); // domain → { at, pages: Map(url → { url, status, html }) }
+
+        if (this.backend && !SUPPORTED_BACKENDS.includes(this.backend)) {
+            this.unavailable = `Unknown RENDER_BACKEND "${this.backend}" (expected one of: ${SUPPORTED_BACKENDS.join(', ')})`;
+            console.warn(`[Renderer] ${this.unavailable}`);
+        }
+    }
+
+    isEnabled() {
+        return !!this.backend && !this.unavailable;
+    }
+
+    // For /api/health
+    describe() {
+        return {
+            backend: this.backend,
+            enabled: this.isEnabled(),
+            error: this.unavailable,
+            pool_size: this.poolSize,
+            active: this.active,
+            browser_running: !!this.browser,
+            cached_domains: this.cache.size
+        };
+    }
+
+    // Whether the domain was rendered recently (its static pages were unusable)
+    needsRendering(domain) {
+        return this.isEnabled() && !!this.getCachedDomain(domain);
+    }
+
+    /**
+     * Render a page. Resolves to { url (after redirects), status, html,
+     * cached }; throws on navigation errors and timeouts.
+     *
+     * `checkRequest(url)` (optional) is awaited for every http(s) request the
+     * page makes, each redirect hop included; a request it rejects is aborted.
+     */
+    async render(url, { domain, timeoutMs = this.timeoutMs, checkRequest = null } = {}) {
+        if (!this.isEnabled()) {
+            throw new Error(this.unavailable || 'No rendering backend configured (set RENDER_BACKEND=playwright)');
+        }
+
+        const cached = this.getCachedDomain(domain)?.pages.get(url);
+        if (cached) {
+            return { ...cached, cached: true };
+        }
+
+        await this.acquire();
+        try {
+            const browser = await this.getBrowser();
+            // Service workers would fetch past the route handler
+            const context = await browser.newContext({ userAgent: USER_AGENT, locale: 'en-US', serviceWorkers: 'block' });
+
+            try {
+                if (checkRequest) {
+                    await context.route('**/*', async route => {
+                        const requestUrl = route.request().url();
+                        try {
+                            if (/^https?:/i.test(requestUrl)) await checkRequest(requestUrl);
+                        } catch (error) {
+                            console.log(`[Renderer] Blocked ${requestUrl}: ${error.message}`);
+                            return route.abort('blockedbyclient');
+                        }
+                        return route.continue();
+                    });
+                }
+
+                const page = await context.newPage();
+                const timeout = Math.min(timeoutMs, this.timeoutMs);
+                const startedAt = Date.now();
+
+                const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+                // Let client-side rendering and challenge redirects settle, within the timeout
+                const settleMs = Math.min(RENDER_CONFIG.settleMs, timeout - (Date.now() - startedAt));
+                if (settleMs > 0) {
+                    await page.waitForLoadState('networkidle', { timeout: settleMs }).catch(() => {});
+                }
+
+                const result = { url: page.url(), status: response?.status() ?? null, html: await page.content() };
+                this.cachePage(domain, url, result);
+                return { ...result, cached: false };
+            } finally {
+                await context.close().catch(() => {});
+            }
+        } finally {
+            this.release();
+        }
+    }
+
+    getCachedDomain(domain) {
+        const entry = this.cache.get(domain);
+        if (!entry) return null;
+        if (Date.now() - entry.at > this.cacheTtlMs) {
+            this.cache.delete(domain);
+            return null;
+        }
+        return entry;
+    }
+
+    cachePage(domain, url, result) {
+        let entry = this.getCachedDomain(domain);
+        if (!entry) {
+            entry = { at: Date.now(), pages: new Map() };
+            this.cache.set(domain, entry);
+
+            // Drop the oldest domains beyond the limit (Map keeps insertion order)
+            while (this.cache.size > RENDER_CONFIG.maxCachedDomains) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+        entry.pages.set(url, result);
+    }
+
+    async acquire() {
+        clearTimeout(this.idleTimer);
+        if (this.active < this.poolSize) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve)); // release hands its slot over
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+            return;
+        }
+
+        this.active--;
+        if (this.active === 0) {
+            this.idleTimer = setTimeout(() => this.close(), RENDER_CONFIG.idleCloseMs);
+            this.idleTimer.unref();
+        }
+    }
+
+    async getBrowser() {
+        if (this.browser?.isConnected()) {
+            return this.browser;
+        }
+        if (!this.launching) {
+            this.launching = this.launchBrowser().finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    async launchBrowser() {
+        let playwright;
+        try {
+            playwright = await import('playwright');
+        } catch (error) {
+            this.unavailable = 'playwright is not installed (npm install playwright && npx playwright install chromium)';
+            console.warn(`[Renderer] ${this.unavailable}`);
+            throw new Error(this.unavailable);
+        }
+
+        const browser = await playwright.chromium.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-dev-shm-usage']
+        });
+        browser.on('disconnected', () => {
+            if (this.browser === browser) this.browser = null;
+        });
+
+        console.log('[Renderer] Chromium started');
+        this.browser = browser;
+        return browser;
+    }
+
+    async close() {
+        clearTimeout(this.idleTimer);
+        const browser = this.browser;
+        this.browser = null;
+        if (browser) {
+            await browser.close().catch(() => {});
+            console.log('[Renderer] Chromium closed');
+        }
+    }
+}
@@ -0,0 +1,136 @@
+import { createHash } from 'crypto';
+import { promisify } from 'util';
+import { gzip, gunzip } from 'zlib';
+import { parsePage } from './website-crawler.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const SNAPSHOT_CONFIG = {
+    retainCrawls: parseInt(process.env.SNAPSHOT_RETAIN_CRAWLS) || 5,
+    maxDiffLines: 50 // added/removed sentences listed per changed page
+};
+
+// Hash of what extraction reads, so markup churn (tokens, asset hashes) is not a "change"
+function contentHash(page) {
+    return createHash('sha256')
+        .update([page.title, page.metaDescription, ...(page.headings || []), page.text].join('\n'))
+        .digest('hex');
+}
+
+function sentences(text) {
+    return new Set((text || '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 20));
+}
+
+/**
+ * PageSnapshotService keeps the raw pages of every enrichment crawl
+ * (gzipped HTML with fetch time, HTTP status and a content hash) in
+ * website_crawls/page_snapshots, the last SNAPSHOT_RETAIN_CRAWLS crawls per
+ * domain. Stored crawls can be read back as crawler output, to re-run AI
+ * extraction without fetching the site again, and compared to see what
+ * changed on a company's site between crawls.
+ */
+export class PageSnapshotService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.retainCrawls = options.retainCrawls || SNAPSHOT_CONFIG.retainCrawls;
+    }
+
+    // Store the pages of a crawl (WebsiteCrawler.crawl output); resolves to the crawl row
+    async saveCrawl(domain, websiteContent) {
+        const pages = await Promise.all(Object.values(websiteContent).map(async (page, position) => ({
+            url: page.url,
+            position,
+            category: page.category || null,
+            status: page.status ?? null,
+            rendered: !!page.rendered,
+            contentHash: contentHash(page),
+            htmlBytes: Buffer.byteLength(page.html || ''),
+            htmlGzip: await gzipAsync(page.html || ''),
+            fetchedAt: page.fetched_at || new Date().toISOString()
+        })));
+
+        const crawl = await this.db.saveWebsiteCrawl(domain, pages, { retain: this.retainCrawls });
+        console.log(`[Snapshots] Stored ${pages.length} pages of ${domain} (crawl ${crawl.id})`);
+        return crawl;
+    }
+
+    // Crawls of a domain, newest first, with page metadata (no HTML)
+    async listCrawls(domain, { limit = this.retainCrawls } = {}) {
+        return this.db.getWebsiteCrawls(domain, { limit });
+    }
+
+    /**
+     * A stored crawl (the latest without `crawlId`) read back into crawler
+     * output: { crawl, content: { [url]: page } }, or null when there is none.
+     */
+    async loadCrawl(domain, crawlId = null) {
+        const crawl = await this.db.getWebsiteCrawl(domain, crawlId);
+        if (!crawl) return null;
+
+        const content = {};
+        for (const snapshot of crawl.pages) {
+            const html = (await gunzipAsync(snapshot.html_gzip)).toString('utf8');
+            const { page } = parsePage(html, snapshot.url);
+            content[snapshot.url] = {
+                ...page,
+                category: snapshot.category,
+                rendered: snapshot.rendered,
+                status: snapshot.status,
+                fetched_at: snapshot.fetched_at,
+                content_hash: snapshot.content_hash
+            };
+        }
+
+        const { pages, ...summary } = crawl;
+        return { crawl: { ...summary, page_count: pages.length }, content };
+    }
+
+    /**
+     * What changed between two crawls (default: the latest two). Pages are
+     * added, removed, changed (different content hash, with the sentences
+     * that appeared and disappeared) or unchanged.
+     */
+    async diffCrawls(domain, { from = null, to = null } = {}) {
+        let fromCrawl;
+        let toCrawl;
+        if (from === null && to === null) {
+            const [latest, previous] = await this.db.getWebsiteCrawls(domain, { limit: 2 });
+            if (!previous) return null;
+            [fromCrawl, toCrawl] = await Promise.all([this.loadCrawl(domain, previous.id), this.loadCrawl(domain, latest.id)]);
+        } else {
+            [fromCrawl, toCrawl] = await Promise.all([this.loadCrawl(domain, from), this.loadCrawl(domain, to)]);
+        }
+        if (!fromCrawl || !toCrawl) return null;
+
+        const urls = [...new Set([...Object.keys(toCrawl.content), ...Object.keys(fromCrawl.content)])];
+        const pages = urls.map(url => {
+            const before = fromCrawl.content[url];
+            const after = toCrawl.content[url];
+            const category = (after || before).category;
+
+            if (!before) return { url, category, change: 'added' };
+            if (!after) return { url, category, change: 'removed' };
+            if (before.content_hash === after.content_hash) return { url, category, change: 'unchanged' };
+
+            const oldSentences = sentences(before.text);
+            const newSentences = sentences(after.text);
+            return {
+                url,
+                category,
+                change: 'changed',
+                title: before.title !== after.title ? { before: before.title, after: after.title } : undefined,
+                added_text: [...newSentences].filter(sentence => !oldSentences.has(sentence)).slice(0, SNAPSHOT_CONFIG.maxDiffLines),
+                removed_text: [...oldSentences].filter(sentence => !newSentences.has(sentence)).slice(0, SNAPSHOT_CONFIG.maxDiffLines)
+            };
+        });
+
+        const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+        for (const page of pages) summary[page.change]++;
+
+        return { from: fromCrawl.crawl, to: toCrawl.crawl, summary, pages };
+    }
+}
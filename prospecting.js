@@ -1,7 +1,4 @@
-import Anthropic from '@anthropic-ai/sdk';
-import axios from 'axios';
-
-const SIGNALHIRE_SEARCH_URL = 'https://www.signalhire.com/api/v1/search/people';
+import { prospectSelectionSchema } from './ai-schemas.js';
 
 /**
  * Prospecting service for finding and analyzing potential contacts
@@ -9,20 +6,20 @@ const SIGNALHIRE_SEARCH_URL = 'https://www.signalhire.com/api/v1/search/people';
 export class ProspectingService {
     constructor(options = {}) {
         const {
-            anthropicClient = null,
-            signalHireApiKey = null,
+            llm = null,
+            contacts = null,
             db
         } = options;
 
-        this.anthropic = anthropicClient;
-        this.signalHireApiKey = signalHireApiKey;
+        this.llm = llm; // LLMGateway instance
+        this.contacts = contacts; // ContactDataService instance (people search)
         this.db = db;
     }
 
     /**
      * Start prospecting for a company
      */
-    async startProspecting(companyDomain, jobData = null) {
+    async startProspecting(companyDomain, jobData = null, { folderId = null } = {}) {
         console.log(`[Prospecting] Starting prospecting for ${companyDomain}`);
 
         // Get company data
@@ -37,10 +34,10 @@ export class ProspectingService {
         // Determine search parameters
         const searchParams = this.buildSearchParams(company, enrichedData, theirstackData, jobData);
 
-        // Search SignalHire for prospects
-        const signalHireResults = await this.searchSignalHire(searchParams);
+        // Search the contact providers for prospects
+        const searchResults = await this.searchPeople(searchParams, company.domain);
 
-        if (!signalHireResults || signalHireResults.length === 0) {
+        if (!searchResults || searchResults.length === 0) {
             console.log(`[Prospecting] No prospects found for ${companyDomain}`);
             return {
                 prospects: [],
@@ -49,30 +46,43 @@ export class ProspectingService {
             };
         }
 
-        console.log(`[Prospecting] Found ${signalHireResults.length} prospects, analyzing with Claude...`);
+        console.log(`[Prospecting] Found ${searchResults.length} prospects, analyzing with AI...`);
 
-        // Analyze with Claude to select best prospects
-        const selectedProspects = await this.analyzeProspectsWithClaude(
+        // Analyze with AI to select best prospects
+        const selectedProspects = await this.analyzeProspectsWithAI(
             company,
             enrichedData,
             jobData,
-            signalHireResults
+            searchResults
         );
 
         // Save prospects to database
-        const savedProspects = await this.saveProspects(company.id, selectedProspects, signalHireResults);
+        const savedProspects = await this.saveProspects(company.id, selectedProspects, searchResults, folderId);
 
         console.log(`[Prospecting] Saved ${savedProspects.length} prospects for ${companyDomain}`);
 
         return {
             prospects: savedProspects,
-            total_found: signalHireResults.length,
-            message: `Found ${signalHireResults.length} prospects, selected top ${savedProspects.length}`
+            total_found: searchResults.length,
+            message: `Found ${searchResults.length} prospects, selected top ${savedProspects.length}`
         };
     }
 
     /**
-     * Build search parameters for SignalHire
+     * Register the job queue handler used by bulk prospecting
+     */
+    registerTaskHandlers(queue) {
+        queue.register('company_prospecting', async (task) => {
+            const result = await this.startProspecting(task.payload.domain, null, { folderId: task.folder_id });
+            return {
+                total_found: result.total_found,
+                saved: result.prospects.length
+            };
+        }, { spends: ['llm', 'contacts'] });
+    }
+
+    /**
+     * Build people search parameters for the contact providers
      */
     buildSearchParams(company, enrichedData, theirstackData, jobData) {
         const params = {
@@ -115,59 +125,36 @@ export class ProspectingService {
     }
 
     /**
-     * Search SignalHire for prospects
+     * Search the contact providers for prospects (first provider with results wins)
      */
-    async searchSignalHire(searchParams) {
-        if (!this.signalHireApiKey) {
-            console.log('[Prospecting] SignalHire API key not configured');
+    async searchPeople(searchParams, domain) {
+        if (!this.contacts?.isAvailable()) {
+            console.log('[Prospecting] No contact provider configured');
             return [];
         }
 
-        try {
-            console.log(`[Prospecting] SignalHire search:`, searchParams);
-
-            const response = await axios.post(SIGNALHIRE_SEARCH_URL, searchParams, {
-                headers: {
-                    'apikey': this.signalHireApiKey,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                timeout: 15000,
-                validateStatus: (status) => status >= 200 && status < 300
-            });
-
-            const data = response.data;
-
-            if (data.items && data.items.length > 0) {
-                return data.items.map(item => ({
-                    signalhire_id: item.id || null,
-                    name: item.fullName || item.name || 'Unknown',
-                    title: item.currentTitle || item.title || '',
-                    company: item.company || searchParams.company,
-                    linkedin_url: item.linkedin || null,
-                    location: item.location || null,
-                    photo: item.photo || null,
-                    raw_data: item
-                }));
-            }
-
-            return [];
-        } catch (error) {
-            if (error.response) {
-                console.error(`[Prospecting] SignalHire API error: ${error.response.status} - ${error.response.data}`);
-            } else {
-                console.error('[Prospecting] SignalHire search error:', error.message);
-            }
-            return [];
-        }
+        console.log(`[Prospecting] People search:`, searchParams);
+
+        const people = await this.contacts.searchPeople({ ...searchParams, domain });
+        return people.map(person => ({
+            source: person.source,
+            provider_id: person.provider_id,
+            name: person.name,
+            title: person.title,
+            company: searchParams.company,
+            linkedin_url: person.linkedin_url,
+            location: person.location,
+            photo: person.photo,
+            raw_data: person.raw_data
+        }));
     }
 
     /**
-     * Analyze prospects with Claude to select the best 2-3
+     * Analyze prospects with AI to select the best 2-3
      */
-    async analyzeProspectsWithClaude(company, enrichedData, jobData, prospects) {
-        if (!this.anthropic) {
-            console.log('[Prospecting] Claude not configured, returning all prospects');
+    async analyzeProspectsWithAI(company, enrichedData, jobData, prospects) {
+        if (!this.llm?.isAvailable('prospect_selection')) {
+            console.log('[Prospecting] No LLM provider configured, returning all prospects');
             return prospects.slice(0, 3).map((p, i) => ({
                 ...p,
                 priority: i === 0 ? 'high' : 'medium',
@@ -179,21 +166,13 @@ export class ProspectingService {
         try {
             const prompt = this.buildAnalysisPrompt(company, enrichedData, jobData, prospects);
 
-            const response = await this.anthropic.messages.create({
-                model: 'claude-3-5-haiku-20241022',
-                max_tokens: 2048,
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }]
-            });
-
-            const responseText = response.content[0].text;
-            const analysis = this.parseAnalysisResponse(responseText, prospects);
-
-            return analysis;
+            const { data } = await this.llm.completeJson('prospect_selection', prompt, prospectSelectionSchema(prospects.length), { maxTokens: 2048 });
+            return this.mapAnalysis(data, prospects);
         } catch (error) {
-            console.error('[Prospecting] Claude analysis error:', error);
+            // Output that stayed invalid after repairs fails the run instead of saving a guess
+            if (error.validationErrors) throw error;
+
+            console.error('[Prospecting] AI analysis error:', error);
             // Fallback: return top 3 by title priority
             return prospects.slice(0, 3).map((p, i) => ({
                 ...p,
@@ -205,7 +184,7 @@ export class ProspectingService {
     }
 
     /**
-     * Build prompt for Claude analysis
+     * Build prompt for the AI analysis
      */
     buildAnalysisPrompt(company, enrichedData, jobData, prospects) {
         return `You are analyzing potential contacts at ${company.name} for a GTM (Go-To-Market) engineering/platform opportunity.
@@ -253,53 +232,36 @@ Return ONLY the JSON array, no additional text.`;
     }
 
     /**
-     * Parse Claude's analysis response
+     * Map the validated analysis (see prospectSelectionSchema) back to the
+     * prospects it picked, once each
      */
-    parseAnalysisResponse(responseText, prospects) {
-        try {
-            // Extract JSON from response
-            let jsonStr = responseText;
-            const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
-            if (jsonMatch) {
-                jsonStr = jsonMatch[1];
-            }
-
-            const analysis = JSON.parse(jsonStr);
-
-            // Map analysis back to prospects
-            return analysis.map(item => {
-                const prospect = prospects[item.prospect_index - 1];
-                if (!prospect) return null;
-
-                return {
-                    ...prospect,
-                    priority: item.priority || 'medium',
-                    ai_score: item.ai_score || 0.5,
-                    relevance: item.relevance || 'Selected by AI'
-                };
-            }).filter(p => p !== null);
-        } catch (error) {
-            console.error('[Prospecting] Failed to parse Claude response:', error);
-            console.error('[Prospecting] Response was:', responseText);
-            // Fallback: return top 3
-            return prospects.slice(0, 3).map((p, i) => ({
-                ...p,
-                priority: i === 0 ? 'high' : 'medium',
-                ai_score: 1.0 - (i * 0.1),
-                relevance: 'Selected by fallback logic'
-            }));
+    mapAnalysis(analysis, prospects) {
+        const selected = new Map();
+
+        for (const item of analysis) {
+            if (selected.has(item.prospect_index)) continue;
+            selected.set(item.prospect_index, {
+                ...prospects[item.prospect_index - 1],
+                priority: item.priority,
+                ai_score: item.ai_score,
+                relevance: item.relevance
+            });
         }
+
+        return [...selected.values()];
     }
 
     /**
      * Save selected prospects to database
      */
-    async saveProspects(companyId, selectedProspects, allProspects) {
+    // Prospects are saved into the folder prospecting was started from, which scopes them to its workspace
+    async saveProspects(companyId, selectedProspects, allProspects, folderId = null) {
         const saved = [];
 
         for (const prospect of selectedProspects) {
             try {
                 const prospectData = {
+                    folder_id: folderId,
                     company_id: companyId,
                     name: prospect.name,
                     title: prospect.title,
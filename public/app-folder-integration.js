@@ -210,6 +210,7 @@ async function addJobToFolderAPI(index, folderId) {
             body: JSON.stringify({
                 id: job.id,
                 theirstack_job_id: job.id,
+                source: job.source,
                 job_title: job.job_title,
                 company: companyName,
                 domain: companyDomain,
@@ -33,6 +33,8 @@ const elements = {
     // Search history
     searchHistoryList: $('searchHistoryList'),
     clearHistoryBtn: $('clearHistoryBtn'),
+    savedSearchesSection: $('savedSearchesSection'),
+    savedSearchList: $('savedSearchList'),
     // Form inputs
     jobTitle: $('jobTitle'),
     employmentType: $('employmentType'),
@@ -41,13 +43,15 @@ const elements = {
     jobCountry: $('jobCountry'),
     remoteOnly: $('remoteOnly'),
     datePosted: $('datePosted'),
-    numPages: $('numPages')
+    numPages: $('numPages'),
+    jobSources: $('jobSources')
 };
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     await checkApiStatus();
     await loadSearchHistory();
+    loadSavedSearches();
     loadJobFolders();
     elements.searchForm.addEventListener('submit', handleSearch);
     elements.resetBtn.addEventListener('click', resetForm);
@@ -63,7 +67,7 @@ async function checkApiStatus() {
         const response = await fetch('/api/health');
         const data = await response.json();
 
-        claudeEnabled = data.claude;
+        claudeEnabled = data.job_analysis;
 
         elements.apiStatus.innerHTML = `
             <span class="status-item">
@@ -94,7 +98,7 @@ const COUNTRY_NAMES = {
     'PL': 'Poland', 'IL': 'Israel'
 };
 
-// Build search parameters for JSearch API
+// Build search parameters (JSearch format, also understood by the other job sources)
 function buildSearchParams() {
     // Build the query string from job title + location + country
     const jobTitle = elements.jobTitle.value.trim();
@@ -111,6 +115,7 @@ function buildSearchParams() {
 
     const params = {
         query: queryParts.join(' '),
+        job_title: jobTitle,
         page: currentPage + 1,  // JSearch is 1-indexed
         num_pages: parseInt(elements.numPages.value) || 1,
         date_posted: elements.datePosted.value || 'all'
@@ -133,6 +138,12 @@ function buildSearchParams() {
         params.job_requirements = experienceLevels.join(',');
     }
 
+    // Job sources (server defaults to JSearch)
+    const sources = getSelectedValues(elements.jobSources);
+    if (sources.length > 0) {
+        params.sources = sources;
+    }
+
     return params;
 }
 
@@ -257,6 +268,9 @@ function createJobCard(job, index) {
     if (company.employee_count) {
         metaTags += `<span class="meta-tag employees">${formatEmployeeCount(company.employee_count)}</span>`;
     }
+    if (job.sources && job.sources.length > 0) {
+        metaTags += `<span class="meta-tag source">${escapeHtml(job.sources.join(' + '))}</span>`;
+    }
 
     // Company info
     let companyInfoHtml = '<div class="company-info-grid">';
@@ -334,8 +348,8 @@ function createJobCard(job, index) {
     `;
 }
 
-// Analyze job with Claude
-async function analyzeJob(index) {
+// Analyze job fit with AI (cached per job on the server; refresh re-analyzes)
+async function analyzeJob(index, refresh = false) {
     const job = jobsCache[index];
     if (!job) return;
 
@@ -349,7 +363,7 @@ async function analyzeJob(index) {
         </div>
         <div class="analysis-loading">
             <div class="spinner"></div>
-            <p>Analyzing job with Claude AI...</p>
+            <p>Analyzing job with AI...</p>
         </div>
     `;
     elements.jobModal.style.display = 'flex';
@@ -358,15 +372,7 @@ async function analyzeJob(index) {
         const response = await fetch('/api/ai/analyze-job', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                job: {
-                    job_title: job.job_title,
-                    company: companyName,
-                    location: job.short_location || job.location,
-                    salary_string: job.salary_string,
-                    description: job.description
-                }
-            })
+            body: JSON.stringify({ job, refresh })
         });
 
         const data = await response.json();
@@ -380,7 +386,10 @@ async function analyzeJob(index) {
                 <h2>${escapeHtml(job.job_title)}</h2>
                 <p>${escapeHtml(companyName)}</p>
             </div>
-            <div class="analysis-content">${escapeHtml(data.analysis)}</div>
+            ${renderJobAnalysis(data)}
+            <div class="job-card-actions">
+                <button class="btn-details" onclick="analyzeJob(${index}, true)">Re-analyze</button>
+            </div>
         `;
 
     } catch (error) {
@@ -393,6 +402,45 @@ async function analyzeJob(index) {
     }
 }
 
+function renderJobAnalysis(data) {
+    const analysis = data.analysis;
+    const painSignals = analysis.pain_signals.length > 0
+        ? `<ul>${analysis.pain_signals.map(p => `<li><strong>${escapeHtml(p.signal)}</strong>${p.evidence ? ` &mdash; <em>"${escapeHtml(p.evidence)}"</em>` : ''}</li>`).join('')}</ul>`
+        : '<p>None found</p>';
+    const tools = analysis.tools_mentioned.length > 0
+        ? `<div class="technologies">${analysis.tools_mentioned.map(t => `<span class="tech-tag">${escapeHtml(t)}</span>`).join('')}</div>`
+        : '<p>None mentioned</p>';
+    const urgencyReasons = analysis.urgency.reasons.length > 0
+        ? ` &mdash; ${analysis.urgency.reasons.map(escapeHtml).join('; ')}`
+        : '';
+
+    return `
+        <div class="analysis-content job-details-content">
+            <div class="details-section">
+                <h4>Fit: ${analysis.fit_score ?? '?'}/100</h4>
+                <p>${escapeHtml(analysis.summary)}</p>
+            </div>
+            <div class="details-section">
+                <h4>Recommended Angle</h4>
+                <p>${escapeHtml(analysis.recommended_angle)}</p>
+            </div>
+            <div class="details-section">
+                <h4>Pain Signals</h4>
+                ${painSignals}
+            </div>
+            <div class="details-section">
+                <h4>Tools Mentioned</h4>
+                ${tools}
+            </div>
+            <div class="details-section">
+                <h4>Seniority &amp; Urgency</h4>
+                <p>${escapeHtml(analysis.seniority.replace('_', '-'))} &middot; ${escapeHtml(analysis.urgency.level)} urgency${urgencyReasons}</p>
+            </div>
+            <p class="analysis-meta">${data.cached ? 'Cached analysis' : 'Analyzed'} by ${escapeHtml(data.model || 'AI')} &middot; ${new Date(data.analyzed_at).toLocaleString()}</p>
+        </div>
+    `;
+}
+
 // Close modal
 function closeModal() {
     elements.jobModal.style.display = 'none';
@@ -510,6 +558,11 @@ function buildCriteriaSummary(params) {
         criteria.tags.push(dateLabels[params.date_posted] || params.date_posted);
     }
 
+    // Job sources
+    if (params.sources && params.sources.length > 0) {
+        criteria.tags.push(params.sources.join(', '));
+    }
+
     return criteria;
 }
 
@@ -555,6 +608,7 @@ function renderSearchHistory() {
     elements.searchHistoryList.innerHTML = searchHistory.map(item => `
         <div class="search-history-item" data-id="${item.id}">
             <button class="history-item-delete" onclick="deleteHistoryItem(event, ${item.id})" title="Delete">&times;</button>
+            <button class="history-item-schedule" onclick="showScheduleSearchForm(event, ${item.id})" title="Run on a schedule">&#9200;</button>
             <div class="history-item-title">
                 ${escapeHtml(item.criteria.title || 'Untitled Search')}
                 <span class="results-badge">${item.resultsCount}</span>
@@ -571,7 +625,7 @@ function renderSearchHistory() {
     // Add click handlers for loading searches
     elements.searchHistoryList.querySelectorAll('.search-history-item').forEach(el => {
         el.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('history-item-delete')) {
+            if (!e.target.classList.contains('history-item-delete') && !e.target.classList.contains('history-item-schedule')) {
                 const id = parseInt(el.dataset.id);
                 loadSearchFromHistory(id);
             }
@@ -638,6 +692,9 @@ function restoreFormFromParams(params) {
     if (params.num_pages) {
         elements.numPages.value = params.num_pages;
     }
+
+    // Job sources
+    setSelectedValues(elements.jobSources, params.sources || ['jsearch']);
 }
 
 function setSelectedValues(selectElement, values) {
@@ -667,6 +724,199 @@ async function clearSearchHistory() {
     }
 }
 
+// Saved Searches (history entries re-run on a schedule by the server)
+const SCHEDULE_PRESETS = [
+    { label: 'Every hour', value: '0 * * * *' },
+    { label: 'Every 6 hours', value: '0 */6 * * *' },
+    { label: 'Daily at 08:00 UTC', value: '0 8 * * *' },
+    { label: 'Weekdays at 08:00 UTC', value: '0 8 * * 1-5' },
+    { label: 'Weekly (Monday 08:00 UTC)', value: '0 8 * * 1' }
+];
+
+let savedSearches = [];
+
+async function loadSavedSearches() {
+    try {
+        const response = await fetch('/api/saved-searches');
+        savedSearches = response.ok ? await response.json() : [];
+    } catch (e) {
+        console.error('Failed to load saved searches:', e);
+        savedSearches = [];
+    }
+    renderSavedSearches();
+}
+
+function renderSavedSearches() {
+    if (savedSearches.length === 0) {
+        elements.savedSearchesSection.style.display = 'none';
+        return;
+    }
+
+    elements.savedSearchesSection.style.display = 'block';
+    elements.savedSearchList.innerHTML = savedSearches.map(s => {
+        const lastRun = s.last_error
+            ? `<span class="saved-search-error" title="${escapeHtml(s.last_error)}">Last run failed</span>`
+            : s.last_run_at
+                ? `Last run ${formatHistoryDate(s.last_run_at)}: ${s.last_new_count || 0} new`
+                : 'Not run yet';
+
+        return `
+            <div class="saved-search-item ${s.enabled ? '' : 'paused'}">
+                <div class="saved-search-title">${escapeHtml(s.name)}</div>
+                <div class="saved-search-meta">
+                    <code>${escapeHtml(s.schedule)}</code>
+                    ${s.auto_add && s.target_folder_name ? ` &rarr; ${escapeHtml(s.target_folder_name)}` : ''}
+                </div>
+                <div class="saved-search-meta">${s.enabled ? lastRun : 'Paused'}</div>
+                <div class="saved-search-actions">
+                    <button onclick="runSavedSearch(${s.id})">Run now</button>
+                    <button onclick="toggleSavedSearch(${s.id}, ${!s.enabled})">${s.enabled ? 'Pause' : 'Resume'}</button>
+                    <button class="danger" onclick="deleteSavedSearch(${s.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function showScheduleSearchForm(event, historyId) {
+    event.stopPropagation();
+    const item = searchHistory.find(h => h.id === historyId);
+    if (!item) return;
+
+    if (typeof loadJobFolders === 'function' && jobFolders.length === 0) {
+        await loadJobFolders();
+    }
+
+    const folderOptions = jobFolders
+        .map(f => `<option value="${f.id}">${escapeHtml(f.name)}</option>`)
+        .join('');
+
+    elements.modalBody.innerHTML = `
+        <div class="modal-header">
+            <h2>Schedule Search</h2>
+        </div>
+        <form id="scheduleSearchForm" class="schedule-search-form">
+            <div class="form-group">
+                <label for="savedSearchName">Name</label>
+                <input type="text" id="savedSearchName" value="${escapeHtml(item.criteria.title || '')}" required>
+            </div>
+            <div class="form-group">
+                <label for="savedSearchPreset">Schedule</label>
+                <select id="savedSearchPreset">
+                    ${SCHEDULE_PRESETS.map(p => `<option value="${p.value}">${p.label}</option>`).join('')}
+                    <option value="custom">Custom (cron)</option>
+                </select>
+            </div>
+            <div class="form-group" id="savedSearchCronGroup" style="display: none;">
+                <label for="savedSearchCron">Cron expression (UTC)</label>
+                <input type="text" id="savedSearchCron" placeholder="minute hour day month weekday">
+                <small>e.g. <code>30 7 * * 1-5</code> runs at 07:30 UTC on weekdays</small>
+            </div>
+            <div class="form-group">
+                <label for="savedSearchFolder">Target folder</label>
+                <select id="savedSearchFolder">
+                    <option value="">None (notify only)</option>
+                    ${folderOptions}
+                </select>
+            </div>
+            <div class="form-group checkbox-group">
+                <label>
+                    <input type="checkbox" id="savedSearchAutoAdd">
+                    Automatically add new jobs to the target folder
+                </label>
+            </div>
+            <div class="error-message" id="scheduleSearchError" style="display: none;"></div>
+            <div class="form-actions">
+                <button type="submit" class="btn-primary">Save Schedule</button>
+                <button type="button" class="btn-secondary" onclick="closeModal()">Cancel</button>
+            </div>
+        </form>
+    `;
+
+    const preset = document.getElementById('savedSearchPreset');
+    preset.addEventListener('change', () => {
+        document.getElementById('savedSearchCronGroup').style.display = preset.value === 'custom' ? 'block' : 'none';
+    });
+
+    document.getElementById('scheduleSearchForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        createSavedSearch(historyId);
+    });
+
+    elements.jobModal.style.display = 'flex';
+}
+
+async function createSavedSearch(historyId) {
+    const preset = document.getElementById('savedSearchPreset').value;
+    const folderId = document.getElementById('savedSearchFolder').value;
+    const autoAdd = document.getElementById('savedSearchAutoAdd').checked;
+    const errorEl = document.getElementById('scheduleSearchError');
+
+    const body = {
+        search_history_id: historyId,
+        name: document.getElementById('savedSearchName').value.trim(),
+        schedule: preset === 'custom' ? document.getElementById('savedSearchCron').value.trim() : preset,
+        target_folder_id: folderId ? parseInt(folderId) : null,
+        auto_add: autoAdd
+    };
+
+    try {
+        const response = await fetch('/api/saved-searches', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            errorEl.textContent = data.error || 'Failed to save schedule';
+            errorEl.style.display = 'block';
+            return;
+        }
+
+        closeModal();
+        await loadSavedSearches();
+    } catch (e) {
+        console.error('Failed to create saved search:', e);
+        errorEl.textContent = 'Failed to save schedule';
+        errorEl.style.display = 'block';
+    }
+}
+
+async function runSavedSearch(id) {
+    try {
+        await fetch(`/api/saved-searches/${id}/run`, { method: 'POST' });
+        if (typeof showSuccessMessage === 'function') {
+            showSuccessMessage('Saved search started. New jobs will show up in notifications.');
+        }
+    } catch (e) {
+        console.error('Failed to run saved search:', e);
+    }
+}
+
+async function toggleSavedSearch(id, enabled) {
+    try {
+        await fetch(`/api/saved-searches/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        await loadSavedSearches();
+    } catch (e) {
+        console.error('Failed to update saved search:', e);
+    }
+}
+
+async function deleteSavedSearch(id) {
+    if (!confirm('Delete this scheduled search?')) return;
+    try {
+        await fetch(`/api/saved-searches/${id}`, { method: 'DELETE' });
+        await loadSavedSearches();
+    } catch (e) {
+        console.error('Failed to delete saved search:', e);
+    }
+}
+
 // Job Details Modal
 function showJobDetails(index) {
     const job = jobsCache[index];
@@ -2,6 +2,8 @@
 let folders = [];
 let currentFolder = null;
 let notifications = [];
+let currentUser = null;
+let workspaceMembers = [];
 
 // DOM Elements
 const elements = {
@@ -18,11 +20,42 @@ const elements = {
     notificationBadge: document.getElementById('notificationBadge'),
     notificationDropdown: document.getElementById('notificationDropdown'),
     notificationsList: document.getElementById('notificationsList'),
-    markAllRead: document.getElementById('markAllRead')
+    markAllRead: document.getElementById('markAllRead'),
+    workspaceSelect: document.getElementById('workspaceSelect'),
+    roleBadge: document.getElementById('roleBadge'),
+    mineOnly: document.getElementById('mineOnly'),
+    createFolderSection: document.getElementById('createFolderSection'),
+    membersBtn: document.getElementById('membersBtn'),
+    newWorkspaceBtn: document.getElementById('newWorkspaceBtn'),
+    membersModal: document.getElementById('membersModal'),
+    closeMembersModal: document.getElementById('closeMembersModal'),
+    membersTitle: document.getElementById('membersTitle'),
+    membersList: document.getElementById('membersList'),
+    addMemberForm: document.getElementById('addMemberForm'),
+    memberEmail: document.getElementById('memberEmail'),
+    memberRole: document.getElementById('memberRole'),
+    addMemberBtn: document.getElementById('addMemberBtn'),
+    accessBtn: document.getElementById('accessBtn'),
+    accessModal: document.getElementById('accessModal'),
+    closeAccessModal: document.getElementById('closeAccessModal'),
+    bootstrapAdmins: document.getElementById('bootstrapAdmins'),
+    accessRulesList: document.getElementById('accessRulesList'),
+    ruleType: document.getElementById('ruleType'),
+    ruleValue: document.getElementById('ruleValue'),
+    ruleRole: document.getElementById('ruleRole'),
+    addRuleBtn: document.getElementById('addRuleBtn'),
+    inviteLink: document.getElementById('inviteLink'),
+    invitesList: document.getElementById('invitesList'),
+    inviteEmail: document.getElementById('inviteEmail'),
+    inviteRole: document.getElementById('inviteRole'),
+    createInviteBtn: document.getElementById('createInviteBtn'),
+    accessUsersList: document.getElementById('accessUsersList'),
+    loginEventsList: document.getElementById('loginEventsList')
 };
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
+    await loadWorkspace();
     await loadFolders();
     await loadNotifications();
     setupEventListeners();
@@ -44,6 +77,22 @@ function setupEventListeners() {
     });
     elements.notificationBell.addEventListener('click', toggleNotifications);
     elements.markAllRead.addEventListener('click', markAllNotificationsRead);
+    elements.workspaceSelect.addEventListener('change', () => switchWorkspace(elements.workspaceSelect.value));
+    elements.mineOnly.addEventListener('change', loadFolders);
+    elements.newWorkspaceBtn.addEventListener('click', createWorkspace);
+    elements.membersBtn.addEventListener('click', openMembers);
+    elements.closeMembersModal.addEventListener('click', closeMembers);
+    elements.membersModal.addEventListener('click', (e) => {
+        if (e.target === elements.membersModal) closeMembers();
+    });
+    elements.addMemberBtn.addEventListener('click', addMember);
+    elements.accessBtn.addEventListener('click', openAccess);
+    elements.closeAccessModal.addEventListener('click', closeAccess);
+    elements.accessModal.addEventListener('click', (e) => {
+        if (e.target === elements.accessModal) closeAccess();
+    });
+    elements.addRuleBtn.addEventListener('click', addAccessRule);
+    elements.createInviteBtn.addEventListener('click', createInvite);
 
     // Close notifications when clicking outside
     document.addEventListener('click', (e) => {
@@ -57,7 +106,7 @@ function setupEventListeners() {
 
 async function loadFolders() {
     try {
-        const response = await fetch('/api/folders');
+        const response = await fetch(elements.mineOnly.checked ? '/api/folders?owner=me' : '/api/folders');
         if (!response.ok) throw new Error('Failed to load folders');
 
         folders = await response.json();
@@ -91,6 +140,7 @@ function renderFolders() {
                 <div class="folder-status ${folder.status}">${formatStatus(folder.status)}</div>
             </div>
             ${folder.description ? `<p style="color: #6c757d; font-size: 14px; margin-bottom: 10px;">${escapeHtml(folder.description)}</p>` : ''}
+            ${folder.owner_id ? `<div class="folder-owner">Owner: ${escapeHtml(folder.owner_id === currentUser?.id ? 'You' : (folder.owner_name || folder.owner_email))}</div>` : ''}
             <div class="folder-stats">
                 <div class="folder-stat"><strong>${folder.job_count || 0}</strong> jobs</div>
                 <div class="folder-stat"><strong>${folder.prospect_count || 0}</strong> prospects</div>
@@ -114,6 +164,11 @@ function getActionButtons(folder) {
     // Always show "View Details"
     buttons.push(`<button class="btn btn-sm btn-primary" onclick="goToFolder(${folder.id})">View Details</button>`);
 
+    // Viewers can look but not run workflow steps
+    if (!canEdit()) {
+        return buttons.join('');
+    }
+
     // Show "Collect Prospects" if company enrichment is done
     if (folder.status === 'company_enriched') {
         buttons.push(`<button class="btn btn-sm btn-success" onclick="collectProspects(${folder.id})">Collect Prospects</button>`);
@@ -129,8 +184,15 @@ function getActionButtons(folder) {
         buttons.push(`<button class="btn btn-sm btn-warning" onclick="enrichContacts(${folder.id})">Get Email Addresses</button>`);
     }
 
-    // Show "Delete" button
-    buttons.push(`<button class="btn btn-sm btn-danger" onclick="deleteFolder(${folder.id})">Delete</button>`);
+    // Show "Draft Sequences" once contacts are enriched
+    if (folder.status === 'ready_for_outreach') {
+        buttons.push(`<button class="btn btn-sm btn-success" onclick="generateSequences(${folder.id})">Draft Email Sequences</button>`);
+    }
+
+    // Show "Delete" button to the folder owner and workspace admins
+    if (currentUser?.role === 'admin' || folder.owner_id === currentUser?.id) {
+        buttons.push(`<button class="btn btn-sm btn-danger" onclick="deleteFolder(${folder.id})">Delete</button>`);
+    }
 
     return buttons.join('');
 }
@@ -240,9 +302,15 @@ function renderFolderDetails(data) {
         html += `<button class="btn btn-warning" onclick="enrichContacts(${folder.id})">📧 Get Email Addresses (${selectedCount} prospects)</button>`;
     }
 
-    if (folder.status === 'ready_for_outreach') {
+    if (['ready_for_outreach', 'sequences_drafted', 'outreach_active'].includes(folder.status)) {
         const enrichedCount = prospects.filter(p => p.email).length;
         html += `<button class="btn btn-primary" onclick="exportProspects(${folder.id})">📤 Export Prospects (${enrichedCount} with emails)</button>`;
+        html += `<button class="btn btn-secondary" onclick="verifyEmails(${folder.id})">✅ Verify Emails</button>`;
+        html += `<button class="btn btn-secondary" onclick="guessEmails(${folder.id})">🔮 Guess Missing Emails</button>`;
+    }
+
+    if (folder.status === 'ready_for_outreach') {
+        html += `<button class="btn btn-success" onclick="generateSequences(${folder.id})">✉️ Draft Email Sequences</button>`;
     }
 
     html += '</div>';
@@ -292,7 +360,7 @@ function renderProspectsTable(prospects) {
             html += `<td>${escapeHtml(p.title || 'N/A')}</td>`;
             html += `<td><span class="priority-badge priority-${p.priority || 'low'}">${p.priority || 'low'}</span></td>`;
             html += `<td>${p.ai_score ? `<span class="ai-score">${(p.ai_score * 100).toFixed(0)}%</span>` : 'N/A'}</td>`;
-            html += `<td>${p.email || (p.signalhire_enriched ? 'Not found' : 'Not enriched')}</td>`;
+            html += `<td>${p.email ? `${escapeHtml(p.email)} <span class="email-status email-${p.email_status || 'unverified'}">${p.email_status || 'unverified'}</span>${p.email_guessed ? ' <span class="email-status">guessed</span>' : ''}` : (p.signalhire_enriched ? 'Not found' : 'Not enriched')}</td>`;
             html += '</tr>';
         });
     }
@@ -358,7 +426,7 @@ async function toggleProspect(prospectId, selected) {
 }
 
 async function enrichContacts(folderId) {
-    if (!confirm('Collect email addresses for selected prospects? This will use your daily SignalHire credit limit (150 emails/day).')) {
+    if (!confirm('Collect email addresses for selected prospects? Each prospect looked up counts against the daily contact lookup quota.')) {
         return;
     }
 
@@ -381,13 +449,80 @@ async function enrichContacts(folderId) {
     }
 }
 
+async function generateSequences(folderId) {
+    try {
+        const response = await fetch(`/api/folders/${folderId}/generate-sequences`, {
+            method: 'POST'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to start sequence generation');
+        }
+
+        showNotification('Email sequence drafting started in background', 'info');
+        closeModal();
+        await loadFolders();
+    } catch (error) {
+        console.error('Error generating sequences:', error);
+        alert('Failed to start sequence generation: ' + error.message);
+    }
+}
+
+async function verifyEmails(folderId) {
+    try {
+        const response = await fetch(`/api/folders/${folderId}/verify-emails`, {
+            method: 'POST'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to start email verification');
+        }
+
+        showNotification('Email verification started in background', 'info');
+        closeModal();
+        await loadFolders();
+    } catch (error) {
+        console.error('Error verifying emails:', error);
+        alert('Failed to start email verification: ' + error.message);
+    }
+}
+
+async function guessEmails(folderId) {
+    try {
+        const response = await fetch(`/api/folders/${folderId}/guess-emails`, {
+            method: 'POST'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to start email guessing');
+        }
+
+        showNotification('Guessing missing emails in background', 'info');
+        closeModal();
+        await loadFolders();
+    } catch (error) {
+        console.error('Error guessing emails:', error);
+        alert('Failed to start email guessing: ' + error.message);
+    }
+}
+
 async function exportProspects(folderId) {
     try {
-        const response = await fetch(`/api/folders/${folderId}`);
+        const exportUrl = `/api/folders/${folderId}/export?selected=true`;
+        let response = await fetch(exportUrl);
         if (!response.ok) throw new Error('Failed to load folder');
 
-        const data = await response.json();
-        const prospects = data.prospects.filter(p => p.selected);
+        // The server leaves out unverified emails unless the user asks for them
+        let data = await response.json();
+        if (data.withheld_count > 0 && confirm(`${data.withheld_count} emails are not verified. Include them in the export?`)) {
+            response = await fetch(`${exportUrl}&include_unverified=true`);
+            if (!response.ok) throw new Error('Failed to load folder');
+            data = await response.json();
+        }
+        const prospects = data.prospects;
 
         // Create CSV
         const csv = generateCSV(prospects);
@@ -408,12 +543,13 @@ async function exportProspects(folderId) {
 }
 
 function generateCSV(prospects) {
-    const headers = ['Name', 'Title', 'Company', 'Email', 'Phone', 'LinkedIn', 'Priority', 'AI Score'];
+    const headers = ['Name', 'Title', 'Company', 'Email', 'Email Status', 'Phone', 'LinkedIn', 'Priority', 'AI Score'];
     const rows = prospects.map(p => [
         p.name,
         p.title || '',
         p.company_name,
         p.email || '',
+        p.email ? (p.email_status || 'unverified') + (p.email_guessed ? ' (guessed)' : '') : '',
         p.phone || '',
         p.linkedin_url || '',
         p.priority || '',
@@ -435,7 +571,10 @@ async function deleteFolder(folderId) {
             method: 'DELETE'
         });
 
-        if (!response.ok) throw new Error('Failed to delete folder');
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to delete folder');
+        }
 
         showNotification('Folder deleted successfully', 'success');
         closeModal();
@@ -451,6 +590,361 @@ function closeModal() {
     currentFolder = null;
 }
 
+// ===== WORKSPACES =====
+
+function canEdit() {
+    return currentUser?.role === 'admin' || currentUser?.role === 'member';
+}
+
+async function loadWorkspace() {
+    try {
+        const [meResponse, workspacesResponse] = await Promise.all([
+            fetch('/api/auth/me'),
+            fetch('/api/workspaces')
+        ]);
+        if (!meResponse.ok || !workspacesResponse.ok) throw new Error('Failed to load workspace');
+
+        currentUser = (await meResponse.json()).user;
+        const workspaces = await workspacesResponse.json();
+
+        elements.workspaceSelect.innerHTML = workspaces.map(w => `
+            <option value="${w.id}" ${w.current ? 'selected' : ''}>${escapeHtml(w.name)}</option>
+        `).join('');
+        elements.roleBadge.textContent = currentUser.role || '';
+        elements.roleBadge.className = `role-badge ${currentUser.role || ''}`;
+        elements.createFolderSection.style.display = canEdit() ? '' : 'none';
+        elements.accessBtn.style.display = currentUser.install_admin ? '' : 'none';
+        elements.newWorkspaceBtn.style.display = currentUser.install_admin ? '' : 'none';
+    } catch (error) {
+        console.error('Error loading workspace:', error);
+    }
+}
+
+async function switchWorkspace(workspaceId) {
+    try {
+        const response = await fetch(`/api/workspaces/${workspaceId}/switch`, { method: 'POST' });
+        if (!response.ok) throw new Error('Failed to switch workspace');
+
+        await loadWorkspace();
+        await loadFolders();
+        await loadNotifications();
+    } catch (error) {
+        console.error('Error switching workspace:', error);
+        alert('Failed to switch workspace: ' + error.message);
+    }
+}
+
+async function createWorkspace() {
+    const name = prompt('Workspace name');
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await fetch('/api/workspaces', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        if (!response.ok) throw new Error('Failed to create workspace');
+
+        const workspace = await response.json();
+        showNotification(`Workspace "${workspace.name}" created`, 'success');
+        await switchWorkspace(workspace.id);
+    } catch (error) {
+        console.error('Error creating workspace:', error);
+        alert('Failed to create workspace: ' + error.message);
+    }
+}
+
+async function openMembers() {
+    elements.membersTitle.textContent = `Members of ${currentUser?.workspace?.name || 'this workspace'}`;
+    elements.addMemberForm.style.display = currentUser?.role === 'admin' ? '' : 'none';
+    elements.membersModal.classList.add('active');
+    await loadMembers();
+}
+
+function closeMembers() {
+    elements.membersModal.classList.remove('active');
+}
+
+async function loadMembers() {
+    try {
+        const response = await fetch('/api/workspace/members');
+        if (!response.ok) throw new Error('Failed to load members');
+
+        workspaceMembers = await response.json();
+        renderMembers();
+    } catch (error) {
+        console.error('Error loading members:', error);
+        elements.membersList.innerHTML = `<tr><td colspan="4">${escapeHtml(error.message)}</td></tr>`;
+    }
+}
+
+function renderMembers() {
+    const isAdmin = currentUser?.role === 'admin';
+
+    elements.membersList.innerHTML = workspaceMembers.map(m => `
+        <tr>
+            <td>
+                <div>${escapeHtml(m.name || m.email)}${m.id === currentUser?.id ? ' (you)' : ''}</div>
+                ${m.name ? `<div style="font-size: 12px; color: #6c757d;">${escapeHtml(m.email)}</div>` : ''}
+            </td>
+            <td>
+                ${isAdmin ? `
+                    <select onchange="updateMemberRole(${m.id}, this.value)">
+                        ${['admin', 'member', 'viewer'].map(role => `<option value="${role}" ${m.role === role ? 'selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                ` : `<span class="role-badge ${m.role}">${m.role}</span>`}
+            </td>
+            <td>${m.last_login_at ? formatTimestamp(m.last_login_at) : 'Never'}</td>
+            <td>${isAdmin ? `<button class="btn btn-sm btn-danger" onclick="removeMember(${m.id})">Remove</button>` : ''}</td>
+        </tr>
+    `).join('');
+}
+
+async function addMember() {
+    const email = elements.memberEmail.value.trim();
+    if (!email) return;
+
+    try {
+        const response = await fetch('/api/workspace/members', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, role: elements.memberRole.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to add member');
+
+        elements.memberEmail.value = '';
+        showNotification(`${data.email} added as ${data.role}`, 'success');
+        await loadMembers();
+    } catch (error) {
+        console.error('Error adding member:', error);
+        alert('Failed to add member: ' + error.message);
+    }
+}
+
+async function updateMemberRole(userId, role) {
+    try {
+        const response = await fetch(`/api/workspace/members/${userId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to update role');
+
+        showNotification('Role updated', 'success');
+        if (userId === currentUser?.id) {
+            await loadWorkspace();
+            await loadFolders();
+        }
+    } catch (error) {
+        console.error('Error updating member role:', error);
+        alert('Failed to update role: ' + error.message);
+    }
+    await loadMembers();
+}
+
+async function removeMember(userId) {
+    if (!confirm('Remove this member from the workspace? Their folders stay in the workspace.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/workspace/members/${userId}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to remove member');
+
+        showNotification('Member removed', 'success');
+        await loadMembers();
+    } catch (error) {
+        console.error('Error removing member:', error);
+        alert('Failed to remove member: ' + error.message);
+    }
+}
+
+// ===== ACCESS CONTROL (admins) =====
+
+async function openAccess() {
+    elements.inviteLink.style.display = 'none';
+    elements.accessModal.classList.add('active');
+    await loadAccess();
+}
+
+function closeAccess() {
+    elements.accessModal.classList.remove('active');
+}
+
+async function loadAccess() {
+    try {
+        const [rulesResponse, invitesResponse, usersResponse, loginsResponse] = await Promise.all([
+            fetch('/api/access/rules'),
+            fetch('/api/access/invites'),
+            fetch('/api/access/users'),
+            fetch('/api/access/logins?limit=50')
+        ]);
+        if (![rulesResponse, invitesResponse, usersResponse, loginsResponse].every(r => r.ok)) {
+            throw new Error('Failed to load access settings');
+        }
+
+        const { bootstrap_admins: bootstrapAdmins, rules } = await rulesResponse.json();
+        renderAccessRules(bootstrapAdmins, rules);
+        renderInvites(await invitesResponse.json());
+        renderAccessUsers(await usersResponse.json());
+        renderLoginEvents(await loginsResponse.json());
+    } catch (error) {
+        console.error('Error loading access settings:', error);
+        alert(error.message);
+    }
+}
+
+function renderAccessRules(bootstrapAdmins, rules) {
+    elements.bootstrapAdmins.textContent = bootstrapAdmins.length > 0 ? bootstrapAdmins.join(', ') : 'none';
+
+    elements.accessRulesList.innerHTML = rules.length === 0
+        ? '<tr><td colspan="5" style="color: #6c757d;">No rules yet</td></tr>'
+        : rules.map(r => `
+            <tr>
+                <td>${r.type === 'domain' ? `Anyone @${escapeHtml(r.value)}` : escapeHtml(r.value)}</td>
+                <td>${escapeHtml(r.workspace_name || '-')}</td>
+                <td><span class="role-badge ${r.role}">${r.role}</span></td>
+                <td>${escapeHtml(r.created_by || '-')}</td>
+                <td><button class="btn btn-sm btn-danger" onclick="revokeAccessRule(${r.id})">Revoke</button></td>
+            </tr>
+        `).join('');
+}
+
+function renderInvites(invites) {
+    elements.invitesList.innerHTML = invites.length === 0
+        ? '<tr><td colspan="5" style="color: #6c757d;">No pending invites</td></tr>'
+        : invites.map(i => `
+            <tr>
+                <td>${escapeHtml(i.email || 'Anyone with the link')}</td>
+                <td><span class="role-badge ${i.role}">${i.role}</span></td>
+                <td>${escapeHtml(i.created_by || '-')}</td>
+                <td>${new Date(i.expires_at).toLocaleDateString()}</td>
+                <td><button class="btn btn-sm btn-danger" onclick="revokeInvite(${i.id})">Revoke</button></td>
+            </tr>
+        `).join('');
+}
+
+function renderAccessUsers(users) {
+    elements.accessUsersList.innerHTML = users.map(u => `
+        <tr>
+            <td>
+                <div>${escapeHtml(u.name || u.email)}${u.bootstrap_admin ? ' <span class="role-badge admin">bootstrap</span>' : ''}</div>
+                ${u.name ? `<div style="font-size: 12px; color: #6c757d;">${escapeHtml(u.email)}</div>` : ''}
+            </td>
+            <td>${u.workspaces.map(w => `${escapeHtml(w.name)} (${w.role})`).join(', ') || '-'}</td>
+            <td>${u.last_login_at ? formatTimestamp(u.last_login_at) : 'Never'}</td>
+            <td>
+                ${u.bootstrap_admin || u.id === currentUser?.id ? '' : u.revoked_at
+                    ? `<button class="btn btn-sm btn-success" onclick="setUserAccess(${u.id}, 'restore')">Restore</button>`
+                    : `<button class="btn btn-sm btn-danger" onclick="setUserAccess(${u.id}, 'revoke')">Revoke</button>`}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderLoginEvents(events) {
+    elements.loginEventsList.innerHTML = events.length === 0
+        ? '<tr><td colspan="4" style="color: #6c757d;">No sign-ins yet</td></tr>'
+        : events.map(e => `
+            <tr>
+                <td>${new Date(e.created_at).toLocaleString()}</td>
+                <td>${escapeHtml(e.email)}</td>
+                <td class="${e.success ? '' : 'login-failed'}">${e.success ? `Signed in (${formatStatus(e.method || '')})` : `Denied (${formatStatus(e.reason || '')})`}</td>
+                <td>${escapeHtml(e.ip || '-')}</td>
+            </tr>
+        `).join('');
+}
+
+async function addAccessRule() {
+    const value = elements.ruleValue.value.trim();
+    if (!value) return;
+
+    try {
+        const response = await fetch('/api/access/rules', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: elements.ruleType.value, value, role: elements.ruleRole.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to add rule');
+
+        elements.ruleValue.value = '';
+        await loadAccess();
+    } catch (error) {
+        console.error('Error adding access rule:', error);
+        alert('Failed to add rule: ' + error.message);
+    }
+}
+
+async function revokeAccessRule(ruleId) {
+    if (!confirm('Revoke this rule? People it lets in will be signed out unless another rule matches.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/access/rules/${ruleId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to revoke rule');
+        await loadAccess();
+    } catch (error) {
+        console.error('Error revoking access rule:', error);
+        alert(error.message);
+    }
+}
+
+async function createInvite() {
+    try {
+        const response = await fetch('/api/access/invites', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: elements.inviteEmail.value.trim() || null, role: elements.inviteRole.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to create invite');
+
+        elements.inviteEmail.value = '';
+        await loadAccess();
+
+        // The link is only shown once
+        elements.inviteLink.textContent = data.url;
+        elements.inviteLink.style.display = 'block';
+        navigator.clipboard?.writeText(data.url).then(() => showNotification('Invite link copied', 'success')).catch(() => {});
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        alert('Failed to create invite: ' + error.message);
+    }
+}
+
+async function revokeInvite(inviteId) {
+    try {
+        const response = await fetch(`/api/access/invites/${inviteId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to revoke invite');
+        await loadAccess();
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        alert(error.message);
+    }
+}
+
+async function setUserAccess(userId, action) {
+    if (action === 'revoke' && !confirm('Revoke this user? They are signed out on their next request.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/access/users/${userId}/${action}`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `Failed to ${action} user`);
+        await loadAccess();
+    } catch (error) {
+        console.error(`Error (${action}) user access:`, error);
+        alert(error.message);
+    }
+}
+
 // ===== NOTIFICATIONS =====
 
 async function loadNotifications() {
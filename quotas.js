@@ -0,0 +1,280 @@
+import { CONTACT_PROVIDER_NAMES } from './contact-providers.js';
+
+// Defaults for limits not set through /api/quotas (null = unlimited)
+const QUOTA_CONFIG = {
+    contactsDaily: parseInt(process.env.CONTACT_DAILY_LIMIT) || 150,
+    contactsMonthly: parseInt(process.env.CONTACT_MONTHLY_LIMIT) || null,
+    userDaily: parseInt(process.env.USER_CONTACT_DAILY_LIMIT) || null,
+    userMonthly: parseInt(process.env.USER_CONTACT_MONTHLY_LIMIT) || null,
+    providerDaily: parseProviderLimits(process.env.CONTACT_PROVIDER_DAILY_CREDITS),
+    reservationExpireHours: 6, // a batch still holding quota after this long has died
+    statusCacheMs: 60000
+};
+
+export const QUOTA_SCOPES = ['contacts', 'user', 'provider'];
+export const QUOTA_PERIODS = ['day', 'month'];
+
+// How often each worker releases reservations of batches that died
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// CONTACT_PROVIDER_DAILY_CREDITS is a JSON object of provider -> daily credits, e.g. {"signalhire": 100}
+function parseProviderLimits(json) {
+    if (!json) return {};
+    try {
+        const limits = JSON.parse(json);
+        return Object.fromEntries(Object.entries(limits).filter(([name, credits]) => {
+            const valid = CONTACT_PROVIDER_NAMES.includes(name) && Number.isInteger(credits) && credits >= 0;
+            if (!valid) console.warn(`[Quotas] Ignoring CONTACT_PROVIDER_DAILY_CREDITS entry "${name}"`);
+            return valid;
+        }));
+    } catch (error) {
+        console.warn('[Quotas] Ignoring invalid CONTACT_PROVIDER_DAILY_CREDITS:', error.message);
+        return {};
+    }
+}
+
+// First day of the UTC day or month containing `date`
+function periodStart(period, date = new Date()) {
+    const start = period === 'day'
+        ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+        : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    return start.toISOString().slice(0, 10);
+}
+
+function periodEnd(period, start) {
+    const end = new Date(`${start}T00:00:00Z`);
+    if (period === 'day') end.setUTCDate(end.getUTCDate() + 1);
+    else end.setUTCMonth(end.getUTCMonth() + 1);
+    return end.toISOString();
+}
+
+function quotaError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * QuotaService enforces daily and monthly limits on contact data.
+ *
+ * - `contacts`: prospects looked up by contact enrichment, across everyone
+ *   (CONTACT_DAILY_LIMIT, default 150; CONTACT_MONTHLY_LIMIT)
+ * - `user`: the same, per user who started the enrichment
+ *   (USER_CONTACT_DAILY_LIMIT, USER_CONTACT_MONTHLY_LIMIT; `*` in
+ *   /api/quotas sets every user's, a user id one user's)
+ * - `provider`: credits a contact provider used, from api_usage
+ *   (CONTACT_PROVIDER_DAILY_CREDITS); a provider at its limit is skipped by
+ *   the contact waterfall, like one over its monthly budget
+ *
+ * Limits set through /api/quotas replace the env defaults. A batch reserves
+ * its lookups before it starts and gets as many as the tightest quota has
+ * left; it looks up that many prospects and releases the rest when done.
+ * Periods are UTC days and months.
+ */
+export class QuotaService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.defaults = {
+            'contacts::day': options.contactsDaily ?? QUOTA_CONFIG.contactsDaily,
+            'contacts::month': options.contactsMonthly ?? QUOTA_CONFIG.contactsMonthly,
+            'user:*:day': options.userDaily ?? QUOTA_CONFIG.userDaily,
+            'user:*:month': options.userMonthly ?? QUOTA_CONFIG.userMonthly,
+            ...Object.fromEntries(Object.entries(options.providerDaily || QUOTA_CONFIG.providerDaily)
+                .map(([name, credits]) => [`provider:${name}:day`, credits]))
+        };
+        this.providerCache = null;
+    }
+
+    registerTaskHandlers(queue) {
+        queue.registerPeriodic('quota_reservation_expiry', EXPIRY_INTERVAL_MS, () => this.expireReservations());
+    }
+
+    // Limits in effect: the env defaults, overridden by /api/quotas; key "scope:scope_key:period"
+    async getLimits() {
+        const limits = { ...this.defaults };
+        for (const row of await this.db.getQuotaLimits()) {
+            limits[`${row.scope}:${row.scope_key}:${row.period}`] = row.limit_value;
+        }
+        return limits;
+    }
+
+    limitFor(limits, scope, scopeKey, period) {
+        const key = `${scope}:${scopeKey}:${period}`;
+        if (key in limits) return limits[key];
+        if (scope === 'user' && `user:*:${period}` in limits) return limits[`user:*:${period}`];
+        return null;
+    }
+
+    // The contacts quotas, plus the user's when the batch has one, for this day and month
+    contactQuotas(limits, userId) {
+        const scopes = [['contacts', '']];
+        if (userId) scopes.push(['user', String(userId)]);
+
+        return scopes.flatMap(([scope, scopeKey]) => QUOTA_PERIODS.map(period => ({
+            scope,
+            scope_key: scopeKey,
+            period,
+            period_start: periodStart(period),
+            limit: this.limitFor(limits, scope, scopeKey, period)
+        })));
+    }
+
+    /**
+     * Reserve contact lookups for a batch of `amount` prospects. Resolves to
+     * { id, requested, granted, limited_by }: `granted` may be less than
+     * requested (down to 0), and `limited_by` is the quota that cut it.
+     */
+    async reserve({ amount, userId = null, taskId = null }) {
+        const quotas = this.contactQuotas(await this.getLimits(), userId);
+        const reservation = await this.db.reserveQuota({ quotas, amount, taskId, userId });
+        return {
+            id: reservation.id,
+            requested: amount,
+            granted: reservation.granted,
+            limited_by: reservation.limited_by
+        };
+    }
+
+    async consume(reservation, count = 1) {
+        if (!reservation?.id) return;
+        await this.db.consumeQuota(reservation.id, count);
+    }
+
+    async release(reservation) {
+        if (!reservation?.id) return;
+        await this.db.releaseQuotaReservation(reservation.id);
+    }
+
+    async expireReservations() {
+        const released = await this.db.expireQuotaReservations(QUOTA_CONFIG.reservationExpireHours);
+        if (released.length > 0) {
+            console.log(`[Quotas] Released ${released.length} reservations held for over ${QUOTA_CONFIG.reservationExpireHours}h`);
+        }
+        return { released_count: released.length };
+    }
+
+    // "the daily contact lookup limit (150)", for error messages
+    describe(quota) {
+        const period = quota.period === 'day' ? 'daily' : 'monthly';
+        const whose = quota.scope === 'user' ? `your ${period} contact lookup limit`
+            : quota.scope === 'provider' ? `the ${period} ${quota.scope_key} credit limit`
+                : `the ${period} contact lookup limit`;
+        return `${whose} (${quota.limit})`;
+    }
+
+    /**
+     * Credits each provider with a daily or monthly limit used this period,
+     * from api_usage.
+     */
+    async getProviderQuotas(limits) {
+        const providers = CONTACT_PROVIDER_NAMES.filter(name =>
+            QUOTA_PERIODS.some(period => this.limitFor(limits, 'provider', name, period) !== null)
+        );
+        if (providers.length === 0) return [];
+
+        const totals = {};
+        for (const period of QUOTA_PERIODS) {
+            totals[period] = await this.db.getUsageTotalsSince(new Date(`${periodStart(period)}T00:00:00Z`));
+        }
+
+        return providers.flatMap(name => QUOTA_PERIODS
+            .map(period => ({ period, limit: this.limitFor(limits, 'provider', name, period) }))
+            .filter(({ limit }) => limit !== null)
+            .map(({ period, limit }) => ({
+                scope: 'provider',
+                scope_key: name,
+                period,
+                period_start: periodStart(period),
+                limit,
+                used: totals[period].find(row => row.provider === name)?.credits || 0,
+                reserved: 0
+            })));
+    }
+
+    /**
+     * Providers at a daily or monthly credit limit. Cached for a minute,
+     * since the contact waterfall asks before every lookup.
+     */
+    async getExhaustedProviders() {
+        if (this.providerCache && Date.now() - this.providerCache.at < QUOTA_CONFIG.statusCacheMs) {
+            return this.providerCache.exhausted;
+        }
+
+        const quotas = await this.getProviderQuotas(await this.getLimits());
+        const exhausted = new Set(quotas.filter(quota => quota.used >= quota.limit).map(quota => quota.scope_key));
+        this.providerCache = { at: Date.now(), exhausted };
+        return exhausted;
+    }
+
+    /**
+     * Every quota that applies to `userId` with its limit, usage, reservations
+     * and reset time, for GET /api/quotas. `allUsers` adds the quotas of users
+     * with a limit of their own.
+     */
+    async getStatus(userId, { allUsers = false } = {}) {
+        const limits = await this.getLimits();
+
+        const userIds = new Set(userId ? [String(userId)] : []);
+        if (allUsers) {
+            for (const key of Object.keys(limits)) {
+                const [scope, scopeKey] = key.split(':');
+                if (scope === 'user' && scopeKey !== '*') userIds.add(scopeKey);
+            }
+        }
+
+        const counted = await this.db.getQuotaCounts([
+            ...this.contactQuotas(limits, null),
+            ...[...userIds].flatMap(id => this.contactQuotas(limits, id).filter(quota => quota.scope === 'user'))
+        ]);
+        const quotas = [...counted, ...await this.getProviderQuotas(limits)];
+
+        return {
+            quotas: quotas.map(quota => ({
+                ...quota,
+                unit: quota.scope === 'provider' ? 'credits' : 'lookups',
+                remaining: quota.limit === null ? null : Math.max(0, quota.limit - quota.used - quota.reserved),
+                resets_at: periodEnd(quota.period, quota.period_start)
+            })),
+            overrides: await this.db.getQuotaLimits()
+        };
+    }
+
+    // PUT /api/quotas: set a limit (null = unlimited) in place of its default
+    async setLimit({ scope, key = '', period, limit }, userId) {
+        const scopeKey = this.validate(scope, key, period);
+        if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+            throw quotaError('limit must be a non-negative integer or null');
+        }
+
+        this.providerCache = null;
+        return this.db.setQuotaLimit(scope, scopeKey, period, limit, userId);
+    }
+
+    // DELETE /api/quotas: back to the default
+    async removeLimit({ scope, key = '', period }) {
+        const scopeKey = this.validate(scope, key, period);
+        this.providerCache = null;
+        return this.db.deleteQuotaLimit(scope, scopeKey, period);
+    }
+
+    validate(scope, key, period) {
+        if (!QUOTA_SCOPES.includes(scope)) {
+            throw quotaError(`scope must be one of: ${QUOTA_SCOPES.join(', ')}`);
+        }
+        if (!QUOTA_PERIODS.includes(period)) {
+            throw quotaError(`period must be one of: ${QUOTA_PERIODS.join(', ')}`);
+        }
+
+        const scopeKey = String(key ?? '');
+        if (scope === 'contacts' && scopeKey !== '') {
+            throw quotaError('contacts quotas have no key');
+        }
+        if (scope === 'user' && scopeKey !== '*' && !/^\d+$/.test(scopeKey)) {
+            throw quotaError('user quotas need a user id or * as key');
+        }
+        if (scope === 'provider' && !CONTACT_PROVIDER_NAMES.includes(scopeKey)) {
+            throw quotaError(`provider must be one of: ${CONTACT_PROVIDER_NAMES.join(', ')}`);
+        }
+        return scopeKey;
+    }
+}
@@ -0,0 +1,201 @@
+import { getNextCronRun } from './cron.js';
+import { getJobKey } from './job-sources.js';
+
+// How often each worker checks for saved searches that are due
+const SCHEDULER_INTERVAL_MS = 60000;
+
+/**
+ * SavedSearchService re-runs saved job searches on their cron schedule.
+ *
+ * A periodic check on the job queue enqueues a `saved_search_run` task for each
+ * due search. The task runs the search against the job sources (bypassing the
+ * HTTP cache), keeps only jobs this saved search has not returned before and,
+ * when auto_add is on, files them into the target folder through
+ * WorkflowManager.addJobToFolder so company enrichment starts as usual.
+ *
+ * A new saved search gets a baseline run right away, which records the jobs
+ * it returns now as seen without filing them or notifying, so only jobs
+ * posted after it was saved count as new.
+ */
+export class SavedSearchService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.jobSearch = options.jobSearch; // JobSearchService instance
+        this.workflowManager = options.workflowManager; // optional, needed for auto_add
+        this.hiringSignals = options.hiringSignals || null; // optional HiringSignalService
+        this.queue = options.queue;
+    }
+
+    registerTaskHandlers(queue) {
+        queue.register('saved_search_run', (task) => this.runSavedSearch(task.payload.saved_search_id, { baseline: task.payload.baseline }), {
+            onFailed: async (task, error) => {
+                const savedSearch = await this.db.getSavedSearch(task.payload.saved_search_id);
+                if (!savedSearch) return;
+
+                await this.db.recordSavedSearchRun(savedSearch.id, { error: error.message });
+                await this.db.createNotification(
+                    'saved_search_failed',
+                    'Saved Search Failed',
+                    `"${savedSearch.name}" failed: ${error.message}`,
+                    null,
+                    { workspaceId: savedSearch.workspace_id, ownerId: savedSearch.owner_id }
+                );
+            }
+        });
+
+        queue.registerPeriodic('saved_search_scheduler', SCHEDULER_INTERVAL_MS, () => this.scheduleDueSearches());
+    }
+
+    /**
+     * Enqueue a run for every enabled saved search whose next_run_at has passed.
+     */
+    async scheduleDueSearches() {
+        const due = await this.db.getDueSavedSearches();
+
+        for (const savedSearch of due) {
+            let nextRunAt;
+            try {
+                nextRunAt = getNextCronRun(savedSearch.schedule);
+            } catch (error) {
+                // Schedules are validated on save, so this only happens for rows edited by hand
+                console.error(`[SavedSearch] Invalid schedule for "${savedSearch.name}":`, error.message);
+                await this.db.updateSavedSearch(savedSearch.id, { enabled: false });
+                await this.db.recordSavedSearchRun(savedSearch.id, { error: `Invalid schedule: ${error.message}` });
+                continue;
+            }
+
+            const claimed = await this.db.claimSavedSearchRun(savedSearch.id, nextRunAt);
+            if (!claimed) continue; // another worker got it
+
+            await this.enqueueRun(savedSearch.id);
+        }
+    }
+
+    async enqueueRun(savedSearchId, { baseline = false } = {}) {
+        return await this.queue.enqueue(
+            'saved_search_run',
+            baseline ? { saved_search_id: savedSearchId, baseline: true } : { saved_search_id: savedSearchId },
+            { total: 1, dedupeKey: `saved-search:${savedSearchId}` }
+        );
+    }
+
+    /**
+     * Run a saved search. A baseline run (the one queued on creation, or any
+     * run of a search that has never completed one) only records the jobs as
+     * seen.
+     */
+    async runSavedSearch(savedSearchId, { baseline = false } = {}) {
+        const savedSearch = await this.db.getSavedSearch(savedSearchId);
+        if (!savedSearch) {
+            const error = new Error(`Saved search ${savedSearchId} not found`);
+            error.retryable = false;
+            throw error;
+        }
+
+        // A search whose baseline failed has nothing recorded yet, so its results are not new either
+        baseline = baseline || savedSearch.last_result_count === null;
+
+        console.log(`[SavedSearch] Running "${savedSearch.name}" (ID: ${savedSearch.id})${baseline ? ' as baseline' : ''}`);
+
+        const data = await this.jobSearch.search({ ...savedSearch.params, page: 1 });
+        const jobs = data.data || [];
+
+        if (this.hiringSignals) {
+            await this.hiringSignals.recordJobs(jobs, { workspaceId: savedSearch.workspace_id, folderId: savedSearch.target_folder_id })
+                .catch(error => console.error(`[SavedSearch] Failed to record hiring signals for "${savedSearch.name}":`, error.message));
+        }
+
+        const jobsByKey = new Map();
+        for (const job of jobs) {
+            jobsByKey.set(getJobKey(job), job);
+        }
+
+        const newKeys = await this.db.markSavedSearchJobsSeen(savedSearch.id, [...jobsByKey.keys()]);
+        const newJobs = baseline ? [] : newKeys.map(key => jobsByKey.get(key));
+
+        let addedCount = 0;
+        if (savedSearch.auto_add && savedSearch.target_folder_id && newJobs.length > 0) {
+            addedCount = await this.addJobsToFolder(savedSearch, newJobs);
+        }
+
+        await this.db.recordSavedSearchRun(savedSearch.id, {
+            resultCount: jobs.length,
+            newCount: newJobs.length
+        });
+
+        if (newJobs.length > 0) {
+            const filed = addedCount > 0
+                ? ` ${addedCount} added to "${savedSearch.target_folder_name}".`
+                : '';
+            await this.db.createNotification(
+                'saved_search_new_jobs',
+                'New Jobs Found',
+                `"${savedSearch.name}" found ${newJobs.length} new job${newJobs.length === 1 ? '' : 's'}.${filed}`,
+                addedCount > 0 ? `/folders/${savedSearch.target_folder_id}` : null,
+                { workspaceId: savedSearch.workspace_id, ownerId: savedSearch.owner_id, folderId: savedSearch.target_folder_id }
+            );
+        }
+
+        console.log(`[SavedSearch] "${savedSearch.name}": ${jobs.length} results, ${newJobs.length} new, ${addedCount} added to folder`);
+
+        return {
+            result_count: jobs.length,
+            new_count: newJobs.length,
+            added_count: addedCount
+        };
+    }
+
+    async addJobsToFolder(savedSearch, jobs) {
+        if (!this.workflowManager) {
+            console.warn(`[SavedSearch] Cannot auto-add jobs for "${savedSearch.name}": workflow manager not available`);
+            return 0;
+        }
+
+        // Skip jobs that a user already filed somewhere in the workspace
+        const mappings = await this.db.getJobFolderMappings(savedSearch.workspace_id);
+        const filedIds = new Set(mappings.map(m => m.theirstack_job_id));
+
+        let added = 0;
+        for (const job of jobs) {
+            const jobData = this.toFolderJob(job);
+
+            if (!jobData.domain) {
+                console.log(`[SavedSearch] Skipping "${job.job_title}" at ${jobData.company}: no company domain`);
+                continue;
+            }
+            if (jobData.id && filedIds.has(String(jobData.id))) continue;
+
+            try {
+                await this.workflowManager.addJobToFolder(savedSearch.target_folder_id, jobData);
+                added++;
+            } catch (error) {
+                console.error(`[SavedSearch] Failed to add "${job.job_title}" to folder:`, error.message);
+            }
+        }
+
+        return added;
+    }
+
+    // Same shape the search page posts to /api/folders/:id/jobs
+    toFolderJob(job) {
+        const company = job.company_object || {};
+
+        return {
+            id: job.id,
+            theirstack_job_id: job.id,
+            source: job.source,
+            job_title: job.job_title,
+            company: company.name || job.company || 'Unknown Company',
+            domain: company.domain || job.company_domain || null,
+            location: job.short_location || job.location,
+            country: job.country || company.country || null,
+            salary_string: job.salary_string,
+            description: job.description,
+            url: job.url || job.final_url,
+            posted_date: job.date_posted,
+            employee_count: company.employee_count,
+            theirstack_company_data: company,
+            raw_data: job
+        };
+    }
+}
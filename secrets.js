@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+/**
+ * Encryption for third-party credentials stored in the database (mailbox
+ * passwords and similar). AES-256-GCM with a key derived from
+ * CREDENTIALS_SECRET, falling back to SESSION_SECRET. Changing the secret
+ * makes stored credentials unreadable, so they have to be entered again.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+
+function getKey() {
+    const secret = process.env.CREDENTIALS_SECRET || process.env.SESSION_SECRET;
+    if (!secret) {
+        throw new Error('CREDENTIALS_SECRET (or SESSION_SECRET) is required to store credentials');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+export function encryptSecret(plainText) {
+    if (plainText === null || plainText === undefined || plainText === '') return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+export function decryptSecret(stored) {
+    if (!stored) return null;
+
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
@@ -1,16 +1,37 @@
 import 'dotenv/config';
 import express from 'express';
-import Anthropic from '@anthropic-ai/sdk';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
 import crypto from 'crypto';
 import { OAuth2Client } from 'google-auth-library';
 import cookieParser from 'cookie-parser';
-import { initializePostgresDatabase } from './db-postgres.js';
+import { initializePostgresDatabase, closeDatabase, PROSPECT_STATUSES, ACTIVITY_TYPES, WORKSPACE_ROLES } from './db-postgres.js';
 import { CompanyEnricher } from './enrichment.js';
 import { WorkflowManager } from './workflow-manager.js';
 import { ProspectingService } from './prospecting.js';
+import { JobQueue } from './job-queue.js';
+import { JobSearchService, createJobSources, extractDomain } from './job-sources.js';
+import { JobAnalysisService } from './job-analysis.js';
+import { LeadScoringService } from './lead-scoring.js';
+import { HiringSignalService } from './hiring-signals.js';
+import { LLMGateway } from './llm-gateway.js';
+import { PageRenderer } from './page-renderer.js';
+import { PageSnapshotService } from './page-snapshots.js';
+import { EnrichmentRefreshService } from './enrichment-refresh.js';
+import { ContactDataService, createContactProviders, CONTACT_PROVIDER_NAMES } from './contact-providers.js';
+import { SignalHireWebhookService } from './signalhire-webhooks.js';
+import { EmailVerificationService, isSendableEmail } from './email-verification.js';
+import { EmailPatternService } from './email-patterns.js';
+import { QuotaService } from './quotas.js';
+import { UsageService, runWithUsageContext } from './usage.js';
+import { SavedSearchService } from './saved-searches.js';
+import { OutreachService } from './outreach.js';
+import { OutreachSender, isValidTimezone } from './outreach-sender.js';
+import { encryptSecret } from './secrets.js';
+import { CrmSyncService, createCrmClient } from './crm-sync.js';
+import { getNextCronRun } from './cron.js';
+import { toAuditSnapshot, diffSnapshots } from './audit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -21,26 +42,48 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy for Render.com (required for secure cookies behind reverse proxy)
 app.set('trust proxy', 1);
 
-// Database, enricher, workflow manager, and prospecting service (initialized async)
+// Database, enricher, workflow manager, prospecting service, and job queue (initialized async)
 let db = null;
 let enricher = null;
 let workflowManager = null;
 let prospectingService = null;
+let jobQueue = null;
+let savedSearchService = null;
+let outreachService = null;
+let outreachSender = null;
+let crmSyncService = null;
+let jobAnalysisService = null;
+let leadScoringService = null;
+let hiringSignalService = null;
+let usageService = null;
+let snapshotService = null;
+let refreshService = null;
+let contactData = null;
+let signalHireWebhooks = null;
+let emailVerificationService = null;
+let emailPatternService = null;
+let quotaService = null;
 
 // Middleware
 app.use(express.json());
 app.use(cookieParser());
 
 // API Configuration
-const JSEARCH_API_URL = 'https://jsearch.p.rapidapi.com';
 const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
+const THEIRSTACK_API_KEY = process.env.THEIRSTACK_API_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const SIGNALHIRE_API_KEY = process.env.SIGNALHIRE_API_KEY;
 const DATABASE_URL = process.env.DATABASE_URL;
 
+// Set to true when background tasks are processed by a separate `npm run worker` process
+const DISABLE_EMBEDDED_WORKER = process.env.DISABLE_EMBEDDED_WORKER === 'true';
+
 // Auth Configuration
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
+// Bootstrap admins: can always sign in, are admins of the default workspace and
+// are the install's admins (access rules, invites, users, workspaces, quotas).
+// Everyone else is let in by access rules and invites managed in the app.
 const ALLOWED_EMAILS = (process.env.ALLOWED_EMAILS || '')
     .split(',')
     .map(e => e.trim().toLowerCase())
@@ -59,8 +102,34 @@ function getLoginHtml() {
     return loginHtmlTemplate;
 }
 
-// Initialize Anthropic client
-const anthropic = ANTHROPIC_API_KEY ? new Anthropic({ apiKey: ANTHROPIC_API_KEY }) : null;
+// LLM providers (Anthropic, Gemini, OpenAI-compatible, Ollama) and per-task model routing
+const llm = new LLMGateway();
+
+// Headless browser for JavaScript-rendered and protected company websites (optional, RENDER_BACKEND)
+const renderer = new PageRenderer();
+
+// Job search providers (JSearch, Theirstack, Greenhouse/Lever/Ashby public boards)
+const jobSearch = new JobSearchService({
+    sources: createJobSources({
+        rapidApiKey: RAPIDAPI_KEY,
+        theirstackApiKey: THEIRSTACK_API_KEY,
+        greenhouseBoards: process.env.GREENHOUSE_BOARDS,
+        leverBoards: process.env.LEVER_BOARDS,
+        ashbyBoards: process.env.ASHBY_BOARDS
+    })
+});
+
+// CRM for pushing folders and pulling deal stages (HubSpot or Pipedrive, optional)
+const crmClient = createCrmClient({
+    provider: process.env.CRM_PROVIDER,
+    hubspotAccessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+    hubspotApiUrl: process.env.HUBSPOT_API_URL,
+    hubspotPipeline: process.env.HUBSPOT_DEAL_PIPELINE,
+    hubspotDealStage: process.env.HUBSPOT_DEAL_STAGE,
+    pipedriveApiToken: process.env.PIPEDRIVE_API_TOKEN,
+    pipedriveApiUrl: process.env.PIPEDRIVE_API_URL,
+    pipedriveStageId: process.env.PIPEDRIVE_STAGE_ID
+});
 
 // Cache Configuration
 const CACHE_TTL_MS = 4 * 60 * 60 * 1000; // 4 hours
@@ -160,7 +229,95 @@ function verifySessionToken(token) {
     }
 }
 
-function requireAuth(req, res, next) {
+function setSessionCookie(res, payload) {
+    res.cookie('session', createSessionToken(payload), {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        maxAge: SESSION_MAX_AGE_MS,
+        path: '/',
+    });
+}
+
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether an address may sign in, and how: bootstrap admins always can, other
+ * people need an active email or domain rule and must not be revoked.
+ * Returns { allowed, method, role, workspaceId } or { allowed: false, reason }.
+ */
+async function checkAccess(email) {
+    if (ALLOWED_EMAILS.includes(email)) {
+        return { allowed: true, method: 'bootstrap', role: 'admin', workspaceId: null };
+    }
+    if (!db) {
+        return { allowed: false, reason: 'not_allowed' };
+    }
+
+    const user = await db.getUserByEmail(email);
+    if (user?.revoked_at) {
+        return { allowed: false, reason: 'revoked' };
+    }
+
+    const rule = await db.findAccessRule(email);
+    if (!rule) {
+        return { allowed: false, reason: 'not_allowed' };
+    }
+    return { allowed: true, method: `${rule.type}_rule`, role: rule.role, workspaceId: rule.workspace_id };
+}
+
+// Redeem an invite link token for `email`; null when the token is unknown or used up
+async function redeemInvite(token, email) {
+    const invite = await db.getInviteByTokenHash(hashInviteToken(token));
+    if (!invite) return null;
+    if (invite.email && invite.email !== email) {
+        return { allowed: false, reason: 'invite_email_mismatch' };
+    }
+
+    const rule = await db.acceptInvite(invite.id, email);
+    if (!rule) return null;
+    return { allowed: true, method: 'invite', role: rule.role, workspaceId: rule.workspace_id };
+}
+
+/**
+ * Workspace a user lands in after signing in. Bootstrap admins are (re)made
+ * admins of the default workspace; an invite adds its workspace; an access
+ * rule only places people who are in no workspace yet.
+ */
+async function resolveLoginMembership(user, access) {
+    if (access.method === 'bootstrap') {
+        return db.joinDefaultWorkspace(user.id, { role: 'admin' });
+    }
+
+    const workspaces = await db.getUserWorkspaces(user.id);
+    if (access.workspaceId) {
+        const inWorkspace = workspaces.some(w => w.id === access.workspaceId);
+        if (!inWorkspace && (access.method === 'invite' || workspaces.length === 0)) {
+            await db.setWorkspaceMember(access.workspaceId, user.id, access.role);
+        }
+        if (inWorkspace || access.method === 'invite' || workspaces.length === 0) {
+            return db.getWorkspaceMembership(access.workspaceId, user.id);
+        }
+    }
+
+    return workspaces.length > 0
+        ? db.getWorkspaceMembership(workspaces[0].id, user.id)
+        : db.joinDefaultWorkspace(user.id);
+}
+
+// Workspace of a session: the one it was issued for, or the user's first
+// workspace when they were removed from it. Null when they have none left.
+async function resolveMembership(payload) {
+    const membership = await db.getWorkspaceMembership(payload.workspaceId, payload.userId);
+    if (membership) return membership;
+
+    const [workspace] = await db.getUserWorkspaces(payload.userId);
+    return workspace ? db.getWorkspaceMembership(workspace.id, payload.userId) : null;
+}
+
+async function requireAuth(req, res, next) {
     const token = req.cookies?.session;
     if (!token) {
         if (req.path.startsWith('/api/')) {
@@ -178,19 +335,90 @@ function requireAuth(req, res, next) {
         return res.redirect('/login.html');
     }
 
-    // Re-check whitelist on every request (instant revocation if email removed)
-    if (!ALLOWED_EMAILS.includes(payload.email)) {
-        res.clearCookie('session', { path: '/' });
-        if (req.path.startsWith('/api/')) {
-            return res.status(403).json({ error: 'Access revoked' });
+    try {
+        // Re-check access on every request (instant revocation when a rule or user is revoked)
+        const access = await checkAccess(payload.email);
+        if (!access.allowed) {
+            res.clearCookie('session', { path: '/' });
+            if (req.path.startsWith('/api/')) {
+                return res.status(403).json({ error: 'Access revoked' });
+            }
+            return res.redirect('/login.html');
         }
-        return res.redirect('/login.html');
+
+        // Without a database there are no users or workspaces; routes that need them answer 503
+        if (!db) {
+            req.user = payload;
+        }
+
+        // Sessions from before user accounts existed have no user id: sign in again
+        const membership = db && payload.userId ? await resolveMembership(payload) : null;
+        if (db && !membership) {
+            res.clearCookie('session', { path: '/' });
+            if (req.path.startsWith('/api/')) {
+                return res.status(payload.userId ? 403 : 401).json({
+                    error: payload.userId ? 'Not a member of any workspace' : 'Session expired'
+                });
+            }
+            return res.redirect('/login.html');
+        }
+
+        if (membership) {
+            if (membership.workspace_id !== payload.workspaceId) {
+                setSessionCookie(res, { ...payload, workspaceId: membership.workspace_id });
+            }
+
+            // Role is read on every request so role changes apply immediately
+            req.user = {
+                ...payload,
+                workspaceId: membership.workspace_id,
+                workspaceName: membership.workspace_name,
+                role: membership.role,
+                installAdmin: access.method === 'bootstrap'
+            };
+        }
+    } catch (error) {
+        console.error('[Auth] Failed to check access:', error.message);
+        return res.status(500).json({ error: 'Failed to load session' });
     }
 
-    req.user = payload;
     next();
 }
 
+// Workspace roles in increasing order of permissions
+const ROLE_LEVELS = { viewer: 0, member: 1, admin: 2 };
+
+// Route middleware: the user's role in the current workspace must be at least `role`
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!db) {
+            return res.status(503).json({ error: 'Database not initialized' });
+        }
+        if ((ROLE_LEVELS[req.user?.role] ?? -1) < ROLE_LEVELS[role]) {
+            return res.status(403).json({ error: `This action requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+// Route middleware for settings that apply to the whole install rather than one
+// workspace: only bootstrap admins (ALLOWED_EMAILS) may use them
+function requireInstallAdmin(req, res, next) {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    if (!req.user?.installAdmin) {
+        return res.status(403).json({ error: 'This action requires an install admin (ALLOWED_EMAILS)' });
+    }
+    next();
+}
+
+// Folder in the user's workspace, or null (other workspaces' folders look like they don't exist)
+async function getWorkspaceFolder(req, folderId) {
+    const folder = await db.getFolder(folderId);
+    return folder && folder.workspace_id === req.user.workspaceId ? folder : null;
+}
+
 // ===== PUBLIC ROUTES (no auth required) =====
 
 // Serve login page (with client ID injected)
@@ -204,10 +432,19 @@ app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         jsearch: !!RAPIDAPI_KEY,
+        theirstack: !!THEIRSTACK_API_KEY,
+        job_sources: jobSearch.getAvailableSources(),
         claude: !!ANTHROPIC_API_KEY,
         gemini: !!GEMINI_API_KEY,
+        job_analysis: !!jobAnalysisService?.isAvailable(),
+        llm: llm.describe(),
+        renderer: renderer.describe(),
         signalhire: !!SIGNALHIRE_API_KEY,
+        contact_providers: contactData ? contactData.describe() : null,
+        signalhire_webhooks: !!signalHireWebhooks?.isEnabled(),
+        email_smtp_probe: !!emailVerificationService?.smtpProbe,
         database: !!db,
+        worker: jobQueue ? jobQueue.running : false,
         cache: getCacheStats()
     });
 });
@@ -230,6 +467,30 @@ app.get('/api/cache', (req, res) => {
     });
 });
 
+// ===== WEBHOOKS (public, verified by signature) =====
+
+// SignalHire lookup results; the callback URL of each lookup carries its id and an HMAC signature
+app.post('/api/webhooks/signalhire', async (req, res) => {
+    if (!signalHireWebhooks) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const result = await signalHireWebhooks.handleCallback({
+            lookupId: req.query.lookup,
+            signature: req.query.signature,
+            body: req.body
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('[SignalHire] Webhook error:', error);
+        res.status(500).json({ error: 'Failed to process SignalHire webhook' });
+    }
+});
+
 // ===== AUTH ENDPOINTS (public) =====
 
 // Verify Google token and create session
@@ -238,24 +499,44 @@ app.post('/api/auth/google', async (req, res) => {
         return res.status(500).json({ error: 'Google OAuth not configured' });
     }
 
-    const { credential } = req.body;
+    const { credential, invite } = req.body;
     if (!credential) {
         return res.status(400).json({ error: 'Missing credential' });
     }
 
+    let googlePayload;
     try {
         const ticket = await googleClient.verifyIdToken({
             idToken: credential,
             audience: GOOGLE_CLIENT_ID,
         });
-        const googlePayload = ticket.getPayload();
-        const email = googlePayload.email.toLowerCase();
+        googlePayload = ticket.getPayload();
+    } catch (error) {
+        console.error('[Auth] Token verification failed:', error.message);
+        return res.status(401).json({ error: 'Invalid token' });
+    }
 
-        if (!ALLOWED_EMAILS.includes(email)) {
-            console.log(`[Auth] Access denied for: ${email}`);
+    const email = googlePayload.email.toLowerCase();
+    const loginEvent = { email, ip: req.ip, userAgent: req.get('user-agent') || null };
+
+    try {
+        // An invite link lets a new address in; otherwise the access rules decide
+        const inviteAccess = invite && db ? await redeemInvite(String(invite), email) : null;
+        const access = inviteAccess?.allowed ? inviteAccess : await checkAccess(email);
+
+        if (!access.allowed) {
+            const reason = inviteAccess?.reason || (invite && db ? 'invite_invalid' : access.reason);
+            console.log(`[Auth] Access denied for: ${email} (${reason})`);
+            if (db) {
+                await db.recordLoginEvent({ ...loginEvent, success: false, reason });
+            }
             return res.status(403).json({
                 error: 'Access denied',
-                message: 'Your email is not authorized to use this application.'
+                message: reason === 'invite_email_mismatch'
+                    ? 'This invite was sent to a different email address.'
+                    : reason === 'invite_invalid'
+                        ? 'This invite link is invalid, expired or has already been used.'
+                        : 'Your email is not authorized to use this application.'
             });
         }
 
@@ -264,36 +545,40 @@ app.post('/api/auth/google', async (req, res) => {
             name: googlePayload.name || email,
             picture: googlePayload.picture || null,
         };
-        const sessionToken = createSessionToken(sessionPayload);
-
-        res.cookie('session', sessionToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'lax',
-            maxAge: SESSION_MAX_AGE_MS,
-            path: '/',
-        });
 
-        console.log(`[Auth] Login successful: ${email}`);
-        res.json({ success: true, user: sessionPayload });
+        let membership = null;
+        if (db) {
+            const user = await db.upsertUser(sessionPayload);
+            membership = await resolveLoginMembership(user, access);
+            sessionPayload.userId = user.id;
+            sessionPayload.workspaceId = membership.workspace_id;
+            await db.recordLoginEvent({ ...loginEvent, userId: user.id, success: true, method: access.method });
+        }
+
+        setSessionCookie(res, sessionPayload);
+
+        console.log(`[Auth] Login successful: ${email} via ${access.method}${membership ? ` (${membership.workspace_name}, ${membership.role})` : ''}`);
+        res.json({ success: true, user: { ...sessionPayload, role: membership?.role || null } });
     } catch (error) {
-        console.error('[Auth] Token verification failed:', error.message);
-        res.status(401).json({ error: 'Invalid token' });
+        console.error('[Auth] Login failed:', error.message);
+        res.status(500).json({ error: 'Login failed' });
     }
 });
 
-// Check current session
-app.get('/api/auth/me', (req, res) => {
-    const token = req.cookies?.session;
-    if (!token) {
-        return res.status(401).json({ error: 'Not authenticated' });
-    }
-    const payload = verifySessionToken(token);
-    if (!payload) {
-        res.clearCookie('session', { path: '/' });
-        return res.status(401).json({ error: 'Session expired' });
-    }
-    res.json({ user: { email: payload.email, name: payload.name, picture: payload.picture } });
+// Check current session (with the user's workspace and role)
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    const { email, name, picture, userId, workspaceId, workspaceName, role, installAdmin } = req.user;
+    res.json({
+        user: {
+            id: userId || null,
+            email,
+            name,
+            picture,
+            role: role || null,
+            install_admin: installAdmin === true,
+            workspace: workspaceId ? { id: workspaceId, name: workspaceName } : null
+        }
+    });
 });
 
 // Logout
@@ -308,80 +593,181 @@ app.use(requireAuth);
 // Serve protected static files (after auth check)
 app.use(express.static(join(__dirname, 'public')));
 
-// Helper: extract domain from URL
-function extractDomain(url) {
-    if (!url) return null;
+// ===== WORKSPACE SCOPING =====
+// Folders belong to a workspace, and prospects and outreach enrollments to a
+// folder. Anything addressed by id outside the user's workspace answers 404.
+
+app.use('/api/folders/:id', async (req, res, next) => {
+    if (!db) return next();
     try {
-        return new URL(url.startsWith('http') ? url : `https://${url}`).hostname.replace('www.', '');
-    } catch {
-        return null;
+        const folder = await getWorkspaceFolder(req, parseInt(req.params.id));
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Workspace scope check error:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
     }
-}
+});
+
+app.use('/api/prospects/:id', async (req, res, next) => {
+    if (!db) return next();
+    try {
+        const workspaceId = await db.getProspectWorkspaceId(parseInt(req.params.id));
+        if (workspaceId !== req.user.workspaceId) {
+            return res.status(404).json({ error: 'Prospect not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Workspace scope check error:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
+    }
+});
+
+app.use('/api/saved-searches/:id', async (req, res, next) => {
+    if (!db) return next();
+    try {
+        const savedSearch = await db.getSavedSearch(parseInt(req.params.id));
+        if (!savedSearch || savedSearch.workspace_id !== req.user.workspaceId) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Workspace scope check error:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
+    }
+});
+
+app.use('/api/mailboxes/:id', async (req, res, next) => {
+    if (!db) return next();
+    try {
+        const mailbox = await db.getMailbox(parseInt(req.params.id));
+        if (!mailbox || mailbox.workspace_id !== req.user.workspaceId) {
+            return res.status(404).json({ error: 'Mailbox not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Workspace scope check error:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
+    }
+});
+
+app.use('/api/knowledge/:id', async (req, res, next) => {
+    if (!db) return next();
+    try {
+        const entry = await db.getKnowledge(parseInt(req.params.id));
+        if (!entry || entry.workspace_id !== req.user.workspaceId) {
+            return res.status(404).json({ error: 'Knowledge entry not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Workspace scope check error:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
+    }
+});
 
-// Helper: format salary string from JSearch fields
-function formatSalaryString(minSalary, maxSalary, currency, period) {
-    if (!minSalary && !maxSalary) return null;
-    const cur = currency || 'USD';
-    const per = period ? `/${period.toLowerCase()}` : '';
-    if (minSalary && maxSalary) {
-        return `${cur} ${Number(minSalary).toLocaleString()} - ${Number(maxSalary).toLocaleString()}${per}`;
+app.use('/api/outreach/enrollments/:id', async (req, res, next) => {
+    if (!db) return next();
+    try {
+        const enrollment = await db.getEnrollment(parseInt(req.params.id));
+        if (!enrollment || !(await getWorkspaceFolder(req, enrollment.folder_id))) {
+            return res.status(404).json({ error: 'Enrollment not found' });
+        }
+        next();
+    } catch (error) {
+        console.error('Workspace scope check error:', error);
+        res.status(500).json({ error: 'Failed to check workspace access' });
     }
-    if (minSalary) return `${cur} ${Number(minSalary).toLocaleString()}+${per}`;
-    return `Up to ${cur} ${Number(maxSalary).toLocaleString()}${per}`;
+});
+
+// ===== AUDIT LOG =====
+// Every successful POST/PUT/PATCH/DELETE below is appended to audit_log with
+// the user, route and, where the route names its entity with auditEntity(),
+// snapshots of that entity before and after the request.
+
+const AUDITED_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Writes that change nothing shared: running a search, recording it in the
+// user's history, analyzing a job, and notification read state
+function isAuditExempt(method, path) {
+    return (method === 'POST' && ['/api/jobs/search', '/api/search-history', '/api/ai/analyze-job'].includes(path))
+        || path.startsWith('/api/notifications/');
 }
 
-// Helper: transform JSearch job to normalized format
-function transformJSearchJob(job) {
-    const domain = extractDomain(job.employer_website);
-    return {
-        id: job.job_id,
-        job_title: job.job_title,
-        company: job.employer_name,
-        company_domain: domain,
-        location: [job.job_city, job.job_state, job.job_country].filter(Boolean).join(', '),
-        short_location: [job.job_city, job.job_state].filter(Boolean).join(', ') || job.job_country || 'Not specified',
-        date_posted: job.job_posted_at_datetime_utc,
-        salary_string: formatSalaryString(job.job_min_salary, job.job_max_salary, job.job_salary_currency, job.job_salary_period),
-        description: job.job_description,
-        url: job.job_apply_link,
-        final_url: job.job_apply_link,
-        remote: job.job_is_remote || false,
-        job_type: job.job_employment_type,
-        seniority: null,
-        technology_slugs: job.job_required_skills || [],
-        company_object: {
-            name: job.employer_name,
-            domain: domain,
-            logo: job.employer_logo,
-            employee_count: null,
-            industry: job.job_naics_name || null,
-            funding_stage: null,
-            country: job.job_country,
-            city: job.job_city,
-            founded_year: null,
-            annual_revenue_usd_readable: null,
-            total_funding_usd: null,
-            technology_names: job.job_required_skills || [],
-            linkedin_url: null,
-            company_type: job.employer_company_type || null,
-            website: job.employer_website || null
-        },
-        // JSearch-specific extras
-        job_highlights: job.job_highlights || null,
-        job_required_experience: job.job_required_experience || null,
-        job_required_education: job.job_required_education || null,
-        apply_options: job.apply_options || [],
-        job_benefits: job.job_benefits || null,
-        job_publisher: job.job_publisher || null
+/**
+ * Route middleware naming the entity a request changes. `id` reads its id from
+ * the request (default: the :id param); when it yields nothing, the id in the
+ * JSON response is used (creates). With `load`, the entity is fetched before
+ * and after the request and the entry records both snapshots and their diff.
+ */
+function auditEntity(entityType, { id = req => req.params.id, load = null } = {}) {
+    return async (req, res, next) => {
+        req.audit = { entityType, entityId: id(req) ?? null, load, before: null };
+        if (db && load && req.audit.entityId !== null) {
+            try {
+                req.audit.before = toAuditSnapshot(await load(req.audit.entityId, req));
+            } catch (error) {
+                console.error(`[Audit] Failed to snapshot ${entityType} ${req.audit.entityId}:`, error.message);
+            }
+        }
+        next();
     };
 }
 
-// Job search endpoint with caching
-app.post('/api/jobs/search', async (req, res) => {
-    if (!RAPIDAPI_KEY) {
-        return res.status(500).json({ error: 'RapidAPI key not configured' });
+async function recordAudit(req, res, path, responseBody) {
+    const audit = req.audit || { entityType: null, entityId: null, load: null, before: null };
+    const entityId = audit.entityId ?? (audit.entityType ? responseBody?.id ?? null : null);
+
+    let after = null;
+    if (audit.load) {
+        after = entityId !== null ? toAuditSnapshot(await audit.load(entityId, req)) : null;
+    } else {
+        after = toAuditSnapshot(responseBody ?? null);
+    }
+
+    await db.recordAuditEntry({
+        userId: req.user?.userId ?? null,
+        userEmail: req.user?.email ?? null,
+        workspaceId: req.user?.workspaceId ?? null,
+        method: req.method,
+        route: req.route?.path ?? null,
+        path,
+        statusCode: res.statusCode,
+        entityType: audit.entityType,
+        entityId,
+        before: audit.before,
+        after,
+        changes: audit.load ? diffSnapshots(audit.before, after) : null,
+        requestBody: toAuditSnapshot(req.body && Object.keys(req.body).length > 0 ? req.body : null),
+        ip: req.ip
+    });
+}
+
+app.use('/api', (req, res, next) => {
+    const path = req.originalUrl.split('?')[0];
+    if (!db || !AUDITED_METHODS.has(req.method) || isAuditExempt(req.method, path)) {
+        return next();
     }
 
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        recordAudit(req, res, path, responseBody).catch(error => {
+            console.error(`[Audit] Failed to record ${req.method} ${path}:`, error.message);
+        });
+    });
+    next();
+});
+
+// Job search endpoint with caching (fans out to the requested job sources)
+app.post('/api/jobs/search', async (req, res) => {
     try {
         const cacheKey = getCacheKey(req.body);
         const cachedData = getFromCache(cacheKey);
@@ -397,405 +783,1814 @@ app.post('/api/jobs/search', async (req, res) => {
 
         console.log('Cache MISS for query:', req.body.query || 'unknown');
 
-        // Build JSearch query parameters
-        const params = new URLSearchParams();
-        params.append('query', req.body.query || '');
-        params.append('page', req.body.page || 1);
-        params.append('num_pages', req.body.num_pages || 1);
+        const data = await jobSearch.search(req.body);
 
-        if (req.body.date_posted) {
-            params.append('date_posted', req.body.date_posted);
-        }
-        if (req.body.remote_jobs_only) {
-            params.append('remote_jobs_only', 'true');
-        }
-        if (req.body.employment_types) {
-            params.append('employment_types', req.body.employment_types);
-        }
-        if (req.body.job_requirements) {
-            params.append('job_requirements', req.body.job_requirements);
-        }
-
-        const url = `${JSEARCH_API_URL}/search?${params.toString()}`;
-        console.log('JSearch request URL:', url);
-
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'X-RapidAPI-Key': RAPIDAPI_KEY,
-                'X-RapidAPI-Host': 'jsearch.p.rapidapi.com'
-            }
-        });
+        setInCache(cacheKey, data);
+        console.log('Cached results for query:', req.body.query || 'unknown', `(${data.total} jobs)`);
 
-        if (!response.ok) {
-            const errorText = await response.text().catch(() => '');
-            console.error(`JSearch API error ${response.status}:`, errorText);
-            let errorMessage;
-            try {
-                const errorData = JSON.parse(errorText);
-                errorMessage = errorData.message || errorData.info || JSON.stringify(errorData);
-            } catch {
-                errorMessage = errorText || `JSearch API error: ${response.status}`;
-            }
-            return res.status(response.status).json({ error: errorMessage });
+        // Track every company's open roles over time (cache hits were already recorded)
+        if (hiringSignalService) {
+            hiringSignalService.recordJobs(data.data || [], { workspaceId: req.user?.workspaceId })
+                .catch(error => console.error('[HiringSignals] Failed to record search results:', error.message));
         }
 
-        const rawData = await response.json();
-
-        // Transform JSearch response to normalized format
-        const transformedJobs = (rawData.data || []).map(transformJSearchJob);
-
-        const data = {
-            data: transformedJobs,
-            total: transformedJobs.length,
-            _hasMore: transformedJobs.length > 0
-        };
-
-        setInCache(cacheKey, data);
-        console.log('Cached results for query:', req.body.query || 'unknown', `(${transformedJobs.length} jobs)`);
-
         res.json({ ...data, _cached: false });
     } catch (error) {
         console.error('Job search error:', error);
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to search jobs' });
     }
 });
 
-// ===== SEARCH HISTORY ENDPOINTS =====
+// List job sources and whether each is configured
+app.get('/api/jobs/sources', (req, res) => {
+    res.json(jobSearch.getAvailableSources());
+});
 
-// Get search history
-app.get('/api/search-history', async (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not initialized' });
+// ===== AI ENDPOINTS =====
+
+// Fit analysis of a job for our GTM services (cached per job id; `refresh: true` re-analyzes)
+app.post('/api/ai/analyze-job', requireRole('member'), async (req, res) => {
+    if (!jobAnalysisService?.isAvailable()) {
+        return res.status(503).json({ error: 'Job analysis requires an LLM provider (ANTHROPIC_API_KEY, GEMINI_API_KEY, OPENAI_API_KEY or OLLAMA_BASE_URL)' });
     }
+
     try {
-        const history = await db.getSearchHistory();
-        res.json(history);
+        const result = await runWithUsageContext(
+            { workspaceId: req.user?.workspaceId ?? null, companyDomain: req.body.job?.company_domain ?? null },
+            () => jobAnalysisService.analyzeJob(req.body.job, { refresh: req.body.refresh === true, workspaceId: req.user.workspaceId })
+        );
+        res.json(result);
     } catch (error) {
-        console.error('Get search history error:', error);
-        res.status(500).json({ error: 'Failed to get search history' });
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Job analysis error:', error);
+        res.status(500).json({ error: 'Failed to analyze job' });
     }
 });
 
-// Save search to history
-app.post('/api/search-history', async (req, res) => {
+// ===== WORKSPACE ENDPOINTS =====
+
+// Workspaces the user belongs to (with their role in each)
+app.get('/api/workspaces', async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
     try {
-        const { query, params, criteria, results_count } = req.body;
-        const entry = await db.saveSearchHistory(query, params, criteria, results_count || 0);
-        res.json(entry);
+        const workspaces = await db.getUserWorkspaces(req.user.userId);
+        res.json(workspaces.map(w => ({ ...w, current: w.id === req.user.workspaceId })));
     } catch (error) {
-        console.error('Save search history error:', error);
-        res.status(500).json({ error: 'Failed to save search history' });
+        console.error('Error fetching workspaces:', error);
+        res.status(500).json({ error: 'Failed to fetch workspaces' });
     }
 });
 
-// Delete a search history entry
-app.delete('/api/search-history/:id', async (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not initialized' });
+// Create a workspace (install admins only; the creator becomes its admin)
+app.post('/api/workspaces', requireInstallAdmin, auditEntity('workspace'), async (req, res) => {
+    const name = req.body.name?.trim();
+    if (!name) {
+        return res.status(400).json({ error: 'Workspace name is required' });
     }
+
     try {
-        await db.deleteSearchHistory(parseInt(req.params.id));
-        res.json({ success: true });
+        const workspace = await db.createWorkspace(name, req.user.userId);
+        console.log(`[Auth] Workspace "${name}" created by ${req.user.email}`);
+        res.json(workspace);
     } catch (error) {
-        console.error('Delete search history error:', error);
-        res.status(500).json({ error: 'Failed to delete search history entry' });
+        console.error('Error creating workspace:', error);
+        res.status(500).json({ error: 'Failed to create workspace' });
     }
 });
 
-// Clear all search history
-app.delete('/api/search-history', async (req, res) => {
+// Switch the session to another workspace the user belongs to
+app.post('/api/workspaces/:id/switch', auditEntity('workspace'), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
     try {
-        await db.clearSearchHistory();
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Clear search history error:', error);
-        res.status(500).json({ error: 'Failed to clear search history' });
-    }
-});
+        const membership = await db.getWorkspaceMembership(parseInt(req.params.id), req.user.userId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Workspace not found' });
+        }
 
-// ===== FOLDER ENDPOINTS =====
+        const { email, name, picture, userId } = req.user;
+        setSessionCookie(res, { email, name, picture, userId, workspaceId: membership.workspace_id });
 
-// Create new folder
-app.post('/api/folders', async (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not initialized' });
+        res.json({ workspace: { id: membership.workspace_id, name: membership.workspace_name }, role: membership.role });
+    } catch (error) {
+        console.error('Error switching workspace:', error);
+        res.status(500).json({ error: 'Failed to switch workspace' });
     }
+});
 
-    const { name, description } = req.body;
-
+// Rename the current workspace
+app.patch('/api/workspace', requireRole('admin'), auditEntity('workspace', { id: req => req.user.workspaceId }), async (req, res) => {
+    const name = req.body.name?.trim();
     if (!name) {
-        return res.status(400).json({ error: 'Folder name is required' });
+        return res.status(400).json({ error: 'Workspace name is required' });
     }
 
     try {
-        const folder = await db.createFolder(name, description);
-        res.json(folder);
+        const workspace = await db.renameWorkspace(req.user.workspaceId, name);
+        res.json(workspace);
     } catch (error) {
-        console.error('Error creating folder:', error);
-        res.status(500).json({ error: 'Failed to create folder' });
+        console.error('Error renaming workspace:', error);
+        res.status(500).json({ error: 'Failed to rename workspace' });
     }
 });
 
-// Get all folders
-app.get('/api/folders', async (req, res) => {
+// Members of the current workspace
+app.get('/api/workspace/members', async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
-
     try {
-        const folders = await db.getAllFolders();
-        res.json(folders);
+        const members = await db.getWorkspaceMembers(req.user.workspaceId);
+        res.json(members);
     } catch (error) {
-        console.error('Error fetching folders:', error);
-        res.status(500).json({ error: 'Failed to fetch folders' });
+        console.error('Error fetching workspace members:', error);
+        res.status(500).json({ error: 'Failed to fetch workspace members' });
     }
 });
 
-// Get job-folder mappings (which jobs are in which folders)
-app.get('/api/job-folder-mappings', async (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not initialized' });
+// Add a teammate by email (also lets that address sign in)
+app.post('/api/workspace/members', requireRole('admin'), auditEntity('workspace_member', {
+    load: (id, req) => db.getWorkspaceMembership(req.user.workspaceId, id)
+}), async (req, res) => {
+    const email = req.body.email?.trim().toLowerCase();
+    const role = req.body.role || 'member';
+
+    if (!email || !email.includes('@')) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
     }
 
     try {
-        const mappings = await db.getJobFolderMappings();
-        res.json(mappings);
+        const user = await db.getOrCreateUserByEmail(email);
+        if (await db.getWorkspaceMembership(req.user.workspaceId, user.id)) {
+            return res.status(409).json({ error: `${email} is already a member` });
+        }
+
+        await db.setWorkspaceMember(req.user.workspaceId, user.id, role);
+        await db.ensureEmailAccessRule(email, { workspaceId: req.user.workspaceId, role, createdBy: req.user.email });
+        console.log(`[Auth] ${email} added to workspace ${req.user.workspaceId} as ${role} by ${req.user.email}`);
+        res.json({ id: user.id, email: user.email, name: user.name, role });
     } catch (error) {
-        console.error('Error fetching job-folder mappings:', error);
-        res.status(500).json({ error: 'Failed to fetch job-folder mappings' });
+        console.error('Error adding workspace member:', error);
+        res.status(500).json({ error: 'Failed to add workspace member' });
     }
 });
 
-// Get single folder with jobs and prospects
-app.get('/api/folders/:id', async (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not initialized' });
+// Change a member's role (a workspace always keeps at least one admin)
+app.patch('/api/workspace/members/:userId', requireRole('admin'), auditEntity('workspace_member', {
+    id: req => req.params.userId,
+    load: (id, req) => db.getWorkspaceMembership(req.user.workspaceId, id)
+}), async (req, res) => {
+    const { role } = req.body;
+    if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
     }
 
-    const { id } = req.params;
-
     try {
-        const folder = await db.getFolder(id);
-        if (!folder) {
-            return res.status(404).json({ error: 'Folder not found' });
+        const userId = parseInt(req.params.userId);
+        const membership = await db.getWorkspaceMembership(req.user.workspaceId, userId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (membership.role === 'admin' && role !== 'admin' && await db.countWorkspaceAdmins(req.user.workspaceId) <= 1) {
+            return res.status(400).json({ error: 'A workspace needs at least one admin' });
         }
 
-        const jobs = await db.getJobsByFolder(id);
-        const companies = await db.getCompaniesByFolder(id);
-        const prospects = await db.getProspectsByFolder(id);
-        const tasks = await db.getTasksByFolder(id);
-
-        res.json({
-            folder,
-            jobs,
-            companies,
-            prospects,
-            tasks
-        });
+        const member = await db.setWorkspaceMember(req.user.workspaceId, userId, role);
+        res.json(member);
     } catch (error) {
-        console.error('Error fetching folder:', error);
-        res.status(500).json({ error: 'Failed to fetch folder' });
+        console.error('Error updating workspace member:', error);
+        res.status(500).json({ error: 'Failed to update workspace member' });
+    }
+});
+
+// Remove a member (their folders stay in the workspace)
+app.delete('/api/workspace/members/:userId', requireRole('admin'), auditEntity('workspace_member', {
+    id: req => req.params.userId,
+    load: (id, req) => db.getWorkspaceMembership(req.user.workspaceId, id)
+}), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.userId);
+        const membership = await db.getWorkspaceMembership(req.user.workspaceId, userId);
+        if (!membership) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        if (membership.role === 'admin' && await db.countWorkspaceAdmins(req.user.workspaceId) <= 1) {
+            return res.status(400).json({ error: 'A workspace needs at least one admin' });
+        }
+
+        await db.removeWorkspaceMember(req.user.workspaceId, userId);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing workspace member:', error);
+        res.status(500).json({ error: 'Failed to remove workspace member' });
+    }
+});
+
+// ===== ACCESS CONTROL ENDPOINTS (admin) =====
+
+const INVITE_DEFAULT_DAYS = 7;
+
+function normalizeRuleValue(type, value) {
+    const normalized = String(value || '').trim().toLowerCase().replace(/^@/, '');
+    if (type === 'email') {
+        return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalized) ? normalized : null;
+    }
+    return /^[^@\s]+\.[^@\s]+$/.test(normalized) ? normalized : null;
+}
+
+// Active email and domain rules
+app.get('/api/access/rules', requireInstallAdmin, async (req, res) => {
+    try {
+        const rules = await db.getAccessRules();
+        res.json({ bootstrap_admins: ALLOWED_EMAILS, rules });
+    } catch (error) {
+        console.error('Error fetching access rules:', error);
+        res.status(500).json({ error: 'Failed to fetch access rules' });
+    }
+});
+
+// Allow an address or a whole domain to sign in (they join the current workspace)
+app.post('/api/access/rules', requireInstallAdmin, auditEntity('access_rule', { load: id => db.getAccessRule(id) }), async (req, res) => {
+    const { type, role = 'member' } = req.body;
+
+    if (!['email', 'domain'].includes(type)) {
+        return res.status(400).json({ error: 'type must be email or domain' });
+    }
+    const value = normalizeRuleValue(type, req.body.value);
+    if (!value) {
+        return res.status(400).json({ error: type === 'email' ? 'A valid email is required' : 'A valid domain is required (e.g. example.com)' });
+    }
+    if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+
+    try {
+        const rule = await db.saveAccessRule({
+            type,
+            value,
+            workspaceId: req.user.workspaceId,
+            role,
+            createdBy: req.user.email
+        });
+        console.log(`[Auth] Access rule ${type}:${value} (${role}) added by ${req.user.email}`);
+        res.json(rule);
+    } catch (error) {
+        console.error('Error saving access rule:', error);
+        res.status(500).json({ error: 'Failed to save access rule' });
+    }
+});
+
+// Revoke a rule (people it let in can no longer sign in, unless another rule matches)
+app.delete('/api/access/rules/:id', requireInstallAdmin, auditEntity('access_rule', { load: id => db.getAccessRule(id) }), async (req, res) => {
+    try {
+        const rule = await db.revokeAccessRule(parseInt(req.params.id), req.user.email);
+        if (!rule) {
+            return res.status(404).json({ error: 'Access rule not found' });
+        }
+        console.log(`[Auth] Access rule ${rule.type}:${rule.value} revoked by ${req.user.email}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking access rule:', error);
+        res.status(500).json({ error: 'Failed to revoke access rule' });
+    }
+});
+
+// Pending (unused, unexpired) invites
+app.get('/api/access/invites', requireInstallAdmin, async (req, res) => {
+    try {
+        const invites = await db.getPendingInvites();
+        res.json(invites);
+    } catch (error) {
+        console.error('Error fetching invites:', error);
+        res.status(500).json({ error: 'Failed to fetch invites' });
+    }
+});
+
+// Create an invite link to the current workspace (optionally locked to one address).
+// The link is only returned here; the database keeps a hash of its token.
+app.post('/api/access/invites', requireInstallAdmin, auditEntity('access_invite', { load: id => db.getInvite(id) }), async (req, res) => {
+    const { role = 'member' } = req.body;
+    const email = req.body.email ? normalizeRuleValue('email', req.body.email) : null;
+    const expiresInDays = parseInt(req.body.expires_in_days) || INVITE_DEFAULT_DAYS;
+
+    if (req.body.email && !email) {
+        return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${WORKSPACE_ROLES.join(', ')}` });
+    }
+    if (expiresInDays < 1 || expiresInDays > 90) {
+        return res.status(400).json({ error: 'expires_in_days must be between 1 and 90' });
+    }
+
+    try {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const invite = await db.createInvite({
+            tokenHash: hashInviteToken(token),
+            email,
+            workspaceId: req.user.workspaceId,
+            role,
+            createdBy: req.user.email,
+            expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        });
+
+        console.log(`[Auth] Invite ${invite.id}${email ? ` for ${email}` : ''} (${role}) created by ${req.user.email}`);
+        const { token_hash, ...publicInvite } = invite;
+        res.json({
+            ...publicInvite,
+            url: `${req.protocol}://${req.get('host')}/login.html?invite=${token}`
+        });
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        res.status(500).json({ error: 'Failed to create invite' });
+    }
+});
+
+// Revoke an unused invite
+app.delete('/api/access/invites/:id', requireInstallAdmin, auditEntity('access_invite', { load: id => db.getInvite(id) }), async (req, res) => {
+    try {
+        const invite = await db.revokeInvite(parseInt(req.params.id));
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite not found or already used' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        res.status(500).json({ error: 'Failed to revoke invite' });
+    }
+});
+
+// Everyone who has signed in (or was added by email), with their workspaces
+app.get('/api/access/users', requireInstallAdmin, async (req, res) => {
+    try {
+        const users = await db.getUsers();
+        res.json(users.map(u => ({ ...u, bootstrap_admin: ALLOWED_EMAILS.includes(u.email) })));
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// Block a user from signing in (takes effect on their next request)
+app.post('/api/access/users/:id/revoke', requireInstallAdmin, auditEntity('user', { load: id => db.getUser(id) }), async (req, res) => {
+    try {
+        const user = await db.getUser(parseInt(req.params.id));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.id === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot revoke your own access' });
+        }
+        if (ALLOWED_EMAILS.includes(user.email)) {
+            return res.status(400).json({ error: 'Bootstrap admins are configured in ALLOWED_EMAILS and cannot be revoked here' });
+        }
+
+        const revoked = await db.setUserRevoked(user.id, true);
+        console.log(`[Auth] Access revoked for ${user.email} by ${req.user.email}`);
+        res.json(revoked);
+    } catch (error) {
+        console.error('Error revoking user:', error);
+        res.status(500).json({ error: 'Failed to revoke user' });
+    }
+});
+
+// Lift a revocation (the user still needs a matching rule to sign in)
+app.post('/api/access/users/:id/restore', requireInstallAdmin, auditEntity('user', { load: id => db.getUser(id) }), async (req, res) => {
+    try {
+        const user = await db.setUserRevoked(parseInt(req.params.id), false);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        console.log(`[Auth] Access restored for ${user.email} by ${req.user.email}`);
+        res.json(user);
+    } catch (error) {
+        console.error('Error restoring user:', error);
+        res.status(500).json({ error: 'Failed to restore user' });
+    }
+});
+
+// Sign-in audit log (newest first; ?email= to filter, ?limit= up to 500)
+app.get('/api/access/logins', requireInstallAdmin, async (req, res) => {
+    try {
+        const events = await db.getLoginEvents({
+            email: req.query.email || null,
+            limit: Math.min(parseInt(req.query.limit) || 100, 500)
+        });
+        res.json(events);
+    } catch (error) {
+        console.error('Error fetching login events:', error);
+        res.status(500).json({ error: 'Failed to fetch login events' });
+    }
+});
+
+// ===== AUDIT LOG ENDPOINTS =====
+
+// Audit entries of the current workspace, newest first. Filters: user (email),
+// entity_type, entity_id, method, route (pattern or path), from, to; limit up to 500.
+// ?entity_type=prospect&entity_id=N also returns folder deletions that removed that prospect.
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    const { user, entity_type, entity_id, method, route, from, to } = req.query;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && isNaN(Date.parse(value))) {
+            return res.status(400).json({ error: `${name} must be a date or timestamp` });
+        }
+    }
+    if (method && !AUDITED_METHODS.has(method.toUpperCase())) {
+        return res.status(400).json({ error: `method must be one of: ${[...AUDITED_METHODS].join(', ')}` });
+    }
+
+    try {
+        const entries = await db.getAuditLog({
+            workspaceId: req.user.workspaceId,
+            userEmail: user || null,
+            entityType: entity_type || null,
+            entityId: entity_id || null,
+            method: method ? method.toUpperCase() : null,
+            route: route || null,
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            limit: Math.min(parseInt(req.query.limit) || 100, 500),
+            offset: Math.max(parseInt(req.query.offset) || 0, 0)
+        });
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// ===== USAGE ENDPOINTS =====
+
+const USAGE_PROVIDERS = ['anthropic', 'gemini', 'openai', 'ollama', ...CONTACT_PROVIDER_NAMES];
+
+// Shared filters of the usage endpoints: from/to (default: this month) and provider
+function parseUsageFilters(req, res) {
+    const { from, to, provider } = req.query;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && isNaN(Date.parse(value))) {
+            res.status(400).json({ error: `${name} must be a date or timestamp` });
+            return null;
+        }
+    }
+    if (provider && !USAGE_PROVIDERS.includes(provider)) {
+        res.status(400).json({ error: `provider must be one of: ${USAGE_PROVIDERS.join(', ')}` });
+        return null;
+    }
+
+    const now = new Date();
+    return {
+        workspaceId: req.user.workspaceId,
+        from: from ? new Date(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+        to: to ? new Date(to) : null,
+        provider: provider || null
+    };
+}
+
+// Spend per provider and model plus the monthly budgets
+app.get('/api/usage', requireRole('admin'), async (req, res) => {
+    const filters = parseUsageFilters(req, res);
+    if (!filters) return;
+
+    try {
+        const [providers, budget] = await Promise.all([
+            db.getUsage({ ...filters, groupBy: 'provider' }),
+            usageService.getBudgetStatus()
+        ]);
+        res.json({
+            from: filters.from,
+            to: filters.to,
+            totals: {
+                calls: providers.reduce((sum, row) => sum + row.calls, 0),
+                cost_usd: Math.round(providers.reduce((sum, row) => sum + row.cost_usd, 0) * 1000000) / 1000000,
+                credits: providers.reduce((sum, row) => sum + row.credits, 0)
+            },
+            providers,
+            ...budget
+        });
+    } catch (error) {
+        console.error('Error fetching usage:', error);
+        res.status(500).json({ error: 'Failed to fetch usage' });
+    }
+});
+
+// Usage aggregated by day, folder or provider (and model)
+function usageReport(groupBy) {
+    return async (req, res) => {
+        const filters = parseUsageFilters(req, res);
+        if (!filters) return;
+
+        try {
+            const rows = await db.getUsage({ ...filters, groupBy });
+            res.json(rows);
+        } catch (error) {
+            console.error(`Error fetching usage by ${groupBy}:`, error);
+            res.status(500).json({ error: 'Failed to fetch usage' });
+        }
+    };
+}
+
+app.get('/api/usage/daily', requireRole('admin'), usageReport('day'));
+app.get('/api/usage/folders', requireRole('admin'), usageReport('folder'));
+app.get('/api/usage/providers', requireRole('admin'), usageReport('provider'));
+
+// ===== QUOTA ENDPOINTS =====
+
+// Quotas that apply to the current user (install admins: also every user with a limit of their own)
+app.get('/api/quotas', async (req, res) => {
+    if (!quotaService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const status = await quotaService.getStatus(req.user.userId, { allUsers: req.user.installAdmin === true });
+        res.json(status);
+    } catch (error) {
+        console.error('Error fetching quotas:', error);
+        res.status(500).json({ error: 'Failed to fetch quotas' });
+    }
+});
+
+function quotaAuditId(req) {
+    const { scope, key = '', period } = { ...req.query, ...req.body };
+    return `${scope}:${key}:${period}`;
+}
+
+// Set a daily or monthly limit (null = unlimited) in place of its default.
+// Limits are shared by every workspace, so only install admins change them.
+app.put('/api/quotas', requireInstallAdmin, auditEntity('quota', { id: quotaAuditId }), async (req, res) => {
+    if (!quotaService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { scope, key, period, limit } = req.body;
+        if (limit === undefined) {
+            return res.status(400).json({ error: 'limit is required (null for unlimited)' });
+        }
+        const row = await quotaService.setLimit({ scope, key, period, limit }, req.user.userId);
+        res.json(row);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error setting quota:', error);
+        res.status(500).json({ error: 'Failed to set quota' });
+    }
+});
+
+// Return a limit to its default (?scope=&key=&period=)
+app.delete('/api/quotas', requireInstallAdmin, auditEntity('quota', { id: quotaAuditId }), async (req, res) => {
+    if (!quotaService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { scope, key, period } = req.query;
+        const removed = await quotaService.removeLimit({ scope, key, period });
+        if (!removed) {
+            return res.status(404).json({ error: 'No limit set for this quota' });
+        }
+        res.json({ status: 'success' });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error removing quota:', error);
+        res.status(500).json({ error: 'Failed to remove quota' });
+    }
+});
+
+// ===== SEARCH HISTORY ENDPOINTS =====
+
+// Search history is personal: each user sees their own searches in the current workspace
+function searchHistoryScope(req) {
+    return { workspaceId: req.user.workspaceId, userId: req.user.userId };
+}
+
+// Get search history
+app.get('/api/search-history', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const history = await db.getSearchHistory(searchHistoryScope(req));
+        res.json(history);
+    } catch (error) {
+        console.error('Get search history error:', error);
+        res.status(500).json({ error: 'Failed to get search history' });
+    }
+});
+
+// Save search to history
+app.post('/api/search-history', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const { query, params, criteria, results_count } = req.body;
+        const entry = await db.saveSearchHistory(query, params, criteria, results_count || 0, searchHistoryScope(req));
+        res.json(entry);
+    } catch (error) {
+        console.error('Save search history error:', error);
+        res.status(500).json({ error: 'Failed to save search history' });
+    }
+});
+
+// Delete a search history entry
+app.delete('/api/search-history/:id', auditEntity('search_history'), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        await db.deleteSearchHistory(parseInt(req.params.id), searchHistoryScope(req));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete search history error:', error);
+        res.status(500).json({ error: 'Failed to delete search history entry' });
+    }
+});
+
+// Clear all search history
+app.delete('/api/search-history', auditEntity('search_history'), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        await db.clearSearchHistory(searchHistoryScope(req));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Clear search history error:', error);
+        res.status(500).json({ error: 'Failed to clear search history' });
+    }
+});
+
+// ===== SAVED SEARCH ENDPOINTS =====
+
+// Returns an error message, or null when the schedule is a valid cron expression
+function validateSchedule(schedule) {
+    try {
+        getNextCronRun(schedule);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// List saved searches
+app.get('/api/saved-searches', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const savedSearches = await db.getSavedSearches(req.user.workspaceId);
+        res.json(savedSearches);
+    } catch (error) {
+        console.error('Get saved searches error:', error);
+        res.status(500).json({ error: 'Failed to get saved searches' });
+    }
+});
+
+// Create a saved search from a search history entry (or from raw search params)
+app.post('/api/saved-searches', requireRole('member'), auditEntity('saved_search', { load: id => db.getSavedSearch(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { search_history_id, name, schedule, target_folder_id, auto_add, enabled } = req.body;
+    let { query, params, criteria } = req.body;
+
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+        return res.status(400).json({ error: `Invalid schedule: ${scheduleError}` });
+    }
+    if (auto_add && !target_folder_id) {
+        return res.status(400).json({ error: 'target_folder_id is required when auto_add is enabled' });
+    }
+
+    try {
+        if (search_history_id) {
+            const entry = await db.getSearchHistoryEntry(parseInt(search_history_id), searchHistoryScope(req));
+            if (!entry) {
+                return res.status(404).json({ error: 'Search history entry not found' });
+            }
+            ({ query, params, criteria } = entry);
+        }
+
+        if (!params) {
+            return res.status(400).json({ error: 'search_history_id or params is required' });
+        }
+
+        if (target_folder_id && !(await getWorkspaceFolder(req, target_folder_id))) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const savedSearch = await db.createSavedSearch({
+            name: name || query || 'Saved search',
+            query,
+            params,
+            criteria,
+            schedule,
+            targetFolderId: target_folder_id,
+            autoAdd: auto_add,
+            enabled: enabled !== false,
+            nextRunAt: getNextCronRun(schedule),
+            workspaceId: req.user.workspaceId,
+            ownerId: req.user.userId
+        });
+
+        // Jobs the search returns today are the baseline, not new jobs for its first scheduled run
+        if (savedSearchService) {
+            await savedSearchService.enqueueRun(savedSearch.id, { baseline: true });
+        }
+
+        console.log(`[API] Saved search "${savedSearch.name}" created (${schedule})`);
+        res.json(savedSearch);
+    } catch (error) {
+        console.error('Create saved search error:', error);
+        res.status(500).json({ error: 'Failed to create saved search' });
+    }
+});
+
+// Update a saved search (name, schedule, target folder, auto_add, enabled)
+app.patch('/api/saved-searches/:id', requireRole('member'), auditEntity('saved_search', { load: id => db.getSavedSearch(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { name, schedule, target_folder_id, auto_add, enabled } = req.body;
+
+    if (schedule !== undefined) {
+        const scheduleError = validateSchedule(schedule);
+        if (scheduleError) {
+            return res.status(400).json({ error: `Invalid schedule: ${scheduleError}` });
+        }
+    }
+
+    try {
+        const existing = await db.getSavedSearch(parseInt(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        if (target_folder_id && !(await getWorkspaceFolder(req, target_folder_id))) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const targetFolderId = target_folder_id !== undefined ? target_folder_id : existing.target_folder_id;
+        const autoAdd = auto_add !== undefined ? auto_add : existing.auto_add;
+        if (autoAdd && !targetFolderId) {
+            return res.status(400).json({ error: 'target_folder_id is required when auto_add is enabled' });
+        }
+
+        // Re-compute the next run when the schedule changes or the search is re-enabled
+        const reschedule = schedule !== undefined || (enabled === true && !existing.enabled);
+
+        const savedSearch = await db.updateSavedSearch(existing.id, {
+            name,
+            schedule,
+            targetFolderId: target_folder_id,
+            autoAdd: auto_add,
+            enabled,
+            nextRunAt: reschedule ? getNextCronRun(schedule || existing.schedule) : undefined
+        });
+
+        res.json(savedSearch);
+    } catch (error) {
+        console.error('Update saved search error:', error);
+        res.status(500).json({ error: 'Failed to update saved search' });
+    }
+});
+
+// Delete a saved search
+app.delete('/api/saved-searches/:id', requireRole('member'), auditEntity('saved_search', { load: id => db.getSavedSearch(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        await db.deleteSavedSearch(parseInt(req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete saved search error:', error);
+        res.status(500).json({ error: 'Failed to delete saved search' });
+    }
+});
+
+// Run a saved search now (in the background, outside its schedule)
+app.post('/api/saved-searches/:id/run', requireRole('member'), auditEntity('saved_search'), async (req, res) => {
+    if (!db || !savedSearchService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const savedSearch = await db.getSavedSearch(parseInt(req.params.id));
+        if (!savedSearch) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        const task = await savedSearchService.enqueueRun(savedSearch.id);
+
+        res.json({
+            status: 'processing',
+            task_id: task?.id,
+            message: `Running saved search "${savedSearch.name}" in background`
+        });
+    } catch (error) {
+        console.error('Run saved search error:', error);
+        res.status(500).json({ error: 'Failed to run saved search' });
+    }
+});
+
+// ===== FOLDER ENDPOINTS =====
+
+// Create new folder
+app.post('/api/folders', requireRole('member'), auditEntity('folder', { load: id => db.getFolderAuditSnapshot(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { name, description } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'Folder name is required' });
+    }
+
+    try {
+        const folder = await db.createFolder(name, description, {
+            workspaceId: req.user.workspaceId,
+            ownerId: req.user.userId
+        });
+        res.json(folder);
+    } catch (error) {
+        console.error('Error creating folder:', error);
+        res.status(500).json({ error: 'Failed to create folder' });
+    }
+});
+
+// Get the workspace's folders (?owner=me for only your own)
+app.get('/api/folders', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const folders = await db.getAllFolders(req.user.workspaceId, {
+            ownerId: req.query.owner === 'me' ? req.user.userId : null
+        });
+        res.json(folders);
+    } catch (error) {
+        console.error('Error fetching folders:', error);
+        res.status(500).json({ error: 'Failed to fetch folders' });
+    }
+});
+
+// Get job-folder mappings (which jobs are in which folders)
+app.get('/api/job-folder-mappings', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const mappings = await db.getJobFolderMappings(req.user.workspaceId);
+        res.json(mappings);
+    } catch (error) {
+        console.error('Error fetching job-folder mappings:', error);
+        res.status(500).json({ error: 'Failed to fetch job-folder mappings' });
+    }
+});
+
+// Get single folder with jobs and prospects
+app.get('/api/folders/:id', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const folder = await db.getFolder(id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const jobs = await db.getJobsByFolder(id);
+        const companies = await db.getCompaniesByFolder(id);
+        const prospects = await db.getProspectsByFolder(id);
+        const tasks = await db.getTasksByFolder(id);
+
+        res.json({
+            folder,
+            jobs,
+            companies,
+            prospects: prospects.map(prospect => ({ ...prospect, email_sendable: isSendableEmail(prospect) })),
+            tasks
+        });
+    } catch (error) {
+        console.error('Error fetching folder:', error);
+        res.status(500).json({ error: 'Failed to fetch folder' });
+    }
+});
+
+// Prospects to export (?selected=true: only selected ones). Emails that are not
+// sendable are left out unless ?include_unverified=true; withheld_count says how many.
+app.get('/api/folders/:id/export', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const folder = await db.getFolder(req.params.id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const includeUnverified = req.query.include_unverified === 'true';
+        let prospects = await db.getProspectsByFolder(folder.id);
+        if (req.query.selected === 'true') {
+            prospects = prospects.filter(p => p.selected);
+        }
+
+        let withheld = 0;
+        prospects = prospects.map(prospect => {
+            const sendable = isSendableEmail(prospect);
+            if (prospect.email && !sendable && !includeUnverified) {
+                withheld++;
+                return { ...prospect, email: null, email_sendable: false };
+            }
+            return { ...prospect, email_sendable: sendable };
+        });
+
+        res.json({ folder, prospects, withheld_count: withheld });
+    } catch (error) {
+        console.error('Error exporting folder:', error);
+        res.status(500).json({ error: 'Failed to export prospects' });
     }
 });
 
 // Add job to folder
-app.post('/api/folders/:id/jobs', async (req, res) => {
+app.post('/api/folders/:id/jobs', requireRole('member'), auditEntity('folder', { load: id => db.getFolderAuditSnapshot(id) }), async (req, res) => {
+    if (!db || !workflowManager) {
+        return res.status(503).json({ error: 'Database or workflow manager not initialized' });
+    }
+
+    const { id } = req.params;
+    const jobData = req.body;
+
+    try {
+        const folder = await db.getFolder(id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        // Use workflow manager to add job (triggers automatic enrichment)
+        const job = await workflowManager.addJobToFolder(id, jobData);
+
+        console.log(`[API] Job "${jobData.job_title}" added to folder "${folder.name}" (ID: ${id})`);
+
+        res.json({
+            job,
+            message: `Job "${jobData.job_title}" added to folder "${folder.name}". Company enrichment started in background.`
+        });
+    } catch (error) {
+        console.error('Error adding job to folder:', error);
+        console.error('Error stack:', error.stack);
+        console.error('Job data received:', JSON.stringify(jobData, null, 2));
+        res.status(500).json({
+            error: 'Failed to add job to folder',
+            message: error.message,
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Remove job from folder
+app.delete('/api/folders/:folderId/jobs/:jobId', requireRole('member'), auditEntity('job', {
+    id: req => req.params.jobId,
+    load: (id, req) => db.getFolderJob(req.params.folderId, id)
+}), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { folderId, jobId } = req.params;
+
+    try {
+        const folder = await db.getFolder(folderId);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const removedJob = await db.removeJobFromFolder(folderId, jobId);
+        if (removedJob?.company_id) {
+            await leadScoringService.rescoreCompany(removedJob.company_id);
+        }
+
+        console.log(`[API] Job ${jobId} removed from folder "${folder.name}" (ID: ${folderId})`);
+
+        res.json({
+            success: true,
+            message: `Job removed from folder "${folder.name}"`
+        });
+    } catch (error) {
+        console.error('Error removing job from folder:', error);
+        res.status(500).json({
+            error: 'Failed to remove job from folder',
+            message: error.message
+        });
+    }
+});
+
+// Collect prospects for folder
+app.post('/api/folders/:id/collect-prospects', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!db || !workflowManager) {
+        return res.status(503).json({ error: 'Database or workflow manager not initialized' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const folder = await db.getFolder(id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        // Queue prospect collection (survives restarts, picked up by any worker)
+        const task = await jobQueue.enqueue('prospect_collection', {}, {
+            folderId: folder.id,
+            dedupeKey: String(folder.id)
+        });
+
+        res.json({
+            status: 'processing',
+            task_id: task.id,
+            message: 'Prospect collection started in background'
+        });
+    } catch (error) {
+        console.error('Error starting prospect collection:', error);
+        res.status(500).json({ error: 'Failed to start prospect collection' });
+    }
+});
+
+// Auto-select top prospects
+app.post('/api/folders/:id/auto-select', requireRole('member'), auditEntity('folder', { load: id => db.getFolderAuditSnapshot(id) }), async (req, res) => {
+    if (!db || !workflowManager) {
+        return res.status(503).json({ error: 'Database or workflow manager not initialized' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const folder = await db.getFolder(id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        await workflowManager.autoSelectProspects(id);
+
+        res.json({
+            status: 'success',
+            message: 'Top 2-3 prospects per company have been auto-selected'
+        });
+    } catch (error) {
+        console.error('Error auto-selecting prospects:', error);
+        res.status(500).json({ error: 'Failed to auto-select prospects' });
+    }
+});
+
+// Manually select/deselect prospect
+app.patch('/api/prospects/:id/select', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { id } = req.params;
+    const { selected } = req.body;
+
+    try {
+        await db.updateProspectSelection(id, selected, false);
+        res.json({ status: 'success' });
+    } catch (error) {
+        console.error('Error updating prospect selection:', error);
+        res.status(500).json({ error: 'Failed to update prospect selection' });
+    }
+});
+
+// Verify a prospect's email now
+app.post('/api/prospects/:id/verify-email', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
+    if (!db || !emailVerificationService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const prospect = await db.getProspect(req.params.id);
+        if (!prospect) {
+            return res.status(404).json({ error: 'Prospect not found' });
+        }
+        if (!prospect.email) {
+            return res.status(400).json({ error: 'Prospect has no email address' });
+        }
+
+        const result = await emailVerificationService.verifyProspect(prospect);
+        res.json({ prospect_id: prospect.id, email: prospect.email, ...result });
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Enrich selected prospects with contact info
+app.post('/api/folders/:id/enrich-contacts', requireRole('member'), auditEntity('folder'), async (req, res) => {
     if (!db || !workflowManager) {
         return res.status(503).json({ error: 'Database or workflow manager not initialized' });
     }
 
-    const { id } = req.params;
-    const jobData = req.body;
+    const { id } = req.params;
+
+    try {
+        const folder = await db.getFolder(id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        // Queue contact enrichment (survives restarts, picked up by any worker)
+        // Lookups count against the quota of whoever started them
+        const task = await jobQueue.enqueue('contact_enrichment', { requested_by: req.user.userId }, {
+            folderId: folder.id,
+            dedupeKey: String(folder.id)
+        });
+
+        res.json({
+            status: 'processing',
+            task_id: task.id,
+            message: 'Contact enrichment started in background'
+        });
+    } catch (error) {
+        console.error('Error starting contact enrichment:', error);
+        res.status(500).json({ error: error.message || 'Failed to start contact enrichment' });
+    }
+});
+
+// (Re-)verify the emails of the folder's selected prospects
+app.post('/api/folders/:id/verify-emails', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!db || !emailVerificationService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
 
     try {
-        const folder = await db.getFolder(id);
+        const folder = await db.getFolder(req.params.id);
         if (!folder) {
             return res.status(404).json({ error: 'Folder not found' });
         }
 
-        // Use workflow manager to add job (triggers automatic enrichment)
-        const job = await workflowManager.addJobToFolder(id, jobData);
+        const task = await jobQueue.enqueue('email_verification', {}, {
+            folderId: folder.id,
+            dedupeKey: String(folder.id)
+        });
 
-        console.log(`[API] Job "${jobData.job_title}" added to folder "${folder.name}" (ID: ${id})`);
+        res.json({
+            status: 'processing',
+            task_id: task.id,
+            message: 'Email verification started in background'
+        });
+    } catch (error) {
+        console.error('Error starting email verification:', error);
+        res.status(500).json({ error: 'Failed to start email verification' });
+    }
+});
+
+// Guess emails of selected prospects without one from their companies' address patterns
+app.post('/api/folders/:id/guess-emails', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!db || !emailPatternService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const folder = await db.getFolder(req.params.id);
+        if (!folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
+        const task = await jobQueue.enqueue('email_guessing', {}, {
+            folderId: folder.id,
+            dedupeKey: String(folder.id)
+        });
 
         res.json({
-            job,
-            message: `Job "${jobData.job_title}" added to folder "${folder.name}". Company enrichment started in background.`
+            status: 'processing',
+            task_id: task.id,
+            message: 'Email guessing started in background'
         });
     } catch (error) {
-        console.error('Error adding job to folder:', error);
-        console.error('Error stack:', error.stack);
-        console.error('Job data received:', JSON.stringify(jobData, null, 2));
-        res.status(500).json({
-            error: 'Failed to add job to folder',
-            message: error.message,
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        console.error('Error starting email guessing:', error);
+        res.status(500).json({ error: 'Failed to start email guessing' });
+    }
+});
+
+// Delete folder (its owner or a workspace admin)
+app.delete('/api/folders/:id', requireRole('member'), auditEntity('folder', { load: id => db.getFolderAuditSnapshot(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { id } = req.params;
+
+    try {
+        const folder = await db.getFolder(id);
+        if (req.user.role !== 'admin' && folder.owner_id !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the folder owner or a workspace admin can delete this folder' });
+        }
+
+        await db.deleteFolder(id);
+        res.json({ status: 'success', message: 'Folder deleted' });
+    } catch (error) {
+        console.error('Error deleting folder:', error);
+        res.status(500).json({ error: 'Failed to delete folder' });
+    }
+});
+
+// ===== PROSPECT PIPELINE ENDPOINTS =====
+
+// Activity types users can log by hand (status changes go through PATCH /status)
+const MANUAL_ACTIVITY_TYPES = ACTIVITY_TYPES.filter(type => type !== 'status_change');
+
+// Move a prospect through the pipeline (logged as a status_change activity)
+app.patch('/api/prospects/:id/status', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { status, note } = req.body;
+    if (!PROSPECT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${PROSPECT_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const prospect = await db.getProspect(req.params.id);
+        if (!prospect) {
+            return res.status(404).json({ error: 'Prospect not found' });
+        }
+
+        const result = await db.updateProspectStatus(prospect.id, status, {
+            createdBy: req.user?.email || null,
+            note: note || null
         });
+        if (!result) {
+            return res.json({ prospect, activity: null });
+        }
+
+        if (outreachSender) {
+            await outreachSender.stopForProspectStatus(prospect.id, status);
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating prospect status:', error);
+        res.status(500).json({ error: 'Failed to update prospect status' });
     }
 });
 
-// Remove job from folder
-app.delete('/api/folders/:folderId/jobs/:jobId', async (req, res) => {
+// Activity timeline of a prospect (newest first)
+app.get('/api/prospects/:id/activities', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const activities = await db.getProspectActivities(req.params.id);
+        res.json(activities);
+    } catch (error) {
+        console.error('Error fetching prospect activities:', error);
+        res.status(500).json({ error: 'Failed to fetch activities' });
+    }
+});
+
+// Log a note, email, call or meeting
+app.post('/api/prospects/:id/activities', requireRole('member'), auditEntity('prospect_activity', {
+    id: () => null,
+    load: (id, req) => db.getProspectActivity(req.params.id, id)
+}), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
 
-    const { folderId, jobId } = req.params;
+    const { type, content, metadata, occurred_at } = req.body;
+    if (!MANUAL_ACTIVITY_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${MANUAL_ACTIVITY_TYPES.join(', ')}` });
+    }
+    if (!content || !content.trim()) {
+        return res.status(400).json({ error: 'content is required' });
+    }
+    if (occurred_at && isNaN(new Date(occurred_at).getTime())) {
+        return res.status(400).json({ error: 'occurred_at must be a valid date' });
+    }
 
     try {
-        const folder = await db.getFolder(folderId);
+        const prospect = await db.getProspect(req.params.id);
+        if (!prospect) {
+            return res.status(404).json({ error: 'Prospect not found' });
+        }
+
+        const activity = await db.createProspectActivity(prospect.id, {
+            type,
+            content: content.trim(),
+            metadata: metadata || null,
+            createdBy: req.user?.email || null,
+            occurredAt: occurred_at ? new Date(occurred_at) : null
+        });
+
+        res.json(activity);
+    } catch (error) {
+        console.error('Error creating prospect activity:', error);
+        res.status(500).json({ error: 'Failed to create activity' });
+    }
+});
+
+// Delete a logged activity (status changes are kept as history)
+app.delete('/api/prospects/:id/activities/:activityId', requireRole('member'), auditEntity('prospect_activity', {
+    id: req => req.params.activityId,
+    load: (id, req) => db.getProspectActivity(req.params.id, id)
+}), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const activity = await db.getProspectActivity(req.params.id, req.params.activityId);
+        if (!activity) {
+            return res.status(404).json({ error: 'Activity not found' });
+        }
+        if (activity.type === 'status_change') {
+            return res.status(400).json({ error: 'Status changes cannot be deleted' });
+        }
+
+        await db.deleteProspectActivity(activity.prospect_id, activity.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting prospect activity:', error);
+        res.status(500).json({ error: 'Failed to delete activity' });
+    }
+});
+
+// ===== OUTREACH SEQUENCE ENDPOINTS =====
+
+// Draft email sequences for the folder's selected prospects
+app.post('/api/folders/:id/generate-sequences', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!db || !outreachService?.isAvailable()) {
+        return res.status(503).json({ error: 'Database or AI provider not initialized' });
+    }
+
+    const { id } = req.params;
+    const { regenerate = false } = req.body || {};
+
+    try {
+        const folder = await db.getFolder(id);
         if (!folder) {
             return res.status(404).json({ error: 'Folder not found' });
         }
 
-        await db.removeJobFromFolder(folderId, jobId);
+        const task = await jobQueue.enqueue('sequence_generation', { regenerate: !!regenerate }, {
+            folderId: folder.id,
+            dedupeKey: `folder:${folder.id}`
+        });
 
-        console.log(`[API] Job ${jobId} removed from folder "${folder.name}" (ID: ${folderId})`);
+        res.json({
+            status: 'processing',
+            task_id: task.id,
+            message: 'Email sequence generation started in background'
+        });
+    } catch (error) {
+        console.error('Error starting sequence generation:', error);
+        res.status(500).json({ error: error.message || 'Failed to start sequence generation' });
+    }
+});
+
+// Latest sequence of every prospect in a folder
+app.get('/api/folders/:id/sequences', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const sequences = await db.getFolderSequences(req.params.id);
+        res.json(sequences);
+    } catch (error) {
+        console.error('Error fetching folder sequences:', error);
+        res.status(500).json({ error: 'Failed to fetch sequences' });
+    }
+});
 
+// Current sequence of a prospect plus its version history
+app.get('/api/prospects/:id/sequence', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const versions = await db.getSequenceVersions(req.params.id);
         res.json({
-            success: true,
-            message: `Job removed from folder "${folder.name}"`
+            current: versions[0] || null,
+            versions: versions.map(({ steps, ...version }) => version)
         });
     } catch (error) {
-        console.error('Error removing job from folder:', error);
-        res.status(500).json({
-            error: 'Failed to remove job from folder',
-            message: error.message
+        console.error('Error fetching sequence:', error);
+        res.status(500).json({ error: 'Failed to fetch sequence' });
+    }
+});
+
+// Get one version of a prospect's sequence
+app.get('/api/prospects/:id/sequence/versions/:version', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const sequence = await db.getSequenceVersion(req.params.id, parseInt(req.params.version));
+        if (!sequence) {
+            return res.status(404).json({ error: 'Sequence version not found' });
+        }
+        res.json(sequence);
+    } catch (error) {
+        console.error('Error fetching sequence version:', error);
+        res.status(500).json({ error: 'Failed to fetch sequence version' });
+    }
+});
+
+// Save an edited sequence as a new version
+app.put('/api/prospects/:id/sequence', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
+    if (!db || !outreachService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const prospect = await db.getProspect(req.params.id);
+        if (!prospect) {
+            return res.status(404).json({ error: 'Prospect not found' });
+        }
+
+        const steps = outreachService.normalizeSteps(req.body.steps);
+        const sequence = await db.saveEmailSequence(prospect.id, prospect.folder_id, steps, {
+            source: 'manual',
+            createdBy: req.user?.email || null
         });
+
+        res.json(sequence);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving sequence:', error);
+        res.status(500).json({ error: 'Failed to save sequence' });
     }
 });
 
-// Collect prospects for folder
-app.post('/api/folders/:id/collect-prospects', async (req, res) => {
-    if (!db || !workflowManager) {
-        return res.status(503).json({ error: 'Database or workflow manager not initialized' });
+// Make an older version current again (stored as a new version)
+app.post('/api/prospects/:id/sequence/versions/:version/restore', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
     }
+    try {
+        const previous = await db.getSequenceVersion(req.params.id, parseInt(req.params.version));
+        if (!previous) {
+            return res.status(404).json({ error: 'Sequence version not found' });
+        }
 
-    const { id } = req.params;
+        const sequence = await db.saveEmailSequence(previous.prospect_id, previous.folder_id, previous.steps, {
+            source: 'manual',
+            createdBy: req.user?.email || null
+        });
+
+        res.json(sequence);
+    } catch (error) {
+        console.error('Error restoring sequence version:', error);
+        res.status(500).json({ error: 'Failed to restore sequence version' });
+    }
+});
+
+// Regenerate one prospect's sequence with AI (adds a new version)
+app.post('/api/prospects/:id/sequence/regenerate', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
+    if (!db || !outreachService?.isAvailable()) {
+        return res.status(503).json({ error: 'Database or AI provider not initialized' });
+    }
+    try {
+        const prospect = await db.getProspect(req.params.id);
+        if (!prospect) {
+            return res.status(404).json({ error: 'Prospect not found' });
+        }
+        if (!prospect.selected) {
+            return res.status(400).json({ error: 'Only selected prospects get email sequences' });
+        }
+
+        const task = await jobQueue.enqueue('sequence_generation', { prospect_ids: [prospect.id], regenerate: true }, {
+            folderId: prospect.folder_id,
+            total: 1,
+            dedupeKey: `prospect:${prospect.id}`
+        });
+
+        res.json({
+            status: 'processing',
+            task_id: task.id,
+            message: `Regenerating email sequence for ${prospect.name}`
+        });
+    } catch (error) {
+        console.error('Error regenerating sequence:', error);
+        res.status(500).json({ error: 'Failed to regenerate sequence' });
+    }
+});
+
+// ===== MAILBOX ENDPOINTS =====
+
+const MAILBOX_FIELDS = [
+    'name', 'from_email', 'from_name', 'smtp_host', 'smtp_port', 'smtp_secure', 'smtp_user',
+    'imap_host', 'imap_port', 'imap_secure', 'imap_user', 'daily_limit', 'enabled'
+];
+
+// Mailbox as returned by the API: stored passwords are never sent back
+function toPublicMailbox(mailbox) {
+    const { smtp_pass_encrypted, imap_pass_encrypted, ...rest } = mailbox;
+    return {
+        ...rest,
+        has_smtp_password: !!smtp_pass_encrypted,
+        has_imap_password: !!imap_pass_encrypted
+    };
+}
+
+// Pick mailbox settings from a request body; passwords are encrypted before storage
+function mailboxFromBody(body) {
+    const mailbox = {};
+    for (const field of MAILBOX_FIELDS) {
+        if (body[field] !== undefined) mailbox[field] = body[field];
+    }
+    if (body.smtp_password !== undefined) mailbox.smtp_pass_encrypted = encryptSecret(body.smtp_password);
+    if (body.imap_password !== undefined) mailbox.imap_pass_encrypted = encryptSecret(body.imap_password);
+    return mailbox;
+}
+
+// List sending mailboxes (with today's send count)
+app.get('/api/mailboxes', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const mailboxes = await db.getMailboxes(req.user.workspaceId);
+        res.json(mailboxes.map(toPublicMailbox));
+    } catch (error) {
+        console.error('Get mailboxes error:', error);
+        res.status(500).json({ error: 'Failed to get mailboxes' });
+    }
+});
+
+// Add a sending mailbox
+app.post('/api/mailboxes', requireRole('admin'), auditEntity('mailbox', { load: id => db.getMailbox(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { name, from_email, smtp_host } = req.body;
+    if (!name || !from_email || !smtp_host) {
+        return res.status(400).json({ error: 'name, from_email and smtp_host are required' });
+    }
+
+    try {
+        const mailbox = await db.createMailbox({ ...mailboxFromBody(req.body), workspace_id: req.user.workspaceId });
+        console.log(`[API] Mailbox "${mailbox.name}" (${mailbox.from_email}) created`);
+        res.json(toPublicMailbox(mailbox));
+    } catch (error) {
+        console.error('Create mailbox error:', error);
+        res.status(500).json({ error: 'Failed to create mailbox' });
+    }
+});
+
+// Update a mailbox (omit a password to keep the stored one)
+app.patch('/api/mailboxes/:id', requireRole('admin'), auditEntity('mailbox', { load: id => db.getMailbox(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const mailbox = await db.updateMailbox(parseInt(req.params.id), mailboxFromBody(req.body));
+        if (!mailbox) {
+            return res.status(404).json({ error: 'Mailbox not found' });
+        }
+        res.json(toPublicMailbox(mailbox));
+    } catch (error) {
+        console.error('Update mailbox error:', error);
+        res.status(500).json({ error: 'Failed to update mailbox' });
+    }
+});
+
+// Delete a mailbox
+app.delete('/api/mailboxes/:id', requireRole('admin'), auditEntity('mailbox', { load: id => db.getMailbox(id) }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        await db.deleteMailbox(parseInt(req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete mailbox error:', error);
+        res.status(500).json({ error: 'Failed to delete mailbox' });
+    }
+});
+
+// Check a mailbox's SMTP and IMAP settings
+app.post('/api/mailboxes/:id/test', requireRole('admin'), auditEntity('mailbox'), async (req, res) => {
+    if (!db || !outreachSender) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const mailbox = await db.getMailbox(parseInt(req.params.id));
+        if (!mailbox) {
+            return res.status(404).json({ error: 'Mailbox not found' });
+        }
+
+        const result = await outreachSender.testMailbox(mailbox);
+        res.json(result);
+    } catch (error) {
+        console.error('Test mailbox error:', error);
+        res.status(500).json({ error: 'Failed to test mailbox' });
+    }
+});
+
+// ===== OUTREACH SENDING ENDPOINTS =====
 
+// Start sending sequences to the folder's selected prospects
+app.post('/api/folders/:id/outreach/start', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!db || !outreachSender) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
     try {
-        const folder = await db.getFolder(id);
+        const folder = await db.getFolder(req.params.id);
         if (!folder) {
             return res.status(404).json({ error: 'Folder not found' });
         }
 
-        // Start prospect collection in background
-        workflowManager.collectProspectsForFolder(id)
-            .then(prospects => {
-                console.log(`[Server] Prospect collection completed for folder ${id}: ${prospects.length} prospects`);
-            })
-            .catch(error => {
-                console.error(`[Server] Prospect collection failed for folder ${id}:`, error.message);
-            });
-
-        res.json({
-            status: 'processing',
-            message: 'Prospect collection started in background'
+        const { prospect_ids, mailbox_ids, include_unverified } = req.body;
+        const result = await outreachSender.enrollFolder(folder.id, {
+            prospectIds: prospect_ids || null,
+            mailboxIds: mailbox_ids || null,
+            includeUnverified: include_unverified === true
         });
+
+        if (result.enrolled.length > 0) {
+            await db.updateFolderStatus(folder.id, 'outreach_active');
+        }
+
+        res.json(result);
     } catch (error) {
-        console.error('Error starting prospect collection:', error);
-        res.status(500).json({ error: 'Failed to start prospect collection' });
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error starting outreach:', error);
+        res.status(500).json({ error: 'Failed to start outreach' });
     }
 });
 
-// Auto-select top prospects
-app.post('/api/folders/:id/auto-select', async (req, res) => {
-    if (!db || !workflowManager) {
-        return res.status(503).json({ error: 'Database or workflow manager not initialized' });
+// Outreach progress for a folder (one row per enrollment)
+app.get('/api/folders/:id/outreach', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
     }
+    try {
+        const enrollments = await db.getFolderEnrollments(req.params.id);
+        res.json(enrollments);
+    } catch (error) {
+        console.error('Error fetching folder outreach:', error);
+        res.status(500).json({ error: 'Failed to fetch outreach' });
+    }
+});
 
-    const { id } = req.params;
-
+// Outreach history of a prospect: enrollments with their messages and replies
+app.get('/api/prospects/:id/outreach', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
     try {
-        const folder = await db.getFolder(id);
-        if (!folder) {
-            return res.status(404).json({ error: 'Folder not found' });
+        const enrollments = await db.getProspectEnrollments(req.params.id);
+        const result = [];
+        for (const enrollment of enrollments) {
+            result.push({
+                ...enrollment,
+                messages: await db.getEnrollmentMessages(enrollment.id),
+                replies: await db.getEnrollmentReplies(enrollment.id)
+            });
         }
+        res.json(result);
+    } catch (error) {
+        console.error('Error fetching prospect outreach:', error);
+        res.status(500).json({ error: 'Failed to fetch outreach' });
+    }
+});
 
-        await workflowManager.autoSelectProspects(id);
+// Stop an active enrollment (cancels its scheduled emails)
+app.post('/api/outreach/enrollments/:id/stop', requireRole('member'), auditEntity('outreach_enrollment', { load: id => db.getEnrollment(id) }), async (req, res) => {
+    if (!db || !outreachSender) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    try {
+        const enrollment = await db.getEnrollment(parseInt(req.params.id));
+        if (!enrollment) {
+            return res.status(404).json({ error: 'Enrollment not found' });
+        }
+        if (enrollment.status !== 'active') {
+            return res.status(400).json({ error: `Enrollment is already ${enrollment.status}` });
+        }
 
-        res.json({
-            status: 'success',
-            message: 'Top 2-3 prospects per company have been auto-selected'
-        });
+        const stopped = await outreachSender.stopEnrollment(
+            enrollment.id,
+            'stopped',
+            req.body.reason || `Stopped by ${req.user?.email || 'user'}`
+        );
+        res.json(stopped);
     } catch (error) {
-        console.error('Error auto-selecting prospects:', error);
-        res.status(500).json({ error: 'Failed to auto-select prospects' });
+        console.error('Error stopping enrollment:', error);
+        res.status(500).json({ error: 'Failed to stop enrollment' });
     }
 });
 
-// Manually select/deselect prospect
-app.patch('/api/prospects/:id/select', async (req, res) => {
+// Set a prospect's timezone (used for business-hours sending)
+app.patch('/api/prospects/:id/timezone', requireRole('member'), auditEntity('prospect', { load: id => db.getProspect(id) }), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
 
-    const { id } = req.params;
-    const { selected } = req.body;
+    const { timezone } = req.body;
+    if (timezone && !isValidTimezone(timezone)) {
+        return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+    }
 
     try {
-        await db.updateProspectSelection(id, selected, false);
-        res.json({ status: 'success' });
+        await db.updateProspectTimezone(req.params.id, timezone || null);
+        res.json({ success: true, timezone: timezone || null });
     } catch (error) {
-        console.error('Error updating prospect selection:', error);
-        res.status(500).json({ error: 'Failed to update prospect selection' });
+        console.error('Error updating prospect timezone:', error);
+        res.status(500).json({ error: 'Failed to update timezone' });
     }
 });
 
-// Enrich selected prospects with contact info
-app.post('/api/folders/:id/enrich-contacts', async (req, res) => {
-    if (!db || !workflowManager) {
-        return res.status(503).json({ error: 'Database or workflow manager not initialized' });
-    }
+// ===== CRM SYNC ENDPOINTS =====
 
-    const { id } = req.params;
+// Which CRM is configured
+app.get('/api/crm/status', (req, res) => {
+    res.json({
+        configured: !!crmSyncService?.isAvailable(),
+        provider: crmSyncService?.crm?.name || null,
+        label: crmSyncService?.crm?.label || null
+    });
+});
 
+// Push a folder's companies and selected prospects to the CRM
+app.post('/api/folders/:id/crm-sync', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!db || !crmSyncService?.isAvailable()) {
+        return res.status(503).json({ error: 'Database or CRM not configured' });
+    }
     try {
-        const folder = await db.getFolder(id);
+        const folder = await db.getFolder(req.params.id);
         if (!folder) {
             return res.status(404).json({ error: 'Folder not found' });
         }
 
-        // Start contact enrichment in background
-        workflowManager.enrichSelectedProspects(id)
-            .then(result => {
-                console.log(`[Server] Contact enrichment completed for folder ${id}: ${result.enriched}/${result.total}`);
-            })
-            .catch(error => {
-                console.error(`[Server] Contact enrichment failed for folder ${id}:`, error.message);
-            });
+        const task = await jobQueue.enqueue('crm_sync', {}, {
+            folderId: folder.id,
+            dedupeKey: `crm-sync:${folder.id}`
+        });
 
         res.json({
             status: 'processing',
-            message: 'Contact enrichment started in background'
+            task_id: task.id,
+            message: `Pushing folder to ${crmSyncService.crm.label} in background`
         });
     } catch (error) {
-        console.error('Error starting contact enrichment:', error);
-        res.status(500).json({ error: error.message || 'Failed to start contact enrichment' });
+        console.error('Error starting CRM sync:', error);
+        res.status(500).json({ error: 'Failed to start CRM sync' });
     }
 });
 
-// Delete folder
-app.delete('/api/folders/:id', async (req, res) => {
-    if (!db) {
-        return res.status(503).json({ error: 'Database not initialized' });
+// CRM records (external ids, deal stages) of a folder's companies and prospects
+app.get('/api/folders/:id/crm', async (req, res) => {
+    if (!db || !crmSyncService?.isAvailable()) {
+        return res.status(503).json({ error: 'Database or CRM not configured' });
     }
+    try {
+        const links = await db.getFolderCrmLinks(req.params.id, crmSyncService.crm.name);
+        res.json(links);
+    } catch (error) {
+        console.error('Error fetching CRM links:', error);
+        res.status(500).json({ error: 'Failed to fetch CRM links' });
+    }
+});
 
-    const { id } = req.params;
-
+// Pull deal stage changes from the CRM now (also runs periodically on the worker)
+app.post('/api/crm/pull', requireRole('member'), async (req, res) => {
+    if (!db || !crmSyncService?.isAvailable()) {
+        return res.status(503).json({ error: 'Database or CRM not configured' });
+    }
     try {
-        await db.deleteFolder(id);
-        res.json({ status: 'success', message: 'Folder deleted' });
+        const result = await crmSyncService.pullDealStages();
+        res.json(result);
     } catch (error) {
-        console.error('Error deleting folder:', error);
-        res.status(500).json({ error: 'Failed to delete folder' });
+        console.error('Error pulling CRM deal stages:', error);
+        res.status(error.status && error.status < 500 ? 502 : 500).json({ error: error.message || 'Failed to pull deal stages' });
     }
 });
 
@@ -808,7 +2603,7 @@ app.get('/api/knowledge', async (req, res) => {
     }
 
     try {
-        const knowledge = await db.getAllKnowledge();
+        const knowledge = await db.getAllKnowledge(req.user.workspaceId);
         res.json(knowledge);
     } catch (error) {
         console.error('Error fetching knowledge base:', error);
@@ -817,7 +2612,7 @@ app.get('/api/knowledge', async (req, res) => {
 });
 
 // Add knowledge base entry
-app.post('/api/knowledge', async (req, res) => {
+app.post('/api/knowledge', requireRole('member'), auditEntity('knowledge', { load: id => db.getKnowledge(id) }), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
@@ -829,7 +2624,7 @@ app.post('/api/knowledge', async (req, res) => {
     }
 
     try {
-        const entry = await db.addKnowledge(type, title, content, metadata);
+        const entry = await db.addKnowledge(type, title, content, metadata, req.user.workspaceId);
         res.json(entry);
     } catch (error) {
         console.error('Error adding knowledge:', error);
@@ -838,7 +2633,7 @@ app.post('/api/knowledge', async (req, res) => {
 });
 
 // Update knowledge base entry
-app.patch('/api/knowledge/:id', async (req, res) => {
+app.patch('/api/knowledge/:id', requireRole('member'), auditEntity('knowledge', { load: id => db.getKnowledge(id) }), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
@@ -857,6 +2652,11 @@ app.patch('/api/knowledge/:id', async (req, res) => {
 
 // ===== NOTIFICATION ENDPOINTS =====
 
+// Notifications for the current workspace, plus the ones addressed to this user
+function notificationScope(req) {
+    return { workspaceId: req.user.workspaceId, userId: req.user.userId };
+}
+
 // Get unread notifications
 app.get('/api/notifications/unread', async (req, res) => {
     if (!db) {
@@ -864,7 +2664,7 @@ app.get('/api/notifications/unread', async (req, res) => {
     }
 
     try {
-        const notifications = await db.getUnreadNotifications();
+        const notifications = await db.getUnreadNotifications(notificationScope(req));
         res.json(notifications);
     } catch (error) {
         console.error('Error fetching notifications:', error);
@@ -879,7 +2679,7 @@ app.get('/api/notifications', async (req, res) => {
     }
 
     try {
-        const notifications = await db.getRecentNotifications(50);
+        const notifications = await db.getRecentNotifications(notificationScope(req), 50);
         res.json(notifications);
     } catch (error) {
         console.error('Error fetching notifications:', error);
@@ -896,7 +2696,7 @@ app.patch('/api/notifications/:id/read', async (req, res) => {
     const { id } = req.params;
 
     try {
-        await db.markNotificationRead(id);
+        await db.markNotificationRead(id, notificationScope(req));
         res.json({ status: 'success' });
     } catch (error) {
         console.error('Error marking notification as read:', error);
@@ -911,7 +2711,7 @@ app.post('/api/notifications/read-all', async (req, res) => {
     }
 
     try {
-        await db.markAllNotificationsRead();
+        await db.markAllNotificationsRead(notificationScope(req));
         res.json({ status: 'success' });
     } catch (error) {
         console.error('Error marking all notifications as read:', error);
@@ -921,14 +2721,14 @@ app.post('/api/notifications/read-all', async (req, res) => {
 
 // ===== BACKGROUND TASK ENDPOINTS =====
 
-// Get all tasks
+// Recent tasks of the workspace's folders
 app.get('/api/tasks', async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
 
     try {
-        const tasks = await db.getRecentTasks(100);
+        const tasks = await db.getRecentTasks(req.user.workspaceId, 100);
         res.json(tasks);
     } catch (error) {
         console.error('Error fetching tasks:', error);
@@ -943,7 +2743,7 @@ app.get('/api/tasks/active', async (req, res) => {
     }
 
     try {
-        const tasks = await db.getActiveTasks();
+        const tasks = await db.getActiveTasks(req.user.workspaceId);
         res.json(tasks);
     } catch (error) {
         console.error('Error fetching active tasks:', error);
@@ -951,6 +2751,50 @@ app.get('/api/tasks/active', async (req, res) => {
     }
 });
 
+// ===== HIRING SIGNAL ENDPOINTS =====
+
+// Companies by open roles seen across all searches (?surging=true for surges only, ?limit= up to 500)
+app.get('/api/hiring-signals', async (req, res) => {
+    if (!hiringSignalService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const { windowDays, minRoles } = hiringSignalService;
+        const companies = await db.getHiringSignals({
+            windowDays,
+            minRoles,
+            surgingOnly: req.query.surging === 'true',
+            limit: Math.min(parseInt(req.query.limit) || 50, 500),
+            workspaceId: req.user?.workspaceId ?? null
+        });
+        res.json({ window_days: windowDays, min_roles: minRoles, companies });
+    } catch (error) {
+        console.error('Error fetching hiring signals:', error);
+        res.status(500).json({ error: 'Failed to fetch hiring signals' });
+    }
+});
+
+// One company's sightings, weekly role counts and reported surges
+app.get('/api/hiring-signals/:domain', async (req, res) => {
+    if (!hiringSignalService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const signal = await db.getHiringSignal(extractDomain(req.params.domain), {
+            workspaceId: req.user?.workspaceId ?? null
+        });
+        if (!signal) {
+            return res.status(404).json({ error: 'No jobs seen for this company' });
+        }
+        res.json(signal);
+    } catch (error) {
+        console.error('Error fetching hiring signal:', error);
+        res.status(500).json({ error: 'Failed to fetch hiring signal' });
+    }
+});
+
 // ===== COMPANY ENDPOINTS (Legacy support) =====
 
 app.get('/api/companies', async (req, res) => {
@@ -980,15 +2824,72 @@ app.get('/api/companies/:domain', async (req, res) => {
         if (!company) {
             return res.status(404).json({ error: 'Company not found' });
         }
-        res.json(company);
+        res.json(refreshService ? { ...company, freshness: refreshService.getFreshness(company) } : company);
     } catch (error) {
         console.error('Error fetching company:', error);
         res.status(500).json({ error: 'Failed to fetch company' });
     }
 });
 
+// Lead score weights in use (defaults, overridden by LEAD_SCORE_WEIGHTS)
+app.get('/api/lead-scoring', (req, res) => {
+    if (!leadScoringService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+    res.json({ weights: leadScoringService.weights });
+});
+
+// Re-score every company now (scores also refresh every few hours and when jobs or enrichment change)
+app.post('/api/lead-scoring/rescore', requireRole('member'), async (req, res) => {
+    try {
+        const result = await leadScoringService.rescoreAll();
+        res.json(result);
+    } catch (error) {
+        console.error('Error rescoring companies:', error);
+        res.status(500).json({ error: 'Failed to rescore companies' });
+    }
+});
+
+// Enrich a company on demand (queues the same task as adding one of its jobs to a folder)
+app.post('/api/companies/enrich', requireRole('member'), auditEntity('company', {
+    id: req => extractDomain(req.body.domain),
+    load: id => db.getCompany(id)
+}), async (req, res) => {
+    if (!jobQueue || !workflowManager) {
+        return res.status(503).json({ error: 'Company enrichment not available (no LLM provider configured)' });
+    }
+
+    const domain = extractDomain(req.body.domain);
+    if (!domain) {
+        return res.status(400).json({ error: 'A valid domain is required' });
+    }
+
+    try {
+        let company = await db.getCompany(domain);
+        if (!company) {
+            const theirstackData = req.body.theirstack_data || null;
+            company = await db.createCompany(domain, req.body.name || domain, theirstackData, theirstackData?.employee_count ?? null);
+        }
+
+        if (company.enrichment_status === 'completed' || company.enrichment_status === 'processing') {
+            return res.json({ status: company.enrichment_status, domain, company_id: company.id });
+        }
+
+        const task = await jobQueue.enqueue(
+            'company_enrichment',
+            { domain, company_name: company.name },
+            { companyId: company.id, total: 1, dedupeKey: `company:${domain}` }
+        );
+
+        res.json({ status: 'queued', domain, company_id: company.id, task_id: task?.id ?? null });
+    } catch (error) {
+        console.error('Error starting company enrichment:', error);
+        res.status(500).json({ error: 'Failed to start company enrichment' });
+    }
+});
+
 // Retry enrichment for a single company
-app.post('/api/companies/:domain/retry', async (req, res) => {
+app.post('/api/companies/:domain/retry', requireRole('member'), auditEntity('company', { id: req => req.params.domain }), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
@@ -1011,8 +2912,33 @@ app.post('/api/companies/:domain/retry', async (req, res) => {
     }
 });
 
+// Re-enrich a completed company now (crawl and extract again, then report what changed)
+app.post('/api/companies/:domain/refresh', requireRole('member'), auditEntity('company', { id: req => req.params.domain }), async (req, res) => {
+    if (!refreshService) {
+        return res.status(503).json({ error: 'Company enrichment not available (no LLM provider configured)' });
+    }
+
+    const { domain } = req.params;
+
+    try {
+        const company = await db.getCompany(domain);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+        if (company.enrichment_status !== 'completed') {
+            return res.status(409).json({ error: `${domain} is ${company.enrichment_status}, not enriched yet` });
+        }
+
+        const task = await refreshService.enqueueRefresh(company, { reason: 'manual' });
+        res.json({ status: 'queued', domain, company_id: company.id, task_id: task?.id ?? null });
+    } catch (error) {
+        console.error('Error queueing company refresh:', error);
+        res.status(500).json({ error: 'Failed to queue company refresh' });
+    }
+});
+
 // Bulk retry all failed companies
-app.post('/api/companies/bulk/retry-failed', async (req, res) => {
+app.post('/api/companies/bulk/retry-failed', requireRole('member'), async (req, res) => {
     if (!db) {
         return res.status(503).json({ error: 'Database not initialized' });
     }
@@ -1033,16 +2959,22 @@ app.post('/api/companies/bulk/retry-failed', async (req, res) => {
 });
 
 // Start prospecting for a company
-app.post('/api/companies/:domain/prospect', async (req, res) => {
+app.post('/api/companies/:domain/prospect', requireRole('member'), auditEntity('company', { id: req => req.params.domain }), async (req, res) => {
     if (!prospectingService) {
         return res.status(503).json({ error: 'Prospecting service not initialized' });
     }
 
     const { domain } = req.params;
+    const { folder_id } = req.body || {};
 
     try {
+        const folder = folder_id ? await getWorkspaceFolder(req, parseInt(folder_id)) : null;
+        if (folder_id && !folder) {
+            return res.status(404).json({ error: 'Folder not found' });
+        }
+
         console.log(`[Server] Starting prospecting for ${domain}`);
-        const result = await prospectingService.startProspecting(domain);
+        const result = await prospectingService.startProspecting(domain, null, { folderId: folder?.id ?? null });
 
         res.json({
             success: true,
@@ -1068,7 +3000,7 @@ app.get('/api/companies/:domain/prospects', async (req, res) => {
             return res.status(404).json({ error: 'Company not found' });
         }
 
-        const prospects = await db.getProspectsByCompany(company.id);
+        const prospects = await db.getProspectsByCompany(company.id, req.user.workspaceId);
         res.json({ prospects });
     } catch (error) {
         console.error('Error fetching prospects:', error);
@@ -1076,9 +3008,138 @@ app.get('/api/companies/:domain/prospects', async (req, res) => {
     }
 });
 
+// Stored crawls of a company website (page metadata, no HTML), newest first
+app.get('/api/companies/:domain/snapshots', async (req, res) => {
+    if (!snapshotService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const crawls = await snapshotService.listCrawls(req.params.domain);
+        res.json({ crawls });
+    } catch (error) {
+        console.error('Error fetching page snapshots:', error);
+        res.status(500).json({ error: 'Failed to fetch page snapshots' });
+    }
+});
+
+// The company's stored email address format (null until one is learned)
+app.get('/api/companies/:domain/email-pattern', async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const company = await db.getCompany(req.params.domain);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        res.json({ domain: company.domain, pattern: company.email_pattern || null });
+    } catch (error) {
+        console.error('Error fetching email pattern:', error);
+        res.status(500).json({ error: 'Failed to fetch email pattern' });
+    }
+});
+
+// Re-learn the company's email address format from its prospects' verified emails
+app.post('/api/companies/:domain/email-pattern', requireRole('member'), auditEntity('company', { id: req => req.params.domain }), async (req, res) => {
+    if (!db || !emailPatternService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    try {
+        const company = await db.getCompany(req.params.domain);
+        if (!company) {
+            return res.status(404).json({ error: 'Company not found' });
+        }
+
+        const pattern = await emailPatternService.learnPattern(company.id, company.domain);
+        res.json({ domain: company.domain, pattern });
+    } catch (error) {
+        console.error('Error learning email pattern:', error);
+        res.status(500).json({ error: 'Failed to learn email pattern' });
+    }
+});
+
+// What changed on a company website between two stored crawls (default: the latest two)
+app.get('/api/companies/:domain/snapshots/diff', async (req, res) => {
+    if (!snapshotService) {
+        return res.status(503).json({ error: 'Database not initialized' });
+    }
+
+    const { from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value !== undefined && !/^\d+$/.test(value)) {
+            return res.status(400).json({ error: `Invalid ${name} crawl id` });
+        }
+    }
+    if ((from === undefined) !== (to === undefined)) {
+        return res.status(400).json({ error: 'Pass both from and to, or neither' });
+    }
+
+    try {
+        const diff = await snapshotService.diffCrawls(req.params.domain, {
+            from: from !== undefined ? parseInt(from, 10) : null,
+            to: to !== undefined ? parseInt(to, 10) : null
+        });
+        if (!diff) {
+            return res.status(404).json({ error: 'Two stored crawls are needed to compare' });
+        }
+        res.json(diff);
+    } catch (error) {
+        console.error('Error diffing page snapshots:', error);
+        res.status(500).json({ error: 'Failed to compare crawls' });
+    }
+});
+
+// Re-run AI extraction on stored pages (no re-crawl), optionally on an older crawl or with another model
+app.post('/api/companies/:domain/reextract', requireRole('member'), auditEntity('company', {
+    id: req => req.params.domain,
+    load: id => db.getCompany(id)
+}), async (req, res) => {
+    if (!enricher) {
+        return res.status(503).json({ error: 'Company enrichment not available (no LLM provider configured)' });
+    }
+
+    const { domain } = req.params;
+    const { crawl_id: crawlId = null, model = null } = req.body || {};
+    if (crawlId !== null && !Number.isInteger(crawlId)) {
+        return res.status(400).json({ error: 'crawl_id must be an integer' });
+    }
+    if (model !== null && typeof model !== 'string') {
+        return res.status(400).json({ error: 'model must be a "provider:model" string' });
+    }
+
+    try {
+        const company = await db.getCompany(domain);
+        const result = await runWithUsageContext(
+            { workspaceId: req.user?.workspaceId ?? null, companyId: company?.id ?? null, companyDomain: domain },
+            () => enricher.reextract(domain, { crawlId, model })
+        );
+
+        if (leadScoringService) {
+            await leadScoringService.rescoreCompany(company.id).catch(error =>
+                console.error(`[Server] Failed to rescore ${domain} after re-extraction:`, error.message)
+            );
+        }
+
+        res.json(result);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.validationErrors) {
+            return res.status(422).json({ error: error.message, validation_errors: error.validationErrors });
+        }
+        console.error('Error re-extracting company data:', error);
+        res.status(500).json({ error: error.message || 'Failed to re-extract company data' });
+    }
+});
+
 // Bulk prospect all companies in a folder
-app.post('/api/folders/:id/prospect-all', async (req, res) => {
-    if (!prospectingService || !db) {
+app.post('/api/folders/:id/prospect-all', requireRole('member'), auditEntity('folder'), async (req, res) => {
+    if (!prospectingService || !db || !jobQueue) {
         return res.status(503).json({ error: 'Services not initialized' });
     }
 
@@ -1100,31 +3161,24 @@ app.post('/api/folders/:id/prospect-all', async (req, res) => {
             return res.status(400).json({ error: 'No enriched companies to prospect' });
         }
 
-        // Start prospecting for each company (run in background)
-        const results = {
-            total: enrichedCompanies.length,
-            started: 0,
-            errors: []
-        };
-
-        // Process companies sequentially to avoid overwhelming APIs
+        // Queue prospecting for each company; the worker processes them one at a
+        // time to avoid overwhelming APIs
+        const tasks = [];
         for (const company of enrichedCompanies) {
-            try {
-                await prospectingService.startProspecting(company.domain);
-                results.started++;
-            } catch (error) {
-                console.error(`[Server] Failed to prospect ${company.domain}:`, error.message);
-                results.errors.push({
-                    domain: company.domain,
-                    error: error.message
-                });
-            }
+            const task = await jobQueue.enqueue('company_prospecting', { domain: company.domain }, {
+                folderId: folder.id,
+                companyId: company.id,
+                dedupeKey: company.domain
+            });
+            tasks.push(task.id);
         }
 
         res.json({
             success: true,
-            message: `Started prospecting for ${results.started}/${results.total} companies`,
-            ...results
+            message: `Started prospecting for ${tasks.length}/${enrichedCompanies.length} companies`,
+            total: enrichedCompanies.length,
+            started: tasks.length,
+            task_ids: tasks
         });
     } catch (error) {
         console.error('Error in bulk prospecting:', error);
@@ -1148,17 +3202,83 @@ async function startServer() {
         db = await initializePostgresDatabase(DATABASE_URL);
         console.log('PostgreSQL database initialized');
 
+        // Initialize usage accounting (every LLM and contact provider call, monthly budgets)
+        usageService = new UsageService({ db: db });
+        llm.onUsage = (call) => usageService.recordLLMCall(call);
+        llm.onValidationError = (entry) => usageService.recordValidationError(entry);
+
+        // Initialize quotas (daily/monthly contact lookup and provider credit limits)
+        quotaService = new QuotaService({ db: db });
+
+        // Initialize email verification (syntax, MX, disposable/role, catch-all, optional SMTP probe)
+        emailVerificationService = new EmailVerificationService({ db: db });
+
+        // Initialize email patterns (guesses emails from each company's address format)
+        emailPatternService = new EmailPatternService({ db: db, emailVerification: emailVerificationService });
+
+        // Initialize SignalHire webhooks (lookup results by callback instead of polling)
+        signalHireWebhooks = new SignalHireWebhookService({
+            db: db,
+            usage: usageService,
+            emailVerification: emailVerificationService,
+            emailPatterns: emailPatternService
+        });
+
+        // Initialize contact providers (waterfall over SignalHire, Apollo, Hunter, Prospeo)
+        contactData = new ContactDataService({
+            providers: createContactProviders({
+                signalHireApiKey: SIGNALHIRE_API_KEY,
+                signalHireCallbacks: signalHireWebhooks,
+                apolloApiKey: process.env.APOLLO_API_KEY,
+                hunterApiKey: process.env.HUNTER_API_KEY,
+                prospeoApiKey: process.env.PROSPEO_API_KEY,
+                usage: usageService
+            }),
+            usage: usageService,
+            quotas: quotaService
+        });
+        usageService.contactProviders = contactData.getProviders().map(provider => provider.name);
+
+        // Initialize job queue (handlers are registered by the services below)
+        jobQueue = new JobQueue({ db, usage: usageService });
+        signalHireWebhooks.registerTaskHandlers(jobQueue);
+        emailVerificationService.registerTaskHandlers(jobQueue);
+        emailPatternService.registerTaskHandlers(jobQueue);
+        quotaService.registerTaskHandlers(jobQueue);
+
+        // Initialize lead scoring (company scores from job and enrichment signals)
+        leadScoringService = new LeadScoringService({ db: db });
+        leadScoringService.registerTaskHandlers(jobQueue);
+
+        // Initialize hiring signals (roles seen per company across all searches, surge notifications)
+        hiringSignalService = new HiringSignalService({ db: db });
+
+        // Initialize page snapshots (raw crawled pages, for re-extraction and site diffs)
+        snapshotService = new PageSnapshotService({ db: db });
+
         // Initialize enricher
-        if (GEMINI_API_KEY || anthropic) {
+        if (llm.isAvailable('company_enrichment')) {
             enricher = new CompanyEnricher({
-                anthropicClient: anthropic,
-                geminiApiKey: GEMINI_API_KEY,
+                llm: llm,
                 db: db,
-                signalHireApiKey: SIGNALHIRE_API_KEY
+                contacts: contactData,
+                renderer: renderer,
+                snapshots: snapshotService
             });
             console.log('Company enricher initialized');
         } else {
-            console.log('Company enricher not available (need GEMINI_API_KEY or ANTHROPIC_API_KEY)');
+            console.log('Company enricher not available (no LLM provider configured)');
+        }
+
+        // Initialize enrichment refresh (re-enriches stale companies, reports what changed)
+        if (enricher) {
+            refreshService = new EnrichmentRefreshService({
+                db: db,
+                enricher: enricher,
+                queue: jobQueue,
+                leadScoring: leadScoringService
+            });
+            refreshService.registerTaskHandlers(jobQueue);
         }
 
         // Initialize workflow manager
@@ -1166,32 +3286,92 @@ async function startServer() {
             workflowManager = new WorkflowManager({
                 db: db,
                 enricher: enricher,
-                signalHireApiKey: SIGNALHIRE_API_KEY,
-                geminiApiKey: GEMINI_API_KEY
+                queue: jobQueue,
+                leadScoring: leadScoringService,
+                refresh: refreshService,
+                contacts: contactData,
+                emailVerification: emailVerificationService,
+                emailPatterns: emailPatternService,
+                quotas: quotaService,
+                llm: llm
             });
+            workflowManager.registerTaskHandlers(jobQueue);
             console.log('Workflow manager initialized');
         }
 
         // Initialize prospecting service
-        if (anthropic || SIGNALHIRE_API_KEY) {
+        if (llm.isAvailable('prospect_selection') || contactData.isAvailable()) {
             prospectingService = new ProspectingService({
-                anthropicClient: anthropic,
-                signalHireApiKey: SIGNALHIRE_API_KEY,
+                llm: llm,
+                contacts: contactData,
                 db: db
             });
+            prospectingService.registerTaskHandlers(jobQueue);
             console.log('Prospecting service initialized');
         }
 
+        // Initialize outreach (email sequence drafting)
+        outreachService = new OutreachService({
+            db: db,
+            llm: llm
+        });
+        if (outreachService.isAvailable()) {
+            outreachService.registerTaskHandlers(jobQueue);
+            console.log('Outreach service initialized');
+        }
+
+        // Initialize job analysis (AI fit analysis on the job cards)
+        jobAnalysisService = new JobAnalysisService({
+            db: db,
+            llm: llm
+        });
+
+        // Initialize outreach sending (SMTP sequences, IMAP reply detection)
+        outreachSender = new OutreachSender({ db: db });
+        outreachSender.registerTaskHandlers(jobQueue);
+
+        // Initialize CRM sync (HubSpot or Pipedrive)
+        crmSyncService = new CrmSyncService({
+            db: db,
+            crm: crmClient,
+            outreachSender: outreachSender
+        });
+        if (crmSyncService.isAvailable()) {
+            crmSyncService.registerTaskHandlers(jobQueue);
+            console.log(`CRM sync initialized (${crmClient.label})`);
+        }
+
+        // Initialize saved searches (scheduled re-runs of job searches)
+        savedSearchService = new SavedSearchService({
+            db: db,
+            jobSearch: jobSearch,
+            workflowManager: workflowManager,
+            hiringSignals: hiringSignalService,
+            queue: jobQueue
+        });
+        savedSearchService.registerTaskHandlers(jobQueue);
+
+        // Process background tasks in this process unless a separate worker does it
+        if (DISABLE_EMBEDDED_WORKER) {
+            console.log('Embedded worker disabled (run `npm run worker` to process background tasks)');
+        } else {
+            await jobQueue.start();
+        }
+
         // Start server
         app.listen(PORT, () => {
             console.log(`JobFeeder server running on port ${PORT}`);
             console.log(`JSearch API: ${RAPIDAPI_KEY ? 'Configured' : 'Not configured'}`);
+            console.log(`Job sources: ${jobSearch.getAvailableSources().filter(s => s.configured).map(s => s.name).join(', ') || 'None configured'}`);
             console.log(`Claude API: ${ANTHROPIC_API_KEY ? 'Configured' : 'Not configured'}`);
-            console.log(`Gemini API: ${GEMINI_API_KEY ? 'Configured (used for enrichment)' : 'Not configured'}`);
-            console.log(`SignalHire API: ${SIGNALHIRE_API_KEY ? 'Configured' : 'Not configured'}`);
+            console.log(`Gemini API: ${GEMINI_API_KEY ? 'Configured' : 'Not configured'}`);
+            console.log(`LLM providers: ${llm.describe().providers.filter(p => p.configured).map(p => p.name).join(', ') || 'None configured'}`);
+            console.log(`Contact providers: ${contactData.describe().order.join(' → ') || 'None configured'}`);
+            console.log(`CRM: ${crmClient ? crmClient.label : 'Not configured'}`);
             console.log(`Database: PostgreSQL (Render.com)`);
             console.log(`Google Auth: ${GOOGLE_CLIENT_ID ? 'Configured' : 'Not configured'}`);
-            console.log(`Allowed emails: ${ALLOWED_EMAILS.length} configured`);
+            console.log(`Bootstrap admins (ALLOWED_EMAILS): ${ALLOWED_EMAILS.length} configured`);
+            console.log(`Background worker: ${DISABLE_EMBEDDED_WORKER ? 'External' : 'Embedded'}`);
         });
     } catch (error) {
         console.error('Failed to start server:', error);
@@ -1199,4 +3379,18 @@ async function startServer() {
     }
 }
 
+// Graceful shutdown (Render sends SIGTERM on deploy): let the active task finish
+async function shutdown(signal) {
+    console.log(`${signal} received, shutting down`);
+    if (jobQueue) {
+        await jobQueue.stop();
+    }
+    await renderer.close();
+    await closeDatabase();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import { parseSignalHireCandidate } from './contact-providers.js';
+import { runWithUsageContext } from './usage.js';
+
+const WEBHOOK_CONFIG = {
+    callbackUrl: process.env.SIGNALHIRE_CALLBACK_URL || null, // public URL of /api/webhooks/signalhire
+    secret: process.env.SIGNALHIRE_WEBHOOK_SECRET || null,
+    expireAfterHours: parseInt(process.env.SIGNALHIRE_LOOKUP_EXPIRE_HOURS) || 24
+};
+
+// How often each worker expires lookups SignalHire never answered
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+// SignalHire echoes the item it was asked about; compare without case or a trailing slash
+function normalizeItem(item) {
+    return String(item || '').trim().toLowerCase().replace(/\/+$/, '');
+}
+
+function alreadyAnswered(lookupId) {
+    const error = new Error(`Lookup ${lookupId} was already answered`);
+    error.status = 409;
+    return error;
+}
+
+/**
+ * SignalHireWebhookService receives SignalHire lookup results by callback
+ * instead of polling for them. Every prospect lookup is stored in
+ * signalhire_lookups before it is requested, with a callback URL that carries
+ * the lookup id and an HMAC of it (SIGNALHIRE_WEBHOOK_SECRET), so only
+ * SignalHire's answer to that request is accepted.
+ *
+ * A result fills the prospect's email and phone where they are still empty
+ * (another provider may have answered first; a guessed email counts as
+ * empty), verifies a new email, guesses one from the company's address
+ * pattern when SignalHire has none, records the lookup in usage, and
+ * advances the contact_enrichment task's progress. When a task's last
+ * lookup is answered (or expires after SIGNALHIRE_LOOKUP_EXPIRE_HOURS) the
+ * folder is notified. A result that arrives after its lookup expired is
+ * still applied to the prospect. A signed callback URL is good for one
+ * answer about its own item: later posts to it are rejected.
+ */
+export class SignalHireWebhookService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.usage = options.usage || null; // UsageService instance (optional, records credits of answered lookups)
+        this.emailVerification = options.emailVerification || null; // EmailVerificationService instance (optional)
+        this.emailPatterns = options.emailPatterns || null; // EmailPatternService instance (optional)
+        this.callbackUrl = options.callbackUrl ?? WEBHOOK_CONFIG.callbackUrl;
+        this.secret = options.secret ?? WEBHOOK_CONFIG.secret;
+        this.expireAfterHours = options.expireAfterHours || WEBHOOK_CONFIG.expireAfterHours;
+    }
+
+    isEnabled() {
+        return !!(this.callbackUrl && this.secret);
+    }
+
+    registerTaskHandlers(queue) {
+        if (this.isEnabled()) {
+            queue.registerPeriodic('signalhire_lookup_expiry', EXPIRY_INTERVAL_MS, () => this.expireStaleLookups());
+        }
+    }
+
+    sign(lookupId) {
+        return crypto.createHmac('sha256', this.secret).update(`signalhire-lookup:${lookupId}`).digest('hex');
+    }
+
+    verifySignature(lookupId, signature) {
+        const expected = Buffer.from(this.sign(lookupId));
+        const received = Buffer.from(String(signature || ''));
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    /**
+     * Store a pending lookup for the prospect; resolves to { lookup,
+     * callbackUrl }. `lookup.created` is false when one was already pending.
+     */
+    async createLookup({ prospectId, taskId = null, folderId = null, item }) {
+        const lookup = await this.db.createSignalHireLookup({ prospectId, taskId, folderId, item });
+
+        const url = new URL(this.callbackUrl);
+        url.searchParams.set('lookup', lookup.id);
+        url.searchParams.set('signature', this.sign(lookup.id));
+
+        return { lookup, callbackUrl: url.toString() };
+    }
+
+    async markSubmitted(lookupId, requestId) {
+        await this.db.setSignalHireLookupRequest(lookupId, requestId === null ? null : String(requestId));
+    }
+
+    // The request for a lookup failed, so no callback will come
+    async cancelLookup(lookupId) {
+        await this.db.deleteSignalHireLookup(lookupId);
+    }
+
+    /**
+     * Handle a POST to /api/webhooks/signalhire. `body` is SignalHire's array
+     * of { item, status, candidate }; only the entry for the lookup's item is
+     * used. A lookup that was already answered is rejected (409), so a replayed
+     * callback cannot change the prospect.
+     */
+    async handleCallback({ lookupId, signature, body }) {
+        if (!this.isEnabled()) {
+            const error = new Error('SignalHire webhooks are not configured');
+            error.status = 503;
+            throw error;
+        }
+
+        const id = parseInt(lookupId);
+        if (!Number.isInteger(id) || !this.verifySignature(id, signature)) {
+            const error = new Error('Invalid signature');
+            error.status = 401;
+            throw error;
+        }
+
+        const lookup = await this.db.getSignalHireLookup(id);
+        if (!lookup) {
+            const error = new Error('Lookup not found');
+            error.status = 404;
+            throw error;
+        }
+        // A late answer to an expired lookup is still stored, but its task was already advanced
+        if (lookup.status !== 'pending' && lookup.status !== 'expired') {
+            throw alreadyAnswered(id);
+        }
+
+        const results = (Array.isArray(body) ? body : [body]).filter(result => result && typeof result === 'object');
+        if (results.length === 0) {
+            const error = new Error('Expected an array of lookup results');
+            error.status = 400;
+            throw error;
+        }
+        const entry = results.find(result => normalizeItem(result.item) === normalizeItem(lookup.item));
+        if (!entry) {
+            const error = new Error(`No result for the lookup's item (${lookup.item})`);
+            error.status = 400;
+            throw error;
+        }
+
+        const contact = entry.status === 'success' ? parseSignalHireCandidate(entry.candidate) : null;
+        const finished = await this.db.finishSignalHireLookup(id, {
+            status: contact ? 'completed' : 'failed',
+            resultStatus: entry.status || null,
+            result: entry,
+            emailFound: !!contact?.email
+        });
+        if (!finished) {
+            throw alreadyAnswered(id); // a concurrent delivery got there first
+        }
+
+        const prospect = await this.db.getProspect(lookup.prospect_id);
+        await runWithUsageContext(
+            { folderId: lookup.folder_id, taskId: lookup.task_id, companyId: prospect?.company_id },
+            () => this.recordUsage(entry, !!contact)
+        );
+
+        const emailAdded = contact && prospect ? await this.applyContact(prospect, contact) : false;
+        if (!emailAdded && prospect && this.emailPatterns && (!prospect.email || prospect.email_guessed)) {
+            await this.db.getProspect(prospect.id)
+                .then(current => this.emailPatterns.guessProspectEmail(current))
+                .catch(error => console.error(`[SignalHire] Failed to guess email of prospect ${prospect.id}:`, error.message));
+        }
+
+        if (lookup.status === 'pending') {
+            await this.finishLookups([lookup]);
+        }
+
+        console.log(`[SignalHire] Lookup ${id} for prospect ${lookup.prospect_id}: ${entry.status}${emailAdded ? ', email added' : ''}`);
+        return { lookup_id: id, status: finished.status, result_status: entry.status || null, email_added: emailAdded };
+    }
+
+    // Fill the prospect's empty contact fields from the SignalHire profile; true when it gained an email
+    async applyContact(prospect, contact) {
+        const currentEmail = prospect.email_guessed ? null : prospect.email;
+        const sources = { ...(prospect.contact_sources || {}) };
+        if (!currentEmail && contact.email) sources.email = 'signalhire';
+        if (!prospect.phone && contact.phone) sources.phone = 'signalhire';
+
+        const email = currentEmail || contact.email || prospect.email || null;
+        const phone = prospect.phone || contact.phone || null;
+        if (email === prospect.email && phone === prospect.phone) return false;
+
+        await this.db.updateProspectContact(prospect.id, email, phone, !!email, sources);
+
+        const emailAdded = !currentEmail && !!contact.email;
+        if (emailAdded && this.emailVerification) {
+            await this.emailVerification.verifyProspect({ id: prospect.id, email }, { providerVerified: contact.email_verified })
+                .catch(error => console.error(`[SignalHire] Failed to verify email of prospect ${prospect.id}:`, error.message));
+        }
+        return emailAdded;
+    }
+
+    async recordUsage(entry, success) {
+        if (!this.usage) return;
+
+        await this.usage.record({
+            provider: 'signalhire',
+            operation: 'person_lookup_callback',
+            credits: success ? 1 : 0, // revealing a profile costs a credit
+            success,
+            error: success ? null : entry.status || 'no result'
+        }).catch(error => console.error('[Usage] Failed to record signalhire callback:', error.message));
+    }
+
+    // Lookups never answered count as done (without data) after SIGNALHIRE_LOOKUP_EXPIRE_HOURS
+    async expireStaleLookups() {
+        const expired = await this.db.expireSignalHireLookups(this.expireAfterHours);
+        if (expired.length > 0) {
+            console.log(`[SignalHire] Expired ${expired.length} lookups without a callback after ${this.expireAfterHours}h`);
+            await this.finishLookups(expired);
+        }
+        return { expired_count: expired.length };
+    }
+
+    // Advance the tasks of finished lookups and notify once a task has none pending
+    async finishLookups(lookups) {
+        const byTask = new Map();
+        for (const lookup of lookups) {
+            if (!lookup.task_id) continue;
+            byTask.set(lookup.task_id, { folderId: lookup.folder_id, count: (byTask.get(lookup.task_id)?.count || 0) + 1 });
+        }
+
+        for (const [taskId, { folderId, count }] of byTask) {
+            await this.db.advanceTaskProgress(taskId, count);
+
+            const counts = await this.db.getSignalHireLookupCounts(taskId);
+            if (counts.pending > 0 || !folderId) continue;
+
+            const answered = counts.completed + counts.failed + counts.expired;
+            await this.db.createNotification(
+                'contacts_enriched',
+                'SignalHire Lookups Complete',
+                `SignalHire answered ${answered} delayed lookups, ${counts.email_found} with an email address`,
+                `/folders/${folderId}`,
+                { folderId }
+            );
+        }
+    }
+}
@@ -0,0 +1,147 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HubSpotCrm, PipedriveCrm, CrmSyncService, statusesBefore } from '../crm-sync.js';
+
+// Answers fetch calls from `routes` (method + path without query -> JSON body) and records them
+function mockFetch(routes) {
+    const calls = [];
+    globalThis.fetch = async (url, options = {}) => {
+        const { pathname } = new URL(url);
+        const key = `${options.method || 'GET'} ${pathname}`;
+        calls.push({ key, url, body: options.body ? JSON.parse(options.body) : undefined });
+
+        const route = routes[key];
+        if (route === undefined) {
+            return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+        }
+        return new Response(JSON.stringify(route), { status: 200 });
+    };
+    return calls;
+}
+
+// The parts of the database the deal pull uses, with updateProspectStatus's onlyFrom rule
+function createDb(links, statuses) {
+    return {
+        statuses,
+        activities: [],
+        getCrmDealLinks: async () => links,
+        updateCrmLinkStage: async (id, stage) => {
+            links.find(link => link.id === id).crm_stage = stage;
+        },
+        updateProspectStatus: async function (id, status, { onlyFrom = null, note = null } = {}) {
+            const from = this.statuses[id];
+            if (from === status || (onlyFrom && !onlyFrom.includes(from))) return null;
+            this.statuses[id] = status;
+            this.activities.push({ id, from, to: status, note });
+            return { prospect: { id, status } };
+        }
+    };
+}
+
+const originalFetch = globalThis.fetch;
+
+describe('statusesBefore', () => {
+    test('allows only earlier pipeline statuses', () => {
+        assert.deepEqual(statusesBefore('contacted'), ['new']);
+        assert.deepEqual(statusesBefore('meeting_booked'), ['new', 'contacted', 'replied']);
+    });
+
+    test('never reopens a closed prospect', () => {
+        for (const closed of ['won', 'lost', 'not_interested']) {
+            assert.deepEqual(statusesBefore(closed), ['new', 'contacted', 'replied', 'meeting_booked']);
+        }
+    });
+});
+
+describe('HubSpot deal pull', () => {
+    let calls;
+
+    beforeEach(() => {
+        calls = mockFetch({
+            'POST /crm/v3/objects/deals/batch/read': {
+                results: [
+                    { id: '101', properties: { dealstage: 'closedwon' } },
+                    { id: '102', properties: { dealstage: 'appointmentscheduled' } },
+                    { id: '103', properties: { dealstage: 'closedlost' } }
+                ]
+            }
+        });
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    test('reads the stages of all linked deals in one batch', async () => {
+        const crm = new HubSpotCrm({ accessToken: 'token' });
+        const stages = await crm.getDealStages(['101', '102', '103']);
+
+        assert.equal(calls.length, 1);
+        assert.deepEqual(calls[0].body.inputs, [{ id: '101' }, { id: '102' }, { id: '103' }]);
+        assert.deepEqual(Object.fromEntries(stages), { 101: 'closedwon', 102: 'appointmentscheduled', 103: 'closedlost' });
+    });
+
+    test('maps stages to pipeline statuses, only moving prospects forward', async () => {
+        const links = [
+            { id: 1, local_id: 11, external_id: '101', crm_stage: 'appointmentscheduled' },
+            { id: 2, local_id: 12, external_id: '102', crm_stage: null },
+            { id: 3, local_id: 13, external_id: '103', crm_stage: 'closedlost' }
+        ];
+        const db = createDb(links, { 11: 'replied', 12: 'won', 13: 'meeting_booked' });
+        const sync = new CrmSyncService({ db, crm: new HubSpotCrm({ accessToken: 'token' }) });
+
+        const result = await sync.pullDealStages();
+
+        assert.deepEqual(result, { checked: 3, changed: 2 });
+        assert.equal(db.statuses[11], 'won');
+        assert.equal(db.statuses[12], 'won', 'a won prospect is not moved back to meeting_booked');
+        assert.equal(db.statuses[13], 'meeting_booked', 'an unchanged stage is not applied again');
+        assert.equal(links[1].crm_stage, 'appointmentscheduled', 'the CRM stage is stored even when the status stays');
+        assert.deepEqual(db.activities, [{ id: 11, from: 'replied', to: 'won', note: 'Deal moved to "closedwon" in HubSpot' }]);
+    });
+});
+
+describe('Pipedrive deal pull', () => {
+    beforeEach(() => {
+        mockFetch({
+            'GET /v1/stages': {
+                data: [
+                    { id: 1, name: 'Lead In' },
+                    { id: 2, name: 'Contact Made' },
+                    { id: 3, name: 'Demo Scheduled' }
+                ]
+            },
+            'GET /v1/deals/201': { data: { id: 201, stage_id: 2, status: 'open' } },
+            'GET /v1/deals/202': { data: { id: 202, stage_id: 3, status: 'open' } },
+            'GET /v1/deals/203': { data: { id: 203, stage_id: 3, status: 'lost' } }
+        });
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    test('uses lowercase stage names, with won/lost status over the stage, and skips deleted deals', async () => {
+        const crm = new PipedriveCrm({ apiToken: 'token' });
+        const stages = await crm.getDealStages(['201', '202', '203', '204']);
+
+        assert.deepEqual(Object.fromEntries(stages), { 201: 'contact made', 202: 'demo scheduled', 203: 'lost' });
+    });
+
+    test('does not move a replied prospect back to contacted', async () => {
+        const links = [
+            { id: 1, local_id: 21, external_id: '201', crm_stage: 'lead in' },
+            { id: 2, local_id: 22, external_id: '202', crm_stage: 'contact made' },
+            { id: 3, local_id: 23, external_id: '203', crm_stage: 'demo scheduled' }
+        ];
+        const db = createDb(links, { 21: 'replied', 22: 'contacted', 23: 'meeting_booked' });
+        const sync = new CrmSyncService({ db, crm: new PipedriveCrm({ apiToken: 'token' }) });
+
+        await sync.pullDealStages();
+
+        assert.equal(db.statuses[21], 'replied');
+        assert.equal(db.statuses[22], 'meeting_booked');
+        assert.equal(db.statuses[23], 'lost');
+        assert.equal(links[0].crm_stage, 'contact made');
+    });
+});
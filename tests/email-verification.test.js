@@ -0,0 +1,194 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailVerificationService, checkEmailSyntax, isSendableEmail } from '../email-verification.js';
+
+const MX = [{ exchange: 'mx2.acme.com', priority: 20 }, { exchange: 'mx1.acme.com', priority: 10 }];
+
+// MX records per domain; a domain mapped to an error code fails with it
+function createResolver(domains) {
+    const calls = [];
+    const resolveMx = async (domain) => {
+        calls.push(domain);
+        const records = domains[domain];
+        if (typeof records === 'string') throw Object.assign(new Error(`queryMx ${records} ${domain}`), { code: records });
+        return records || [];
+    };
+    return { resolveMx, calls };
+}
+
+// RCPT reply codes: `answer(recipient)` for each recipient, or a thrown error
+function createProbe(answer) {
+    const calls = [];
+    const probeSmtp = async (host, recipients) => {
+        calls.push({ host, recipients });
+        return recipients.map(recipient => {
+            const code = answer(recipient);
+            if (code instanceof Error) throw code;
+            return code;
+        });
+    };
+    return { probeSmtp, calls };
+}
+
+function createService({ domains = { 'acme.com': MX }, answer = null } = {}) {
+    const resolver = createResolver(domains);
+    const probe = answer ? createProbe(answer) : null;
+    const service = new EmailVerificationService({
+        resolveMx: resolver.resolveMx,
+        probeSmtp: probe?.probeSmtp,
+        smtpProbe: !!probe,
+        heloHost: 'verify.test'
+    });
+    return { service, resolver, probe };
+}
+
+// The mailbox under test is accepted or rejected; every other address gets `otherCode`
+const mailbox = (address, code, otherCode = 550) => recipient => (recipient === address ? code : otherCode);
+
+describe('checkEmailSyntax', () => {
+    test('accepts ordinary addresses and rejects malformed ones', () => {
+        assert.equal(checkEmailSyntax('jane.doe+eu@acme.co.uk'), true);
+        for (const email of ['', 'jane', 'jane@', '@acme.com', 'jane@acme', 'jane..doe@acme.com', 'jane doe@acme.com', `${'a'.repeat(65)}@acme.com`]) {
+            assert.equal(checkEmailSyntax(email), false, email);
+        }
+    });
+});
+
+describe('EmailVerificationService.verify', () => {
+    test('malformed addresses are invalid without a DNS lookup', async () => {
+        const { service, resolver } = createService();
+        const result = await service.verify('jane@@acme.com');
+
+        assert.equal(result.status, 'invalid');
+        assert.equal(result.reason, 'syntax');
+        assert.deepEqual(resolver.calls, []);
+    });
+
+    test('disposable domains are invalid', async () => {
+        const { service, resolver } = createService();
+        const result = await service.verify('someone@mailinator.com');
+
+        assert.equal(result.status, 'invalid');
+        assert.equal(result.reason, 'disposable');
+        assert.equal(result.checks.disposable, true);
+        assert.deepEqual(resolver.calls, []);
+    });
+
+    test('a domain without MX records is invalid', async () => {
+        const { service } = createService({ domains: { 'gone.com': 'ENOTFOUND' } });
+        const result = await service.verify('jane@gone.com');
+
+        assert.equal(result.status, 'invalid');
+        assert.equal(result.reason, 'no_mx');
+        assert.equal(result.checks.mx, false);
+    });
+
+    test('a DNS failure is unknown and is not cached', async () => {
+        const { service, resolver } = createService({ domains: { 'acme.com': 'ETIMEOUT' } });
+
+        const result = await service.verify('jane@acme.com');
+        await service.verify('john@acme.com');
+
+        assert.equal(result.status, 'unknown');
+        assert.equal(result.reason, 'dns_error');
+        assert.deepEqual(resolver.calls, ['acme.com', 'acme.com']);
+    });
+
+    test('without a probe, MX records alone leave the mailbox unconfirmed', async () => {
+        const { service } = createService();
+        const result = await service.verify('Jane@Acme.com');
+
+        assert.equal(result.status, 'unknown');
+        assert.equal(result.reason, 'mailbox_unconfirmed');
+        assert.equal(result.checks.mx_host, 'mx1.acme.com');
+    });
+
+    test('an email the provider verified is valid, unless it is a role address', async () => {
+        const { service } = createService();
+
+        const person = await service.verify('jane@acme.com', { providerVerified: true });
+        assert.equal(person.status, 'valid');
+        assert.equal(person.reason, 'provider_verified');
+
+        const role = await service.verify('sales+eu@acme.com', { providerVerified: true });
+        assert.equal(role.status, 'risky');
+        assert.equal(role.reason, 'role_address');
+        assert.equal(role.checks.role, true);
+    });
+
+    test('a mailbox accepted over SMTP on a domain that rejects random addresses is valid', async () => {
+        const { service, probe } = createService({ answer: mailbox('jane@acme.com', 250) });
+        const result = await service.verify('jane@acme.com');
+
+        assert.equal(result.status, 'valid');
+        assert.equal(result.reason, 'smtp_accepted');
+        assert.equal(result.checks.smtp, 'accepted');
+        assert.equal(result.checks.catch_all, false);
+        assert.equal(probe.calls[0].host, 'mx1.acme.com');
+        assert.equal(probe.calls[0].recipients.length, 2);
+    });
+
+    test('a mailbox the server rejects is invalid, even when the provider verified it', async () => {
+        const { service } = createService({ answer: mailbox('jane@acme.com', 550) });
+        const result = await service.verify('jane@acme.com', { providerVerified: true });
+
+        assert.equal(result.status, 'invalid');
+        assert.equal(result.reason, 'mailbox_rejected');
+    });
+
+    test('a catch-all domain is risky and is only probed for it once', async () => {
+        const { service, probe } = createService({ answer: () => 250 });
+
+        const first = await service.verify('jane@acme.com');
+        const second = await service.verify('john@acme.com');
+
+        assert.equal(first.status, 'risky');
+        assert.equal(first.reason, 'catch_all');
+        assert.equal(second.reason, 'catch_all');
+        assert.deepEqual(probe.calls[1].recipients, ['john@acme.com']);
+    });
+
+    test('a greylisted or failed probe decides nothing', async () => {
+        const greylisted = createService({ answer: mailbox('jane@acme.com', 451) });
+        const result = await greylisted.service.verify('jane@acme.com');
+        assert.equal(result.checks.smtp, null);
+        assert.equal(result.reason, 'mailbox_unconfirmed');
+
+        const failed = createService({ answer: () => new Error('connect ECONNREFUSED') });
+        const fallback = await failed.service.verify('jane@acme.com', { providerVerified: true });
+        assert.equal(fallback.checks.smtp, null);
+        assert.equal(fallback.status, 'valid');
+        assert.equal(fallback.reason, 'provider_verified');
+    });
+});
+
+describe('EmailVerificationService.verifyProspect', () => {
+    test('stores the outcome and reuses the provider verdict kept on the prospect', async () => {
+        const saved = [];
+        const { service } = createService();
+        service.db = { saveEmailVerification: async (id, email, result) => saved.push({ id, email, result }) };
+
+        const result = await service.verifyProspect({ id: 7, email: 'jane@acme.com', email_checks: { provider_verified: true } });
+
+        assert.equal(result.status, 'valid');
+        assert.deepEqual(saved.map(({ id, email }) => ({ id, email })), [{ id: 7, email: 'jane@acme.com' }]);
+        assert.equal(await service.verifyProspect({ id: 8, email: null }), null);
+    });
+});
+
+describe('isSendableEmail', () => {
+    test('only valid emails are sendable by default', () => {
+        assert.equal(isSendableEmail({ email: 'jane@acme.com', email_status: 'valid' }), true);
+        for (const email_status of ['risky', 'unknown', 'invalid', null]) {
+            assert.equal(isSendableEmail({ email: 'jane@acme.com', email_status }), false, String(email_status));
+        }
+        assert.equal(isSendableEmail({ email: null, email_status: 'valid' }), false);
+    });
+
+    test('risky emails with allowRisky, and any email with includeUnverified', () => {
+        assert.equal(isSendableEmail({ email: 'info@acme.com', email_status: 'risky' }, { allowRisky: true }), true);
+        assert.equal(isSendableEmail({ email: 'jane@acme.com', email_status: 'invalid' }, { allowRisky: true }), false);
+        assert.equal(isSendableEmail({ email: 'jane@acme.com', email_status: null }, { includeUnverified: true }), true);
+        assert.equal(isSendableEmail({ email: null }, { includeUnverified: true }), false);
+    });
+});
@@ -0,0 +1,86 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HiringSignalService } from '../hiring-signals.js';
+
+// Sightings stored by (domain, job_key) like company_job_sightings; surges counted from them
+function createDb() {
+    return {
+        sightings: new Map(),
+        surges: [],
+        notifications: [],
+        recordJobSightings: async function (rows) {
+            for (const row of rows) {
+                const key = `${row.domain}|${row.job_key}`;
+                const existing = this.sightings.get(key);
+                this.sightings.set(key, { ...row, seen_count: (existing?.seen_count || 0) + 1 });
+            }
+        },
+        getSurgingDomains: async function (domains, { minRoles }) {
+            return domains.map(domain => {
+                const roles = [...this.sightings.values()].filter(s => s.domain === domain && s.is_gtm);
+                return { domain, company_name: roles[0]?.company_name, gtm_role_count: roles.length, job_titles: roles.map(s => s.job_title) };
+            }).filter(candidate => candidate.gtm_role_count >= minRoles);
+        },
+        recordHiringSurge: async function (surge) {
+            this.surges.push(surge);
+            return surge;
+        },
+        createNotification: async function (type) {
+            this.notifications.push(type);
+        }
+    };
+}
+
+function job(id, title, source) {
+    return { id, job_title: title, company: 'Acme Corp', company_domain: 'acme.com', source, date_posted: new Date().toISOString() };
+}
+
+describe('HiringSignalService.recordJobs', () => {
+    let db;
+    let service;
+
+    beforeEach(() => {
+        db = createDb();
+        service = new HiringSignalService({ db, minRoles: 3, windowDays: 30 });
+    });
+
+    test('one role listed by two sources counts once', async () => {
+        await service.recordJobs([
+            job('jsearch:abc', 'GTM Engineer', 'jsearch'),
+            job('jsearch:def', 'GTM Engineer (Remote)', 'jsearch'),
+            job('greenhouse:123', 'SDR', 'greenhouse')
+        ], { workspaceId: 1 });
+        const { surges } = await service.recordJobs([
+            job('theirstack:987', 'gtm engineer', 'theirstack'),
+            job('theirstack:654', 'SDR', 'theirstack')
+        ], { workspaceId: 1 });
+
+        assert.equal(db.sightings.size, 2);
+        assert.equal(db.sightings.get('acme.com|gtm engineer').seen_count, 2);
+        assert.deepEqual(surges, []);
+        assert.deepEqual(db.notifications, []);
+    });
+
+    test('three different GTM roles are a surge', async () => {
+        const { recorded_count, surges } = await service.recordJobs([
+            job('jsearch:abc', 'GTM Engineer', 'jsearch'),
+            job('greenhouse:123', 'SDR', 'greenhouse'),
+            job('lever:x1', 'RevOps Manager', 'lever')
+        ], { workspaceId: 1 });
+
+        assert.equal(recorded_count, 3);
+        assert.equal(surges.length, 1);
+        assert.equal(surges[0].roleCount, 3);
+        assert.deepEqual(db.notifications, ['hiring_surge']);
+    });
+
+    test('jobs without a domain or title are not recorded', async () => {
+        const { recorded_count } = await service.recordJobs([
+            { ...job('a', 'GTM Engineer', 'jsearch'), company_domain: null },
+            job('b', '', 'jsearch'),
+            job('c', '(Remote)', 'jsearch')
+        ]);
+
+        assert.equal(recorded_count, 0);
+    });
+});
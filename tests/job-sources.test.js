@@ -0,0 +1,113 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobSearchService, JSearchSource, LeverSource, AshbySource } from '../job-sources.js';
+
+// Answers fetch calls from `routes` (host + path without query -> JSON body)
+function mockFetch(routes) {
+    globalThis.fetch = async (url) => {
+        const { host, pathname } = new URL(url);
+        const route = routes[`${host}${pathname}`];
+        if (route === undefined) {
+            return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+        }
+        return new Response(JSON.stringify(route), { status: 200 });
+    };
+}
+
+const originalFetch = globalThis.fetch;
+const postedAt = new Date().toISOString();
+
+const JSEARCH_RESULTS = {
+    data: [{
+        job_id: 'abc123',
+        job_title: 'Account Executive',
+        employer_name: 'Acme Corp',
+        employer_website: 'https://www.acme.com',
+        job_country: 'US',
+        job_posted_at_datetime_utc: postedAt,
+        job_apply_link: 'https://jobs.lever.co/acme-corp/1111'
+    }]
+};
+
+const LEVER_POSTINGS = [{
+    id: '1111',
+    text: 'Account Executive (Remote)',
+    createdAt: Date.now(),
+    categories: { location: 'Remote, US' },
+    descriptionPlain: 'Sell rockets to road runners.',
+    hostedUrl: 'https://jobs.lever.co/acme-corp/1111',
+    applyUrl: 'https://jobs.lever.co/acme-corp/1111/apply'
+}];
+
+const ASHBY_BOARD = {
+    jobs: [{
+        id: 'a-1',
+        title: 'Account Executive',
+        location: 'Remote',
+        publishedAt: postedAt,
+        jobUrl: 'https://jobs.ashbyhq.com/acme-corp/a-1',
+        applyUrl: 'https://careers.acme.io/apply/a-1'
+    }]
+};
+
+function createService() {
+    return new JobSearchService({
+        sources: [
+            new JSearchSource({ apiKey: 'test-key' }),
+            new LeverSource({ boards: 'acme-corp' }),
+            new AshbySource({ boards: 'acme-corp' })
+        ]
+    });
+}
+
+describe('JobSearchService.search', () => {
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    test('a posting from a board without a domain merges with the same posting from an aggregator', async () => {
+        mockFetch({
+            'jsearch.p.rapidapi.com/search': JSEARCH_RESULTS,
+            'api.lever.co/v0/postings/acme-corp': LEVER_POSTINGS
+        });
+
+        const result = await createService().search({ query: 'account executive', sources: ['lever', 'jsearch'] });
+
+        assert.equal(result.total, 1);
+        assert.deepEqual(result.data[0].sources, ['lever', 'jsearch']);
+        assert.equal(result.data[0].id, 'lever:1111');
+        assert.equal(result.data[0].company_domain, 'acme.com');
+    });
+
+    test('the merged posting is also found by its domain, whichever source came first', async () => {
+        mockFetch({
+            'jsearch.p.rapidapi.com/search': JSEARCH_RESULTS,
+            'api.lever.co/v0/postings/acme-corp': LEVER_POSTINGS,
+            'api.ashbyhq.com/posting-api/job-board/acme-corp': { jobs: [{ ...ASHBY_BOARD.jobs[0], applyUrl: null }] }
+        });
+
+        const result = await createService().search({ query: 'account executive', sources: ['jsearch', 'lever', 'ashby'] });
+
+        assert.equal(result.total, 1);
+        assert.deepEqual(result.data[0].sources, ['jsearch', 'lever', 'ashby']);
+    });
+
+    test('a board takes the employer domain from an apply url off the ATS host', async () => {
+        mockFetch({ 'api.ashbyhq.com/posting-api/job-board/acme-corp': ASHBY_BOARD });
+
+        const result = await createService().search({ query: 'account executive', sources: ['ashby'] });
+
+        assert.equal(result.data[0].company_domain, 'careers.acme.io');
+    });
+
+    test('companies with the same name on different domains stay apart', async () => {
+        mockFetch({
+            'jsearch.p.rapidapi.com/search': JSEARCH_RESULTS,
+            'api.ashbyhq.com/posting-api/job-board/acme-corp': ASHBY_BOARD
+        });
+
+        const result = await createService().search({ query: 'account executive', sources: ['jsearch', 'ashby'] });
+
+        assert.equal(result.total, 2);
+    });
+});
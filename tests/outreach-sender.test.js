@@ -0,0 +1,314 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { OutreachSender } from '../outreach-sender.js';
+
+// A local SMTP server that accepts every message, or answers RCPT TO with `rcptReply`
+function createSmtpServer() {
+    const server = net.createServer(socket => {
+        let inData = false;
+        let data = '';
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.write('220 localhost ESMTP\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        server.messages.push(data);
+                        data = '';
+                        socket.write('250 OK queued\r\n');
+                    } else {
+                        data += `${line}\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') socket.write('250 localhost\r\n');
+                else if (command === 'RCPT') socket.write(`${server.rcptReply}\r\n`);
+                else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+                else if (command === 'QUIT') { socket.end('221 Bye\r\n'); }
+                else socket.write('250 OK\r\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+    server.messages = [];
+    server.rcptReply = '250 OK';
+    return server;
+}
+
+const STEPS = [
+    { subject: 'Rockets', body: 'Hi Jane', delay_days: 0 },
+    { subject: 'Re: Rockets', body: 'Following up', delay_days: 3 }
+];
+
+// One enrollment with one due message, stored the way the outreach tables keep them
+function createDb(port) {
+    return {
+        mailbox: {
+            id: 4, from_email: 'sales@example.com', from_name: null, daily_limit: 50, updated_at: 'v1',
+            smtp_host: '127.0.0.1', smtp_port: port, smtp_secure: false, smtp_user: null
+        },
+        enrollment: { id: 8, prospect_id: 5, folder_id: 2, mailbox_id: 4, status: 'active', timezone: 'UTC', steps: STEPS },
+        message: { id: 30, enrollment_id: 8, prospect_id: 5, mailbox_id: 4, step: 1, to_email: 'jane@acme.com', subject: 'Rockets', body: 'Hi Jane', status: 'sending' },
+        sentToday: 0,
+        scheduled: [],
+        rescheduled: [],
+        activities: [],
+        notifications: [],
+        getEnrollment: async function () {
+            return { ...this.enrollment };
+        },
+        getMailbox: async function () {
+            return { ...this.mailbox };
+        },
+        countMailboxSentToday: async function () {
+            return this.sentToday;
+        },
+        rescheduleOutreachMessage: async function (id, scheduledAt) {
+            if (this.message.status === 'sent') return null;
+            this.message.status = 'scheduled';
+            this.rescheduled.push(scheduledAt);
+            return { ...this.message };
+        },
+        markOutreachMessageSent: async function (id, messageId) {
+            if (this.message.status !== 'sending') return null;
+            Object.assign(this.message, { status: 'sent', message_id: messageId });
+            return { ...this.message };
+        },
+        markOutreachMessageFailed: async function (id, error) {
+            Object.assign(this.message, { status: 'failed', error_message: error });
+        },
+        scheduleOutreachMessage: async function (message) {
+            this.scheduled.push(message);
+            return message;
+        },
+        updateEnrollmentStatus: async function (id, status) {
+            this.enrollment.status = status;
+            return { ...this.enrollment };
+        },
+        cancelScheduledMessages: async function () {
+            return this.scheduled.length;
+        },
+        createProspectActivity: async function (prospectId, activity) {
+            this.activities.push(activity.metadata.direction);
+        },
+        updateProspectStatus: async function () {},
+        findSentMessageByMessageIds: async function (ids) {
+            return ids.includes(this.message.message_id) ? { ...this.message } : null;
+        },
+        findEnrollmentBySender: async function () {
+            return null;
+        },
+        recordOutreachReply: async function (reply) {
+            return { message_id: reply.messageId, received_at: reply.receivedAt };
+        },
+        getProspect: async function () {
+            return { name: 'Jane Doe', company_name: 'Acme Corp' };
+        },
+        createNotification: async function (type) {
+            this.notifications.push(type);
+        }
+    };
+}
+
+// Around the clock, every day, unless a test narrows it
+const ALWAYS = { businessHours: '0-24', businessDays: '0-6' };
+
+describe('OutreachSender.sendMessage', () => {
+    let smtp;
+    let db;
+
+    before(async () => {
+        smtp = createSmtpServer();
+        await new Promise(resolve => smtp.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(() => new Promise(resolve => smtp.close(resolve)));
+
+    beforeEach(() => {
+        smtp.messages = [];
+        smtp.rcptReply = '250 OK';
+        db = createDb(smtp.address().port);
+    });
+
+    test('sends a due step, marks it sent and schedules the next one', async () => {
+        const sender = new OutreachSender({ db, config: ALWAYS });
+        await sender.sendMessage({ ...db.message });
+
+        assert.equal(smtp.messages.length, 1);
+        assert.match(smtp.messages[0], /Subject: Rockets/);
+        assert.equal(db.message.status, 'sent');
+        assert.ok(db.message.message_id);
+        assert.deepEqual(db.scheduled.map(m => m.step), [2]);
+        assert.deepEqual(db.activities, ['outbound']);
+    });
+
+    test('outside business hours the message is moved to the next business day, unsent', async () => {
+        // Only tomorrow is a business day
+        const tomorrow = (new Date().getUTCDay() + 1) % 7;
+        const sender = new OutreachSender({ db, config: { businessHours: '9-17', businessDays: String(tomorrow) } });
+        await sender.sendMessage({ ...db.message });
+
+        assert.equal(smtp.messages.length, 0);
+        assert.equal(db.rescheduled.length, 1);
+        assert.equal(db.rescheduled[0].getUTCDay(), tomorrow);
+        // In 15 minute steps from now, so within the first quarter hour of the opening
+        assert.equal(db.rescheduled[0].getUTCHours(), 9);
+        assert.ok(db.rescheduled[0].getUTCMinutes() < 15);
+    });
+
+    test('a mailbox at its daily limit sends nothing until the next UTC day', async () => {
+        db.sentToday = db.mailbox.daily_limit;
+        const sender = new OutreachSender({ db, config: ALWAYS });
+        await sender.sendMessage({ ...db.message });
+
+        const midnight = new Date();
+        midnight.setUTCHours(24, 0, 0, 0);
+        assert.equal(smtp.messages.length, 0);
+        assert.deepEqual(db.rescheduled, [midnight]);
+    });
+
+    test('a temporary SMTP failure retries later, a permanent one stops the sequence', async () => {
+        smtp.rcptReply = '451 Try again later';
+        const sender = new OutreachSender({ db, config: ALWAYS });
+        await sender.sendMessage({ ...db.message });
+
+        assert.equal(db.message.status, 'scheduled');
+        assert.equal(db.rescheduled.length, 1);
+        assert.ok(db.rescheduled[0] > new Date());
+
+        smtp.rcptReply = '550 No such user';
+        db.message.status = 'sending';
+        await sender.sendMessage({ ...db.message });
+
+        assert.equal(db.message.status, 'failed');
+        assert.equal(db.enrollment.status, 'failed');
+        assert.deepEqual(db.notifications, ['outreach_send_failed']);
+    });
+
+    test('a sent message is never sent again nor put back in the queue', async () => {
+        const sender = new OutreachSender({ db, config: ALWAYS });
+        db.scheduleOutreachMessage = async () => { throw new Error('connection terminated'); };
+        await sender.sendMessage({ ...db.message });
+
+        assert.equal(db.message.status, 'sent');
+        assert.deepEqual(db.rescheduled, []);
+
+        // Run again over the daily limit, the reschedule can't touch it either
+        db.sentToday = db.mailbox.daily_limit;
+        await sender.sendMessage({ ...db.message });
+        assert.equal(db.message.status, 'sent');
+        assert.equal(smtp.messages.length, 1);
+    });
+
+    test('a message failed as interrupted while it was sending is not continued', async () => {
+        const sender = new OutreachSender({ db, config: ALWAYS });
+        await db.markOutreachMessageFailed(db.message.id, 'Interrupted while sending');
+        await sender.sendMessage({ ...db.message, status: 'sending' });
+
+        assert.equal(db.message.status, 'failed');
+        assert.deepEqual(db.scheduled, []);
+        assert.deepEqual(db.activities, []);
+    });
+});
+
+describe('OutreachSender.sendDueMessages', () => {
+    test('claims one message at a time, up to the batch size', async () => {
+        const claims = [];
+        const sent = [];
+        const db = {
+            failStaleSendingMessages: async () => [],
+            claimDueOutreachMessages: async (limit) => { claims.push(limit); return [{ id: claims.length }]; }
+        };
+        const sender = new OutreachSender({ db, config: { batchSize: 3 } });
+        sender.sendMessage = async (message) => { sent.push(message.id); };
+
+        assert.equal(await sender.sendDueMessages(), 3);
+        assert.deepEqual(claims, [1, 1, 1]);
+        assert.deepEqual(sent, [1, 2, 3]);
+    });
+});
+
+// An IMAP client whose INBOX holds `messages` (as fetched with envelope and headers)
+function createImapClient(messages, { failConnect = false } = {}) {
+    const client = {
+        closed: false,
+        mailbox: { uidValidity: 1 },
+        connect: async () => { if (failConnect) throw new Error('Authentication failed'); },
+        logout: async () => { if (failConnect) throw new Error('Connection not available'); client.closed = true; },
+        close: () => { client.closed = true; },
+        getMailboxLock: async () => ({ release: () => {} }),
+        fetchAll: async () => messages
+    };
+    return client;
+}
+
+function inbound(uid, headers, inReplyTo) {
+    return {
+        uid,
+        envelope: { from: [{ address: 'jane@acme.com' }], subject: 'Re: Rockets', messageId: `<reply-${uid}@acme.com>`, inReplyTo, date: new Date() },
+        headers: Buffer.from(headers)
+    };
+}
+
+describe('OutreachSender reply detection', () => {
+    let db;
+    let sender;
+
+    beforeEach(() => {
+        db = createDb(25);
+        Object.assign(db.message, { status: 'sent', message_id: '<step-1@example.com>' });
+        db.mailbox = { ...db.mailbox, imap_host: 'imap.example.com', created_at: new Date() };
+        db.updateMailboxImapState = async function (id, state) { this.imapState = state; };
+        sender = new OutreachSender({ db });
+    });
+
+    test('a reply stops the sequence', async () => {
+        const client = createImapClient([inbound(7, 'References: <step-1@example.com>\r\n', '<step-1@example.com>')]);
+        sender.createImapClient = () => client;
+        await sender.pollMailbox(db.mailbox);
+
+        assert.equal(db.enrollment.status, 'replied');
+        assert.deepEqual(db.activities, ['inbound']);
+        assert.deepEqual(db.notifications, ['outreach_reply']);
+        assert.deepEqual(db.imapState, { lastUid: 7, uidValidity: '1' });
+        assert.equal(client.closed, true);
+    });
+
+    test('an auto-reply does not stop the sequence', async () => {
+        sender.createImapClient = () => createImapClient([
+            inbound(8, 'Auto-Submitted: auto-replied\r\n', '<step-1@example.com>'),
+            inbound(9, 'X-Autoreply: yes\r\n', '<step-1@example.com>')
+        ]);
+        await sender.pollMailbox(db.mailbox);
+
+        assert.equal(db.enrollment.status, 'active');
+        assert.deepEqual(db.activities, []);
+        assert.deepEqual(db.notifications, []);
+        assert.equal(db.imapState.lastUid, 9);
+    });
+});
+
+describe('OutreachSender.testMailbox', () => {
+    test('closes an IMAP connection whose login failed', async () => {
+        const client = createImapClient([], { failConnect: true });
+        const sender = new OutreachSender({ db: {} });
+        sender.getTransport = () => ({ verify: async () => true });
+        sender.createImapClient = () => client;
+
+        const result = await sender.testMailbox({ id: 4, imap_host: 'imap.example.com' });
+
+        assert.deepEqual(result, { smtp: 'ok', imap: 'Authentication failed' });
+        assert.equal(client.closed, true);
+    });
+});
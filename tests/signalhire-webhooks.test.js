@@ -0,0 +1,150 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalHireWebhookService } from '../signalhire-webhooks.js';
+
+const ITEM = 'https://www.linkedin.com/in/jane-doe';
+
+function candidate(email) {
+    return {
+        uid: 'a1b2c3',
+        fullName: 'Jane Doe',
+        contacts: [{ type: 'email', value: email, rating: '100', subType: 'work' }]
+    };
+}
+
+// The parts of the database the callback uses: one lookup, its prospect and task
+function createDb() {
+    return {
+        lookup: { id: 17, prospect_id: 5, task_id: 3, folder_id: 2, item: ITEM, status: 'pending' },
+        prospect: { id: 5, company_id: 9, email: null, email_guessed: false, phone: null, contact_sources: {} },
+        contactUpdates: [],
+        progress: 0,
+        notifications: [],
+        createSignalHireLookup: async function () {
+            return { ...this.lookup, created: true };
+        },
+        getSignalHireLookup: async function (id) {
+            return id === this.lookup.id ? { ...this.lookup } : null;
+        },
+        finishSignalHireLookup: async function (id, { status, emailFound }) {
+            if (!['pending', 'expired'].includes(this.lookup.status)) return null;
+            Object.assign(this.lookup, { status, email_found: emailFound });
+            return { ...this.lookup };
+        },
+        getProspect: async function () {
+            return { ...this.prospect };
+        },
+        updateProspectContact: async function (id, email, phone) {
+            this.contactUpdates.push({ id, email, phone });
+            Object.assign(this.prospect, { email, phone });
+        },
+        advanceTaskProgress: async function (taskId, count) {
+            this.progress += count;
+        },
+        getSignalHireLookupCounts: async function () {
+            const done = this.lookup.status !== 'pending';
+            return { pending: done ? 0 : 1, completed: this.lookup.status === 'completed' ? 1 : 0, failed: 0, expired: 0, email_found: this.lookup.email_found ? 1 : 0 };
+        },
+        createNotification: async function (type) {
+            this.notifications.push(type);
+        }
+    };
+}
+
+describe('SignalHireWebhookService.handleCallback', () => {
+    let db;
+    let service;
+
+    beforeEach(() => {
+        db = createDb();
+        service = new SignalHireWebhookService({ db, callbackUrl: 'https://app.example.com/api/webhooks/signalhire', secret: 'test-secret' });
+    });
+
+    test('a correctly signed callback fills the prospect and finishes the task', async () => {
+        const { callbackUrl } = await service.createLookup({ prospectId: 5, taskId: 3, folderId: 2, item: ITEM });
+        const signature = new URL(callbackUrl).searchParams.get('signature');
+
+        const result = await service.handleCallback({
+            lookupId: '17',
+            signature,
+            body: [{ item: ITEM, status: 'success', candidate: candidate('jane@acme.com') }]
+        });
+
+        assert.deepEqual(result, { lookup_id: 17, status: 'completed', result_status: 'success', email_added: true });
+        assert.deepEqual(db.contactUpdates, [{ id: 5, email: 'jane@acme.com', phone: null }]);
+        assert.equal(db.progress, 1);
+        assert.deepEqual(db.notifications, ['contacts_enriched']);
+    });
+
+    test('a bad or missing signature is rejected before the lookup is read', async () => {
+        let read = false;
+        db.getSignalHireLookup = async () => { read = true; return null; };
+        const body = [{ item: ITEM, status: 'success', candidate: candidate('jane@acme.com') }];
+
+        for (const signature of ['0'.repeat(64), service.sign(18), undefined]) {
+            await assert.rejects(service.handleCallback({ lookupId: '17', signature, body }), { status: 401 });
+        }
+        await assert.rejects(service.handleCallback({ lookupId: 'abc', signature: service.sign(17), body }), { status: 401 });
+        assert.equal(read, false);
+    });
+
+    test('a replayed callback with another body is rejected and changes nothing', async () => {
+        const signature = service.sign(17);
+        await service.handleCallback({
+            lookupId: '17',
+            signature,
+            body: [{ item: ITEM, status: 'success', candidate: candidate('jane@acme.com') }]
+        });
+
+        await assert.rejects(
+            service.handleCallback({
+                lookupId: '17',
+                signature,
+                body: [{ item: ITEM, status: 'success', candidate: candidate('attacker@evil.com') }]
+            }),
+            { status: 409 }
+        );
+        assert.equal(db.prospect.email, 'jane@acme.com');
+        assert.equal(db.contactUpdates.length, 1);
+        assert.equal(db.progress, 1);
+    });
+
+    test('a delivery that loses the race to another is rejected', async () => {
+        db.finishSignalHireLookup = async () => null;
+
+        await assert.rejects(
+            service.handleCallback({
+                lookupId: '17',
+                signature: service.sign(17),
+                body: [{ item: ITEM, status: 'success', candidate: candidate('jane@acme.com') }]
+            }),
+            { status: 409 }
+        );
+        assert.deepEqual(db.contactUpdates, []);
+    });
+
+    test('a body about another item is rejected', async () => {
+        await assert.rejects(
+            service.handleCallback({
+                lookupId: '17',
+                signature: service.sign(17),
+                body: [{ item: 'https://www.linkedin.com/in/someone-else', status: 'success', candidate: candidate('x@acme.com') }]
+            }),
+            { status: 400 }
+        );
+        assert.equal(db.lookup.status, 'pending');
+    });
+
+    test('a late answer to an expired lookup is applied without advancing the task again', async () => {
+        db.lookup.status = 'expired';
+
+        const result = await service.handleCallback({
+            lookupId: '17',
+            signature: service.sign(17),
+            body: [{ item: `${ITEM}/`, status: 'success', candidate: candidate('jane@acme.com') }]
+        });
+
+        assert.equal(result.email_added, true);
+        assert.equal(db.progress, 0);
+    });
+});
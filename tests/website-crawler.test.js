@@ -0,0 +1,213 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebsiteCrawler, isPrivateAddress } from '../website-crawler.js';
+import { PageRenderer } from '../page-renderer.js';
+
+// Resolves hostnames from `hosts` (hostname -> address)
+function createLookup(hosts) {
+    return async (hostname) => {
+        if (!hosts[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+        return [{ address: hosts[hostname], family: hosts[hostname].includes(':') ? 6 : 4 }];
+    };
+}
+
+// Answers GETs from `responses` (url -> { status, headers, data }) and records the urls
+function createHttp(responses) {
+    const calls = [];
+    return {
+        calls,
+        get: async (url) => {
+            calls.push(url);
+            const response = responses[url];
+            if (!response) throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+            return { headers: {}, data: '', ...response };
+        }
+    };
+}
+
+const deadline = () => Date.now() + 10000;
+
+describe('isPrivateAddress', () => {
+    test('refuses loopback, link-local, private and unspecified addresses', () => {
+        for (const address of [
+            '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+        ]) {
+            assert.equal(isPrivateAddress(address), true, address);
+        }
+    });
+
+    test('allows public addresses', () => {
+        for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:2800:220:1::1', '::ffff:8.8.8.8']) {
+            assert.equal(isPrivateAddress(address), false, address);
+        }
+    });
+});
+
+describe('WebsiteCrawler.request', () => {
+    test('refuses a host that resolves to a private address without requesting it', async () => {
+        const http = createHttp({});
+        const crawler = new WebsiteCrawler({ http, lookup: createLookup({ 'intranet.example.com': '10.0.0.5' }) });
+
+        await assert.rejects(
+            crawler.request('https://intranet.example.com/', 'intranet.example.com', deadline(), { accept: 'text/html' }),
+            { code: 'EPRIVATEADDRESS' }
+        );
+        assert.deepEqual(http.calls, []);
+    });
+
+    test('refuses IP literals such as the cloud metadata address', async () => {
+        const http = createHttp({});
+        const crawler = new WebsiteCrawler({ http, lookup: createLookup({}) });
+
+        await assert.rejects(
+            crawler.request('http://169.254.169.254/latest/meta-data/', '169.254.169.254', deadline(), { accept: 'text/html' }),
+            { code: 'EPRIVATEADDRESS' }
+        );
+        await assert.rejects(
+            crawler.request('http://[::1]/', '[::1]', deadline(), { accept: 'text/html' }),
+            { code: 'EPRIVATEADDRESS' }
+        );
+        assert.deepEqual(http.calls, []);
+    });
+
+    test('follows redirects between public hosts and reports the final url', async () => {
+        const http = createHttp({
+            'https://acme.com/': { status: 301, headers: { location: 'https://www.acme.com/' } },
+            'https://www.acme.com/': { status: 200, data: '<html></html>' }
+        });
+        const crawler = new WebsiteCrawler({
+            http,
+            lookup: createLookup({ 'acme.com': '93.184.216.34', 'www.acme.com': '93.184.216.35' })
+        });
+
+        const response = await crawler.request('https://acme.com/', 'acme.com', deadline(), { accept: 'text/html' });
+        assert.equal(response.finalUrl, 'https://www.acme.com/');
+        assert.deepEqual(http.calls, ['https://acme.com/', 'https://www.acme.com/']);
+    });
+
+    test('stops at a redirect to a private address', async () => {
+        const http = createHttp({
+            'https://acme.com/': { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } }
+        });
+        const crawler = new WebsiteCrawler({ http, lookup: createLookup({ 'acme.com': '93.184.216.34' }) });
+
+        await assert.rejects(
+            crawler.request('https://acme.com/', 'acme.com', deadline(), { accept: 'text/html' }),
+            { code: 'EPRIVATEADDRESS' }
+        );
+        assert.deepEqual(http.calls, ['https://acme.com/']);
+    });
+
+    test('connects through the checked lookup', async () => {
+        let config = null;
+        const http = { get: async (url, options) => { config = options; return { status: 200, headers: {}, data: '' }; } };
+        const crawler = new WebsiteCrawler({ http, lookup: createLookup({ 'acme.com': '93.184.216.34', 'rebound.acme.com': '127.0.0.1' }) });
+
+        await crawler.request('https://acme.com/', 'acme.com', deadline(), { accept: 'text/html' });
+        assert.equal(config.maxRedirects, 0);
+        assert.deepEqual(await config.lookup('acme.com'), [{ address: '93.184.216.34', family: 4 }]);
+        await assert.rejects(config.lookup('rebound.acme.com'), { code: 'EPRIVATEADDRESS' });
+    });
+});
+
+describe('WebsiteCrawler.fetchStatic', () => {
+    test('reads a page it was redirected to under its final url', async () => {
+        const text = 'Acme builds rockets for road runners and other fast customers. '.repeat(10);
+        const http = createHttp({
+            'https://acme.com/about': { status: 301, headers: { location: '/company/about' } },
+            'https://acme.com/company/about': { status: 200, headers: { 'content-type': 'text/html' }, data: `<html><body><main><p>${text}</p></main></body></html>` }
+        });
+        const crawler = new WebsiteCrawler({ http, lookup: createLookup({ 'acme.com': '93.184.216.34' }) });
+        const crawl = { domain: 'acme.com', deadline: deadline(), robots: { crawlDelayMs: 0 } };
+
+        const { result } = await crawler.fetchStatic('https://acme.com/about', crawl);
+        assert.equal(result.url, 'https://acme.com/company/about');
+    });
+
+    test('gives up on a site on a private network', async () => {
+        const crawler = new WebsiteCrawler({ http: createHttp({}), lookup: createLookup({ 'acme.internal': '192.168.0.10' }) });
+        const crawl = { domain: 'acme.internal', deadline: deadline(), robots: { crawlDelayMs: 0 } };
+
+        assert.deepEqual(await crawler.fetchStatic('https://acme.internal/', crawl), { result: null, reason: 'error' });
+    });
+});
+
+// A Playwright browser whose page.goto requests `requests` in order through the context's route handler
+function createBrowser(requests, html) {
+    const routed = [];
+    const context = {
+        options: null,
+        handler: null,
+        route: async (pattern, handler) => { context.handler = handler; },
+        newPage: async () => ({
+            goto: async () => {
+                for (const requestUrl of requests) {
+                    await context.handler({
+                        request: () => ({ url: () => requestUrl }),
+                        continue: async () => routed.push({ url: requestUrl, action: 'continue' }),
+                        abort: async () => routed.push({ url: requestUrl, action: 'abort' })
+                    });
+                }
+                return { status: () => 200 };
+            },
+            waitForLoadState: async () => {},
+            url: () => requests[0],
+            content: async () => html
+        }),
+        close: async () => {}
+    };
+    return {
+        routed,
+        context,
+        isConnected: () => true,
+        close: async () => {},
+        newContext: async (options) => { context.options = options; return context; }
+    };
+}
+
+describe('WebsiteCrawler.renderPage', () => {
+    const text = 'Acme builds rockets for road runners and other fast customers. '.repeat(10);
+    const html = `<html><body><main><p>${text}</p></main></body></html>`;
+    const lookup = createLookup({ 'acme.com': '93.184.216.34', 'cdn.acme.com': '93.184.216.40', 'admin.acme.com': '10.0.0.8' });
+
+    test('aborts redirects and subresources that go to private addresses', async () => {
+        const renderer = new PageRenderer({ backend: 'playwright' });
+        const browser = createBrowser([
+            'https://acme.com/',
+            'https://cdn.acme.com/app.js',
+            'http://169.254.169.254/latest/meta-data/',
+            'https://admin.acme.com/internal',
+            'data:image/png;base64,AAAA'
+        ], html);
+        renderer.browser = browser;
+        const crawler = new WebsiteCrawler({ renderer, lookup });
+
+        const result = await crawler.renderPage('https://acme.com/', { domain: 'acme.com', site: 'acme.com', deadline: deadline() });
+
+        assert.equal(result.rendered, true);
+        assert.equal(browser.context.options.serviceWorkers, 'block');
+        assert.deepEqual(browser.routed, [
+            { url: 'https://acme.com/', action: 'continue' },
+            { url: 'https://cdn.acme.com/app.js', action: 'continue' },
+            { url: 'http://169.254.169.254/latest/meta-data/', action: 'abort' },
+            { url: 'https://admin.acme.com/internal', action: 'abort' },
+            { url: 'data:image/png;base64,AAAA', action: 'continue' }
+        ]);
+        await renderer.close();
+    });
+
+    test('does not render a site on a private address, nor keep a page that ended on one', async () => {
+        let rendered = 0;
+        const renderer = {
+            isEnabled: () => true,
+            render: async () => { rendered++; return { url: 'https://admin.acme.com/', status: 200, html }; }
+        };
+        const crawler = new WebsiteCrawler({ renderer, lookup });
+
+        assert.equal(await crawler.renderPage('https://admin.acme.com/', { domain: 'admin.acme.com', site: 'admin.acme.com', deadline: deadline() }), null);
+        assert.equal(rendered, 0);
+        assert.equal(await crawler.renderPage('https://acme.com/', { domain: 'acme.com', site: 'acme.com', deadline: deadline() }), null);
+        assert.equal(rendered, 1);
+    });
+});
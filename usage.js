@@ -0,0 +1,208 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { CONTACT_PROVIDER_NAMES } from './contact-providers.js';
+
+const BUDGET_CONFIG = {
+    llmMonthlyUsd: parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || null,
+    signalHireMonthlyCredits: parseInt(process.env.SIGNALHIRE_MONTHLY_CREDITS) || null,
+    contactMonthlyCredits: parseCreditBudgets(process.env.CONTACT_PROVIDER_MONTHLY_CREDITS),
+    statusCacheMs: 60000
+};
+
+// CONTACT_PROVIDER_MONTHLY_CREDITS is a JSON object of provider -> monthly credits, e.g. {"apollo": 500}
+function parseCreditBudgets(json) {
+    if (!json) return {};
+    try {
+        const budgets = JSON.parse(json);
+        return Object.fromEntries(Object.entries(budgets).filter(([name, credits]) => {
+            const valid = CONTACT_PROVIDER_NAMES.includes(name) && Number.isFinite(credits) && credits >= 0;
+            if (!valid) console.warn(`[Usage] Ignoring CONTACT_PROVIDER_MONTHLY_CREDITS entry "${name}"`);
+            return valid;
+        }));
+    } catch (error) {
+        console.warn('[Usage] Ignoring invalid CONTACT_PROVIDER_MONTHLY_CREDITS:', error.message);
+        return {};
+    }
+}
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with usage context ({ folderId, companyId, companyDomain,
+ * workspaceId, taskId }) merged over the current one. Every call recorded
+ * while it runs, however deep, is linked to that folder/company.
+ */
+export function runWithUsageContext(context, fn) {
+    return usageContext.run({ ...getUsageContext(), ...context }, fn);
+}
+
+export function getUsageContext() {
+    return usageContext.getStore() || {};
+}
+
+function startOfMonth(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * UsageService records every paid API call (LLM completions through the
+ * gateway, contact provider requests) in api_usage with its tokens, credits,
+ * cost, latency and the folder/company it was made for.
+ *
+ * It also enforces monthly budgets: LLM spend (LLM_MONTHLY_BUDGET_USD) and
+ * credits per contact provider (SIGNALHIRE_MONTHLY_CREDITS,
+ * CONTACT_PROVIDER_MONTHLY_CREDITS). A contact provider over its budget is
+ * skipped by the contact waterfall; the `contacts` budget counts as used up
+ * once every configured provider is. The job queue stops claiming the tasks
+ * that spend a used-up budget until the month rolls over (or the limit is
+ * raised).
+ */
+export class UsageService {
+    constructor(options = {}) {
+        this.db = options.db;
+        this.budgets = {
+            llm: options.llmMonthlyBudgetUsd ?? BUDGET_CONFIG.llmMonthlyUsd,
+            ...BUDGET_CONFIG.contactMonthlyCredits,
+            ...(options.contactMonthlyCredits || {}),
+            signalhire: options.signalHireMonthlyCredits ?? BUDGET_CONFIG.signalHireMonthlyCredits ?? BUDGET_CONFIG.contactMonthlyCredits.signalhire ?? null
+        };
+        this.contactProviders = options.contactProviders || []; // configured contact providers (set by the server/worker)
+        this.statusCache = null;
+        this.notifiedBudgets = new Set(); // "budget:month" already announced by this process
+    }
+
+    async record(entry) {
+        const context = getUsageContext();
+        await this.db.recordApiUsage({
+            ...entry,
+            folderId: context.folderId ?? null,
+            companyId: context.companyId ?? null,
+            companyDomain: context.companyDomain ?? null,
+            workspaceId: context.workspaceId ?? null,
+            taskId: context.taskId ?? null
+        });
+    }
+
+    // LLMGateway onUsage callback
+    async recordLLMCall(call) {
+        await this.record({
+            provider: call.provider,
+            model: call.model,
+            operation: call.task,
+            inputTokens: call.input_tokens,
+            outputTokens: call.output_tokens,
+            costUsd: call.cost_usd,
+            latencyMs: call.duration_ms,
+            success: call.success,
+            error: call.error || null
+        });
+    }
+
+    /**
+     * LLMGateway onValidationError callback: structured output that failed its
+     * schema is appended to the running task's validation_errors, so a task's
+     * record shows what the model got wrong (even when a repair succeeded).
+     */
+    async recordValidationError(entry) {
+        const { taskId } = getUsageContext();
+        if (!taskId) return;
+        await this.db.appendTaskValidationError(taskId, { ...entry, at: new Date().toISOString() });
+    }
+
+    /**
+     * Time a contact provider request (a function returning an axios
+     * response) and record it with the credits `creditsFor(response)` says
+     * it used. The response or error passes through.
+     */
+    async trackContactCall(provider, operation, request, creditsFor = () => 0) {
+        const startedAt = Date.now();
+        let status = null;
+        let failure = null;
+        let response = null;
+
+        try {
+            response = await request();
+            status = response?.status ?? null;
+            return response;
+        } catch (error) {
+            status = error.response?.status ?? null;
+            failure = error.message;
+            throw error;
+        } finally {
+            const success = !failure && status >= 200 && status < 300;
+            this.record({
+                provider,
+                operation,
+                credits: success ? creditsFor(response) : 0,
+                latencyMs: Date.now() - startedAt,
+                success,
+                error: failure || (success ? null : `HTTP ${status}`)
+            }).catch(error => console.error(`[Usage] Failed to record ${provider} call:`, error.message));
+        }
+    }
+
+    /**
+     * Month-to-date spend against each budget (limit null = no budget): LLM
+     * cost, then credits of SignalHire and of every other contact provider
+     * that is configured or has a budget.
+     */
+    async getBudgetStatus() {
+        const periodStart = startOfMonth();
+        const totals = await this.db.getUsageTotalsSince(periodStart);
+
+        const budget = (name, unit, used) => {
+            const limit = this.budgets[name] ?? null;
+            return { name, unit, limit, used, exceeded: limit !== null && used >= limit };
+        };
+        const contactProviders = CONTACT_PROVIDER_NAMES.filter(name =>
+            name === 'signalhire' || this.contactProviders.includes(name) || (this.budgets[name] ?? null) !== null
+        );
+
+        return {
+            period_start: periodStart,
+            budgets: [
+                budget('llm', 'usd', totals.filter(row => !CONTACT_PROVIDER_NAMES.includes(row.provider)).reduce((sum, row) => sum + row.cost_usd, 0)),
+                ...contactProviders.map(name => budget(name, 'credits', totals.find(row => row.provider === name)?.credits || 0))
+            ]
+        };
+    }
+
+    /**
+     * Names of the budgets used up this month, plus `contacts` when every
+     * configured contact provider is over its budget. Cached for a minute,
+     * since the job queue asks before every claim.
+     */
+    async getExceededBudgets() {
+        if (Object.values(this.budgets).every(limit => limit === null)) {
+            return new Set();
+        }
+        if (this.statusCache && Date.now() - this.statusCache.at < BUDGET_CONFIG.statusCacheMs) {
+            return this.statusCache.exceeded;
+        }
+
+        const status = await this.getBudgetStatus();
+        const exceeded = new Set(status.budgets.filter(b => b.exceeded).map(b => b.name));
+        if (this.contactProviders.length > 0 && this.contactProviders.every(name => exceeded.has(name))) {
+            exceeded.add('contacts');
+        }
+        this.statusCache = { at: Date.now(), exceeded };
+
+        for (const budget of status.budgets.filter(b => b.exceeded)) {
+            const key = `${budget.name}:${status.period_start.toISOString()}`;
+            if (this.notifiedBudgets.has(key)) continue;
+            this.notifiedBudgets.add(key);
+
+            const spent = budget.unit === 'usd' ? `$${budget.used.toFixed(2)} of $${budget.limit}` : `${budget.used} of ${budget.limit} credits`;
+            const effect = budget.name === 'llm'
+                ? 'Background tasks that use it are paused'
+                : `Contact lookups skip ${budget.name}${exceeded.has('contacts') ? ', and with every contact provider used up, background tasks that need contact data are paused' : ''}`;
+            console.warn(`[Usage] Monthly ${budget.name} budget reached (${spent})`);
+            await this.db.createNotification(
+                'budget_exceeded',
+                'Monthly Budget Reached',
+                `${budget.name === 'llm' ? 'AI' : budget.name} usage reached ${spent} this month. ${effect} until next month or until the budget is raised.`
+            );
+        }
+
+        return exceeded;
+    }
+}
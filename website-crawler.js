@@ -0,0 +1,668 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import dns from 'node:dns';
+import net from 'node:net';
+
+const CRAWL_CONFIG = {
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES) || 8,
+    budgetMs: parseInt(process.env.CRAWL_BUDGET_MS) || 30000,
+    concurrencyPerDomain: parseInt(process.env.CRAWL_CONCURRENCY_PER_DOMAIN) || 2,
+    requestTimeoutMs: 10000,
+    maxRounds: 3, // homepage, pages it links to, pages those link to
+    maxPagesPerCategory: 2,
+    maxSitemaps: 3,
+    maxSitemapUrls: 500,
+    maxCrawlDelayMs: 5000,
+    maxRedirects: 5,
+    minTextLength: 100, // pages with less text are dropped
+    renderBelowTextLength: 500, // with a renderer, pages with less text are rendered (likely a JavaScript shell)
+    minRenderTimeMs: 3000 // a render is not started with less crawl budget left
+};
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Pages worth reading for enrichment, highest priority first. A link is
+ * classified by its path or its text, so "Meet the team" → /company/people
+ * is found as well as /team.
+ */
+export const PAGE_CATEGORIES = [
+    { name: 'team', pattern: /\b(team|leadership|management|founders?|people|executives|our[-_ ]?board)\b/i },
+    { name: 'about', pattern: /\b(about|about[-_ ]us|our[-_ ]story|company|who[-_ ]we[-_ ]are|mission)\b/i },
+    { name: 'customers', pattern: /\b(customers?|clients|case[-_ ]stud(y|ies)|success[-_ ]stor(y|ies)|testimonials)\b/i },
+    { name: 'careers', pattern: /\b(careers?|jobs|join[-_ ]us|hiring|work[-_ ]with[-_ ]us|open[-_ ]positions)\b/i },
+    { name: 'pricing', pattern: /\b(pricing|plans)\b/i },
+    { name: 'blog', pattern: /\b(blog|news|press|newsroom)\b/i }
+];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|gz|mp4|mov|mp3|xml|json|css|js|txt)$/i;
+
+// Markup only bot-challenge interstitials have
+const CHALLENGE_INDICATORS = [
+    /challenge-platform/i,
+    /cf-chl-/i,
+    /<title>\s*just a moment/i,
+    /checking your browser/i,
+    /ddos-guard/i,
+    /px-captcha/i,
+    /captcha-delivery\.com/i
+];
+
+// Words a real page may contain too (a customer logo, a footer note); they
+// only mean "blocked" on a page with almost no text
+const PROTECTION_MENTIONS = [
+    /cloudflare/i,
+    /cf-ray/i,
+    /captcha/i,
+    /bot protection/i,
+    /access denied/i,
+    /perimeterx/i,
+    /datadome/i,
+    /security check/i
+];
+
+function stripWww(host) {
+    return host.toLowerCase().replace(/^www\./, '');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function ipv4ToInt(address) {
+    return address.split('.').reduce((value, octet) => value * 256 + parseInt(octet), 0);
+}
+
+// IPv4 ranges a crawl must not reach: this network, private (RFC 1918),
+// carrier-grade NAT, loopback, link-local (cloud metadata), multicast and reserved
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].map(([base, bits]) => ({ base: ipv4ToInt(base), size: 2 ** (32 - bits) }));
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not on
+ * the public internet. Company websites come from user input and job data, so
+ * the crawler refuses these instead of reaching internal services.
+ */
+export function isPrivateAddress(address) {
+    const version = net.isIP(address);
+    if (version === 4) {
+        const value = ipv4ToInt(address);
+        return BLOCKED_IPV4_RANGES.some(range => value >= range.base && value < range.base + range.size);
+    }
+    if (version !== 6) return true;
+
+    const normalized = address.toLowerCase();
+    // IPv4-mapped, dotted (::ffff:127.0.0.1) or hex (::ffff:7f00:1)
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+        const [high, low] = mappedHex.slice(1).map(hex => parseInt(hex, 16));
+        return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    if (normalized === '::' || normalized === '::1') return true;
+    // Unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+    return /^(f[cd]|fe[89ab]|ff)/.test(normalized);
+}
+
+// robots.txt path pattern → RegExp ("*" wildcard, "$" end anchor)
+function robotsPattern(path) {
+    const escaped = path.replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp('^' + escaped);
+}
+
+/**
+ * Parse robots.txt into the rules of the group that applies to us (the
+ * "*" group; we do not announce a crawler name), its crawl delay and the
+ * sitemaps it lists.
+ */
+export function parseRobotsTxt(text) {
+    const robots = { rules: [], crawlDelayMs: 0, sitemaps: [] };
+    let groupAgents = [];
+    let inRules = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'sitemap') {
+            if (value) robots.sitemaps.push(value);
+            continue;
+        }
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (inRules) {
+                groupAgents = [];
+                inRules = false;
+            }
+            groupAgents.push(value.toLowerCase());
+            continue;
+        }
+
+        inRules = true;
+        if (!groupAgents.includes('*')) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            robots.rules.push({ allow: field === 'allow', length: value.length, pattern: robotsPattern(value) });
+        } else if (field === 'crawl-delay' && parseFloat(value) > 0) {
+            robots.crawlDelayMs = Math.round(parseFloat(value) * 1000);
+        }
+    }
+
+    return robots;
+}
+
+// The longest matching rule wins; Allow wins a tie; no match means allowed
+export function isAllowedByRobots(robots, path) {
+    let match = null;
+    for (const rule of robots.rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!match || rule.length > match.length || (rule.length === match.length && rule.allow)) {
+            match = rule;
+        }
+    }
+    return !match || match.allow;
+}
+
+/**
+ * Parse a page's HTML into its links ({ href, text }, read before navigation
+ * is stripped) and its text content ({ url, title, metaDescription, headings,
+ * text }). Also used to re-read stored snapshots (see page-snapshots.js).
+ */
+export function parsePage(html, url) {
+    const $ = cheerio.load(html);
+
+    const links = $('a[href]').map((_, elem) => ({
+        href: $(elem).attr('href'),
+        text: $(elem).text().replace(/\s+/g, ' ').trim().substring(0, 100)
+    })).get();
+
+    return { page: extractText($, url), links };
+}
+
+function extractText($, url) {
+    // Remove unwanted elements
+    $('script, style, noscript, iframe, svg, nav, footer, header[role="banner"]').remove();
+
+    // Extract metadata
+    const title = $('title').text().trim();
+    const metaDescription = $('meta[name="description"]').attr('content') || '';
+
+    // Extract headings for structure
+    const headings = [];
+    $('h1, h2, h3').each((_, elem) => {
+        const text = $(elem).text().trim();
+        if (text && text.length < 200) {
+            headings.push(text);
+        }
+    });
+
+    // Extract main content
+    // Priority: main tag, article tag, or body
+    let mainContent = $('main, article, [role="main"]').first();
+    if (mainContent.length === 0) {
+        mainContent = $('body');
+    }
+
+    // Get text content with structure preserved
+    let text = mainContent
+        .find('p, li, h1, h2, h3, h4, span, div')
+        .map((_, elem) => $(elem).text().trim())
+        .get()
+        .filter(text => text.length > 20 && text.length < 1000) // Filter out too short/long
+        .join('\n')
+        .replace(/\s+/g, ' ') // Normalize whitespace
+        .replace(/\n\s*\n/g, '\n') // Remove multiple newlines
+        .trim();
+
+    // If we didn't get much content, fall back to body text
+    if (text.length < 500) {
+        text = $('body').text()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Limit content size
+    text = text.substring(0, 30000);
+
+    return {
+        url: url,
+        title: title,
+        metaDescription: metaDescription,
+        headings: headings.slice(0, 10), // Top 10 headings
+        text: text
+    };
+}
+
+/**
+ * WebsiteCrawler reads a company website for enrichment within a bounded
+ * budget (CRAWL_MAX_PAGES pages, CRAWL_BUDGET_MS overall). It honours
+ * robots.txt (rules and crawl delay for "*"), finds pages from the sitemap
+ * and from links on the pages it reads, and fetches the most useful ones
+ * first: team/leadership, about, customers, careers, pricing, blog.
+ *
+ * Requests to one host share CRAWL_CONCURRENCY_PER_DOMAIN slots across every
+ * crawl this instance runs.
+ *
+ * With a `renderer` (PageRenderer, optional), pages that come back as a bot
+ * challenge, a 403/429/503 or with too little text are loaded in a headless
+ * browser instead; once that works for a site, its other pages are rendered
+ * directly.
+ */
+export class WebsiteCrawler {
+    constructor(options = {}) {
+        this.maxPages = options.maxPages || CRAWL_CONFIG.maxPages;
+        this.budgetMs = options.budgetMs || CRAWL_CONFIG.budgetMs;
+        this.concurrencyPerDomain = options.concurrencyPerDomain || CRAWL_CONFIG.concurrencyPerDomain;
+        this.renderer = options.renderer || null;
+        this.http = options.http || axios;
+        this.lookup = options.lookup || dns.promises.lookup;
+        this.hosts = new Map(); // host → { active, waiting, lastRequestAt }
+    }
+
+    /**
+     * Crawl a domain. Resolves to { [url]: { url, category, rendered, title,
+     * metaDescription, headings, text, status, html, fetched_at } } in priority order, homepage first
+     * (empty when the site cannot be read or robots.txt disallows it).
+     */
+    async crawl(domain) {
+        console.log(`[Crawler] Starting crawl of ${domain}`);
+        const deadline = Date.now() + this.budgetMs;
+        const site = stripWww(domain);
+
+        const robots = await this.fetchRobots(domain, deadline);
+        if (!isAllowedByRobots(robots, '/')) {
+            console.log(`[Crawler] robots.txt disallows ${domain}, skipping`);
+            return {};
+        }
+
+        // Sites rendered on a recent crawl skip the static fetch
+        const crawl = { domain, site, robots, deadline, render: !!this.renderer?.needsRendering(site) };
+
+        const home = await this.fetchPage(`https://${domain}`, crawl) ||
+            await this.fetchPage(`https://www.${site}`, crawl);
+        if (!home) {
+            console.log(`[Crawler] Could not read the homepage of ${domain}`);
+            return {};
+        }
+
+        const pages = [{ ...home.page, category: 'home', rendered: home.rendered }];
+        const visited = new Set([this.normalizeUrl(home.url, home.url, site)]);
+        const candidates = new Map(); // url → { url, category, score }
+        this.addCandidates(candidates, home.links, site);
+
+        const sitemapUrls = await this.fetchSitemapUrls(new URL(home.url).origin, robots, deadline);
+        this.addCandidates(candidates, sitemapUrls.map(url => ({ href: url, text: '' })), site);
+
+        for (let round = 1; round < CRAWL_CONFIG.maxRounds && pages.length < this.maxPages; round++) {
+            const batch = this.pickCandidates(candidates, visited, pages, robots);
+            if (batch.length === 0 || Date.now() >= deadline) break;
+
+            const results = await Promise.all(batch.map(candidate =>
+                this.fetchPage(candidate.url, crawl).then(result => ({ candidate, result }))
+            ));
+
+            for (const { candidate, result } of results) {
+                if (!result) continue;
+                // Redirects can land two links on one page
+                const finalUrl = this.normalizeUrl(result.url, result.url, site);
+                if (finalUrl && finalUrl !== candidate.url && visited.has(finalUrl)) continue;
+                if (finalUrl) visited.add(finalUrl);
+
+                pages.push({ ...result.page, category: candidate.category, rendered: result.rendered });
+                this.addCandidates(candidates, result.links, site);
+            }
+        }
+
+        const order = ['home', ...PAGE_CATEGORIES.map(category => category.name)];
+        pages.sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+
+        console.log(`[Crawler] Crawl of ${domain} complete: ${pages.length} pages (${pages.map(page => page.category).join(', ')})${crawl.render ? ', rendered' : ''}`);
+        return Object.fromEntries(pages.map(page => [page.url, page]));
+    }
+
+    // Best unvisited candidates for the remaining page budget, at most maxPagesPerCategory per category
+    pickCandidates(candidates, visited, pages, robots) {
+        const perCategory = {};
+        for (const page of pages) {
+            perCategory[page.category] = (perCategory[page.category] || 0) + 1;
+        }
+
+        const batch = [];
+        const ranked = [...candidates.values()]
+            .filter(candidate => !visited.has(candidate.url))
+            .sort((a, b) => b.score - a.score);
+
+        for (const candidate of ranked) {
+            if (pages.length + batch.length >= this.maxPages) break;
+            if ((perCategory[candidate.category] || 0) >= CRAWL_CONFIG.maxPagesPerCategory) continue;
+
+            visited.add(candidate.url);
+            if (!isAllowedByRobots(robots, new URL(candidate.url).pathname)) continue;
+
+            perCategory[candidate.category] = (perCategory[candidate.category] || 0) + 1;
+            batch.push(candidate);
+        }
+
+        return batch;
+    }
+
+    // Classify links ({ href, text }) and keep the ones in a page category
+    addCandidates(candidates, links, site) {
+        for (const { href, text } of links) {
+            const url = this.normalizeUrl(href, `https://${site}`, site);
+            if (!url) continue;
+
+            const path = new URL(url).pathname;
+            if (path === '/') continue;
+
+            const segments = path.split('/').filter(Boolean);
+            if (segments.length > 3) continue;
+
+            const index = this.classify(segments, text);
+            if (index === -1) continue;
+
+            // Higher-priority categories first, then shallow paths (/blog over /blog/some-post), then named links
+            const score = (PAGE_CATEGORIES.length - index) * 10 - segments.length * 2 + (PAGE_CATEGORIES[index].pattern.test(text) ? 3 : 0);
+            const existing = candidates.get(url);
+            if (!existing || existing.score < score) {
+                candidates.set(url, { url, category: PAGE_CATEGORIES[index].name, score });
+            }
+        }
+    }
+
+    // Index in PAGE_CATEGORIES, or -1. Anything under /blog or /news stays a blog page,
+    // so a post titled "meet-our-team" is not mistaken for the team page.
+    classify(segments, text) {
+        const words = (segment) => segment.replace(/[-_]/g, ' ');
+        const blog = PAGE_CATEGORIES.findIndex(category => category.name === 'blog');
+
+        if (segments.length > 1 && PAGE_CATEGORIES[blog].pattern.test(words(segments[0]))) return blog;
+
+        const byText = PAGE_CATEGORIES.findIndex(category => category.pattern.test(text));
+        if (byText !== -1) return byText;
+
+        const pathWords = words(segments.join(' '));
+        return PAGE_CATEGORIES.findIndex(category => category.pattern.test(pathWords));
+    }
+
+    // Absolute same-site page URL without query or fragment, or null
+    normalizeUrl(href, base, site) {
+        let url;
+        try {
+            url = new URL(href, base);
+        } catch {
+            return null;
+        }
+
+        if (!['http:', 'https:'].includes(url.protocol) || stripWww(url.hostname) !== site) return null;
+        if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+
+        url.hash = '';
+        url.search = '';
+        const normalized = url.toString();
+        return url.pathname.length > 1 ? normalized.replace(/\/$/, '') : normalized;
+    }
+
+    async fetchRobots(domain, deadline) {
+        try {
+            const response = await this.request(`https://${domain}/robots.txt`, domain, deadline, { accept: 'text/plain' });
+            return parseRobotsTxt(typeof response.data === 'string' ? response.data : '');
+        } catch {
+            return parseRobotsTxt(''); // no robots.txt: everything is allowed
+        }
+    }
+
+    // Page URLs listed in the sitemaps (robots.txt Sitemap lines, else /sitemap.xml), following sitemap indexes
+    async fetchSitemapUrls(origin, robots, deadline) {
+        const queue = robots.sitemaps.length > 0 ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+        const urls = [];
+        let fetched = 0;
+
+        while (queue.length > 0 && fetched < CRAWL_CONFIG.maxSitemaps && urls.length < CRAWL_CONFIG.maxSitemapUrls) {
+            const sitemapUrl = queue.shift();
+            if (/\.gz$/i.test(sitemapUrl)) continue;
+            fetched++;
+
+            try {
+                const response = await this.request(sitemapUrl, new URL(sitemapUrl).hostname, deadline, { accept: 'application/xml,text/xml' });
+                const $ = cheerio.load(response.data, { xmlMode: true });
+
+                $('sitemap > loc').each((_, elem) => {
+                    queue.push($(elem).text().trim());
+                });
+                $('url > loc').each((_, elem) => {
+                    if (urls.length < CRAWL_CONFIG.maxSitemapUrls) urls.push($(elem).text().trim());
+                });
+            } catch {
+                // Missing or unreadable sitemap: links on the pages still work
+            }
+        }
+
+        return urls;
+    }
+
+    /**
+     * Fetch and read one HTML page, rendering it when the static fetch is
+     * unusable and a renderer is available. Resolves to { url (after
+     * redirects), page, links, rendered } or null.
+     */
+    async fetchPage(url, crawl) {
+        if (Date.now() >= crawl.deadline) return null;
+
+        let result = null;
+        if (!crawl.render) {
+            const fetched = await this.fetchStatic(url, crawl);
+            result = fetched.result;
+            if (!this.shouldRender(fetched)) return result;
+        }
+
+        const rendered = await this.renderPage(url, crawl);
+        if (!rendered) {
+            // A site in render mode still gets a static try when the browser fails
+            return crawl.render ? (await this.fetchStatic(url, crawl)).result : result;
+        }
+        if (result && result.page.text.length >= rendered.page.text.length) return result;
+
+        if (!crawl.render) {
+            console.log(`[Crawler] ${crawl.domain} needs a browser, rendering its remaining pages`);
+            crawl.render = true;
+        }
+        return rendered;
+    }
+
+    // A usable static page has enough text; challenges, refusals and thin pages may render better
+    shouldRender({ result, reason }) {
+        if (!this.renderer?.isEnabled()) return false;
+        if (result) return result.page.text.length < CRAWL_CONFIG.renderBelowTextLength;
+        return ['blocked', 'refused', 'thin'].includes(reason);
+    }
+
+    /**
+     * Plain HTTP fetch. Resolves to { result } ({ url, page, links } or
+     * null) and, when there is no result, a reason: blocked, refused
+     * (403/429/503), thin, not_html or error.
+     */
+    async fetchStatic(url, crawl) {
+        try {
+            const response = await this.request(url, crawl.domain, crawl.deadline, {
+                accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                crawlDelayMs: crawl.robots.crawlDelayMs
+            });
+
+            const contentType = response.headers?.['content-type'] || '';
+            if (typeof response.data !== 'string' || (contentType && !contentType.includes('html'))) {
+                return { result: null, reason: 'not_html' };
+            }
+
+            return this.readHtml(response.data, response.finalUrl, url, { status: response.status });
+        } catch (error) {
+            // Failed pages are expected (404s, timeouts); the crawl moves on
+            if (error.code === 'ECONNABORTED') {
+                console.log(`[Crawler] ✗ Timeout: ${url}`);
+            }
+            if (error.code === 'EPRIVATEADDRESS') {
+                console.log(`[Crawler] ✗ ${error.message}`);
+            }
+            const refused = [403, 429, 503].includes(error.response?.status);
+            return { result: null, reason: refused ? 'refused' : 'error' };
+        }
+    }
+
+    // Load the page in the renderer, holding one of the host's slots
+    async renderPage(url, crawl) {
+        const timeoutMs = crawl.deadline - Date.now();
+        if (!this.renderer?.isEnabled() || timeoutMs < CRAWL_CONFIG.minRenderTimeMs) return null;
+
+        const host = stripWww(crawl.domain);
+        await this.acquireSlot(host, this.concurrencyPerDomain);
+        try {
+            // Every request of the page (redirects and subresources too) must go to a public address
+            const checkRequest = requestUrl => this.resolvePublicAddresses(new URL(requestUrl).hostname);
+            await checkRequest(url);
+            const rendered = await this.renderer.render(url, { domain: crawl.site, timeoutMs, checkRequest });
+            await checkRequest(rendered.url);
+            const { result, reason } = this.readHtml(rendered.html, rendered.url, url, { status: rendered.status, rendered: true });
+            if (!result) {
+                console.log(`[Crawler] ✗ Rendered ${url} is still unusable (${reason})`);
+            }
+            return result;
+        } catch (error) {
+            console.log(`[Crawler] ✗ Render failed for ${url}: ${error.message}`);
+            return null;
+        } finally {
+            this.releaseSlot(host);
+        }
+    }
+
+    // Parse fetched or rendered HTML into { result } or { result: null, reason }
+    readHtml(html, finalUrl, url, { status = null, rendered = false } = {}) {
+        const { page, links } = parsePage(html, finalUrl);
+
+        if (this.isBlockedByProtection(html, page.text.length)) {
+            console.log(`[Crawler] ✗ Bot protection detected on ${url} (Cloudflare/similar)`);
+            return { result: null, reason: 'blocked' };
+        }
+        if (page.text.length <= CRAWL_CONFIG.minTextLength) {
+            return { result: null, reason: 'thin' };
+        }
+
+        console.log(`[Crawler] ✓ ${rendered ? 'Rendered' : 'Scraped'} ${finalUrl}: ${page.text.length} chars, ${page.headings.length} headings`);
+        // The raw HTML and fetch details go with the page for the snapshot store
+        return { result: { url: finalUrl, page: { ...page, status, html, fetched_at: new Date().toISOString() }, links, rendered } };
+    }
+
+    /**
+     * Addresses of a host, or an error (code EPRIVATEADDRESS) when any of
+     * them is not public. Also used as the connection's DNS lookup, so the
+     * address that was checked is the one connected to.
+     */
+    async resolvePublicAddresses(hostname) {
+        const host = hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(host)
+            ? [{ address: host, family: net.isIP(host) }]
+            : await this.lookup(host, { all: true });
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked || addresses.length === 0) {
+            const error = new Error(`Refusing to fetch ${hostname}: ${blocked ? `${blocked.address} is not a public address` : 'no address'}`);
+            error.code = 'EPRIVATEADDRESS';
+            throw error;
+        }
+        return addresses;
+    }
+
+    /**
+     * GET within the crawl deadline, holding one of the host's slots.
+     * Redirects are followed here, checking the host of every hop; the
+     * response has the `finalUrl` it came from.
+     */
+    async request(url, domain, deadline, { accept, crawlDelayMs = 0 }) {
+        const host = stripWww(domain);
+        const delayMs = Math.min(crawlDelayMs, CRAWL_CONFIG.maxCrawlDelayMs);
+        const slot = await this.acquireSlot(host, delayMs > 0 ? 1 : this.concurrencyPerDomain);
+
+        try {
+            if (delayMs > 0) {
+                await sleep(Math.max(slot.lastRequestAt + delayMs - Date.now(), 0));
+            }
+            slot.lastRequestAt = Date.now();
+            let currentUrl = url;
+            for (let redirects = 0; ; redirects++) {
+                const timeout = Math.min(CRAWL_CONFIG.requestTimeoutMs, deadline - Date.now());
+                if (timeout <= 0) throw new Error('Crawl budget exhausted');
+
+                const target = new URL(currentUrl);
+                if (!['http:', 'https:'].includes(target.protocol)) {
+                    throw new Error(`Unsupported redirect to ${currentUrl}`);
+                }
+                await this.resolvePublicAddresses(target.hostname);
+
+                const response = await this.http.get(currentUrl, {
+                    headers: {
+                        'User-Agent': USER_AGENT,
+                        'Accept': accept,
+                        'Accept-Language': 'en-US,en;q=0.9'
+                    },
+                    timeout,
+                    maxRedirects: 0,
+                    lookup: (hostname) => this.resolvePublicAddresses(hostname),
+                    maxContentLength: 5 * 1024 * 1024,
+                    responseType: 'text',
+                    // Only 200 OK is a page; redirects are followed below
+                    validateStatus: (status) => status === 200 || REDIRECT_STATUSES.includes(status)
+                });
+
+                if (response.status === 200) {
+                    response.finalUrl = currentUrl;
+                    return response;
+                }
+                const location = response.headers?.location;
+                if (!location || redirects >= CRAWL_CONFIG.maxRedirects) {
+                    throw new Error(`Too many or invalid redirects from ${url}`);
+                }
+                currentUrl = new URL(location, currentUrl).toString();
+            }
+        } finally {
+            this.releaseSlot(host);
+        }
+    }
+
+    async acquireSlot(host, limit) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, { active: 0, waiting: [], lastRequestAt: 0 });
+        }
+        const slot = this.hosts.get(host);
+
+        if (slot.active < limit) {
+            slot.active++;
+        } else {
+            await new Promise(resolve => slot.waiting.push(resolve)); // releaseSlot hands its slot over
+        }
+        return slot;
+    }
+
+    releaseSlot(host) {
+        const slot = this.hosts.get(host);
+        const next = slot.waiting.shift();
+        if (next) {
+            next();
+            return;
+        }
+        slot.active--;
+        if (slot.active === 0) this.hosts.delete(host);
+    }
+
+    isBlockedByProtection(html, textLength) {
+        if (CHALLENGE_INDICATORS.some(pattern => pattern.test(html))) return true;
+        return textLength < CRAWL_CONFIG.renderBelowTextLength && PROTECTION_MENTIONS.some(pattern => pattern.test(html));
+    }
+}
@@ -0,0 +1,203 @@
+import 'dotenv/config';
+import { initializePostgresDatabase, closeDatabase } from './db-postgres.js';
+import { CompanyEnricher } from './enrichment.js';
+import { WorkflowManager } from './workflow-manager.js';
+import { ProspectingService } from './prospecting.js';
+import { JobQueue } from './job-queue.js';
+import { JobSearchService, createJobSources } from './job-sources.js';
+import { SavedSearchService } from './saved-searches.js';
+import { OutreachService } from './outreach.js';
+import { OutreachSender } from './outreach-sender.js';
+import { CrmSyncService, createCrmClient } from './crm-sync.js';
+import { LeadScoringService } from './lead-scoring.js';
+import { HiringSignalService } from './hiring-signals.js';
+import { LLMGateway } from './llm-gateway.js';
+import { PageRenderer } from './page-renderer.js';
+import { PageSnapshotService } from './page-snapshots.js';
+import { EnrichmentRefreshService } from './enrichment-refresh.js';
+import { ContactDataService, createContactProviders } from './contact-providers.js';
+import { SignalHireWebhookService } from './signalhire-webhooks.js';
+import { EmailVerificationService } from './email-verification.js';
+import { EmailPatternService } from './email-patterns.js';
+import { QuotaService } from './quotas.js';
+import { UsageService } from './usage.js';
+
+/**
+ * Standalone background worker. Processes the same background_tasks queue as
+ * the web server's embedded worker; run it with `npm run worker` and set
+ * DISABLE_EMBEDDED_WORKER=true on the web service to keep HTTP and task
+ * processing in separate processes.
+ */
+
+const SIGNALHIRE_API_KEY = process.env.SIGNALHIRE_API_KEY;
+const DATABASE_URL = process.env.DATABASE_URL;
+
+const jobSearch = new JobSearchService({
+    sources: createJobSources({
+        rapidApiKey: process.env.RAPIDAPI_KEY,
+        theirstackApiKey: process.env.THEIRSTACK_API_KEY,
+        greenhouseBoards: process.env.GREENHOUSE_BOARDS,
+        leverBoards: process.env.LEVER_BOARDS,
+        ashbyBoards: process.env.ASHBY_BOARDS
+    })
+});
+
+const crmClient = createCrmClient({
+    provider: process.env.CRM_PROVIDER,
+    hubspotAccessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+    hubspotApiUrl: process.env.HUBSPOT_API_URL,
+    hubspotPipeline: process.env.HUBSPOT_DEAL_PIPELINE,
+    hubspotDealStage: process.env.HUBSPOT_DEAL_STAGE,
+    pipedriveApiToken: process.env.PIPEDRIVE_API_TOKEN,
+    pipedriveApiUrl: process.env.PIPEDRIVE_API_URL,
+    pipedriveStageId: process.env.PIPEDRIVE_STAGE_ID
+});
+
+const llm = new LLMGateway();
+const renderer = new PageRenderer();
+
+let jobQueue = null;
+
+async function startWorker() {
+    try {
+        if (!DATABASE_URL) {
+            throw new Error('DATABASE_URL environment variable is required');
+        }
+
+        const db = await initializePostgresDatabase(DATABASE_URL);
+
+        const usageService = new UsageService({ db: db });
+        llm.onUsage = (call) => usageService.recordLLMCall(call);
+        llm.onValidationError = (entry) => usageService.recordValidationError(entry);
+
+        const quotaService = new QuotaService({ db: db });
+        const emailVerificationService = new EmailVerificationService({ db: db });
+        const emailPatternService = new EmailPatternService({ db: db, emailVerification: emailVerificationService });
+
+        const signalHireWebhooks = new SignalHireWebhookService({
+            db: db,
+            usage: usageService,
+            emailVerification: emailVerificationService,
+            emailPatterns: emailPatternService
+        });
+
+        const contactData = new ContactDataService({
+            providers: createContactProviders({
+                signalHireApiKey: SIGNALHIRE_API_KEY,
+                signalHireCallbacks: signalHireWebhooks,
+                apolloApiKey: process.env.APOLLO_API_KEY,
+                hunterApiKey: process.env.HUNTER_API_KEY,
+                prospeoApiKey: process.env.PROSPEO_API_KEY,
+                usage: usageService
+            }),
+            usage: usageService,
+            quotas: quotaService
+        });
+        usageService.contactProviders = contactData.getProviders().map(provider => provider.name);
+
+        jobQueue = new JobQueue({ db, usage: usageService });
+        signalHireWebhooks.registerTaskHandlers(jobQueue);
+        emailVerificationService.registerTaskHandlers(jobQueue);
+        emailPatternService.registerTaskHandlers(jobQueue);
+        quotaService.registerTaskHandlers(jobQueue);
+
+        const leadScoringService = new LeadScoringService({ db: db });
+        leadScoringService.registerTaskHandlers(jobQueue);
+
+        const hiringSignalService = new HiringSignalService({ db: db });
+
+        let workflowManager = null;
+
+        if (llm.isAvailable('company_enrichment')) {
+            const enricher = new CompanyEnricher({
+                llm: llm,
+                db: db,
+                contacts: contactData,
+                renderer: renderer,
+                snapshots: new PageSnapshotService({ db: db })
+            });
+
+            const refreshService = new EnrichmentRefreshService({
+                db: db,
+                enricher: enricher,
+                queue: jobQueue,
+                leadScoring: leadScoringService
+            });
+            refreshService.registerTaskHandlers(jobQueue);
+
+            workflowManager = new WorkflowManager({
+                db: db,
+                enricher: enricher,
+                queue: jobQueue,
+                leadScoring: leadScoringService,
+                refresh: refreshService,
+                contacts: contactData,
+                emailVerification: emailVerificationService,
+                emailPatterns: emailPatternService,
+                quotas: quotaService,
+                llm: llm
+            });
+            workflowManager.registerTaskHandlers(jobQueue);
+        } else {
+            console.log('[Worker] Enrichment tasks disabled (no LLM provider configured)');
+        }
+
+        if (llm.isAvailable('prospect_selection') || contactData.isAvailable()) {
+            const prospectingService = new ProspectingService({
+                llm: llm,
+                contacts: contactData,
+                db: db
+            });
+            prospectingService.registerTaskHandlers(jobQueue);
+        }
+
+        const outreachService = new OutreachService({
+            llm: llm,
+            db: db
+        });
+        if (outreachService.isAvailable()) {
+            outreachService.registerTaskHandlers(jobQueue);
+        }
+
+        const outreachSender = new OutreachSender({ db: db });
+        outreachSender.registerTaskHandlers(jobQueue);
+
+        const crmSyncService = new CrmSyncService({
+            db: db,
+            crm: crmClient,
+            outreachSender: outreachSender
+        });
+        if (crmSyncService.isAvailable()) {
+            crmSyncService.registerTaskHandlers(jobQueue);
+        }
+
+        const savedSearchService = new SavedSearchService({
+            db: db,
+            jobSearch: jobSearch,
+            workflowManager: workflowManager,
+            hiringSignals: hiringSignalService,
+            queue: jobQueue
+        });
+        savedSearchService.registerTaskHandlers(jobQueue);
+
+        await jobQueue.start();
+    } catch (error) {
+        console.error('[Worker] Failed to start worker:', error);
+        process.exit(1);
+    }
+}
+
+async function shutdown(signal) {
+    console.log(`[Worker] ${signal} received, shutting down`);
+    if (jobQueue) {
+        await jobQueue.stop();
+    }
+    await renderer.close();
+    await closeDatabase();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker();
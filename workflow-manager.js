@@ -1,7 +1,5 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-const SIGNALHIRE_API_URL = 'https://www.signalhire.com/api/v1/search/companies';
-const SIGNALHIRE_PERSON_URL = 'https://www.signalhire.com/api/v1/candidate/search';
+import { prospectScoresSchema } from './ai-schemas.js';
+import { runWithUsageContext } from './usage.js';
 
 /**
  * WorkflowManager handles the complete flow:
@@ -9,18 +7,21 @@ const SIGNALHIRE_PERSON_URL = 'https://www.signalhire.com/api/v1/candidate/searc
  * 2. Company enrichment (automatic)
  * 3. Prospect collection
  * 4. Prospect filtering and AI selection
+ *
+ * Long-running stages run as job queue tasks (see registerTaskHandlers).
  */
 export class WorkflowManager {
     constructor(options = {}) {
         this.db = options.db;
         this.enricher = options.enricher; // CompanyEnricher instance
-        this.signalHireApiKey = options.signalHireApiKey || process.env.SIGNALHIRE_API_KEY;
-        this.geminiApiKey = options.geminiApiKey || process.env.GEMINI_API_KEY;
-
-        if (this.geminiApiKey) {
-            this.gemini = new GoogleGenerativeAI(this.geminiApiKey);
-            this.geminiModel = this.gemini.getGenerativeModel({ model: 'gemini-2.0-flash' });
-        }
+        this.queue = options.queue; // JobQueue instance
+        this.leadScoring = options.leadScoring || null; // LeadScoringService instance (optional)
+        this.refresh = options.refresh || null; // EnrichmentRefreshService instance (optional, re-enriches on new jobs)
+        this.contacts = options.contacts || null; // ContactDataService instance (optional, prospect search and contact lookups)
+        this.emailVerification = options.emailVerification || null; // EmailVerificationService instance (optional)
+        this.emailPatterns = options.emailPatterns || null; // EmailPatternService instance (optional, guesses emails no provider found)
+        this.quotas = options.quotas || null; // QuotaService instance (optional, daily/monthly contact lookup limits)
+        this.llm = options.llm || null; // LLMGateway instance (optional, for prospect scoring)
 
         this.processingQueue = new Map(); // Track active processing
     }
@@ -37,6 +38,7 @@ export class WorkflowManager {
         // Add job to database (this also creates/gets the company via getOrCreateCompany)
         const job = await this.db.addJobToFolder(folderId, {
             theirstack_job_id: jobData.id || null,
+            source: jobData.source || jobData.raw_data?.source || null,
             job_title: jobData.job_title,
             company_name: jobData.company,
             company_domain: jobData.domain,
@@ -57,61 +59,74 @@ export class WorkflowManager {
         if (company) {
             console.log(`[Workflow] Company found: ${company.name} (status: ${company.enrichment_status})`);
 
-            if (company.enrichment_status === 'pending') {
-                // Trigger automatic enrichment in background
-                console.log(`[Workflow] Triggering automatic enrichment for ${jobData.domain}`);
-                this.enrichCompany(folderId, jobData.domain, jobData.company)
-                    .catch(err => console.error(`[Workflow] Enrichment failed for ${jobData.domain}:`, err));
-            } else if (company.enrichment_status === 'failed') {
-                // Retry failed enrichment
-                console.log(`[Workflow] Retrying failed enrichment for ${jobData.domain}`);
-                this.enrichCompany(folderId, jobData.domain, jobData.company)
-                    .catch(err => console.error(`[Workflow] Retry enrichment failed for ${jobData.domain}:`, err));
+            if (company.enrichment_status === 'pending' || company.enrichment_status === 'failed') {
+                // Queue enrichment (retries failed enrichments too)
+                console.log(`[Workflow] Queueing enrichment for ${jobData.domain}`);
+                await this.queue.enqueue(
+                    'company_enrichment',
+                    { domain: jobData.domain, company_name: jobData.company },
+                    { folderId, companyId: company.id, total: 1, dedupeKey: `${folderId}:${jobData.domain}` }
+                );
+            } else if (this.refresh) {
+                // A new job is a reason to look at an older profile again
+                await this.refresh.onJobAdded(company, folderId);
             }
+
+            await this.updateLeadScore(company.id);
         }
 
         return job;
     }
 
-    // ===== STAGE 2: Company Enrichment =====
-
-    async enrichCompany(folderId, domain, companyName) {
-        // Create background task
-        const task = await this.db.createTask('company_enrichment', folderId, null, 1);
+    // Keep a company's lead score current; scoring problems never fail the workflow
+    async updateLeadScore(companyId) {
+        if (!this.leadScoring || !companyId) return;
 
         try {
-            await this.db.updateTaskStatus(task.id, 'processing', 0);
+            await this.leadScoring.rescoreCompany(companyId);
+        } catch (error) {
+            console.error(`[Workflow] Failed to update lead score for company ${companyId}:`, error.message);
+        }
+    }
 
-            // Use existing enricher
-            const result = await this.enricher.enrichWithRetry(domain, companyName);
+    // ===== STAGE 2: Company Enrichment =====
 
-            await this.db.updateTaskStatus(task.id, 'completed', 1);
-            await this.db.updateTaskResult(task.id, result);
+    async enrichCompany(task) {
+        const folderId = task.folder_id;
+        const { domain, company_name: companyName } = task.payload;
 
-            // Create notification
-            await this.db.createNotification(
-                'enrichment_complete',
-                'Company Enrichment Complete',
-                `${companyName} has been enriched successfully`,
-                `/folders/${folderId}`
-            );
+        // Another folder's task may have enriched this company already
+        const company = await this.db.getCompany(domain);
+        let result;
 
-            // Check if all companies in folder are enriched
-            await this.checkFolderEnrichmentStatus(folderId);
-
-            return result;
-        } catch (error) {
-            await this.db.updateTaskStatus(task.id, 'failed', 0, error.message);
+        if (company?.enrichment_status === 'completed') {
+            console.log(`[Workflow] ${domain} already enriched, skipping`);
+            result = { status: 'completed', skipped: true };
+        } else {
+            // Use existing enricher
+            result = await this.enricher.enrichWithRetry(domain, companyName);
+            await this.updateLeadScore(company?.id ?? task.company_id);
+
+            // Create notification (on-demand enrichment from POST /api/companies/enrich has no folder)
+            if (folderId) {
+                await this.db.createNotification(
+                    'enrichment_complete',
+                    'Company Enrichment Complete',
+                    `${companyName} has been enriched successfully`,
+                    `/folders/${folderId}`,
+                    { folderId }
+                );
+            }
+        }
 
-            await this.db.createNotification(
-                'enrichment_failed',
-                'Company Enrichment Failed',
-                `Failed to enrich ${companyName}: ${error.message}`,
-                `/folders/${folderId}`
-            );
+        await this.db.updateTaskStatus(task.id, 'processing', 1);
 
-            throw error;
+        // Check if all companies in folder are enriched
+        if (folderId) {
+            await this.checkFolderEnrichmentStatus(folderId);
         }
+
+        return result;
     }
 
     async checkFolderEnrichmentStatus(folderId) {
@@ -136,71 +151,70 @@ export class WorkflowManager {
                 'folder_ready',
                 'Folder Ready for Prospect Collection',
                 `All companies in folder have been enriched`,
-                `/folders/${folderId}`
+                `/folders/${folderId}`,
+                { folderId }
             );
         }
     }
 
     // ===== STAGE 3: Prospect Collection =====
 
-    async collectProspectsForFolder(folderId) {
+    async collectProspectsForFolder(folderId, task) {
         const folder = await this.db.getFolder(folderId);
 
         if (folder.status === 'jobs_added') {
-            throw new Error('Please wait for company enrichment to complete first');
+            const error = new Error('Please wait for company enrichment to complete first');
+            error.retryable = false;
+            throw error;
         }
 
         const jobs = await this.db.getJobsByFolder(folderId);
+        await this.db.setTaskTotal(task.id, jobs.length);
 
-        // Create background task
-        const task = await this.db.createTask('prospect_collection', folderId, null, jobs.length);
-
-        try {
-            await this.db.updateTaskStatus(task.id, 'processing', 0);
-
-            const allProspects = [];
-            let processed = 0;
-
-            for (const job of jobs) {
-                const company = await this.db.getCompany(job.company_domain);
+        // When resuming an interrupted task, skip companies that already got prospects
+        const resumedCompanyIds = new Set();
+        if (task.attempts > 1) {
+            const existing = await this.db.getProspectsByFolder(folderId);
+            existing.forEach(p => resumedCompanyIds.add(p.company_id));
+        }
 
-                if (!company || company.enrichment_status !== 'completed') {
-                    processed++;
-                    continue;
-                }
+        const allProspects = [];
+        let processed = 0;
 
-                // Collect prospects for this company
-                const prospects = await this.collectProspectsForCompany(
-                    folderId,
-                    company,
-                    job
-                );
+        for (const job of jobs) {
+            const company = await this.db.getCompany(job.company_domain);
 
-                allProspects.push(...prospects);
+            if (!company || company.enrichment_status !== 'completed' || resumedCompanyIds.has(company.id)) {
                 processed++;
-
-                await this.db.updateTaskStatus(task.id, 'processing', processed);
+                continue;
             }
 
-            await this.db.updateTaskStatus(task.id, 'completed', processed);
-            await this.db.updateTaskResult(task.id, { total_prospects: allProspects.length });
-
-            // Update folder status
-            await this.db.updateFolderStatus(folderId, 'prospects_collected');
-
-            // Create notification
-            await this.db.createNotification(
-                'prospects_collected',
-                'Prospect Collection Complete',
-                `Collected ${allProspects.length} prospects from ${jobs.length} companies`,
-                `/folders/${folderId}`
+            // Collect prospects for this company
+            const prospects = await runWithUsageContext(
+                { companyId: company.id, companyDomain: company.domain },
+                () => this.collectProspectsForCompany(folderId, company, job)
             );
 
-            return allProspects;
-        } catch (error) {
-            await this.db.updateTaskStatus(task.id, 'failed', 0, error.message);
-            throw error;
+            allProspects.push(...prospects);
+            processed++;
+
+            await this.db.updateTaskStatus(task.id, 'processing', processed);
         }
+
+        // Update folder status
+        await this.db.updateFolderStatus(folderId, 'prospects_collected');
+
+        // Create notification
+        await this.db.createNotification(
+            'prospects_collected',
+            'Prospect Collection Complete',
+            `Collected ${allProspects.length} prospects from ${jobs.length} companies`,
+            `/folders/${folderId}`,
+            { folderId }
+        );
+
+        console.log(`[Workflow] Prospect collection completed for folder ${folderId}: ${allProspects.length} prospects`);
+        return { total_prospects: allProspects.length };
     }
 
     async collectProspectsForCompany(folderId, company, job) {
@@ -248,10 +262,10 @@ export class WorkflowManager {
             })));
         }
 
-        // If we need more prospects, use SignalHire
-        if (candidates.length < 20 && this.signalHireApiKey) {
-            console.log(`[Workflow] Searching SignalHire for additional prospects at ${company.name}`);
-            const signalHireProspects = await this.searchSignalHireProspects(
+        // If we need more prospects, search the contact providers
+        if (candidates.length < 20 && this.contacts?.isAvailable()) {
+            console.log(`[Workflow] Searching contact providers for additional prospects at ${company.name}`);
+            const providerProspects = await this.searchProviderProspects(
                 company.domain,
                 company.name,
                 job.job_title,
@@ -259,7 +273,7 @@ export class WorkflowManager {
                 companySize,
                 20 - candidates.length
             );
-            candidates.push(...signalHireProspects);
+            candidates.push(...providerProspects);
         }
 
         // Filter and limit to 20 prospects
@@ -294,63 +308,28 @@ export class WorkflowManager {
         return savedProspects;
     }
 
-    async searchSignalHireProspects(domain, companyName, jobTitle, jobCountry, companySize, limit = 20) {
-        if (!this.signalHireApiKey) {
-            return [];
-        }
-
-        try {
-            // Determine target roles based on company size and job type
-            const targetRoles = this.determineTargetRoles(jobTitle, companySize);
-
-            const searchParams = {
-                company: companyName,
-                titles: targetRoles,
-                limit: Math.min(limit, 20)
-            };
-
-            // Add location filter if job country is specified
-            if (jobCountry) {
-                searchParams.country = jobCountry;
-            }
-
-            console.log(`[Workflow] SignalHire search:`, searchParams);
-
-            const response = await fetch(SIGNALHIRE_API_URL, {
-                method: 'POST',
-                headers: {
-                    'apikey': this.signalHireApiKey,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(searchParams)
-            });
-
-            if (!response.ok) {
-                console.error(`[Workflow] SignalHire API error: ${response.status}`);
-                return [];
-            }
+    async searchProviderProspects(domain, companyName, jobTitle, jobCountry, companySize, limit = 20) {
+        // Determine target roles based on company size and job type
+        const targetRoles = this.determineTargetRoles(jobTitle, companySize);
 
-            const data = await response.json();
-
-            if (data.items && data.items.length > 0) {
-                return data.items.map(item => ({
-                    source: 'signalhire',
-                    name: item.fullName || item.name,
-                    title: item.currentTitle,
-                    department: this.inferDepartment(item.currentTitle),
-                    linkedin_url: item.linkedin,
-                    location: item.location,
-                    priority: this.inferPriority(item.currentTitle, companySize),
-                    relevance: `Found via SignalHire search for ${jobTitle} roles`
-                }));
-            }
+        const people = await this.contacts.searchPeople({
+            company: companyName,
+            domain,
+            titles: targetRoles,
+            country: jobCountry || null,
+            limit: Math.min(limit, 20)
+        });
 
-            return [];
-        } catch (error) {
-            console.error('[Workflow] SignalHire search error:', error);
-            return [];
-        }
+        return people.map(person => ({
+            source: person.source,
+            name: person.name,
+            title: person.title,
+            department: this.inferDepartment(person.title),
+            linkedin_url: person.linkedin_url,
+            location: person.location,
+            priority: this.inferPriority(person.title, companySize),
+            relevance: `Found via ${person.source} search for ${jobTitle} roles`
+        }));
     }
 
     determineTargetRoles(jobTitle, companySize) {
@@ -464,8 +443,8 @@ export class WorkflowManager {
             });
         }
 
-        // Use Gemini to score and rank prospects
-        if (this.geminiModel && prospects.length > 0) {
+        // Use AI to score and rank prospects
+        if (this.llm?.isAvailable('prospect_scoring') && prospects.length > 0) {
             prospects = await this.scoreProspectsWithAI(prospects, job, company, companySize);
         } else {
             // Manual scoring as fallback
@@ -504,22 +483,18 @@ Score each prospect from 0.0 to 1.0 based on:
 2. Seniority level appropriate for company size
 3. Likelihood to be interested in GTM engineering services
 
-Return ONLY a JSON array with scores:
-[0.85, 0.72, 0.91, ...]
-
-One score per prospect in the same order.`;
+Return ONLY a JSON array with exactly ${prospects.length} scores, one per prospect in the same order:
+[0.85, 0.72, 0.91, ...]`;
 
         try {
-            const result = await this.geminiModel.generateContent(prompt);
-            const response = await result.response;
-            const text = response.text();
-
-            // Parse JSON array
-            const scores = JSON.parse(text.match(/\[[\d\s,\.]+\]/)[0]);
+            // The schema pins the array length, so a score can never shift onto the wrong prospect
+            const { data: scores } = await this.llm.completeJson(
+                'prospect_scoring', prompt, prospectScoresSchema(prospects.length), { maxTokens: 1024 }
+            );
 
             return prospects.map((p, i) => ({
                 ...p,
-                ai_score: scores[i] || 0.5
+                ai_score: scores[i]
             }));
         } catch (error) {
             console.error('[Workflow] AI scoring error:', error);
@@ -593,81 +568,205 @@ One score per prospect in the same order.`;
             'prospects_selected',
             'Prospects Auto-Selected',
             `Top prospects have been automatically selected for outreach`,
-            `/folders/${folderId}`
+            `/folders/${folderId}`,
+            { folderId }
         );
     }
 
     // ===== STAGE 5: Enrich Selected Prospects with Contact Info =====
 
-    async enrichSelectedProspects(folderId) {
+    async enrichSelectedProspects(folderId, task) {
+        if (!this.contacts?.isAvailable()) {
+            const error = new Error('No contact provider configured (set SIGNALHIRE_API_KEY, APOLLO_API_KEY, HUNTER_API_KEY or PROSPEO_API_KEY)');
+            error.retryable = false;
+            throw error;
+        }
+
         const selectedProspects = await this.db.getSelectedProspects(folderId);
+        const pendingProspects = selectedProspects.filter(p => !p.signalhire_enriched);
 
-        // Check daily email limit
-        const dailyLimit = 150;
-        const todayCount = await this.db.getTodayEmailCount();
-        const canCollect = todayCount + selectedProspects.length <= dailyLimit;
+        // Reserve contact lookups for the batch (already enriched prospects cost nothing when resuming);
+        // with less quota left than prospects, the first ones are looked up and the rest wait for a re-run
+        const reservation = await this.reserveLookups(folderId, task, pendingProspects.length);
+        const allowed = reservation ? reservation.granted : pendingProspects.length;
 
-        if (!canCollect) {
-            throw new Error(`Daily email collection limit reached (${todayCount}/${dailyLimit}). Try again tomorrow.`);
+        if (pendingProspects.length > 0 && allowed === 0) {
+            const quota = reservation.limited_by;
+            const error = new Error(`Contact lookup quota reached: ${this.quotas.describe(quota)} is used up. Try again ${quota.period === 'day' ? 'tomorrow' : 'next month'}.`);
+            error.retryable = false;
+            throw error;
         }
 
-        // Create background task
-        const task = await this.db.createTask('contact_enrichment', folderId, null, selectedProspects.length);
-
         try {
-            await this.db.updateTaskStatus(task.id, 'processing', 0);
+            return await this.lookupProspects(folderId, task, selectedProspects, { allowed, reservation });
+        } finally {
+            if (reservation) {
+                await this.quotas.release(reservation)
+                    .catch(error => console.error(`[Workflow] Failed to release quota reservation ${reservation.id}:`, error.message));
+            }
+        }
+    }
 
-            let enriched = 0;
-            let processed = 0;
+    // Quota for `count` lookups, charged to whoever started the enrichment (else the folder's owner)
+    async reserveLookups(folderId, task, count) {
+        if (!this.quotas || count === 0) return null;
 
-            for (const prospect of selectedProspects) {
-                if (prospect.signalhire_enriched) {
-                    processed++;
-                    continue; // Skip already enriched
-                }
+        const userId = task.payload?.requested_by ?? (await this.db.getFolder(folderId))?.owner_id ?? null;
+        const reservation = await this.quotas.reserve({ amount: count, userId, taskId: task.id });
+        if (reservation.granted < count) {
+            console.log(`[Workflow] Quota allows ${reservation.granted}/${count} contact lookups for folder ${folderId}`);
+        }
+        return reservation;
+    }
 
-                // Use SignalHire to get contact info
-                const contactInfo = await this.enricher.lookupContactSignalHire(
-                    prospect,
-                    prospect.company_domain
-                );
+    async lookupProspects(folderId, task, selectedProspects, { allowed, reservation }) {
+        // Progress is counted up (not set) because SignalHire webhooks advance it too
+        await this.db.setTaskTotal(task.id, selectedProspects.length, 0);
 
-                if (contactInfo.email) {
-                    await this.db.updateProspectContact(
-                        prospect.id,
-                        contactInfo.email,
-                        contactInfo.phone,
-                        true
-                    );
-                    enriched++;
-                    await this.db.incrementEmailCount(1);
-                }
+        let enriched = 0;
+        let guessed = 0;
+        let awaiting = 0;
+        let lookedUp = 0;
+        let deferred = 0;
 
-                processed++;
-                await this.db.updateTaskStatus(task.id, 'processing', processed);
+        for (const prospect of selectedProspects) {
+            if (prospect.signalhire_enriched) {
+                await this.db.advanceTaskProgress(task.id);
+                continue; // Skip already enriched
+            }
+            if (lookedUp >= allowed) {
+                deferred++; // over quota, left for a later run
+                await this.db.advanceTaskProgress(task.id);
+                continue;
+            }
+            lookedUp++;
+
+            // Contact provider waterfall (see contact-providers.js)
+            const contactInfo = await runWithUsageContext(
+                { companyId: prospect.company_id, companyDomain: prospect.company_domain },
+                () => this.contacts.findContact({
+                    name: prospect.name,
+                    title: prospect.title,
+                    linkedin_url: prospect.linkedin_url,
+                    domain: prospect.company_domain,
+                    company: prospect.company_name
+                }, { prospectId: prospect.id, taskId: task.id, folderId })
+            );
+            await this.quotas?.consume(reservation);
+
+            if (contactInfo.email) {
+                await this.db.updateProspectContact(
+                    prospect.id,
+                    contactInfo.email,
+                    contactInfo.phone,
+                    true,
+                    contactInfo.contact_sources
+                );
+                enriched++;
+                await this.verifyEmail(prospect.id, contactInfo.email, contactInfo.email_verified);
+            }
 
-                // Rate limiting
+            if (contactInfo.contact_pending.length > 0) {
+                // The webhook fills what is still missing and advances the progress (see signalhire-webhooks.js)
+                awaiting++;
                 await this.delay(200);
+                continue;
+            }
+
+            if (!contactInfo.email) {
+                // Looked up without an email: not looked up again on a re-run
+                const sources = { ...(prospect.contact_sources || {}), ...contactInfo.contact_sources };
+                await this.db.updateProspectContact(prospect.id, prospect.email, contactInfo.phone || prospect.phone, true, sources);
+                if (await this.guessEmail({ ...prospect, contact_sources: sources })) {
+                    guessed++;
+                }
             }
 
-            await this.db.updateTaskStatus(task.id, 'completed', processed);
-            await this.db.updateTaskResult(task.id, { enriched_count: enriched });
+            await this.db.advanceTaskProgress(task.id);
 
-            // Create notification
-            await this.db.createNotification(
-                'contacts_enriched',
-                'Contact Enrichment Complete',
-                `Enriched ${enriched} contacts with email addresses`,
-                `/folders/${folderId}`
-            );
+            // Rate limiting
+            await this.delay(200);
+        }
 
-            return { enriched, total: selectedProspects.length };
+        // A folder already drafting or sending outreach stays where it is
+        await this.db.advanceFolderStatus(folderId, 'ready_for_outreach');
+
+        // Create notification
+        await this.db.createNotification(
+            'contacts_enriched',
+            'Contact Enrichment Complete',
+            `Enriched ${enriched} contacts with email addresses${guessed > 0 ? `, guessed ${guessed} more from company email patterns` : ''}${awaiting > 0 ? ` (${awaiting} SignalHire lookups still pending)` : ''}${deferred > 0 ? `. ${deferred} prospects were not looked up because the contact lookup quota ran out; run it again when the quota allows` : ''}`,
+            `/folders/${folderId}`,
+            { folderId }
+        );
+
+        console.log(`[Workflow] Contact enrichment completed for folder ${folderId}: ${enriched}/${selectedProspects.length}`);
+        return { enriched_count: enriched, guessed_count: guessed, awaiting_callback: awaiting, deferred_count: deferred, total: selectedProspects.length };
+    }
+
+    // Verification problems never fail contact enrichment; the email stays unverified
+    async verifyEmail(prospectId, email, providerVerified = null) {
+        if (!this.emailVerification) return;
+
+        try {
+            await this.emailVerification.verifyProspect({ id: prospectId, email }, { providerVerified });
         } catch (error) {
-            await this.db.updateTaskStatus(task.id, 'failed', 0, error.message);
-            throw error;
+            console.error(`[Workflow] Failed to verify email of prospect ${prospectId}:`, error.message);
         }
     }
 
+    // No provider found an email: try the company's address pattern (see email-patterns.js)
+    async guessEmail(prospect) {
+        if (!this.emailPatterns) return null;
+
+        try {
+            return await this.emailPatterns.guessProspectEmail(prospect);
+        } catch (error) {
+            console.error(`[Workflow] Failed to guess email of prospect ${prospect.id}:`, error.message);
+            return null;
+        }
+    }
+
+    // ===== TASK QUEUE HANDLERS =====
+
+    registerTaskHandlers(queue) {
+        queue.register('company_enrichment', task => this.enrichCompany(task), {
+            spends: ['llm', 'contacts'],
+            onFailed: async (task, error) => {
+                if (!task.folder_id) return;
+                await this.db.createNotification(
+                    'enrichment_failed',
+                    'Company Enrichment Failed',
+                    `Failed to enrich ${task.payload.company_name}: ${error.message}`,
+                    `/folders/${task.folder_id}`,
+                    { folderId: task.folder_id }
+                );
+            }
+        });
+
+        queue.register('prospect_collection', task => this.collectProspectsForFolder(task.folder_id, task), {
+            spends: ['llm', 'contacts'],
+            onFailed: (task, error) => this.db.createNotification(
+                'prospect_collection_failed',
+                'Prospect Collection Failed',
+                error.message,
+                `/folders/${task.folder_id}`,
+                { folderId: task.folder_id }
+            )
+        });
+
+        queue.register('contact_enrichment', task => this.enrichSelectedProspects(task.folder_id, task), {
+            spends: ['contacts'],
+            onFailed: (task, error) => this.db.createNotification(
+                'contact_enrichment_failed',
+                'Contact Enrichment Failed',
+                error.message,
+                `/folders/${task.folder_id}`,
+                { folderId: task.folder_id }
+            )
+        });
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }